@@ -3,7 +3,7 @@
 const { Command } = require('commander');
 const fs = require('fs');
 const path = require('path');
-const { translateToScratch, UnsupportedFeatureError } = require('../translator');
+const { translateToScratch, UnsupportedFeatureError, SUBSTITUTED_FEATURES } = require('../translator');
 const { createSB3File } = require('../translator/sb3Builder');
 const { extractZipToTemp, cleanupTemp, combineJavaScriptFiles } = require('../utils/zipHandler');
 const { extractJavaScriptFromHTML, isHTML } = require('../utils/htmlParser');
@@ -21,6 +21,7 @@ program
   .description('Translate a JavaScript/HTML file or zip archive to Scratch 3.0 format')
   .argument('<input>', 'Input JavaScript file (.js), HTML file (.html), or zip archive (.zip)')
   .option('-o, --output <file>', 'Output file (defaults to input name with .sb3 extension)')
+  .option('-s, --substitute', 'Translate alert, prompt, confirm and console.log to Scratch blocks instead of rejecting them')
   .action(async (input, options) => {
     let tempDir = null;
     try {
@@ -59,8 +60,10 @@ program
         const jsCode = files.js.length > 0 ? await combineJavaScriptFiles(files.js) : '';
         const htmlCode = files.html.length > 0 ? await combineJavaScriptFiles(files.html) : '';
         const extractedHtmlJs = htmlCode ? extractJavaScriptFromHTML(htmlCode) : '';
+        // With several JavaScript files each one is a sprite, and the page's own scripts run on the stage
+        const pageCode = extractedHtmlJs && files.js.length > 1 ? `// @stage\n${extractedHtmlJs}` : extractedHtmlJs;
         
-        code = [jsCode, extractedHtmlJs].filter(c => c).join('\n\n');
+        code = [jsCode, pageCode].filter(c => c).join('\n\n');
       } else if (isHtml) {
         // Handle single HTML file
         const htmlContent = fs.readFileSync(inputPath, 'utf-8');
@@ -85,7 +88,10 @@ program
       console.log(`Checking for unsupported features...`);
 
       // Translate to Scratch
-      const result = translateToScratch(code);
+      const result = translateToScratch(code, { substitute: Boolean(options.substitute) });
+      result.warnings.forEach(warning => {
+        console.warn(`⚠ Warning: ${warning.message} (line ${warning.line}, column ${warning.column})`);
+      });
 
       // Determine output path
       const outputPath = options.output 
@@ -106,7 +112,11 @@ program
         console.error(`Feature: ${error.feature}`);
         console.error(`Location: Line ${error.line}, Column ${error.column}`);
         console.error(`\nReason: The feature '${error.feature}' does not exist in Scratch.`);
-        console.error('Please remove or replace this feature and try again.\n');
+        if (SUBSTITUTED_FEATURES.includes(error.feature)) {
+          console.error('Please remove or replace this feature, or translate it to Scratch blocks with --substitute.\n');
+        } else {
+          console.error('Please remove or replace this feature and try again.\n');
+        }
         process.exit(1);
       }
 
@@ -0,0 +1,86 @@
+/**
+ * Expansion of destructuring patterns into individual assignments.
+ *
+ * const [x, y] = pos becomes x = pos[0] and y = pos[1], and
+ * const { w, h: height } = size becomes w = size.w and height = size.h.
+ * When the source is an array or object literal, the matching element is
+ * used directly instead of a member expression.
+ */
+
+function getPropertyKey(property) {
+  if (!property.computed && property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  if (property.key.type === 'Literal') {
+    return String(property.key.value);
+  }
+  return null;
+}
+
+function createMemberExpression(object, key, computed) {
+  return {
+    type: 'MemberExpression',
+    object,
+    property: computed ? { type: 'Literal', value: key } : { type: 'Identifier', name: key },
+    computed,
+  };
+}
+
+/**
+ * Split a pattern into the assignments it stands for
+ * @param {Object} pattern - Identifier, ArrayPattern, ObjectPattern or AssignmentPattern
+ * @param {Object} source - Expression being destructured
+ * @returns {Array<Object>} - Entries of the form { target, value }, where
+ *   target is an Identifier or MemberExpression. Entries may also have:
+ *   - defaultValue: used when the value is missing, with container and
+ *     index/key saying where the value was looked up
+ *   - restFrom: target collects the items of the source list from this index on
+ *   - missing: true when a literal source has no value at that position
+ */
+function expandPattern(pattern, source) {
+  switch (pattern.type) {
+    case 'Identifier':
+    case 'MemberExpression':
+      return [{ target: pattern, value: source }];
+
+    case 'AssignmentPattern':
+      return expandPattern(pattern.left, source).map(entry =>
+        (entry.target === pattern.left ? { ...entry, defaultValue: pattern.right } : entry));
+
+    case 'ArrayPattern':
+      return pattern.elements.flatMap((element, index) => {
+        if (!element) return [];
+        if (element.type === 'RestElement') {
+          return [{ target: element.argument, value: source, restFrom: index }];
+        }
+        if (source && source.type === 'ArrayExpression') {
+          const item = source.elements[index];
+          const entries = expandPattern(element, item || { type: 'Literal', value: null });
+          return item ? entries : entries.map(entry => ({ ...entry, missing: true }));
+        }
+        return expandPattern(element, createMemberExpression(source, index, true))
+          .map(entry => ({ container: source, index, ...entry }));
+      });
+
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => {
+        const key = property.type === 'Property' ? getPropertyKey(property) : null;
+        if (key === null) return []; // ...rest and computed keys are not supported
+        if (source && source.type === 'ObjectExpression') {
+          const match = source.properties.find(p => p.type === 'Property' && getPropertyKey(p) === key);
+          const entries = expandPattern(property.value, match ? match.value : { type: 'Literal', value: null });
+          return match ? entries : entries.map(entry => ({ ...entry, missing: true }));
+        }
+        return expandPattern(property.value, createMemberExpression(source, key, false))
+          .map(entry => ({ container: source, key, ...entry }));
+      });
+
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  expandPattern,
+  getPropertyKey,
+};
@@ -0,0 +1,279 @@
+/**
+ * Event listeners as Scratch hats.
+ *
+ * Scratch starts a separate "when [key] key pressed" script for each key,
+ * while a JS keydown listener is one function that tests event.key. The
+ * listener is specialized for each key it tests: comparisons with that key
+ * become true, comparisons with other keys false, and the if and switch
+ * branches that can no longer run are dropped.
+ *
+ * Events the program dispatches itself are Scratch broadcasts.
+ */
+
+// Key names of event.key and event.code that differ from Scratch's
+const KEY_NAMES = {
+  ArrowUp: 'up arrow',
+  ArrowDown: 'down arrow',
+  ArrowLeft: 'left arrow',
+  ArrowRight: 'right arrow',
+  Up: 'up arrow',
+  Down: 'down arrow',
+  Left: 'left arrow',
+  Right: 'right arrow',
+  ' ': 'space',
+  Space: 'space',
+  Spacebar: 'space',
+};
+
+// event.keyCode and event.which values of the keys that aren't letters or digits
+const KEY_CODES = {
+  32: 'space',
+  37: 'left arrow',
+  38: 'up arrow',
+  39: 'right arrow',
+  40: 'down arrow',
+};
+
+const KEY_PROPERTIES = ['key', 'code', 'keyCode', 'which'];
+
+/**
+ * Scratch's name for a key, or null when Scratch has no hat for it
+ * @param {string} property - Event property compared: key, code, keyCode or which
+ * @param {*} value - Value it is compared with, e.g. 'ArrowUp', 'KeyA' or 38
+ */
+function getScratchKey(property, value) {
+  if (property === 'keyCode' || property === 'which') {
+    const code = Number(value);
+    if (KEY_CODES[code]) return KEY_CODES[code];
+    if ((code >= 65 && code <= 90) || (code >= 48 && code <= 57)) {
+      return String.fromCharCode(code).toLowerCase();
+    }
+    return null;
+  }
+  const text = String(value);
+  if (KEY_NAMES[text]) return KEY_NAMES[text];
+  if (property === 'code') {
+    const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(text);
+    return match ? (match[1] || match[2]).toLowerCase() : null;
+  }
+  // Scratch doesn't tell upper and lower case letters apart
+  return /^[a-zA-Z0-9]$/.test(text) ? text.toLowerCase() : null;
+}
+
+function isKeyAccess(node, eventName) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === eventName &&
+    KEY_PROPERTIES.includes(node.property.name);
+}
+
+/**
+ * The key comparison in event.key === 'a' or 'a' == event.key, as the
+ * property read and the literal it is compared with
+ */
+function getKeyComparison(node, eventName) {
+  if (node.type !== 'BinaryExpression' || !['==', '===', '!=', '!=='].includes(node.operator)) {
+    return null;
+  }
+  if (isKeyAccess(node.left, eventName) && node.right.type === 'Literal') {
+    return { property: node.left.property.name, value: node.right.value };
+  }
+  if (isKeyAccess(node.right, eventName) && node.left.type === 'Literal') {
+    return { property: node.right.property.name, value: node.left.value };
+  }
+  return null;
+}
+
+/**
+ * Every key value a listener compares the event with, in the order they appear
+ * @param {Object} body - Body of the listener function
+ * @param {string} eventName - Name of the listener's event parameter
+ * @returns {Array<{key: string|null, property: string, value: *, node: Object}>} - key
+ *   is Scratch's name for the key, or null when Scratch has no hat for it
+ */
+function getListenedKeys(body, eventName) {
+  const found = [];
+  const add = (property, value, node) => {
+    found.push({ key: getScratchKey(property, value), property, value, node });
+  };
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    const comparison = getKeyComparison(node, eventName);
+    if (comparison) {
+      add(comparison.property, comparison.value, node);
+    }
+    if (node.type === 'SwitchStatement' && isKeyAccess(node.discriminant, eventName)) {
+      node.cases.forEach(switchCase => {
+        if (switchCase.test && switchCase.test.type === 'Literal') {
+          add(node.discriminant.property.name, switchCase.test.value, switchCase.test);
+        }
+      });
+    }
+    for (const key in node) {
+      if (key === 'loc' || key === 'range') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(walk);
+      } else if (child && typeof child === 'object' && child.type) {
+        walk(child);
+      }
+    }
+  })(body);
+  return found;
+}
+
+/**
+ * Replace the key comparisons of a condition with true or false for the
+ * given key, simplifying &&, || and ! around them
+ */
+function foldKeyTest(test, eventName, key) {
+  const isTrue = node => node.type === 'Literal' && node.value === true;
+  const isFalse = node => node.type === 'Literal' && node.value === false;
+  const comparison = getKeyComparison(test, eventName);
+  if (comparison) {
+    const matches = key !== null && getScratchKey(comparison.property, comparison.value) === key;
+    return { type: 'Literal', value: test.operator.startsWith('!') ? !matches : matches };
+  }
+  if (test.type === 'LogicalExpression' && (test.operator === '&&' || test.operator === '||')) {
+    const left = foldKeyTest(test.left, eventName, key);
+    const right = foldKeyTest(test.right, eventName, key);
+    const [absorbing, neutral] = test.operator === '&&' ? [isFalse, isTrue] : [isTrue, isFalse];
+    if (absorbing(left)) return left;
+    if (neutral(left)) return right;
+    if (absorbing(right)) return right;
+    if (neutral(right)) return left;
+    return { ...test, left, right };
+  }
+  if (test.type === 'UnaryExpression' && test.operator === '!') {
+    const argument = foldKeyTest(test.argument, eventName, key);
+    return argument.type === 'Literal' ? { type: 'Literal', value: !argument.value } : { ...test, argument };
+  }
+  return test;
+}
+
+/**
+ * Check whether a switch case ends by leaving the switch (or the function or loop around it)
+ * @param {Array<Object>} statements - Statements of the case
+ * @returns {boolean}
+ */
+function endsCase(statements) {
+  const last = statements[statements.length - 1];
+  return Boolean(last) && ['BreakStatement', 'ContinueStatement', 'ReturnStatement', 'ThrowStatement'].includes(last.type);
+}
+
+/**
+ * The statements a listener runs when the given key is pressed
+ * @param {Array<Object>} statements - Statements of the listener
+ * @param {string} eventName - Name of the listener's event parameter
+ * @param {string|null} key - Scratch key name, or null for a key the listener doesn't test
+ * @returns {Array<Object>} - New statements; the listener is left unchanged
+ */
+function specializeKeyHandler(statements, eventName, key) {
+  const specialize = node => (node.type === 'BlockStatement'
+    ? specializeKeyHandler(node.body, eventName, key)
+    : specializeKeyHandler([node], eventName, key));
+
+  return statements.flatMap(statement => {
+    if (statement.type === 'IfStatement') {
+      const test = foldKeyTest(statement.test, eventName, key);
+      if (test.type === 'Literal') {
+        if (test.value) return specialize(statement.consequent);
+        return statement.alternate ? specialize(statement.alternate) : [];
+      }
+      return [{
+        ...statement,
+        test,
+        consequent: { type: 'BlockStatement', body: specialize(statement.consequent) },
+        alternate: statement.alternate ? { type: 'BlockStatement', body: specialize(statement.alternate) } : null,
+      }];
+    }
+
+    if (statement.type === 'SwitchStatement' && isKeyAccess(statement.discriminant, eventName)) {
+      // Run from the matching case (or default) until a case ends with break
+      const property = statement.discriminant.property.name;
+      let start = statement.cases.findIndex(switchCase => switchCase.test && switchCase.test.type === 'Literal' &&
+        key !== null && getScratchKey(property, switchCase.test.value) === key);
+      if (start === -1) start = statement.cases.findIndex(switchCase => !switchCase.test);
+      if (start === -1) return [];
+      const selected = [];
+      for (let i = start; i < statement.cases.length; i++) {
+        const consequent = statement.cases[i].consequent;
+        if (endsCase(consequent)) {
+          const last = consequent[consequent.length - 1];
+          selected.push(...(last.type === 'BreakStatement' && !last.label ? consequent.slice(0, -1) : consequent));
+          break;
+        }
+        selected.push(...consequent);
+      }
+      return specializeKeyHandler(selected, eventName, key);
+    }
+
+    if (statement.type === 'BlockStatement') {
+      return [{ ...statement, body: specialize(statement) }];
+    }
+    return [statement];
+  });
+}
+
+/**
+ * Replace the reads of the pressed key (event.key, event.code,
+ * event.keyCode, event.which) with empty text: a Scratch hat doesn't give
+ * the key that started it
+ * @returns {{statements: Array<Object>, reads: Array<Object>}} - New
+ *   statements, and the reads they no longer have
+ */
+function blankKeyReads(statements, eventName) {
+  const reads = [];
+  const blank = node => {
+    if (Array.isArray(node)) return node.map(blank);
+    if (!node || typeof node !== 'object' || !node.type) return node;
+    if (isKeyAccess(node, eventName)) {
+      reads.push(node);
+      return { type: 'Literal', value: '', loc: node.loc };
+    }
+    const copy = { ...node };
+    for (const key in copy) {
+      if (key !== 'loc' && key !== 'range') copy[key] = blank(copy[key]);
+    }
+    return copy;
+  };
+  return { statements: blank(statements), reads };
+}
+
+/**
+ * Name of the event target.dispatchEvent(new CustomEvent(name)) (or new
+ * Event(name)) dispatches, or null for other calls and for names that
+ * aren't string literals
+ */
+function getDispatchedEvent(call) {
+  if (call.type !== 'CallExpression' || call.arguments.length === 0) return null;
+  const callee = call.callee;
+  const dispatches = (callee.type === 'Identifier' && callee.name === 'dispatchEvent') ||
+    (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'dispatchEvent');
+  const event = call.arguments[0];
+  if (!dispatches || event.type !== 'NewExpression' || event.callee.type !== 'Identifier' ||
+      !['CustomEvent', 'Event'].includes(event.callee.name)) {
+    return null;
+  }
+  const [name] = event.arguments;
+  return name && name.type === 'Literal' && typeof name.value === 'string' ? name.value : null;
+}
+
+// Browser events that Scratch has no hat for; listeners for other names
+// wait for events the program dispatches
+const DOM_EVENTS = [
+  'keyup', 'mouseup', 'mousemove', 'mouseover', 'mouseout', 'mouseenter', 'mouseleave',
+  'dblclick', 'contextmenu', 'wheel', 'touchstart', 'touchmove', 'touchend', 'touchcancel',
+  'pointerdown', 'pointerup', 'pointermove', 'load', 'DOMContentLoaded', 'beforeunload',
+  'unload', 'resize', 'scroll', 'focus', 'blur', 'change', 'input', 'submit',
+  'visibilitychange', 'gamepadconnected', 'gamepaddisconnected',
+];
+
+module.exports = {
+  DOM_EVENTS,
+  getDispatchedEvent,
+  getScratchKey,
+  getListenedKeys,
+  specializeKeyHandler,
+  blankKeyReads,
+  endsCase,
+};
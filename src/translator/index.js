@@ -1,4 +1,13 @@
-const acorn = require('acorn');
+const { analyzeScopes } = require('./scopeAnalyzer');
+const { inferTypes, TYPES } = require('./typeInference');
+const { expandPattern, getPropertyKey } = require('./destructuring');
+const { getListenedKeys, specializeKeyHandler, blankKeyReads, getDispatchedEvent, endsCase, DOM_EVENTS } = require('./events');
+const { getTimerFunction, getPromiseDelay, findAnimationLoops } = require('./timers');
+const { getIntrinsic, getOptionValue, worksOnStage, INPUT_TYPES } = require('./intrinsics');
+const { parseSections, splitSprites, getCloneNames, createsInstances, INSTANCE_COUNT } = require('./sprites');
+const {
+  createIdGenerator, getInitialValue, getInitialItems, findVariableScripts, setVariableIds,
+} = require('./variables');
 
 /**
  * List of unsupported JavaScript features that don't exist in Scratch
@@ -15,13 +24,48 @@ const UNSUPPORTED_FEATURES = [
   'sessionStorage',
   'fetch',
   'XMLHttpRequest',
-  'setTimeout',
-  'setInterval',
   'Promise',
   'async',
   'await',
 ];
 
+/**
+ * Unsupported features that substitution mode translates to Scratch's own
+ * ways of talking to the user
+ */
+const SUBSTITUTED_FEATURES = [
+  'window.alert',
+  'window.confirm',
+  'window.prompt',
+  'console.log',
+];
+
+/**
+ * Array methods that only make sense on lists, so their use marks a variable as a list
+ */
+const LIST_ONLY_METHODS = ['push', 'pop', 'shift', 'unshift', 'splice'];
+
+/**
+ * Math functions with a matching entry in Scratch's "[op] of" block
+ */
+const MATHOP_FUNCTIONS = {
+  abs: 'abs',
+  floor: 'floor',
+  ceil: 'ceiling',
+  sqrt: 'sqrt',
+  log: 'ln',
+  log10: 'log',
+  exp: 'e ^',
+};
+
+// JS trigonometry works in radians, Scratch's in degrees
+const TRIG_FUNCTIONS = ['sin', 'cos', 'tan'];
+const INVERSE_TRIG_FUNCTIONS = ['asin', 'acos', 'atan'];
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+
+// Whole powers up to this one multiply the base by itself
+const MAX_MULTIPLIED_POWER = 4;
+
 /**
  * Custom error for unsupported features
  */
@@ -38,8 +82,12 @@ class UnsupportedFeatureError extends Error {
 /**
  * Check if the code contains unsupported features
  */
-function checkUnsupportedFeatures(code, ast) {
+function checkUnsupportedFeatures(code, ast, options = {}) {
   const errors = [];
+  const unsupportedFeatures = options.substitute
+    ? UNSUPPORTED_FEATURES.filter(feature => !SUBSTITUTED_FEATURES.includes(feature))
+    : UNSUPPORTED_FEATURES;
+  const declaredFunctions = findDeclaredFunctions(ast);
 
   function traverse(node) {
     if (!node) return;
@@ -48,7 +96,7 @@ function checkUnsupportedFeatures(code, ast) {
     if (node.type === 'MemberExpression') {
       const memberStr = getMemberExpressionString(node);
       
-      for (const unsupported of UNSUPPORTED_FEATURES) {
+      for (const unsupported of unsupportedFeatures) {
         if (memberStr === unsupported || memberStr.startsWith(unsupported + '.')) {
           errors.push(new UnsupportedFeatureError(
             unsupported,
@@ -59,18 +107,13 @@ function checkUnsupportedFeatures(code, ast) {
       }
     }
 
-    // Check for async functions
-    if ((node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || 
-         node.type === 'ArrowFunctionExpression') && node.async) {
-      errors.push(new UnsupportedFeatureError(
-        'async',
-        node.loc?.start.line || 0,
-        node.loc?.start.column || 0
-      ));
-    }
-
-    // Check for await expressions
-    if (node.type === 'AwaitExpression') {
+    // Async functions are fine, but they can only await a delay
+    // (new Promise(r => setTimeout(r, ms))) or a call to a function of the
+    // program, such as another async function or a sleep helper
+    const awaitable = argument => getPromiseDelay(argument) !== null ||
+      (argument.type === 'CallExpression' && argument.callee.type === 'Identifier' &&
+        declaredFunctions.has(argument.callee.name));
+    if (node.type === 'AwaitExpression' && !awaitable(node.argument)) {
       errors.push(new UnsupportedFeatureError(
         'await',
         node.loc?.start.line || 0,
@@ -94,6 +137,62 @@ function checkUnsupportedFeatures(code, ast) {
   return errors;
 }
 
+/**
+ * Names of the functions a program declares, with function declarations or
+ * as variables holding functions
+ */
+function findDeclaredFunctions(ast) {
+  const names = new Set();
+  (function visit(node) {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object' || !node.type) return;
+    if (node.type === 'FunctionDeclaration' && node.id) names.add(node.id.name);
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+        (node.init.type === 'ArrowFunctionExpression' || node.init.type === 'FunctionExpression')) {
+      names.add(node.id.name);
+    }
+    for (const key in node) {
+      if (key !== 'loc' && key !== 'range') visit(node[key]);
+    }
+  })(ast);
+  return names;
+}
+
+/**
+ * Names of the variables that can't become negative: they start as a
+ * number from 0 up, and are only counted up with ++, or set, added to,
+ * multiplied or divided with the remainder of such numbers
+ */
+function findCountingVariables(ast) {
+  const isCount = node => node && node.type === 'Literal' && typeof node.value === 'number' && node.value >= 0;
+  const candidates = new Set();
+  const excluded = new Set();
+  const excludePattern = pattern => {
+    if (!pattern || typeof pattern !== 'object') return;
+    if (pattern.type === 'Identifier') excluded.add(pattern.name);
+    for (const key in pattern) {
+      if (key !== 'loc' && key !== 'range') excludePattern(pattern[key]);
+    }
+  };
+  (function visit(node) {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object' || !node.type) return;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      (isCount(node.init) ? candidates : excluded).add(node.id.name);
+    }
+    if (node.type === 'AssignmentExpression') {
+      const counts = ['=', '+=', '*=', '%='].includes(node.operator) && isCount(node.right);
+      if (node.left.type !== 'Identifier' || !counts) excludePattern(node.left);
+    }
+    if (node.type === 'UpdateExpression' && node.operator === '--') excludePattern(node.argument);
+    if (node.type === 'ForInStatement' || node.type === 'ForOfStatement') excludePattern(node.left);
+    for (const key in node) {
+      if (key !== 'loc' && key !== 'range') visit(node[key]);
+    }
+  })(ast);
+  return new Set([...candidates].filter(name => !excluded.has(name)));
+}
+
 /**
  * Convert member expression to string (e.g., window.location -> "window.location")
  */
@@ -111,54 +210,165 @@ function getMemberExpressionString(node) {
 
 /**
  * Convert JavaScript AST to Scratch 3 blocks format
+ * @param {Object} ast - Program node with the code of one target
+ * @param {Object} [options] - Options of translateToScratch, and:
+ * @param {boolean} [options.isStage] - The blocks are the stage's scripts
+ * @param {string} [options.blockIdPrefix] - Start of the block ids, which
+ *   have to be unique across targets
+ * @param {boolean} [options.stopAtEnd] - Stop the project when the code has
+ *   run, which a target can't do when others still run (defaults to true)
+ * @param {Set<string>} [options.clickRelays] - Click events the stage
+ *   already relays to the sprites, shared by the sprites of a project
+ * @param {Map<string, Object>} [options.cloneClasses] - Classes whose
+ *   instances are clones, as splitSprites describes them
+ * @param {Map<string, Set<string>>} [options.instanceLists] - Lists holding
+ *   instances -> the classes of those instances
+ * @param {Set<string>} [options.sharedLists] - Lists on the stage that the
+ *   target uses without declaring them
+ * @param {boolean} [options.resetsInstanceCount] - Set the counter that
+ *   numbers instances back to 0 when the green flag is clicked
  */
-function astToScratchBlocks(ast) {
+function astToScratchBlocks(ast, options = {}) {
   const blocks = {};
   let blockIdCounter = 0;
   const functionDefinitions = new Map(); // Store arrow function definitions
   const variables = new Set(); // Store all variable names
+  const statementCalls = new Set(); // Functions called as standalone statements
+  const lists = new Set(); // Variables holding arrays, which become Scratch lists
+  const nestedLists = new Set(); // Lists given arrays or objects as items, which Scratch lists can't hold
+  const records = new Map(); // Variables holding objects -> their property names
+  const calledFunctions = new Set(); // Functions called, or passed to something other than addEventListener
+  const listenerFunctions = new Set(); // Functions passed to addEventListener
+  const stageBlocks = {}; // Scripts that only run on the stage
+  const clickRelays = options.clickRelays || new Set(); // Click events the stage relays, shared by all sprites
+  const broadcasts = new Set();
+  const stageLists = new Set(); // Lists shown on the stage, like the console
+  const clearedTimers = new Set(); // Variables holding timers that clearInterval or clearTimeout stops
+  const initialValues = new Map(); // Variables and lists declared with literals -> their value or items
+  const cloneClasses = options.cloneClasses || new Map();
+  const instanceLists = options.instanceLists || new Map();
+  (options.sharedLists || []).forEach(listName => lists.add(listName));
+  let startsScripts = false; // Timers and broadcasts start scripts that stopping the project would cut short
+  let logsToConsole = false;
+  let canvasText = false; // Canvas text is drawn with scratch_say, which hides the sprite
+  let scriptCount = 0;
+  let currentProcedure = null; // Function whose body is being converted, if any
+  let prelude = null; // Blocks that must run before the statement being converted
+  let tempVariableCounter = 0;
+  analyzeScopes(ast); // Renames colliding bindings, so names below are unique
+  const types = inferTypes(ast);
+  const countingVariables = findCountingVariables(ast);
+  const warnings = []; // Diagnostics that don't stop the translation
 
   function generateBlockId() {
-    return `block_${blockIdCounter++}`;
+    return `${options.blockIdPrefix || ''}block_${blockIdCounter++}`;
+  }
+
+  /**
+   * Register a block under the given id. Inputs are usually converted with
+   * blockId as their parent, so the id is generated by the caller first.
+   */
+  function addBlock(blockId, opcode, parentId, inputs = {}, fields = {}, extra = {}) {
+    blocks[blockId] = {
+      opcode,
+      next: null,
+      parent: parentId,
+      inputs,
+      fields,
+      shadow: false,
+      topLevel: false,
+      ...extra,
+    };
+    return blockId;
+  }
+
+  /**
+   * Position of the next top-level script, so scripts don't overlap in the editor
+   */
+  function nextScriptPosition() {
+    const position = { x: 0, y: scriptCount * 300 };
+    scriptCount++;
+    return position;
   }
 
-<<<<<<< HEAD
-  // First pass: collect function definitions (arrow functions, function expressions, and function declarations)
-  function collectFunctions(node) {
-=======
   // First pass: collect function definitions (both arrow and regular) and variables
   function collectFunctionsAndVariables(node) {
->>>>>>> 19f29ad (feat: support comparison operators and function declarations with return)
     if (!node) return;
+    // The setTimeout in new Promise(r => setTimeout(r, ms)) becomes a wait, not a timer
+    if (node.type === 'NewExpression' && getPromiseDelay(node) !== null) return;
 
     // Collect arrow functions and function expressions from variable declarations
     if (node.type === 'VariableDeclaration') {
       node.declarations.forEach(decl => {
         if (decl.init && (decl.init.type === 'ArrowFunctionExpression' || decl.init.type === 'FunctionExpression')) {
           functionDefinitions.set(decl.id.name, {
+            name: decl.id.name,
             params: decl.init.params,
             body: decl.init.body
           });
         } else {
-          // Collect variable name
-          variables.add(decl.id.name);
+          // Collect variable names, including the ones a pattern declares
+          expandPattern(decl.id, decl.init).forEach(entry => {
+            if (entry.target.type === 'Identifier') variables.add(entry.target.name);
+          });
+          if (decl.id.type === 'Identifier') rememberInitialValue(decl.id.name, decl.init);
         }
       });
     }
 
-<<<<<<< HEAD
-    // Collect named function declarations
-    if (node.type === 'FunctionDeclaration' && node.id) {
-=======
     // Collect function declarations (function name() { ... })
     if (node.type === 'FunctionDeclaration') {
->>>>>>> 19f29ad (feat: support comparison operators and function declarations with return)
       functionDefinitions.set(node.id.name, {
+        name: node.id.name,
         params: node.params,
         body: node.body
       });
     }
 
+    // Remember functions whose result is discarded, e.g. drawBox(3);
+    if (node.type === 'ExpressionStatement' &&
+        node.expression.type === 'CallExpression' &&
+        node.expression.callee.type === 'Identifier') {
+      statementCalls.add(node.expression.callee.name);
+    }
+    // ...and functions passed to forEach, which are called for each item
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        !node.callee.computed && node.callee.property.name === 'forEach' &&
+        node.arguments.length > 0 && node.arguments[0].type === 'Identifier') {
+      statementCalls.add(node.arguments[0].name);
+    }
+
+    // Listeners become event scripts, so they only need a custom block when called as well
+    if (node.type === 'CallExpression') {
+      if (node.callee.type === 'Identifier') {
+        calledFunctions.add(node.callee.name);
+      }
+      const timerFunction = getTimerFunction(node);
+      if (['setInterval', 'setTimeout', 'requestAnimationFrame'].includes(timerFunction)) {
+        startsScripts = true;
+        // Named callbacks run as custom blocks from the timer's loop
+        if (node.arguments.length > 0 && node.arguments[0].type === 'Identifier') {
+          statementCalls.add(node.arguments[0].name);
+        }
+      }
+      if ((timerFunction === 'clearInterval' || timerFunction === 'clearTimeout') && node.arguments.length > 0 && node.arguments[0].type === 'Identifier') {
+        clearedTimers.add(node.arguments[0].name);
+      }
+      const broadcastCall = getBroadcastCall(node);
+      if (broadcastCall && !broadcastCall.wait) {
+        startsScripts = true;
+      }
+      if (getSubstitutedFunction(node) === 'console.log') {
+        logsToConsole = true;
+      }
+      const listenerArgument = isEventListener(node) ? node.arguments[1]
+        : isCloneStartListener(node) ? node.arguments[0] : null;
+      node.arguments.forEach(arg => {
+        if (arg.type !== 'Identifier') return;
+        (arg === listenerArgument ? listenerFunctions : calledFunctions).add(arg.name);
+      });
+    }
+
     // Traverse children
     for (const key in node) {
       if (key === 'loc' || key === 'range') continue;
@@ -171,8 +381,28 @@ function astToScratchBlocks(ast) {
     }
   }
 
+  /**
+   * Keep the value a declaration starts a variable with, when it's a
+   * literal: a value, the items of an array, or the values of an object's
+   * properties (size.w for { w: 10 })
+   */
+  function rememberInitialValue(name, init) {
+    if (!init || initialValues.has(name)) return;
+    if (init.type === 'ObjectExpression') {
+      init.properties.forEach(property => {
+        const key = property.type === 'Property' ? getPropertyKey(property) : null;
+        if (key !== null) rememberInitialValue(`${name}.${key}`, property.value);
+      });
+      return;
+    }
+    const value = init.type === 'ArrayExpression' ? getInitialItems(init) : getInitialValue(init);
+    if (value !== undefined) initialValues.set(name, value);
+  }
+
   // Collect all function definitions and variables first
   collectFunctionsAndVariables(ast);
+  const animationLoops = findAnimationLoops([...functionDefinitions.values()]);
+  const startedLoops = new Set();
   
   // Second pass: collect all variable references from assignments and expressions
   function collectVariableReferences(node) {
@@ -181,6 +411,64 @@ function astToScratchBlocks(ast) {
     if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') {
       variables.add(node.left.name);
     }
+    if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') {
+      variables.add(node.argument.name);
+    }
+
+    // Destructuring assigns every target of its pattern; ...rest targets are lists
+    const pattern = node.type === 'VariableDeclarator' ? node.id
+      : node.type === 'AssignmentExpression' ? node.left : null;
+    if (pattern && (pattern.type === 'ArrayPattern' || pattern.type === 'ObjectPattern')) {
+      expandPattern(pattern, node.init || node.right).forEach(entry => {
+        if (entry.target.type !== 'Identifier') return;
+        variables.add(entry.target.name);
+        if (entry.restFrom !== undefined) lists.add(entry.target.name);
+      });
+    }
+
+    // Objects become one variable per property: variables set to object
+    // literals, and properties assigned later on
+    const objectTarget = node.type === 'VariableDeclarator' ? node.id
+      : node.type === 'AssignmentExpression' ? node.left : null;
+    const objectValue = node.type === 'VariableDeclarator' ? node.init
+      : node.type === 'AssignmentExpression' ? node.right : null;
+    if (objectTarget && objectTarget.type === 'Identifier' && objectValue && objectValue.type === 'ObjectExpression') {
+      if (!records.has(objectTarget.name)) records.set(objectTarget.name, new Set());
+      objectValue.properties.forEach(property => {
+        const key = property.type === 'Property' ? getPropertyKey(property) : null;
+        if (key !== null) records.get(objectTarget.name).add(key);
+      });
+    }
+
+    // Arrays become lists: variables set to array literals, to lists made
+    // by map and filter, or used with list methods
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+        node.init && (node.init.type === 'ArrayExpression' || isListProducer(node.init))) {
+      lists.add(node.id.name);
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' &&
+        (node.right.type === 'ArrayExpression' || isListProducer(node.right))) {
+      lists.add(node.left.name);
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        node.callee.object.type === 'Identifier' && !node.callee.computed &&
+        LIST_ONLY_METHODS.includes(node.callee.property.name)) {
+      lists.add(node.callee.object.name);
+    }
+    const isCompound = item => item && (item.type === 'ArrayExpression' || item.type === 'ObjectExpression');
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+        node.init.type === 'ArrayExpression' && node.init.elements.some(isCompound)) {
+      nestedLists.add(node.id.name);
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' &&
+        node.right.type === 'ArrayExpression' && node.right.elements.some(isCompound)) {
+      nestedLists.add(node.left.name);
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        node.callee.object.type === 'Identifier' && !node.callee.computed &&
+        ['push', 'unshift'].includes(node.callee.property.name) && node.arguments.some(isCompound)) {
+      nestedLists.add(node.callee.object.name);
+    }
 
     // Traverse children
     for (const key in node) {
@@ -195,230 +483,2809 @@ function astToScratchBlocks(ast) {
   }
 
   collectVariableReferences(ast);
+  lists.forEach(listName => variables.delete(listName));
+
+  // Properties assigned outside the object literal, e.g. size.w = 5
+  function collectRecordProperties(node) {
+    if (!node) return;
+    const target = node.type === 'AssignmentExpression' ? node.left
+      : node.type === 'UpdateExpression' ? node.argument : null;
+    if (target && target.type === 'MemberExpression' && target.object.type === 'Identifier' &&
+        records.has(target.object.name)) {
+      const key = getMemberKey(target);
+      if (key !== null) records.get(target.object.name).add(key);
+    }
+    for (const key in node) {
+      if (key === 'loc' || key === 'range') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(collectRecordProperties);
+      } else if (child && typeof child === 'object' && child.type) {
+        collectRecordProperties(child);
+      }
+    }
+  }
+
+  collectRecordProperties(ast);
+  records.forEach((properties, objectName) => {
+    variables.delete(objectName);
+    properties.forEach(key => variables.add(`${objectName}.${key}`));
+  });
   
   // Third pass: remove function names and function parameter names from variables
+  // (scope analysis gave parameters their own names, so no variable shares them)
   functionDefinitions.forEach((funcDef, funcName) => {
     // Remove function name (it's not a variable)
     variables.delete(funcName);
     // Remove function parameter names (they're not real variables)
-    funcDef.params.forEach(param => {
-      // Handle both Identifier objects and string names
-      const paramName = param.name || (param.type === 'Identifier' ? param.name : param);
-      variables.delete(paramName);
-    });
+    funcDef.params.forEach(param => variables.delete(getParamName(param)));
   });
 
-  function convertNode(node, parentId = null) {
-    if (!node) return null;
+  /**
+   * The name of a function parameter, or of the parameter a default value
+   * is given to (b in b = 2); null for destructured parameters
+   */
+  function getParamName(param) {
+    const target = param.type === 'AssignmentPattern' ? param.left : param;
+    return target.type === 'Identifier' ? target.name : null;
+  }
 
-    const blockId = generateBlockId();
-    
-    switch (node.type) {
-      case 'Program':
-        // Root node - process all statements
-        let prevBlockId = null;
-        let firstBlockId = null;
-        node.body.forEach((stmt) => {
-          const stmtBlockId = convertNode(stmt, null);
-          if (stmtBlockId) {
-            if (firstBlockId === null) {
-              // Track the first non-null block
-              firstBlockId = stmtBlockId;
-            }
-            if (prevBlockId) {
-              blocks[prevBlockId].next = stmtBlockId;
-              blocks[stmtBlockId].parent = prevBlockId;
-              blocks[stmtBlockId].topLevel = false;
-            }
-            prevBlockId = stmtBlockId;
+  /**
+   * Functions whose body is a single expression can be inlined at each call site
+   */
+  function isInlinableFunction(funcDef) {
+    if (funcDef.body.type !== 'BlockStatement') return true;
+    const statements = funcDef.body.body;
+    return statements.length === 1 &&
+      statements[0].type === 'ReturnStatement' &&
+      statements[0].argument !== null;
+  }
+
+  /**
+   * Functions with statements, or whose calls stand alone, become custom blocks
+   */
+  function needsProcedure(funcName) {
+    return !isInlinableFunction(functionDefinitions.get(funcName)) || statementCalls.has(funcName);
+  }
+
+  /**
+   * Scratch identifies a custom block by its proccode (e.g. "drawBox %s") and
+   * its arguments by ids shared between the prototype and every call.
+   */
+  function getProcedureSignature(funcName) {
+    const funcDef = functionDefinitions.get(funcName);
+    if (!funcDef.signature) {
+      const argumentNames = funcDef.params.map((param, index) => {
+        const name = getParamName(param);
+        if (name !== null) return name;
+        addWarning(`Custom blocks can't take destructured parameters, so argument ${index + 1} of ${funcName} was left out`, param);
+        return `argument ${index + 1}`;
+      });
+      funcDef.signature = {
+        proccode: [funcName, ...argumentNames.map(() => '%s')].join(' '),
+        argumentIds: argumentNames.map(name => `${funcName}_arg_${name}`),
+        argumentNames,
+      };
+    }
+    return funcDef.signature;
+  }
+
+  /**
+   * Check whether a function returns a value anywhere in its own body
+   * (returns inside nested functions belong to those functions)
+   */
+  function hasReturnValue(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (node.type === 'ReturnStatement') return node.argument !== null;
+    if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression') {
+      return false;
+    }
+    for (const key in node) {
+      if (key === 'loc' || key === 'range') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        if (child.some(hasReturnValue)) return true;
+      } else if (child && typeof child === 'object' && child.type) {
+        if (hasReturnValue(child)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Custom blocks cannot report values, so a function that returns one writes
+   * it to its own result variable, which callers read after the call.
+   */
+  function getResultVariableName(funcName) {
+    const resultName = `${funcName} result`;
+    variables.add(resultName);
+    return resultName;
+  }
+
+  /**
+   * Declare a fresh variable for an intermediate value
+   */
+  function createTempVariable(baseName) {
+    const tempName = `${baseName} ${++tempVariableCounter}`;
+    variables.add(tempName);
+    return tempName;
+  }
+
+  function createResultAssignment(funcName, valueExpr, parentId) {
+    const resultName = getResultVariableName(funcName);
+    const setId = generateBlockId();
+    return addBlock(setId, 'data_setvariableto', parentId, {
+      VALUE: valueExpr ? convertExpressionToInput(valueExpr, setId) : [1, [10, '']],
+    }, {
+      VARIABLE: [resultName, resultName],
+    });
+  }
+
+  /**
+   * Run a conversion while collecting the blocks it needs to run beforehand
+   * (e.g. calls to custom blocks whose result the expression reads)
+   */
+  function withPrelude(convert) {
+    const outerPrelude = prelude;
+    prelude = {
+      blockIds: [],
+      resultReads: new Map(),
+      tempResults: outerPrelude ? [...outerPrelude.tempResults] : [],
+      answerRead: null,
+    };
+    const result = convert();
+    const preludeId = linkBlocks(prelude.blockIds);
+    prelude = outerPrelude;
+    return { result, preludeId };
+  }
+
+  /**
+   * Check whether running a function can call another one, directly or
+   * through the functions it calls or passes on
+   */
+  function canCall(funcName, targetName, visited = new Set()) {
+    if (visited.has(funcName) || !functionDefinitions.has(funcName)) return false;
+    visited.add(funcName);
+    let found = false;
+    (function visit(node) {
+      if (found || !node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (node.type === 'Identifier' && (node.name === targetName || canCall(node.name, targetName, visited))) {
+        found = true;
+        return;
+      }
+      for (const key in node) {
+        if (key !== 'loc' && key !== 'range') visit(node[key]);
+      }
+    })(functionDefinitions.get(funcName).body);
+    return found;
+  }
+
+  /**
+   * Call a custom block ahead of the current statement and read its result.
+   * Earlier results the call may overwrite are copied to temporary
+   * variables first. Those are shared by every run of a custom block, so
+   * while a call that can come back to the current one runs, they wait on
+   * a list.
+   */
+  function hoistProcedureCall(funcName, args) {
+    prelude.resultReads.forEach((earlierRead, calledName) => {
+      if (earlierRead.copied || (calledName !== funcName && !canCall(funcName, calledName))) return;
+      const earlierResult = getResultVariableName(calledName);
+      const tempName = createTempVariable(earlierResult);
+      const copyId = addBlock(generateBlockId(), 'data_setvariableto', null, {
+        VALUE: [3, [12, earlierResult, earlierResult], [10, '']],
+      }, {
+        VARIABLE: [tempName, tempName],
+      });
+      prelude.blockIds.splice(prelude.blockIds.indexOf(earlierRead.callId) + 1, 0, copyId);
+      earlierRead.input[1] = [12, tempName, tempName];
+      earlierRead.copied = true;
+      prelude.tempResults.push(tempName);
+    });
+
+    const reenters = currentProcedure !== null &&
+      (funcName === currentProcedure.name || canCall(funcName, currentProcedure.name));
+    const saved = reenters ? prelude.tempResults : [];
+    const stackName = reenters ? `${currentProcedure.name} stack` : null;
+    if (saved.length > 0) lists.add(stackName);
+    saved.forEach(tempName => {
+      prelude.blockIds.push(createListBlock('data_addtolist', stackName, null, () => ({
+        ITEM: [3, [12, tempName, tempName], [10, '']],
+      })));
+    });
+    const callId = createProcedureCall(funcName, args, null);
+    prelude.blockIds.push(callId);
+    saved.slice().reverse().forEach(tempName => {
+      const setId = generateBlockId();
+      prelude.blockIds.push(addBlock(setId, 'data_setvariableto', null, {
+        VALUE: createListItemRead(stackName, [1, [7, 'last']], setId),
+      }, {
+        VARIABLE: [tempName, tempName],
+      }));
+      prelude.blockIds.push(createListBlock('data_deleteoflist', stackName, null, () => ({
+        INDEX: [1, [7, 'last']],
+      })));
+    });
+
+    const resultName = getResultVariableName(funcName);
+    const input = [3, [12, resultName, resultName], [10, '']];
+    prelude.resultReads.set(funcName, { input, callId, copied: false });
+    return input;
+  }
+
+  /**
+   * Copy a stack of blocks, and the blocks in their inputs, under new ids
+   */
+  function copyStack(firstId, parentId) {
+    const copyIds = [];
+    for (let id = firstId; id; id = blocks[id].next) {
+      const copyId = generateBlockId();
+      const copy = JSON.parse(JSON.stringify({ ...blocks[id], next: null, parent: null }));
+      blocks[copyId] = copy;
+      Object.values(copy.inputs).forEach(input => {
+        if (!Array.isArray(input)) return;
+        input.forEach((value, index) => {
+          if (index > 0 && typeof value === 'string' && blocks[value]) {
+            input[index] = copyStack(value, copyId);
           }
         });
-        
-        // Create event block and link to first actual block
-        if (firstBlockId) {
-          const eventBlockId = generateBlockId();
-          blocks[eventBlockId] = {
-            opcode: 'event_whenflagclicked',
-            next: firstBlockId,
-            parent: null,
-            inputs: {},
-            fields: {},
-            shadow: false,
-            topLevel: true,
-          };
-          blocks[firstBlockId].parent = eventBlockId;
-          blocks[firstBlockId].topLevel = false;
-        }
-        
-        // Add control_stop block at the end
-        if (prevBlockId) {
-          const stopBlockId = generateBlockId();
-          blocks[stopBlockId] = {
-            opcode: 'control_stop',
-            next: null,
-            parent: prevBlockId,
-            inputs: {},
-            fields: {
-              STOP_OPTION: ['all', null],
-            },
-            shadow: false,
-            topLevel: false,
-            mutation: {
-              tagName: 'mutation',
-              children: [],
-              hasnext: 'false',
-            },
-          };
-          blocks[prevBlockId].next = stopBlockId;
-        }
+      });
+      copyIds.push(copyId);
+    }
+    const firstCopyId = linkBlocks(copyIds);
+    if (firstCopyId) blocks[firstCopyId].parent = parentId;
+    return firstCopyId;
+  }
+
+  /**
+   * Loop conditions are checked before every iteration, so the blocks they
+   * need beforehand run once before the loop and again at the end of its
+   * body. The refresh is a copy of those blocks, so it sets the very
+   * variables the condition reads.
+   */
+  function convertLoopCondition(test, loopBlockId) {
+    const { result: input, preludeId } = withPrelude(() => convertConditionInput(test, loopBlockId));
+    return { input, preludeId, refreshId: preludeId ? copyStack(preludeId, null) : null };
+  }
+
+  /**
+   * Read a number literal, including negative ones like -1
+   */
+  function getNumericLiteral(node) {
+    if (!node) return null;
+    if (node.type === 'Literal' && typeof node.value === 'number') {
+      return node.value;
+    }
+    if (node.type === 'Literal' && typeof node.value === 'bigint') {
+      // Scratch has only one kind of number
+      return Number(node.value);
+    }
+    if (node.type === 'UnaryExpression' && (node.operator === '-' || node.operator === '+')) {
+      const value = getNumericLiteral(node.argument);
+      if (value === null) return null;
+      return node.operator === '-' ? -value : value;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a statement assigns to the given variable anywhere inside it
+   */
+  function assignsVariable(node, name) {
+    if (!node || typeof node !== 'object') return false;
+    if ((node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && node.left.name === name) ||
+        (node.type === 'UpdateExpression' && node.argument.type === 'Identifier' && node.argument.name === name)) {
+      return true;
+    }
+    for (const key in node) {
+      if (key === 'loc' || key === 'range') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        if (child.some(item => assignsVariable(item, name))) return true;
+      } else if (child && typeof child === 'object' && child.type) {
+        if (assignsVariable(child, name)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the constant amount a for-loop update adds to its counter
+   * (i++, i--, i += 2, i -= 2, i = i + 2), or null for anything else
+   */
+  function getCounterStep(update, name) {
+    if (!update) return null;
+    if (update.type === 'UpdateExpression' &&
+        update.argument.type === 'Identifier' && update.argument.name === name) {
+      return update.operator === '++' ? 1 : -1;
+    }
+    if (update.type !== 'AssignmentExpression' ||
+        update.left.type !== 'Identifier' || update.left.name !== name) {
+      return null;
+    }
+    if (update.operator === '+=' || update.operator === '-=') {
+      const value = getNumericLiteral(update.right);
+      if (value === null) return null;
+      return update.operator === '+=' ? value : -value;
+    }
+    if (update.operator === '=' && update.right.type === 'BinaryExpression' &&
+        update.right.left.type === 'Identifier' && update.right.left.name === name &&
+        (update.right.operator === '+' || update.right.operator === '-')) {
+      const value = getNumericLiteral(update.right.right);
+      if (value === null) return null;
+      return update.right.operator === '+' ? value : -value;
+    }
+    return null;
+  }
+
+  /**
+   * Work out how many times a counted loop runs when its start, bound and
+   * step are integer literals, e.g. for (let i = 0; i < 10; i += 2) runs 5
+   * times. Returns null when the count cannot be known up front.
+   */
+  function getRepeatCount(node) {
+    const { init, test, update, body } = node;
+    if (!init || init.type !== 'VariableDeclaration' || init.declarations.length !== 1) return null;
+    const declaration = init.declarations[0];
+    if (declaration.id.type !== 'Identifier') return null;
+    const name = declaration.id.name;
+    const start = getNumericLiteral(declaration.init);
+
+    if (!test || test.type !== 'BinaryExpression' ||
+        test.left.type !== 'Identifier' || test.left.name !== name) {
+      return null;
+    }
+    const bound = getNumericLiteral(test.right);
+    const step = getCounterStep(update, name);
+    if (start === null || bound === null || step === null || step === 0) return null;
+    if (![start, bound, step].every(Number.isInteger)) return null;
+    if (assignsVariable(body, name)) return null;
+
+    const distance = step > 0 ? bound - start : start - bound;
+    const stride = Math.abs(step);
+    switch (test.operator) {
+      case '<':
+        if (step < 0) return null;
+        return distance > 0 ? Math.ceil(distance / stride) : 0;
+      case '<=':
+        if (step < 0) return null;
+        return distance >= 0 ? Math.floor(distance / stride) + 1 : 0;
+      case '>':
+        if (step > 0) return null;
+        return distance > 0 ? Math.ceil(distance / stride) : 0;
+      case '>=':
+        if (step > 0) return null;
+        return distance >= 0 ? Math.floor(distance / stride) + 1 : 0;
+      default:
         return null;
+    }
+  }
 
-      case 'VariableDeclaration':
-        // Variable declaration (let, const, var)
-        if (node.declarations.length > 0) {
-          const decl = node.declarations[0];
-          // Skip function declarations (arrow functions and function expressions) - they will be inlined when called
-          if (decl.init && (decl.init.type === 'ArrowFunctionExpression' || decl.init.type === 'FunctionExpression')) {
-            return null;
-          }
-          blocks[blockId] = {
-            opcode: 'data_setvariableto',
-            next: null,
-            parent: parentId,
-            inputs: {
-              VALUE: decl.init ? convertExpressionToInput(decl.init, blockId) : [1, [10, '0']],
-            },
-            fields: {
-              VARIABLE: [decl.id.name, decl.id.name],
-            },
-            shadow: false,
-            topLevel: false,
-          };
+  /**
+   * Convert a for-loop update clause, using "change by" for constant steps
+   */
+  function convertLoopUpdate(update, parentId) {
+    if (!update) return null;
+    const counter = update.type === 'UpdateExpression' ? update.argument : update.left;
+    const step = counter && counter.type === 'Identifier' ? getCounterStep(update, counter.name) : null;
+    if (step !== null) {
+      return createChangeVariableBlock(counter.name, [1, [4, String(step)]], parentId);
+    }
+    return convertNode(update, parentId);
+  }
+
+  function createChangeVariableBlock(name, valueInput, parentId) {
+    return addBlock(generateBlockId(), 'data_changevariableby', parentId, {
+      VALUE: valueInput,
+    }, {
+      VARIABLE: [name, name],
+    });
+  }
+
+  function isLoopStatement(node) {
+    return ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type);
+  }
+
+  function createFlagAssignment(flagName, value) {
+    return {
+      type: 'ExpressionStatement',
+      expression: {
+        type: 'AssignmentExpression',
+        operator: '=',
+        left: { type: 'Identifier', name: flagName },
+        right: { type: 'Literal', value },
+      },
+    };
+  }
+
+  function isFlagSet(flagName) {
+    return {
+      type: 'BinaryExpression',
+      operator: '==',
+      left: { type: 'Identifier', name: flagName },
+      right: { type: 'Literal', value: 1 },
+    };
+  }
+
+  /**
+   * True while none of the loop's break and continue flags is set
+   */
+  function noJumpTaken(jumps) {
+    const flags = [jumps.breakFlag, jumps.continueFlag].filter(Boolean).map(isFlagSet);
+    return {
+      type: 'UnaryExpression',
+      operator: '!',
+      prefix: true,
+      argument: flags.reduce((left, right) => ({ type: 'LogicalExpression', operator: '||', left, right })),
+    };
+  }
+
+  /**
+   * Replace the break and continue statements that leave a loop (or just
+   * the breaks that leave a switch) with flag assignments, guarding the
+   * statements after them with if blocks.
+   * Returns the new statement and whether it may set a flag.
+   */
+  function rewriteLoopJumps(node, jumps, context) {
+    const targetsLoop = jump => {
+      if (jump.type === 'ContinueStatement' && !jumps.isLoop) return false; // A switch only takes break
+      return jump.label
+        ? jumps.labels.includes(jump.label.name)
+        : !context.nestedLoop && !(jump.type === 'BreakStatement' && context.inSwitch);
+    };
+
+    switch (node.type) {
+      case 'BreakStatement':
+      case 'ContinueStatement': {
+        if (!targetsLoop(node)) return { node, jumps: false };
+        const flagKey = node.type === 'BreakStatement' ? 'breakFlag' : 'continueFlag';
+        if (!jumps[flagKey]) {
+          jumps[flagKey] = createTempVariable(node.type === 'BreakStatement' ? 'break' : 'continue');
         }
-        return blockId;
+        const setFlag = createFlagAssignment(jumps[flagKey], 1);
+        if (context.nestedLoop) {
+          // Leaving an outer loop from an inner one: set the outer loop's
+          // flag and break out of the inner loop
+          return { node: { type: 'BlockStatement', body: [setFlag, { type: 'BreakStatement', label: null }] }, jumps: true };
+        }
+        return { node: setFlag, jumps: true, always: true };
+      }
 
-      case 'FunctionDeclaration':
-        // Skip function declarations - they will be inlined when called
-        return null;
+      case 'BlockStatement': {
+        const { statements, jumps: blockJumps } = rewriteLoopJumpsInList(node.body, jumps, context);
+        return { node: { ...node, body: statements }, jumps: blockJumps };
+      }
 
-      case 'ExpressionStatement':
-        return convertNode(node.expression, parentId);
+      case 'IfStatement': {
+        const consequent = rewriteLoopJumps(node.consequent, jumps, context);
+        const alternate = node.alternate ? rewriteLoopJumps(node.alternate, jumps, context) : { node: null, jumps: false };
+        return {
+          node: { ...node, consequent: consequent.node, alternate: alternate.node },
+          jumps: consequent.jumps || alternate.jumps,
+        };
+      }
 
-      case 'AssignmentExpression':
-        // Handle assignments like x = x + 1
-        if (node.operator === '=' && node.left.type === 'Identifier') {
-          blocks[blockId] = {
-            opcode: 'data_setvariableto',
-            next: null,
-            parent: parentId,
-            inputs: {
-              VALUE: convertExpressionToInput(node.right, blockId),
-            },
-            fields: {
-              VARIABLE: [node.left.name, node.left.name],
-            },
-            shadow: false,
-            topLevel: false,
-          };
-          return blockId;
+      case 'LabeledStatement': {
+        const body = rewriteLoopJumps(node.body, jumps, context);
+        return { node: { ...node, body: body.node }, jumps: body.jumps };
+      }
+
+      case 'SwitchStatement': {
+        let switchJumps = false;
+        const cases = node.cases.map(switchCase => {
+          const { statements, jumps: caseJumps, always } = rewriteLoopJumpsInList(switchCase.consequent, jumps, { ...context, inSwitch: true });
+          switchJumps = switchJumps || caseJumps;
+          if (caseJumps) {
+            // A jump out of the loop also leaves the switch, instead of falling through to the next case
+            const leaveSwitch = { type: 'BreakStatement', label: null };
+            statements.push(always ? leaveSwitch : {
+              type: 'IfStatement',
+              test: noJumpTaken(jumps).argument,
+              consequent: leaveSwitch,
+              alternate: null,
+            });
+          }
+          return { ...switchCase, consequent: statements };
+        });
+        return { node: { ...node, cases }, jumps: switchJumps };
+      }
+
+      default:
+        if (isLoopStatement(node)) {
+          // Only labeled jumps can leave this loop from inside an inner loop
+          const body = rewriteLoopJumps(node.body, jumps, { nestedLoop: true, inSwitch: false });
+          return { node: { ...node, body: body.node }, jumps: body.jumps };
+        }
+        return { node, jumps: false };
+    }
+  }
+
+  function rewriteLoopJumpsInList(statements, jumps, context) {
+    const rewritten = [];
+    for (let i = 0; i < statements.length; i++) {
+      const result = rewriteLoopJumps(statements[i], jumps, context);
+      rewritten.push(result.node);
+      if (result.always) {
+        // Nothing after a break or continue runs
+        return { statements: rewritten, jumps: true, always: true };
+      }
+      if (result.jumps) {
+        const rest = rewriteLoopJumpsInList(statements.slice(i + 1), jumps, context);
+        if (rest.statements.length > 0) {
+          rewritten.push({
+            type: 'IfStatement',
+            test: noJumpTaken(jumps),
+            consequent: { type: 'BlockStatement', body: rest.statements },
+            alternate: null,
+          });
+        }
+        return { statements: rewritten, jumps: true };
+      }
+    }
+    return { statements: rewritten, jumps: false };
+  }
+
+  /**
+   * Lower break and continue in a loop to flag variables: break ends the
+   * loop through its condition, continue skips the rest of the body.
+   * do...while becomes its body followed by a while loop. Returns the
+   * statements to convert instead of the loop, or null when there is
+   * nothing to lower.
+   * @param {Object} loop - While, do...while or for statement
+   * @param {string[]} labels - Labels of the loop, for labeled break and continue
+   */
+  function lowerLoop(loop, labels = []) {
+    const jumps = { labels, isLoop: true, breakFlag: null, continueFlag: null };
+    const body = rewriteLoopJumps(loop.body, jumps, { nestedLoop: false, inSwitch: false });
+    if (!body.jumps && loop.type !== 'DoWhileStatement') {
+      return null;
+    }
+
+    const bodyStatements = body.node.type === 'BlockStatement' ? body.node.body : [body.node];
+    const iteration = jumps.continueFlag
+      ? [createFlagAssignment(jumps.continueFlag, 0), ...bodyStatements]
+      : bodyStatements;
+    const notBroken = jumps.breakFlag ? { type: 'UnaryExpression', operator: '!', prefix: true, argument: isFlagSet(jumps.breakFlag) } : null;
+    const loopTest = test => {
+      if (!notBroken) return test;
+      if (!test || (test.type === 'Literal' && test.value)) return notBroken;
+      return { type: 'LogicalExpression', operator: '&&', left: notBroken, right: test };
+    };
+    const statements = jumps.breakFlag ? [createFlagAssignment(jumps.breakFlag, 0)] : [];
+
+    if (loop.type === 'ForStatement' && !jumps.breakFlag) {
+      // Only continue: the update still runs after every iteration
+      statements.push({ ...loop, body: { type: 'BlockStatement', body: iteration } });
+    } else if (loop.type === 'ForStatement') {
+      // After a break the update must not run
+      if (loop.init) {
+        statements.unshift(loop.init.type === 'VariableDeclaration' ? loop.init : { type: 'ExpressionStatement', expression: loop.init });
+      }
+      const update = loop.update ? [{
+        type: 'IfStatement',
+        test: notBroken,
+        consequent: { type: 'ExpressionStatement', expression: loop.update },
+        alternate: null,
+      }] : [];
+      statements.push({
+        type: 'WhileStatement',
+        test: loopTest(loop.test),
+        body: { type: 'BlockStatement', body: [...iteration, ...update] },
+      });
+    } else {
+      if (loop.type === 'DoWhileStatement') {
+        // The body runs once before the condition is first checked
+        statements.push({ type: 'BlockStatement', body: iteration });
+      }
+      statements.push({
+        type: 'WhileStatement',
+        test: loopTest(loop.test),
+        body: { type: 'BlockStatement', body: iteration },
+      });
+    }
+    return { type: 'BlockStatement', body: statements };
+  }
+
+  /**
+   * Lower a switch to if blocks comparing a temporary variable that holds
+   * the discriminant. Without fall-through, and with default last, the cases
+   * become a chain of if/else blocks. Otherwise each case runs when it
+   * matches or an earlier case fell through into it, tracked by a flag.
+   * @param {Object} node - Switch statement
+   * @param {string[]} labels - Labels of the switch, for labeled break
+   */
+  function lowerSwitch(node, labels = []) {
+    const discriminant = { type: 'Identifier', name: createTempVariable('switch') };
+    const statements = [{
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left: discriminant, right: node.discriminant },
+    }];
+    const matches = test => ({ type: 'BinaryExpression', operator: '==', left: discriminant, right: test });
+    const anyOf = tests => tests.map(matches)
+      .reduce((left, right) => ({ type: 'LogicalExpression', operator: '||', left, right }));
+    const isOwnBreak = statement => statement.type === 'BreakStatement' &&
+      (!statement.label || labels.includes(statement.label.name));
+    const jumps = { labels, isLoop: false, breakFlag: null, continueFlag: null };
+    const context = { nestedLoop: false, inSwitch: false };
+
+    // Cases with no statements share the statements of the next case
+    const groups = [];
+    let pending = { tests: [], hasDefault: false };
+    node.cases.forEach((switchCase, index) => {
+      if (switchCase.test) {
+        pending.tests.push(switchCase.test);
+      } else {
+        pending.hasDefault = true;
+      }
+      if (switchCase.consequent.length > 0 || index === node.cases.length - 1) {
+        groups.push({ ...pending, consequent: switchCase.consequent });
+        pending = { tests: [], hasDefault: false };
+      }
+    });
+
+    const withoutFallThrough = groups.every((group, index) =>
+      (index === groups.length - 1 || (endsCase(group.consequent) && !group.hasDefault)));
+    const bodies = withoutFallThrough && groups.map(group => {
+      const last = group.consequent[group.consequent.length - 1];
+      const consequent = last && isOwnBreak(last) ? group.consequent.slice(0, -1) : group.consequent;
+      return rewriteLoopJumpsInList(consequent, jumps, context);
+    });
+
+    if (bodies && bodies.every(body => !body.jumps)) {
+      // if (x == a) {...} else if (x == b) {...} else {default}
+      const chain = groups.reduceRight((alternate, group, index) => {
+        const block = { type: 'BlockStatement', body: bodies[index].statements };
+        if (group.hasDefault) return block;
+        return { type: 'IfStatement', test: anyOf(group.tests), consequent: block, alternate };
+      }, null);
+      if (chain) statements.push(chain);
+      return { type: 'BlockStatement', body: statements };
+    }
+
+    // Fall-through: once a case matches, the following cases run too,
+    // until a break sets the break flag
+    const matched = { type: 'Identifier', name: createTempVariable('matched') };
+    const setMatched = value => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left: matched, right: { type: 'Literal', value } },
+    });
+    const caseTests = node.cases.filter(switchCase => switchCase.test).map(switchCase => switchCase.test);
+    statements.push(setMatched(0));
+    const caseStatements = node.cases.map(switchCase => {
+      const { statements: body } = rewriteLoopJumpsInList(switchCase.consequent, jumps, context);
+      // default runs when no case matches
+      let entered = switchCase.test ? matches(switchCase.test)
+        : caseTests.length > 0 ? { type: 'UnaryExpression', operator: '!', prefix: true, argument: anyOf(caseTests) }
+          : { type: 'Literal', value: true };
+      entered = { type: 'LogicalExpression', operator: '||', left: isFlagSet(matched.name), right: entered };
+      return { entered, body };
+    });
+    if (jumps.breakFlag) {
+      statements.push(createFlagAssignment(jumps.breakFlag, 0));
+    }
+    caseStatements.forEach(({ entered, body }) => {
+      statements.push({
+        type: 'IfStatement',
+        test: jumps.breakFlag
+          ? { type: 'LogicalExpression', operator: '&&', left: noJumpTaken({ breakFlag: jumps.breakFlag }), right: entered }
+          : entered,
+        consequent: { type: 'BlockStatement', body: [setMatched(1), ...body] },
+        alternate: null,
+      });
+    });
+    return { type: 'BlockStatement', body: statements };
+  }
+
+  function isList(node) {
+    return node.type === 'Identifier' && lists.has(node.name);
+  }
+
+  /**
+   * Property name of obj.key or obj['key'], or null when it is computed
+   */
+  function getMemberKey(member) {
+    if (!member.computed) return member.property.name;
+    return member.property.type === 'Literal' ? String(member.property.value) : null;
+  }
+
+  /**
+   * The variable holding an object property, as an identifier (size.w is
+   * the variable "size.w"), or null when the expression isn't one
+   */
+  function getRecordProperty(node) {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier' ||
+        !records.has(node.object.name)) {
+      return null;
+    }
+    const key = getMemberKey(node);
+    if (key === null || !records.get(node.object.name).has(key)) return null;
+    return { type: 'Identifier', name: `${node.object.name}.${key}`, loc: node.loc };
+  }
+
+  /**
+   * obj = { a: 1, b: 2 } sets each property's variable
+   */
+  function createRecordAssignment(objectName, objectExpr, parentId) {
+    return linkBlocks(objectExpr.properties.map(property => {
+      const key = property.type === 'Property' ? getPropertyKey(property) : null;
+      if (key === null) return null;
+      return convertNode({
+        type: 'AssignmentExpression',
+        operator: '=',
+        left: { type: 'Identifier', name: `${objectName}.${key}` },
+        right: property.value,
+      }, parentId);
+    }));
+  }
+
+  /**
+   * Copy the items of a list from an index on into another list, for [first, ...rest] = list
+   */
+  function createListRest(listName, source, fromIndex) {
+    if (source.type === 'ArrayExpression') {
+      return createListAssignment(listName, { ...source, elements: source.elements.slice(fromIndex) }, null);
+    }
+    const clearId = createListAssignment(listName, { type: 'ArrayExpression', elements: [] }, null);
+    if (!isList(source)) return clearId;
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const loopId = convertNode({
+      type: 'ForStatement',
+      init: { type: 'AssignmentExpression', operator: '=', left: index, right: { type: 'Literal', value: fromIndex } },
+      test: {
+        type: 'BinaryExpression',
+        operator: '<',
+        left: index,
+        right: { type: 'MemberExpression', object: source, property: { type: 'Identifier', name: 'length' }, computed: false },
+      },
+      update: { type: 'UpdateExpression', operator: '++', prefix: false, argument: index },
+      body: {
+        type: 'ExpressionStatement',
+        expression: {
+          type: 'CallExpression',
+          callee: { type: 'MemberExpression', object: { type: 'Identifier', name: listName }, property: { type: 'Identifier', name: 'push' }, computed: false },
+          arguments: [{ type: 'MemberExpression', object: source, property: index, computed: true }],
+        },
+      },
+    }, null);
+    return linkBlocks([clearId, loopId]);
+  }
+
+  /**
+   * The value a destructured target gets, taking its default into account
+   */
+  function getDestructuredValue(entry) {
+    if (!entry.defaultValue) {
+      return entry.value;
+    }
+    if (entry.missing) {
+      return entry.defaultValue;
+    }
+    if (entry.container && isList(entry.container)) {
+      // The default applies past the end of the list
+      return {
+        type: 'ConditionalExpression',
+        test: {
+          type: 'BinaryExpression',
+          operator: '>',
+          left: { type: 'MemberExpression', object: entry.container, property: { type: 'Identifier', name: 'length' }, computed: false },
+          right: { type: 'Literal', value: entry.index },
+        },
+        consequent: entry.value,
+        alternate: entry.defaultValue,
+      };
+    }
+    if (entry.container && entry.container.type === 'Identifier' && records.has(entry.container.name)) {
+      return getRecordProperty(entry.value) ? entry.value : entry.defaultValue;
+    }
+    return entry.value;
+  }
+
+  /**
+   * The source of a destructuring that isn't a plain variable or a literal,
+   * read once ahead of the assignments: lists made by map, filter or splice
+   * fill a temporary list, and other values go in a temporary variable.
+   * Arrays and objects given back otherwise can't be kept, so the targets
+   * get nothing (or their defaults).
+   */
+  function storeDestructuringSource(pattern, source, stackIds) {
+    if (isListProducer(source)) {
+      const tempName = createTempList(source.callee.property.name);
+      stackIds.push(convertListProducer(tempName, source, null));
+      return { type: 'Identifier', name: tempName };
+    }
+    const type = types.typeOf(source);
+    if (pattern.type === 'ObjectPattern' ? type !== TYPES.STRING : type === TYPES.LIST) {
+      const names = expandPattern(pattern, null)
+        .filter(entry => entry.target.type === 'Identifier')
+        .map(entry => entry.target.name);
+      const listed = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are` : `${names[0]} is`;
+      addWarning(`Scratch variables can't hold arrays or objects, so ${listed} empty`, source);
+      // The source still runs, for what else it does
+      stackIds.push(convertNode(source, null));
+      return { type: pattern.type === 'ObjectPattern' ? 'ObjectExpression' : 'ArrayExpression', properties: [], elements: [] };
+    }
+    const temp = { type: 'Identifier', name: createTempVariable('temp') };
+    stackIds.push(convertNode({ type: 'AssignmentExpression', operator: '=', left: temp, right: source }, null));
+    return temp;
+  }
+
+  /**
+   * const [x, y] = pos and ({ w, h } = size) assign each target in turn
+   */
+  function convertDestructuring(pattern, source, parentId) {
+    const stackIds = [];
+    if (source && !['ArrayExpression', 'ObjectExpression', 'Identifier', 'Literal'].includes(source.type)) {
+      source = storeDestructuringSource(pattern, source, stackIds);
+    }
+    let entries = expandPattern(pattern, source);
+    if (source && (source.type === 'ArrayExpression' || source.type === 'ObjectExpression') && entries.length > 1) {
+      // [a, b] = [b, a]: read every value before assigning any
+      entries = entries.map(entry => {
+        if (entry.restFrom !== undefined || entry.missing ||
+            !['Identifier', 'MemberExpression', 'CallExpression', 'BinaryExpression'].includes(entry.value.type)) {
+          return entry;
+        }
+        const temp = { type: 'Identifier', name: createTempVariable('temp') };
+        stackIds.push(convertNode({ type: 'AssignmentExpression', operator: '=', left: temp, right: entry.value }, null));
+        return { ...entry, value: temp };
+      });
+    }
+    entries.forEach(entry => {
+      const { result, preludeId } = withPrelude(() => (entry.restFrom !== undefined
+        ? createListRest(entry.target.name, entry.value, entry.restFrom)
+        : convertNode({
+          type: 'AssignmentExpression',
+          operator: '=',
+          left: entry.target,
+          right: getDestructuredValue(entry),
+        }, null)));
+      stackIds.push(preludeId, result);
+    });
+    const firstId = linkBlocks(stackIds);
+    if (firstId) blocks[firstId].parent = parentId;
+    return firstId;
+  }
+
+  /**
+   * One declarator of a let, const or var statement
+   */
+  function convertDeclarator(decl, parentId) {
+    // Skip function definitions (arrow functions and function expressions) - they are collected in the first pass
+    if (decl.init && (decl.init.type === 'ArrowFunctionExpression' || decl.init.type === 'FunctionExpression')) {
+      return null;
+    }
+    if (decl.id.type !== 'Identifier') {
+      return convertDestructuring(decl.id, decl.init, parentId);
+    }
+    const name = decl.id.name;
+    if (decl.init && isTimerCall(decl.init)) {
+      return convertTimer(decl.init, name, parentId);
+    }
+    if (lists.has(name)) {
+      if (decl.init && isListProducer(decl.init)) {
+        return convertListProducer(name, decl.init, parentId);
+      }
+      return decl.init && decl.init.type === 'ArrayExpression'
+        ? createListAssignment(name, decl.init, parentId)
+        : null;
+    }
+    if (records.has(name)) {
+      return decl.init && decl.init.type === 'ObjectExpression'
+        ? createRecordAssignment(name, decl.init, parentId)
+        : null;
+    }
+    const setId = generateBlockId();
+    return addBlock(setId, 'data_setvariableto', parentId, {
+      VALUE: decl.init ? convertExpressionToInput(decl.init, setId) : [1, [10, '0']],
+    }, {
+      VARIABLE: [name, name],
+    });
+  }
+
+  /**
+   * Convert a JS index (0-based) into a Scratch list index (1-based)
+   */
+  function convertListIndexInput(indexExpr, parentBlockId) {
+    const index = getNumericLiteral(indexExpr);
+    if (index !== null) {
+      return [1, [7, String(index + 1)]];
+    }
+    // list[n - 1] is item n, e.g. list[list.length - 1] is the last item
+    if (indexExpr.type === 'BinaryExpression' && indexExpr.operator === '-' &&
+        getNumericLiteral(indexExpr.right) === 1) {
+      return convertExpressionToInput(indexExpr.left, parentBlockId);
+    }
+    return convertExpressionToInput({
+      type: 'BinaryExpression',
+      operator: '+',
+      left: indexExpr,
+      right: { type: 'Literal', value: 1 },
+    }, parentBlockId);
+  }
+
+  /**
+   * Create a list block; buildInputs receives the new block's id so inputs
+   * can be converted with it as their parent
+   */
+  function createListBlock(opcode, listName, parentId, buildInputs = () => ({})) {
+    const listBlockId = generateBlockId();
+    return addBlock(listBlockId, opcode, parentId, buildInputs(listBlockId), {
+      LIST: [listName, listName],
+    });
+  }
+
+  function createAddToList(listName, itemExpr, parentId) {
+    return createListBlock('data_addtolist', listName, parentId, id => ({
+      ITEM: convertListItemInput(listName, itemExpr, id),
+    }));
+  }
+
+  /**
+   * An item to put in a list. Scratch lists hold numbers and text only, so
+   * arrays and objects become empty items.
+   */
+  function convertListItemInput(listName, itemExpr, parentId) {
+    if (itemExpr.type === 'ArrayExpression' || itemExpr.type === 'ObjectExpression') {
+      addWarning(`Scratch lists can't hold arrays or objects, so an item of ${listName} is empty`, itemExpr);
+      return [1, [10, '']];
+    }
+    return convertExpressionToInput(itemExpr, parentId);
+  }
+
+  /**
+   * Fill a list from an array literal: clear it, then add each element
+   */
+  function createListAssignment(listName, arrayExpr, parentId) {
+    const clearId = createListBlock('data_deletealloflist', listName, parentId);
+    return linkBlocks([
+      clearId,
+      ...arrayExpr.elements.map(element => createAddToList(listName, element, null)),
+    ]);
+  }
+
+  function createListItemRead(listName, indexInput, parentId) {
+    const itemId = createListBlock('data_itemoflist', listName, parentId, () => ({
+      INDEX: indexInput,
+    }));
+    return [3, itemId, [10, '']];
+  }
+
+  /**
+   * Convert list methods whose result is not used (list.push(x);)
+   */
+  function convertListMethodStatement(call, parentId, deletesClones = true) {
+    const listName = call.callee.object.name;
+    const args = call.arguments;
+    if (deletesClones && instanceLists.has(listName) && ['splice', 'pop', 'shift'].includes(call.callee.property.name)) {
+      return convertInstanceRemoval(call);
+    }
+    switch (call.callee.property.name) {
+      case 'push':
+        return linkBlocks(args.map(arg => createAddToList(listName, arg, parentId)));
+
+      case 'pop':
+        return createListBlock('data_deleteoflist', listName, parentId, () => ({
+          INDEX: [1, [7, 'last']],
+        }));
+
+      case 'shift':
+        return createListBlock('data_deleteoflist', listName, parentId, () => ({
+          INDEX: [1, [7, '1']],
+        }));
+
+      case 'unshift':
+        // Insert from the last argument so they end up in order at the front
+        return linkBlocks(args.slice().reverse().map(arg => createListBlock('data_insertatlist', listName, null, id => ({
+          ITEM: convertListItemInput(listName, arg, id),
+          INDEX: [1, [7, '1']],
+        }))));
+
+      case 'forEach':
+        return convertForEach(call, parentId);
+
+      case 'splice': {
+        // splice(start, deleteCount, ...items): delete item start + 1 that
+        // many times, then insert the items from that position on
+        if (args.length === 0) return null;
+        const start = args[0];
+        const deleteCount = args.length > 1 ? args[1] : {
+          type: 'BinaryExpression',
+          operator: '-',
+          left: { type: 'MemberExpression', object: call.callee.object, property: { type: 'Identifier', name: 'length' }, computed: false },
+          right: start,
+        };
+        const repeatId = generateBlockId();
+        const deleteId = createListBlock('data_deleteoflist', listName, repeatId, id => ({
+          INDEX: convertListIndexInput(start, id),
+        }));
+        addBlock(repeatId, 'control_repeat', null, {
+          TIMES: convertExpressionToInput(deleteCount, repeatId),
+          SUBSTACK: [2, deleteId],
+        });
+        const insertIds = args.slice(2).map((item, offset) => createListBlock('data_insertatlist', listName, null, id => ({
+          ITEM: convertListItemInput(listName, item, id),
+          INDEX: convertListIndexInput(getNumericLiteral(start) !== null
+            ? { type: 'Literal', value: getNumericLiteral(start) + offset }
+            : { type: 'BinaryExpression', operator: '+', left: start, right: { type: 'Literal', value: offset } }, id),
+        })));
+        return linkBlocks([repeatId, ...insertIds]);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Convert list methods used as values
+   */
+  function convertListMethodExpression(call, parentBlockId) {
+    const listName = call.callee.object.name;
+    const args = call.arguments;
+    switch (call.callee.property.name) {
+      case 'push':
+      case 'unshift':
+        // Both return the new length
+        prelude.blockIds.push(convertListMethodStatement(call, null));
+        return [3, createListBlock('data_lengthoflist', listName, parentBlockId), [10, '']];
+
+      case 'pop':
+      case 'shift': {
+        // Keep the removed item in a temporary variable before deleting it
+        const tempName = createTempVariable('temp');
+        const setId = generateBlockId();
+        addBlock(setId, 'data_setvariableto', null, {
+          VALUE: createListItemRead(listName, [1, [7, call.callee.property.name === 'pop' ? 'last' : '1']], setId),
+        }, {
+          VARIABLE: [tempName, tempName],
+        });
+        prelude.blockIds.push(linkBlocks([setId, convertListMethodStatement(call, null)]));
+        return [3, [12, tempName, tempName], [10, '']];
+      }
+
+      case 'map':
+      case 'filter':
+      case 'splice':
+        return convertExpressionToInput(materializeList(call), parentBlockId);
+
+      case 'some':
+      case 'every':
+      case 'reduce':
+        return convertExpressionToInput(convertListSearch(call), parentBlockId);
+
+      case 'includes':
+        return [2, createListBlock('data_listcontainsitem', listName, parentBlockId, id => ({
+          ITEM: convertExpressionToInput(args[0], id),
+        }))];
+
+      case 'indexOf': {
+        // Scratch counts from 1 and answers 0 when the item is missing,
+        // so subtracting 1 gives JS's index or -1
+        const subtractId = generateBlockId();
+        const itemNumberId = createListBlock('data_itemnumoflist', listName, subtractId, id => ({
+          ITEM: convertExpressionToInput(args[0], id),
+        }));
+        addBlock(subtractId, 'operator_subtract', parentBlockId, {
+          NUM1: [3, itemNumberId, [4, '']],
+          NUM2: [1, [4, '1']],
+        });
+        return [2, subtractId];
+      }
+
+      default:
+        return [1, [10, '0']];
+    }
+  }
+
+  function isFunctionExpression(node) {
+    return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+  }
+
+  /**
+   * Check whether an expression makes a new list from a list, e.g.
+   * list.map(fn), or the list of items list.splice(i, n) removes
+   */
+  function isListProducer(node) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) {
+      return false;
+    }
+    if (node.callee.property.name === 'splice') return isList(node.callee.object);
+    return ['map', 'filter'].includes(node.callee.property.name) &&
+      (isList(node.callee.object) || isListProducer(node.callee.object));
+  }
+
+  /**
+   * Check whether a function has a return statement of its own, with or without a value
+   */
+  function containsReturn(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (node.type === 'ReturnStatement') return true;
+    if (node.type === 'FunctionDeclaration' || isFunctionExpression(node)) return false;
+    for (const key in node) {
+      if (key === 'loc' || key === 'range') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        if (child.some(containsReturn)) return true;
+      } else if (child && typeof child === 'object' && child.type) {
+        if (containsReturn(child)) return true;
+      }
+    }
+    return false;
+  }
+
+  function createTempList(baseName) {
+    const tempName = `${baseName} ${++tempVariableCounter}`;
+    lists.add(tempName);
+    return tempName;
+  }
+
+  /**
+   * Fill a temporary list ahead of the current statement with an array
+   * literal or the result of map, filter or splice, and return the list
+   */
+  function materializeList(expr) {
+    const tempName = createTempList(expr.type === 'ArrayExpression' ? 'list' : expr.callee.property.name);
+    prelude.blockIds.push(expr.type === 'ArrayExpression'
+      ? createListAssignment(tempName, expr, null)
+      : convertListProducer(tempName, expr, null));
+    return { type: 'Identifier', name: tempName };
+  }
+
+  /**
+   * for (index = 0; index < list.length; index++) { ...body }
+   */
+  function createIndexLoop(index, list, body, test = null) {
+    const inRange = {
+      type: 'BinaryExpression',
+      operator: '<',
+      left: index,
+      right: { type: 'MemberExpression', object: list, property: { type: 'Identifier', name: 'length' }, computed: false },
+    };
+    return {
+      type: 'ForStatement',
+      init: { type: 'AssignmentExpression', operator: '=', left: index, right: { type: 'Literal', value: 0 } },
+      test: test ? { type: 'LogicalExpression', operator: '&&', left: test, right: inRange } : inRange,
+      update: { type: 'UpdateExpression', operator: '++', prefix: false, argument: index },
+      body: { type: 'BlockStatement', body },
+    };
+  }
+
+  /**
+   * Call the function passed to a list method with the given arguments.
+   * Named functions and functions with return statements are called like
+   * any other function (functions given inline become custom blocks);
+   * other inline functions are inlined, with their parameters set as
+   * variables. The parameter after the arguments is the list itself, when
+   * there is one.
+   * Returns the statements to run and the expression for the function's
+   * value (or null).
+   */
+  function invokeCallback(callback, args, list, method) {
+    if (callback.type === 'Identifier' && functionDefinitions.has(callback.name)) {
+      const call = { type: 'CallExpression', callee: callback, arguments: args };
+      return { statements: [], value: call };
+    }
+    if (!isFunctionExpression(callback)) return null;
+
+    const listParam = list && callback.params[args.length];
+    const body = listParam && listParam.type === 'Identifier'
+      ? substituteParameters(callback.body, new Map([[listParam.name, list]]))
+      : callback.body;
+    const params = callback.params.slice(0, args.length);
+
+    if (containsReturn(body) && !isInlinableFunction({ body })) {
+      const funcName = `${method} callback ${++tempVariableCounter}`;
+      functionDefinitions.set(funcName, { name: funcName, params, body });
+      const call = { type: 'CallExpression', callee: { type: 'Identifier', name: funcName }, arguments: args };
+      return { statements: [], value: call };
+    }
+
+    const statements = [];
+    params.forEach((param, index) => {
+      const target = param.type === 'AssignmentPattern' ? param.left : param;
+      if (target.type === 'Identifier' && args[index].type === 'Identifier' && args[index].name === target.name) {
+        return; // reduce's accumulator can be the parameter itself
+      }
+      expandPattern(target, null).forEach(entry => {
+        if (entry.target.type === 'Identifier') variables.add(entry.target.name);
+      });
+      statements.push({
+        type: 'ExpressionStatement',
+        expression: { type: 'AssignmentExpression', operator: '=', left: target, right: args[index] },
+      });
+    });
+    if (body.type !== 'BlockStatement') {
+      return { statements, value: body };
+    }
+    if (body.body.length === 1 && body.body[0].type === 'ReturnStatement') {
+      return { statements, value: body.body[0].argument };
+    }
+    return { statements: statements.concat(body.body), value: null };
+  }
+
+  /**
+   * list.forEach(fn) runs fn for each item, in a loop over the indexes
+   */
+  function convertForEach(call, parentId) {
+    const list = call.callee.object;
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const item = { type: 'MemberExpression', object: list, property: index, computed: true };
+    const invoked = call.arguments.length > 0 ? invokeCallback(call.arguments[0], [item, index], list, 'forEach') : null;
+    if (!invoked) return null;
+    const body = invoked.value
+      ? [...invoked.statements, { type: 'ExpressionStatement', expression: invoked.value }]
+      : invoked.statements;
+    return convertNode(createIndexLoop(index, list, body), parentId);
+  }
+
+  /**
+   * Fill a list with the result of list.map(fn) or list.filter(fn)
+   */
+  function convertListProducer(listName, call, parentId) {
+    const method = call.callee.property.name;
+    if (method === 'splice') {
+      return convertSplicedItems(listName, call, parentId);
+    }
+    const stackIds = [];
+    let list = call.callee.object;
+    if (isListProducer(list)) {
+      // list.filter(f).map(g) fills a list with list.filter(f) first
+      const tempName = createTempList(list.callee.property.name);
+      stackIds.push(convertListProducer(tempName, list, null));
+      list = { type: 'Identifier', name: tempName };
+    }
+    // list = list.filter(fn) can't empty the list it reads, so it fills a copy
+    const targetName = list.name === listName ? createTempList(method) : listName;
+    const target = { type: 'Identifier', name: targetName };
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const item = { type: 'MemberExpression', object: list, property: index, computed: true };
+    const invoked = call.arguments.length > 0 ? invokeCallback(call.arguments[0], [item, index], list, method) : null;
+    const push = value => ({
+      type: 'ExpressionStatement',
+      expression: {
+        type: 'CallExpression',
+        callee: { type: 'MemberExpression', object: target, property: { type: 'Identifier', name: 'push' }, computed: false },
+        arguments: [value],
+      },
+    });
+
+    stackIds.push(createListAssignment(targetName, { type: 'ArrayExpression', elements: [] }, null));
+    if (invoked) {
+      const value = invoked.value || { type: 'Literal', value: null };
+      const body = method === 'map'
+        ? [...invoked.statements, push(value)]
+        : [...invoked.statements, { type: 'IfStatement', test: value, consequent: push(item), alternate: null }];
+      stackIds.push(convertNode(createIndexLoop(index, list, body), null));
+    }
+    if (targetName !== listName) {
+      stackIds.push(createListRest(listName, target, 0));
+    }
+    const firstId = linkBlocks(stackIds);
+    if (firstId) blocks[firstId].parent = parentId;
+    return firstId;
+  }
+
+  /**
+   * Fill a list with the items list.splice(start, deleteCount, ...items)
+   * removes, then splice the list. The start and count are worked out
+   * once, ahead of the statement, as both steps read them.
+   */
+  function convertSplicedItems(listName, call, parentId) {
+    const list = call.callee.object;
+    const empty = { type: 'ArrayExpression', elements: [] };
+    if (call.arguments.length === 0) {
+      return createListAssignment(listName, empty, parentId);
+    }
+    const [startArg, countArg, ...items] = call.arguments;
+    const start = getNumericLiteral(startArg) !== null ? startArg : storeInTempVariable(startArg);
+    const count = countArg && getNumericLiteral(countArg) === null ? storeInTempVariable(countArg) : countArg;
+    // list = list.splice(i, n) keeps the removed items in a copy until the
+    // splice is done
+    const targetName = list.name === listName ? createTempList('splice') : listName;
+    const target = { type: 'Identifier', name: targetName };
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const loop = createIndexLoop(index, list, [{
+      type: 'ExpressionStatement',
+      expression: {
+        type: 'CallExpression',
+        callee: { type: 'MemberExpression', object: target, property: { type: 'Identifier', name: 'push' }, computed: false },
+        arguments: [{ type: 'MemberExpression', object: list, property: index, computed: true }],
+      },
+    }], count ? {
+      type: 'BinaryExpression',
+      operator: '<',
+      left: index,
+      right: { type: 'BinaryExpression', operator: '+', left: start, right: count },
+    } : null);
+    loop.init.right = start;
+
+    const stackIds = [
+      createListAssignment(targetName, empty, null),
+      convertNode(loop, null),
+      convertListMethodStatement({ ...call, arguments: [start, ...(count ? [count] : []), ...items] }, null),
+    ];
+    if (targetName !== listName) {
+      stackIds.push(createListRest(listName, target, 0));
+    }
+    const firstId = linkBlocks(stackIds);
+    if (firstId) blocks[firstId].parent = parentId;
+    return firstId;
+  }
+
+  /**
+   * list.some(fn), list.every(fn) and list.reduce(fn, initial) loop over
+   * the list ahead of the current statement, keeping the answer in a
+   * variable; some and every stop at the first item that decides it.
+   * Returns the expression to read the answer with.
+   */
+  function convertListSearch(call) {
+    const method = call.callee.property.name;
+    const list = call.callee.object;
+    const callback = call.arguments[0];
+    if (!callback) return { type: 'Literal', value: 0 };
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const item = { type: 'MemberExpression', object: list, property: index, computed: true };
+    const assign = (left, right) => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left, right },
+    });
+
+    if (method === 'reduce') {
+      // Inline functions accumulate in their first parameter
+      const firstParam = isFunctionExpression(callback) && callback.params[0];
+      const accumulator = firstParam && firstParam.type === 'Identifier'
+        ? firstParam
+        : { type: 'Identifier', name: createTempVariable('reduce') };
+      variables.add(accumulator.name);
+      // Without an initial value, the first item is the initial value
+      const hasInitial = call.arguments.length > 1;
+      const invoked = invokeCallback(callback, [accumulator, item, index], list, method);
+      if (!invoked) return { type: 'Literal', value: 0 };
+      const loop = createIndexLoop(index, list, [
+        ...invoked.statements,
+        assign(accumulator, invoked.value || { type: 'Literal', value: null }),
+      ]);
+      if (!hasInitial) {
+        loop.init.right = { type: 'Literal', value: 1 };
+      }
+      prelude.blockIds.push(linkBlocks([
+        convertNode(assign(accumulator, hasInitial ? call.arguments[1]
+          : { type: 'MemberExpression', object: list, property: { type: 'Literal', value: 0 }, computed: true }), null),
+        convertNode(loop, null),
+      ]));
+      return accumulator;
+    }
+
+    // The answer is 1 for true and 0 for false, like the loop flags
+    const answer = { type: 'Identifier', name: createTempVariable(method) };
+    const undecided = method === 'some' ? 0 : 1;
+    const invoked = invokeCallback(callback, [item, index], list, method);
+    if (!invoked) return { type: 'Literal', value: 0 };
+    const value = invoked.value || { type: 'Literal', value: null };
+    prelude.blockIds.push(linkBlocks([
+      convertNode(createFlagAssignment(answer.name, undecided), null),
+      convertNode(createIndexLoop(index, list, [
+        ...invoked.statements,
+        {
+          type: 'IfStatement',
+          test: method === 'some' ? value : { type: 'UnaryExpression', operator: '!', prefix: true, argument: value },
+          consequent: createFlagAssignment(answer.name, 1 - undecided),
+          alternate: null,
+        },
+      ], { type: 'BinaryExpression', operator: '==', left: answer, right: { type: 'Literal', value: undecided } }), null),
+    ]));
+    return { type: 'BinaryExpression', operator: '==', left: answer, right: { type: 'Literal', value: 1 } };
+  }
+
+  /**
+   * for (const item of list) and for (const i in list) become loops over
+   * the indexes of the list (or the letters of a string). Lists made by an
+   * array literal, map or filter are filled first.
+   */
+  function lowerForOfIn(node) {
+    let source = node.right;
+    if (source.type === 'ArrayExpression' || isListProducer(source)) {
+      source = materializeList(source);
+    } else if (!isList(source)) {
+      if (node.type === 'ForInStatement' && types.typeOf(source) !== TYPES.STRING) {
+        return null; // Only lists (and strings) have numbered keys
+      }
+      source = storeInTempVariable(source);
+    }
+    const declarator = node.left.type === 'VariableDeclaration' ? node.left.declarations[0] : null;
+    const target = declarator ? declarator.id : node.left;
+    const body = node.body.type === 'BlockStatement' ? node.body.body : [node.body];
+
+    if (node.type === 'ForInStatement' && target.type === 'Identifier') {
+      // The loop variable counts the indexes itself
+      return createIndexLoop(target, source, body);
+    }
+    const index = { type: 'Identifier', name: createTempVariable('index') };
+    const item = node.type === 'ForOfStatement'
+      ? { type: 'MemberExpression', object: source, property: index, computed: true }
+      : index;
+    const setItem = declarator
+      ? { ...node.left, declarations: [{ ...declarator, init: item }] }
+      : { type: 'ExpressionStatement', expression: { type: 'AssignmentExpression', operator: '=', left: target, right: item } };
+    return createIndexLoop(index, source, [setItem, ...body]);
+  }
+
+  /**
+   * Check for scratch.on('message', listener)
+   */
+  function isMessageListener(call) {
+    return call.callee.type === 'MemberExpression' && !call.callee.computed &&
+      call.callee.object.type === 'Identifier' && call.callee.object.name === 'scratch' &&
+      call.callee.property.name === 'on';
+  }
+
+  /**
+   * Check for scratch.onCloneStart(listener)
+   */
+  function isCloneStartListener(call) {
+    return call.callee.type === 'MemberExpression' && !call.callee.computed &&
+      call.callee.object.type === 'Identifier' && call.callee.object.name === 'scratch' &&
+      call.callee.property.name === 'onCloneStart' && call.arguments.length > 0;
+  }
+
+  /**
+   * Check for target.addEventListener('type', listener), the global
+   * addEventListener('type', listener) or scratch.on('message', listener)
+   */
+  function isEventListener(call) {
+    const callee = call.callee;
+    const listens = (callee.type === 'Identifier' && callee.name === 'addEventListener') ||
+      (callee.type === 'MemberExpression' && !callee.computed &&
+        (callee.property.name === 'addEventListener' || isMessageListener(call)));
+    return listens && call.arguments.length > 1 &&
+      call.arguments[0].type === 'Literal' && typeof call.arguments[0].value === 'string';
+  }
+
+  /**
+   * The message a call broadcasts: dispatchEvent(new CustomEvent(message)),
+   * scratch.broadcast(message) or scratch.broadcastAndWait(message)
+   * @returns {{message: string|null, wait: boolean}|null} - message is null
+   *   when it isn't a string literal; null for other calls
+   */
+  function getBroadcastCall(call) {
+    const dispatched = getDispatchedEvent(call);
+    if (dispatched !== null) return { message: dispatched, wait: false };
+    const callee = call.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.object.type !== 'Identifier' ||
+        callee.object.name !== 'scratch' || !['broadcast', 'broadcastAndWait'].includes(callee.property.name)) {
+      return null;
+    }
+    const [message] = call.arguments;
+    return {
+      message: message && message.type === 'Literal' && typeof message.value === 'string' ? message.value : null,
+      wait: callee.property.name === 'broadcastAndWait',
+    };
+  }
+
+  /**
+   * scratch.broadcast and dispatched events become broadcast blocks, and
+   * scratch.broadcastAndWait waits for the scripts that receive the message
+   */
+  function convertBroadcastCall(call, parentId) {
+    const { message, wait } = getBroadcastCall(call);
+    if (message === null) {
+      addWarning('Broadcasts need a message written as a string, so the call was left out', call);
+      return null;
+    }
+    return createBroadcast(message, parentId, wait);
+  }
+
+  /**
+   * Start a script with a hat block; buildBody receives the hat's id and
+   * returns the first block under it
+   */
+  function createHatScript(opcode, fields, buildBody) {
+    const hatId = addBlock(generateBlockId(), opcode, null, {}, fields, { topLevel: true, ...nextScriptPosition() });
+    // Listeners added inside a function still run as scripts of their own
+    const previousProcedure = currentProcedure;
+    currentProcedure = null;
+    blocks[hatId].next = buildBody(hatId);
+    currentProcedure = previousProcedure;
+    return hatId;
+  }
+
+  function createBroadcast(message, parentId, wait = false) {
+    broadcasts.add(message);
+    return addBlock(generateBlockId(), wait ? 'event_broadcastandwait' : 'event_broadcast', parentId, {
+      BROADCAST_INPUT: [1, [11, message, message]],
+    });
+  }
+
+  /**
+   * <key [key] pressed?> blocks for the given keys, joined with or
+   */
+  function createKeysPressed(keys, parentId) {
+    const pressedIds = keys.map(key => {
+      const pressedId = generateBlockId();
+      const menuId = addBlock(generateBlockId(), 'sensing_keyoptions', pressedId, {}, {
+        KEY_OPTION: [key, null],
+      }, { shadow: true });
+      return addBlock(pressedId, 'sensing_keypressed', null, { KEY_OPTION: [1, menuId] });
+    });
+    const firstId = pressedIds.reduce((leftId, rightId) => {
+      const orId = addBlock(generateBlockId(), 'operator_or', null, {
+        OPERAND1: [2, leftId],
+        OPERAND2: [2, rightId],
+      });
+      blocks[leftId].parent = orId;
+      blocks[rightId].parent = orId;
+      return orId;
+    });
+    blocks[firstId].parent = parentId;
+    return firstId;
+  }
+
+  /**
+   * A keydown listener gets a "when [key] key pressed" script for each key
+   * it tests. Code that runs for other keys goes in a "when [any] key
+   * pressed" script, which skips the keys that have scripts of their own.
+   */
+  function convertKeyListener(listener, eventName, statements) {
+    const found = eventName ? getListenedKeys(listener.body, eventName) : [];
+    found.filter(entry => entry.key === null).forEach(entry => {
+      addWarning(`Scratch has no hat for the key ${JSON.stringify(entry.value)}, so the code for it was left out`, entry.node);
+    });
+    const keys = [...new Set(found.map(entry => entry.key).filter(Boolean))];
+    // Reads of the key left once the tests are resolved have nothing to read
+    const withoutKeyReads = keyStatements => {
+      if (!eventName) return keyStatements;
+      const { statements: blanked, reads } = blankKeyReads(keyStatements, eventName);
+      reads.forEach(read => {
+        addWarning(`Scratch doesn't tell which key was pressed, so ${eventName}.${read.property.name} is empty`, read);
+      });
+      return blanked;
+    };
+    keys.forEach(key => {
+      const keyStatements = withoutKeyReads(specializeKeyHandler(statements, eventName, key));
+      createHatScript('event_whenkeypressed', { KEY_OPTION: [key, null] }, hatId => convertStatements(keyStatements, hatId));
+    });
+
+    const otherStatements = withoutKeyReads(found.length > 0 ? specializeKeyHandler(statements, eventName, null) : statements);
+    if (otherStatements.length === 0) return;
+    createHatScript('event_whenkeypressed', { KEY_OPTION: ['any', null] }, hatId => {
+      if (keys.length === 0) {
+        return convertStatements(otherStatements, hatId);
+      }
+      const ifId = generateBlockId();
+      const notId = generateBlockId();
+      addBlock(notId, 'operator_not', ifId, { OPERAND: [2, createKeysPressed(keys, notId)] });
+      return addBlock(ifId, 'control_if', hatId, {
+        CONDITION: [2, notId],
+        SUBSTACK: [2, convertStatements(otherStatements, ifId)],
+      });
+    });
+  }
+
+  /**
+   * A click listener runs when the stage or the sprite is clicked. Scratch
+   * only starts "when stage clicked" scripts on the stage, which can't use
+   * the sprite's variables, so both hats broadcast a message (named after
+   * the event) and the listener's code runs when the sprite receives it.
+   * The stage's own listeners just run when it's clicked.
+   */
+  function convertClickListener(type, statements) {
+    if (options.isStage) {
+      createHatScript('event_whenstageclicked', {}, hatId => convertStatements(statements, hatId));
+      return;
+    }
+    if (!broadcasts.has(type)) {
+      createHatScript('event_whenthisspriteclicked', {}, hatId => createBroadcast(type, hatId));
+    }
+    if (!clickRelays.has(type)) {
+      const hatId = generateBlockId();
+      const broadcastId = generateBlockId();
+      stageBlocks[hatId] = {
+        opcode: 'event_whenstageclicked',
+        next: broadcastId,
+        parent: null,
+        inputs: {},
+        fields: {},
+        shadow: false,
+        topLevel: true,
+        x: 0,
+        y: clickRelays.size * 300,
+      };
+      clickRelays.add(type);
+      stageBlocks[broadcastId] = {
+        opcode: 'event_broadcast',
+        next: null,
+        parent: hatId,
+        inputs: { BROADCAST_INPUT: [1, [11, type, type]] },
+        fields: {},
+        shadow: false,
+        topLevel: false,
+      };
+    }
+    createHatScript('event_whenbroadcastreceived', {
+      BROADCAST_OPTION: [type, type],
+    }, hatId => convertStatements(statements, hatId));
+  }
+
+  /**
+   * Listeners for messages, and for events the program dispatches itself,
+   * run when the sprite receives the broadcast
+   */
+  function convertMessageListener(message, statements) {
+    broadcasts.add(message);
+    createHatScript('event_whenbroadcastreceived', {
+      BROADCAST_OPTION: [message, message],
+    }, hatId => convertStatements(statements, hatId));
+  }
+
+  /**
+   * The function a listener argument names or is, or null
+   */
+  function getListener(handler) {
+    if (handler.type === 'Identifier' && functionDefinitions.has(handler.name)) {
+      return functionDefinitions.get(handler.name);
+    }
+    return isFunctionExpression(handler) ? handler : null;
+  }
+
+  function getListenerStatements(listener) {
+    return listener.body.type === 'BlockStatement'
+      ? listener.body.body
+      : [{ type: 'ExpressionStatement', expression: listener.body }];
+  }
+
+  /**
+   * scratch.onCloneStart(listener) runs the listener in each new clone
+   */
+  function convertCloneStartListener(call) {
+    const listener = getListener(call.arguments[0]);
+    if (!listener) return;
+    if (options.isStage) {
+      addWarning('The stage has no clones, so the scratch.onCloneStart listener was left out', call);
+      return;
+    }
+    createHatScript('control_start_as_clone', {}, hatId => convertStatements(getListenerStatements(listener), hatId));
+  }
+
+  /**
+   * target.addEventListener(type, listener) and scratch.on(message, listener)
+   * become the hat scripts that run the listener. They are active from the start, wherever the call is.
+   */
+  function convertEventListener(call) {
+    const type = call.arguments[0].value;
+    const listener = getListener(call.arguments[1]);
+    if (!listener) return;
+    const eventParam = listener.params[0];
+    const eventName = eventParam && eventParam.type === 'Identifier' ? eventParam.name : null;
+    const statements = getListenerStatements(listener);
+
+    if (isMessageListener(call)) {
+      convertMessageListener(type, statements);
+    } else if (type === 'keydown' || type === 'keypress') {
+      convertKeyListener(listener, eventName, statements);
+    } else if (type === 'click' || type === 'mousedown') {
+      convertClickListener(type, statements);
+    } else if (!DOM_EVENTS.includes(type)) {
+      convertMessageListener(type, statements);
+    } else {
+      addWarning(`'${type}' events are not supported, so the listener was left out`, call);
+    }
+  }
+
+  function createStop(option, parentId) {
+    return addBlock(generateBlockId(), 'control_stop', parentId, {}, {
+      STOP_OPTION: [option, null],
+    }, {
+      mutation: {
+        tagName: 'mutation',
+        children: [],
+        hasnext: 'false',
+      },
+    });
+  }
+
+  /**
+   * if <test> then stop this script
+   */
+  function createStopWhen(test, parentId) {
+    const ifId = generateBlockId();
+    return addBlock(ifId, 'control_if', parentId, {
+      CONDITION: convertConditionInput(test, ifId),
+      SUBSTACK: [2, createStop('this script', ifId)],
+    });
+  }
+
+  /**
+   * A "when I receive [message]" script with a forever loop; buildBody
+   * returns the first block inside the loop
+   */
+  function createLoopScript(message, buildBody) {
+    createHatScript('event_whenbroadcastreceived', {
+      BROADCAST_OPTION: [message, message],
+    }, hatId => {
+      const foreverId = generateBlockId();
+      const bodyId = buildBody();
+      if (bodyId) blocks[bodyId].parent = foreverId;
+      return addBlock(foreverId, 'control_forever', hatId, { SUBSTACK: [2, bodyId] });
+    });
+  }
+
+  function getClearedFlag(timerName) {
+    const flagName = `${timerName} cleared`;
+    variables.add(flagName);
+    return flagName;
+  }
+
+  function getScheduledFlag(funcName) {
+    const flagName = `${funcName} scheduled`;
+    variables.add(flagName);
+    return flagName;
+  }
+
+  /**
+   * wait (ms / 1000) seconds
+   */
+  function createWait(milliseconds, parentId) {
+    const literal = getNumericLiteral(milliseconds);
+    const seconds = literal !== null
+      ? { type: 'Literal', value: literal / 1000 }
+      : { type: 'BinaryExpression', operator: '/', left: milliseconds, right: { type: 'Literal', value: 1000 } };
+    const waitId = generateBlockId();
+    return addBlock(waitId, 'control_wait', parentId, { DURATION: convertExpressionToInput(seconds, waitId) });
+  }
+
+  function isTimerCall(expr) {
+    return ['setInterval', 'setTimeout'].includes(getTimerFunction(expr));
+  }
+
+  /**
+   * setTimeout(callback, ms) broadcasts to a script that waits ms / 1000
+   * seconds and runs the callback, while the rest of the project carries
+   * on; setInterval(callback, ms) does the same in a forever loop. When
+   * clearTimeout or clearInterval is used on the variable the timer is
+   * stored in, it sets a flag that the script checks after each wait.
+   */
+  function convertTimer(call, timerName, parentId) {
+    const timerFunction = getTimerFunction(call);
+    const repeats = timerFunction === 'setInterval';
+    const [callback, delay = { type: 'Literal', value: 0 }, ...args] = call.arguments;
+    const invoked = callback ? invokeCallback(callback, args, null, repeats ? 'interval' : 'timeout') : null;
+    if (!invoked) {
+      addWarning(`${timerFunction} needs a function to run, so the call was left out`, call);
+      return null;
+    }
+    const statements = invoked.value
+      ? [...invoked.statements, { type: 'ExpressionStatement', expression: invoked.value }]
+      : invoked.statements;
+    const flagName = timerName && clearedTimers.has(timerName) ? getClearedFlag(timerName) : null;
+    const message = `${repeats ? 'interval' : 'timeout'} ${++tempVariableCounter}`;
+
+    const buildBody = () => {
+      const { result: waitId, preludeId } = withPrelude(() => createWait(delay, null));
+      return linkBlocks([
+        preludeId,
+        waitId,
+        flagName ? createStopWhen(isFlagSet(flagName), null) : null,
+        convertStatements(statements, null),
+      ]);
+    };
+    if (repeats) {
+      createLoopScript(message, buildBody);
+    } else {
+      createHatScript('event_whenbroadcastreceived', {
+        BROADCAST_OPTION: [message, message],
+      }, hatId => {
+        const bodyId = buildBody();
+        blocks[bodyId].parent = hatId;
+        return bodyId;
+      });
+    }
+    const firstId = linkBlocks([
+      flagName ? convertNode(createFlagAssignment(flagName, 0), null) : null,
+      createBroadcast(message, null),
+    ]);
+    blocks[firstId].parent = parentId;
+    return firstId;
+  }
+
+  /**
+   * The dialog or console function a call uses when substitution mode is
+   * on: alert, prompt, confirm or console.log (also through window)
+   */
+  function getSubstitutedFunction(call) {
+    if (!options.substitute || call.type !== 'CallExpression') return null;
+    const name = getMemberExpressionString(call.callee).replace(/^window\./, '');
+    if (functionDefinitions.has(name)) return null;
+    return ['alert', 'prompt', 'confirm', 'console.log'].includes(name) ? name : null;
+  }
+
+  /**
+   * ask [question] and wait; confirm adds a hint that it takes yes or no
+   */
+  function createAskAndWait(call, parentId) {
+    const [question = { type: 'Literal', value: '' }] = call.arguments;
+    const askId = generateBlockId();
+    let parts = [question];
+    if (getSubstitutedFunction(call) === 'confirm') {
+      const hint = ' (yes/no)';
+      parts = question.type === 'Literal'
+        ? [{ type: 'Literal', value: `${question.value}${hint}` }]
+        : [question, { type: 'Literal', value: hint }];
+    }
+    return addBlock(askId, 'sensing_askandwait', parentId, { QUESTION: convertJoin(parts, askId) });
+  }
+
+  /**
+   * Ask a question ahead of the current statement and return an input
+   * with the answer. Scratch only keeps the last answer, so when the
+   * statement asks twice, the first answer is copied to a temporary
+   * variable before the second question.
+   */
+  function hoistAsk(call, parentBlockId) {
+    const earlierRead = prelude.answerRead;
+    if (earlierRead) {
+      const tempName = createTempVariable('answer');
+      const copyId = generateBlockId();
+      addBlock(copyId, 'data_setvariableto', null, {
+        VALUE: [2, addBlock(generateBlockId(), 'sensing_answer', copyId)],
+      }, {
+        VARIABLE: [tempName, tempName],
+      });
+      prelude.blockIds.push(copyId);
+      delete blocks[earlierRead.input[1]];
+      earlierRead.input.splice(0, earlierRead.input.length, 3, [12, tempName, tempName], [10, '']);
+    }
+    prelude.blockIds.push(createAskAndWait(call, null));
+    const input = [2, addBlock(generateBlockId(), 'sensing_answer', parentBlockId)];
+    prelude.answerRead = { input };
+    return input;
+  }
+
+  /**
+   * prompt(q) reads the answer to ask [q] and wait; confirm(q) asks
+   * too and compares the answer with yes
+   */
+  function convertSubstitutedExpression(call, parentBlockId) {
+    switch (getSubstitutedFunction(call)) {
+      case 'prompt':
+        return hoistAsk(call, parentBlockId);
+      case 'confirm': {
+        const equalsId = generateBlockId();
+        addBlock(equalsId, 'operator_equals', parentBlockId, {
+          OPERAND1: hoistAsk(call, equalsId),
+          OPERAND2: [1, [10, 'yes']],
+        });
+        return [2, equalsId];
+      }
+      default:
+        // alert and console.log have no value
+        prelude.blockIds.push(convertSubstitutedCall(call, null));
+        return [1, [10, '']];
+    }
+  }
+
+  /**
+   * alert(message) says the message for 2 seconds, console.log adds its
+   * arguments, separated by spaces, to the console list on the stage, and
+   * prompt and confirm ask and wait
+   */
+  function convertSubstitutedCall(call, parentId) {
+    switch (getSubstitutedFunction(call)) {
+      case 'alert': {
+        const sayId = generateBlockId();
+        return addBlock(sayId, 'looks_sayforsecs', parentId, {
+          MESSAGE: call.arguments.length > 0 ? convertExpressionToInput(call.arguments[0], sayId) : [1, [10, '']],
+          SECS: [1, [4, '2']],
+        });
+      }
+      case 'console.log': {
+        stageLists.add('console');
+        const parts = call.arguments.flatMap((arg, index) => (index > 0 ? [{ type: 'Literal', value: ' ' }, arg] : [arg]));
+        return createListBlock('data_addtolist', 'console', parentId, id => ({
+          ITEM: convertJoin(parts, id),
+        }));
+      }
+      default:
+        return createAskAndWait(call, parentId);
+    }
+  }
+
+  /**
+   * Type of the value an intrinsic call gives, or null for statements and
+   * unknown intrinsics
+   */
+  function getIntrinsicResult(call) {
+    const { variant } = getIntrinsic(call);
+    return variant && variant.returns ? variant.returns : null;
+  }
+
+  /**
+   * Build the block an intrinsic call stands for. Literal arguments go
+   * straight into the block's inputs, menus and fields; other expressions
+   * are dropped into inputs and over menus, since Scratch only takes fixed
+   * values in fields.
+   */
+  function createIntrinsicBlock(call, parentId) {
+    const { name, variant } = getIntrinsic(call);
+    const needed = variant.args.length;
+    if (call.arguments.length < needed) {
+      addWarning(`scratch.${name} needs ${needed} argument${needed === 1 ? '' : 's'}, so the missing inputs were left empty`, call);
+    }
+    const blockId = generateBlockId();
+    const inputs = {};
+    const fields = {};
+    variant.args.forEach((arg, index) => {
+      const value = call.arguments[index];
+      if (arg.kind === 'field') {
+        if (value && value.type !== 'Literal') {
+          addWarning(`scratch.${name} only takes a fixed value for ${arg.name}, so it was left empty`, value);
+        }
+        fields[arg.name] = [value && value.type === 'Literal' ? getOptionValue(arg, value.value) : '', null];
+        return;
+      }
+      const input = value ? convertExpressionToInput(value, blockId) : [1, [INPUT_TYPES.text, '']];
+      // Literals (and expressions that fold to one) come back as [1, [type, value]]
+      const literal = input[0] === 1 ? input[1][1] : null;
+      if (arg.kind === 'input') {
+        inputs[arg.name] = literal !== null ? [1, [INPUT_TYPES[arg.type], literal]] : input;
+        return;
+      }
+      const menuId = addBlock(generateBlockId(), arg.opcode, blockId, {}, {
+        [arg.field]: [literal !== null ? getOptionValue(arg, literal) : '', null],
+      }, { shadow: true });
+      inputs[arg.name] = literal !== null ? [1, menuId] : [3, input[1], menuId];
+    });
+    Object.entries(variant.fields || {}).forEach(([fieldName, option]) => {
+      fields[fieldName] = [option, null];
+    });
+    return addBlock(blockId, variant.opcode, parentId, inputs, fields);
+  }
+
+  /**
+   * An intrinsic used as a statement, e.g. scratch.move(10)
+   */
+  function convertIntrinsicCall(call, parentId) {
+    const { name, variant } = getIntrinsic(call);
+    if (!variant) {
+      addWarning(`scratch.${name} is not a Scratch intrinsic, so the call was left out`, call);
+      return null;
+    }
+    if (variant.returns) {
+      addWarning(`scratch.${name} only gives a value, so the call on its own was left out`, call);
+      return null;
+    }
+    if (options.isStage && !worksOnStage(variant)) {
+      addWarning(`scratch.${name} only works in sprites, so the call was left out`, call);
+      return null;
+    }
+    if (call.callee.type === 'Identifier') canvasText = true;
+    return createIntrinsicBlock(call, parentId);
+  }
+
+  /**
+   * An intrinsic used as a value, e.g. scratch.mouseX(). Statements used as
+   * values run ahead of the current statement and give an empty value, with
+   * a warning.
+   */
+  function convertIntrinsicExpression(call, parentBlockId) {
+    if (getIntrinsicResult(call)) {
+      const { name, variant } = getIntrinsic(call);
+      if (options.isStage && !worksOnStage(variant)) {
+        addWarning(`scratch.${name} only works in sprites, so its value is empty`, call);
+        return [1, [10, '']];
+      }
+      return [2, createIntrinsicBlock(call, parentBlockId)];
+    }
+    const statementId = convertIntrinsicCall(call, null);
+    if (statementId) {
+      addWarning(`scratch.${getIntrinsic(call).name} gives no value, so it runs first and its value is empty`, call);
+      prelude.blockIds.push(statementId);
+    }
+    return [1, [10, '']];
+  }
+
+  /**
+   * name = value, as a statement to convert; the variable is declared as
+   * the hidden variables of instances aren't in the program
+   */
+  function createAssignment(name, value) {
+    variables.add(name);
+    return {
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left: { type: 'Identifier', name }, right: value },
+    };
+  }
+
+  /**
+   * The class a new expression makes an instance of, when its instances
+   * are clones
+   */
+  function getCloneClass(expr) {
+    return expr.callee.type === 'Identifier' ? cloneClasses.get(expr.callee.name) || null : null;
+  }
+
+  /**
+   * new C(args) leaves the arguments in the class's hidden variables, counts
+   * the instance and creates a clone, which takes the count as its id. As
+   * in JS, the creator carries on once the constructor has run. idName,
+   * when given, is set to the new instance's id.
+   */
+  function createInstance(expr, idName) {
+    const info = getCloneClass(expr);
+    const names = getCloneNames(info.name);
+    variables.add(INSTANCE_COUNT);
+    const statements = [
+      ...info.params.map((param, index) => createAssignment(names.argument(param.name),
+        expr.arguments[index] || param.defaultValue || { type: 'Literal', value: '' })),
+      {
+        type: 'ExpressionStatement',
+        expression: { type: 'UpdateExpression', operator: '++', prefix: false, argument: { type: 'Identifier', name: INSTANCE_COUNT } },
+      },
+      ...(idName ? [createAssignment(idName, { type: 'Identifier', name: INSTANCE_COUNT })] : []),
+      createAssignment(names.constructed, { type: 'Literal', value: 0 }),
+      {
+        type: 'ExpressionStatement',
+        expression: {
+          type: 'CallExpression',
+          callee: { type: 'MemberExpression', object: { type: 'Identifier', name: 'scratch' }, property: { type: 'Identifier', name: 'createClone' }, computed: false },
+          arguments: [{ type: 'Literal', value: info.name }],
+        },
+      },
+    ];
+    const waitId = generateBlockId();
+    addBlock(waitId, 'control_wait_until', null, {
+      CONDITION: convertConditionInput(isFlagSet(names.constructed), waitId),
+    });
+    return linkBlocks([convertStatements(statements, null), waitId]);
+  }
+
+  // Objects whose methods are never those of instances
+  const BUILTIN_OBJECTS = ['scratch', 'Math', 'console', 'window', 'document', 'JSON', 'Object', 'Array', 'Number', 'String'];
+
+  /**
+   * The classes with instances as clones that have the method a call uses
+   * (instance.method(...)), or none
+   */
+  function getMethodClasses(call) {
+    const callee = call.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed || isList(callee.object)) return [];
+    if (callee.object.type === 'Identifier' &&
+        (records.has(callee.object.name) || BUILTIN_OBJECTS.includes(callee.object.name))) {
+      return [];
+    }
+    return [...cloneClasses.values()].filter(info => info.methods.has(callee.property.name));
+  }
+
+  /**
+   * instance.method(args) leaves the arguments in the method's hidden
+   * variables, sets which instance runs it and broadcasts the method's
+   * message, waiting for the clone to finish. When several classes have
+   * the method, each class gets the broadcast; ids are unique across
+   * classes, so only one clone answers.
+   */
+  function convertMethodCall(call) {
+    const method = call.callee.property.name;
+    const instance = storeInTempVariable(call.callee.object);
+    return linkBlocks(getMethodClasses(call).map(info => {
+      const names = getCloneNames(info.name);
+      const statements = [
+        ...info.methods.get(method).map((param, index) => createAssignment(names.methodArgument(method, param.name),
+          call.arguments[index] || param.defaultValue || { type: 'Literal', value: '' })),
+        createAssignment(names.target, instance),
+      ];
+      return linkBlocks([convertStatements(statements, null), createBroadcast(names.message(method), null, true)]);
+    }));
+  }
+
+  /**
+   * Check for instance.field or list[i].field on a list of instances, which
+   * only the instance's clone has
+   */
+  function isInstanceField(member) {
+    if (member.type !== 'MemberExpression' || member.computed) return false;
+    const receiver = member.object;
+    let classes = [...cloneClasses.values()];
+    if (receiver.type === 'MemberExpression' && receiver.computed && receiver.object.type === 'Identifier' &&
+        instanceLists.has(receiver.object.name)) {
+      classes = [...instanceLists.get(receiver.object.name)].map(name => cloneClasses.get(name)).filter(Boolean);
+    } else if (receiver.type !== 'Identifier' || records.has(receiver.name) || isList(receiver)) {
+      return false;
+    }
+    return classes.some(info => info.fields.has(member.property.name));
+  }
+
+  /**
+   * How a warning names the instance of instance.field: its variable, or
+   * list[i] for an item of a list of instances
+   */
+  function describeInstance(receiver) {
+    if (receiver.type === 'Identifier') return receiver.name;
+    const index = receiver.property;
+    const indexText = index.type === 'Identifier' ? index.name : index.type === 'Literal' ? String(index.value) : '…';
+    return `${receiver.object.name}[${indexText}]`;
+  }
+
+  /**
+   * Removing an instance from a list of instances (list.splice(i, 1), pop
+   * or shift) deletes its clone: the instance's id goes in the target
+   * variable of its class, and the clone with that id deletes itself when
+   * it receives the class's delete message
+   */
+  function convertInstanceRemoval(call) {
+    const list = call.callee.object;
+    const method = call.callee.property.name;
+    const args = call.arguments;
+    if (method === 'splice' && (args.length < 2 || getNumericLiteral(args[1]) !== 1)) {
+      addWarning('Only instances removed one at a time, with splice(i, 1), pop() or shift(), have their clones deleted', call);
+      return convertListMethodStatement(call, null, false);
+    }
+    let index = { type: 'Literal', value: 0 };
+    if (method === 'pop') {
+      index = {
+        type: 'BinaryExpression',
+        operator: '-',
+        left: { type: 'MemberExpression', object: list, property: { type: 'Identifier', name: 'length' }, computed: false },
+        right: { type: 'Literal', value: 1 },
+      };
+    } else if (method === 'splice') {
+      // The index is read twice, so it is worked out once
+      index = args[0].type === 'Literal' ? args[0] : storeInTempVariable(args[0]);
+    }
+    const classNames = [...instanceLists.get(list.name)];
+    const targets = classNames.map(className => createAssignment(getCloneNames(className).target, {
+      type: 'MemberExpression', object: list, property: index, computed: true,
+    }));
+    const removal = method === 'splice' ? { ...call, arguments: [index, ...args.slice(1)] } : call;
+    return linkBlocks([
+      convertStatements(targets, null),
+      convertListMethodStatement(removal, null, false),
+      ...classNames.map(className => createBroadcast(getCloneNames(className).deleteMessage, null, true)),
+    ]);
+  }
+
+  /**
+   * Calling a function that schedules itself with requestAnimationFrame
+   * (or scheduling it from outside) broadcasts to a script that calls it
+   * forever, once per frame. When the function doesn't always schedule
+   * itself again, scheduling sets a flag and the loop stops after a frame
+   * that didn't set it.
+   */
+  function startAnimationLoop(funcName, parentId) {
+    if (!startedLoops.has(funcName)) {
+      startedLoops.add(funcName);
+      createLoopScript(funcName, () => {
+        const callId = createProcedureCall(funcName, [], null);
+        if (animationLoops.get(funcName).always) return callId;
+        const flagName = getScheduledFlag(funcName);
+        return linkBlocks([
+          convertNode(createFlagAssignment(flagName, 0), null),
+          callId,
+          createStopWhen({
+            type: 'BinaryExpression',
+            operator: '==',
+            left: { type: 'Identifier', name: flagName },
+            right: { type: 'Literal', value: 0 },
+          }, null),
+        ]);
+      });
+    }
+    return createBroadcast(funcName, parentId);
+  }
+
+  function isInAnimationLoop(funcName) {
+    return currentProcedure !== null && currentProcedure.name === funcName;
+  }
+
+  /**
+   * Timer calls used as statements: setTimeout, setInterval, the
+   * functions that clear them, and requestAnimationFrame
+   */
+  function convertTimerCall(call, parentId) {
+    const [argument] = call.arguments;
+    switch (getTimerFunction(call)) {
+      case 'setInterval':
+      case 'setTimeout':
+        return convertTimer(call, null, parentId);
+      case 'clearInterval':
+      case 'clearTimeout':
+        if (!argument || argument.type !== 'Identifier') return null;
+        return convertNode(createFlagAssignment(getClearedFlag(argument.name), 1), parentId);
+      case 'requestAnimationFrame':
+        if (!argument || argument.type !== 'Identifier' || !animationLoops.has(argument.name)) {
+          addWarning('requestAnimationFrame is only supported in functions that schedule themselves, so the call was left out', call);
+          return null;
+        }
+        if (!isInAnimationLoop(argument.name)) {
+          return startAnimationLoop(argument.name, parentId);
+        }
+        // The loop script calls the function again at the next frame anyway
+        if (animationLoops.get(argument.name).always) return null;
+        return convertNode(createFlagAssignment(getScheduledFlag(argument.name), 1), parentId);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Convert assignments to list items (list[i] = x, list[i] += x, list[i]++)
+   */
+  function convertListItemAssignment(target, valueExpr, parentId) {
+    const listName = target.object.name;
+    // list[list.length] = x appends
+    if (target.property.type === 'MemberExpression' && isList(target.property.object) &&
+        target.property.object.name === listName && target.property.property.name === 'length') {
+      return createAddToList(listName, valueExpr, parentId);
+    }
+    return createListBlock('data_replaceitemoflist', listName, parentId, id => ({
+      INDEX: convertListIndexInput(target.property, id),
+      ITEM: convertListItemInput(listName, valueExpr, id),
+    }));
+  }
+
+  function isProcedureArgument(name) {
+    return currentProcedure !== null && currentProcedure.params.some(param => getParamName(param) === name);
+  }
+
+  /**
+   * The argument a call passes for each parameter of a function: the given
+   * one, or the parameter's default value, which may read earlier
+   * parameters (b = a * 2); null when there is neither
+   */
+  function getCallArguments(funcDef, args) {
+    const paramMap = new Map();
+    return funcDef.params.map((param, index) => {
+      let arg = index < args.length ? args[index] : null;
+      if (!arg && param.type === 'AssignmentPattern') {
+        arg = substituteParameters(param.right, paramMap);
+      }
+      const name = getParamName(param);
+      if (name !== null && arg) paramMap.set(name, arg);
+      return arg;
+    });
+  }
+
+  function createProcedureCall(funcName, args, parentId) {
+    const { proccode, argumentIds } = getProcedureSignature(funcName);
+    const callArgs = getCallArguments(functionDefinitions.get(funcName), args);
+    callArgs.filter(arg => arg && isList(arg)).forEach(arg => {
+      addWarning(`Custom blocks can't take lists, so ${funcName} gets the items of ${arg.name} as text`, arg);
+    });
+    const callId = generateBlockId();
+    const inputs = {};
+    argumentIds.forEach((argId, index) => {
+      inputs[argId] = callArgs[index]
+        ? convertExpressionToInput(callArgs[index], callId)
+        : [1, [10, '']];
+    });
+    return addBlock(callId, 'procedures_call', parentId, inputs, {}, {
+      mutation: {
+        tagName: 'mutation',
+        children: [],
+        proccode,
+        argumentids: JSON.stringify(argumentIds),
+        warp: 'false',
+      },
+    });
+  }
+
+  /**
+   * Build the "define" hat, its prototype with argument reporters, and the body
+   */
+  function createProcedureDefinition(funcName) {
+    const funcDef = functionDefinitions.get(funcName);
+    const { proccode, argumentIds, argumentNames } = getProcedureSignature(funcName);
+    funcDef.params.filter(param => lists.has(getParamName(param))).forEach(param => {
+      addWarning(`Custom blocks can't take lists, so ${getParamName(param)} is a list of ${funcName}'s own`, param);
+    });
+    const definitionId = generateBlockId();
+    const prototypeId = generateBlockId();
+
+    const prototypeInputs = {};
+    argumentIds.forEach((argId, index) => {
+      const reporterId = generateBlockId();
+      addBlock(reporterId, 'argument_reporter_string_number', prototypeId, {}, {
+        VALUE: [argumentNames[index], null],
+      }, { shadow: true });
+      prototypeInputs[argId] = [1, reporterId];
+    });
+
+    addBlock(prototypeId, 'procedures_prototype', definitionId, prototypeInputs, {}, {
+      shadow: true,
+      mutation: {
+        tagName: 'mutation',
+        children: [],
+        proccode,
+        argumentids: JSON.stringify(argumentIds),
+        argumentnames: JSON.stringify(argumentNames),
+        argumentdefaults: JSON.stringify(argumentNames.map(() => '')),
+        warp: 'false',
+      },
+    });
+    addBlock(definitionId, 'procedures_definition', null, {
+      custom_block: [1, prototypeId],
+    }, {}, { topLevel: true, ...nextScriptPosition() });
+
+    // Expression-bodied arrow functions run their expression as a statement
+    let bodyStatements = funcDef.body.type === 'BlockStatement'
+      ? funcDef.body.body
+      : [{ type: 'ExpressionStatement', expression: funcDef.body }];
+    // A trailing return needs no stop block, the script ends there anyway
+    let trailingReturn = null;
+    if (bodyStatements.length > 0 && bodyStatements[bodyStatements.length - 1].type === 'ReturnStatement') {
+      trailingReturn = bodyStatements[bodyStatements.length - 1];
+      bodyStatements = bodyStatements.slice(0, -1);
+    }
+
+    const previousProcedure = currentProcedure;
+    currentProcedure = funcDef;
+    let firstBodyId = convertStatements(bodyStatements, definitionId);
+    if (hasReturnValue(funcDef.body)) {
+      // Falling off the end (or a bare return) leaves an empty result, like undefined
+      const { result: resultId, preludeId } = withPrelude(() => createResultAssignment(
+        funcName,
+        trailingReturn ? trailingReturn.argument : null,
+        null
+      ));
+      firstBodyId = appendBlocks(firstBodyId, linkBlocks([preludeId, resultId]), definitionId);
+    }
+    currentProcedure = previousProcedure;
+    blocks[definitionId].next = firstBodyId;
+  }
+
+  function getLastBlockId(blockId) {
+    let lastId = blockId;
+    while (blocks[lastId].next) {
+      lastId = blocks[lastId].next;
+    }
+    return lastId;
+  }
+
+  /**
+   * Chain several stacks (given by their first block ids) one after another
+   * and return the id of the first block, skipping empty stacks
+   */
+  function linkBlocks(stackIds) {
+    let firstId = null;
+    let lastId = null;
+    stackIds.forEach(stackId => {
+      if (!stackId) return;
+      if (lastId) {
+        blocks[lastId].next = stackId;
+        blocks[stackId].parent = lastId;
+      } else {
+        firstId = stackId;
+      }
+      lastId = getLastBlockId(stackId);
+    });
+    return firstId;
+  }
+
+  /**
+   * Append a stack to the end of another one whose first block sits under
+   * parentId, returning the id of the combined stack's first block
+   */
+  function appendBlocks(firstId, appendedId, parentId) {
+    const combinedId = linkBlocks([firstId, appendedId]);
+    if (combinedId) {
+      blocks[combinedId].parent = parentId;
+    }
+    return combinedId;
+  }
+
+  /**
+   * Convert a list of statements into a stack of blocks and return the id of
+   * its first block. A single statement may expand into several chained blocks.
+   */
+  function convertStatements(statements, parentId) {
+    let firstId = null;
+    let lastId = null;
+    statements.forEach(stmt => {
+      const { result: stmtId, preludeId } = withPrelude(() => convertNode(stmt, lastId || parentId));
+      const headId = linkBlocks([preludeId, stmtId]);
+      if (!headId) return;
+      if (lastId) {
+        blocks[lastId].next = headId;
+      } else {
+        firstId = headId;
+      }
+      blocks[headId].parent = lastId || parentId;
+      lastId = getLastBlockId(headId);
+    });
+    return firstId;
+  }
+
+  /**
+   * Convert the body of a control block (a block statement or a single statement)
+   */
+  function convertSubstack(node, parentId) {
+    return convertStatements(node.type === 'BlockStatement' ? node.body : [node], parentId);
+  }
+
+  function convertNode(node, parentId = null) {
+    if (!node) return null;
+
+    const blockId = generateBlockId();
+    
+    switch (node.type) {
+      case 'Program': {
+        // Root node - process all statements. The console starts empty, like the browser's
+        const firstBlockId = linkBlocks([
+          options.resetsInstanceCount
+            ? convertStatements([createAssignment(INSTANCE_COUNT, { type: 'Literal', value: 0 })], null)
+            : null,
+          logsToConsole ? createListBlock('data_deletealloflist', 'console', null) : null,
+          convertStatements(node.body, null),
+        ]);
+        
+        // Create event block and link to first actual block
+        if (firstBlockId) {
+          const eventBlockId = generateBlockId();
+          blocks[eventBlockId] = {
+            opcode: 'event_whenflagclicked',
+            next: firstBlockId,
+            parent: null,
+            inputs: {},
+            fields: {},
+            shadow: false,
+            topLevel: true,
+            ...nextScriptPosition(),
+          };
+          blocks[firstBlockId].parent = eventBlockId;
+          
+          // Add control_stop block at the end, unless timers, broadcasts or other targets run scripts
+          if (!startsScripts && options.stopAtEnd !== false) {
+            const lastBlockId = getLastBlockId(firstBlockId);
+            blocks[lastBlockId].next = createStop('all', lastBlockId);
+          }
+        }
+
+        // Each function that needs it becomes a custom block definition script
+        functionDefinitions.forEach((funcDef, funcName) => {
+          const onlyListener = listenerFunctions.has(funcName) && !calledFunctions.has(funcName);
+          if (needsProcedure(funcName) && !onlyListener) {
+            createProcedureDefinition(funcName);
+          }
+        });
+        return null;
+      }
+
+      case 'VariableDeclaration': {
+        // let a = 1, b = 2 sets each variable in turn; each declarator's
+        // prelude runs just before it, so b can use a
+        const firstId = linkBlocks(node.declarations.flatMap(decl => {
+          const { result, preludeId } = withPrelude(() => convertDeclarator(decl, null));
+          return [preludeId, result];
+        }));
+        if (firstId) blocks[firstId].parent = parentId;
+        return firstId;
+      }
+
+      case 'FunctionDeclaration':
+        // Function declarations are collected in the first pass and become
+        // custom block definitions (or are inlined where they are called)
+        return null;
+
+      case 'ExpressionStatement':
+        return convertNode(node.expression, parentId);
+
+      case 'AwaitExpression': {
+        // await new Promise(r => setTimeout(r, ms)) pauses the script
+        const delay = getPromiseDelay(node.argument);
+        if (delay) {
+          return createWait(delay, parentId);
+        }
+        // await sleep(ms) awaits the promise sleep returns
+        const callee = node.argument.type === 'CallExpression' && node.argument.callee.type === 'Identifier'
+          ? functionDefinitions.get(node.argument.callee.name)
+          : null;
+        if (callee && isInlinableFunction(callee)) {
+          return convertNode({ ...node, argument: inlineCall(callee, node.argument.arguments) }, parentId);
+        }
+        // Custom blocks run to the end before the script goes on
+        return convertNode(node.argument, parentId);
+      }
+
+      case 'AssignmentExpression': {
+        if (node.left.type === 'ArrayPattern' || node.left.type === 'ObjectPattern') {
+          return convertDestructuring(node.left, node.right, parentId);
+        }
+        if (getRecordProperty(node.left)) {
+          return convertNode({ ...node, left: getRecordProperty(node.left) }, parentId);
+        }
+        if (node.left.type === 'MemberExpression' && node.left.computed && isList(node.left.object)) {
+          // list[i] op= x is list[i] = list[i] op x
+          const valueExpr = node.operator === '=' ? node.right : {
+            type: 'BinaryExpression',
+            operator: node.operator.slice(0, -1),
+            left: node.left,
+            right: node.right,
+          };
+          return convertListItemAssignment(node.left, valueExpr, parentId);
+        }
+        if (node.left.type !== 'Identifier') {
+          if (isInstanceField(node.left)) {
+            addWarning(`Only the methods of ${describeInstance(node.left.object)}'s class can set its fields, so the assignment was left out`, node);
+          }
+          return null;
+        }
+        const name = node.left.name;
+        if (node.operator === '=' && isTimerCall(node.right)) {
+          return convertTimer(node.right, name, parentId);
+        }
+
+        if (lists.has(name)) {
+          if (node.operator === '=' && isListProducer(node.right)) {
+            return convertListProducer(name, node.right, parentId);
+          }
+          return node.operator === '=' && node.right.type === 'ArrayExpression'
+            ? createListAssignment(name, node.right, parentId)
+            : null;
+        }
+        if (records.has(name)) {
+          return node.operator === '=' && node.right.type === 'ObjectExpression'
+            ? createRecordAssignment(name, node.right, parentId)
+            : null;
+        }
+
+        if (node.operator !== '=') {
+          // x += 10 and x -= 10 become "change x by"
+          // (unless x holds a string, where += appends)
+          const amount = getNumericLiteral(node.right);
+          if (amount !== null && (node.operator === '+=' || node.operator === '-=') &&
+              types.typeOf(node.left) !== TYPES.STRING) {
+            return createChangeVariableBlock(name, [1, [4, String(node.operator === '+=' ? amount : -amount)]], parentId);
+          }
+          // Other compound assignments set x to (x op value), e.g. x *= 2 -> x = x * 2
+          return convertNode({
+            type: 'AssignmentExpression',
+            operator: '=',
+            left: node.left,
+            right: {
+              type: 'BinaryExpression',
+              operator: node.operator.slice(0, -1),
+              left: node.left,
+              right: node.right,
+              loc: node.loc,
+            },
+          }, parentId);
+        }
+
+        // Handle assignments like x = x + 1
+        blocks[blockId] = {
+          opcode: 'data_setvariableto',
+          next: null,
+          parent: parentId,
+          inputs: {
+            VALUE: convertExpressionToInput(node.right, blockId),
+          },
+          fields: {
+            VARIABLE: [name, name],
+          },
+          shadow: false,
+          topLevel: false,
+        };
+        return blockId;
+      }
+
+      case 'UpdateExpression':
+        if (getRecordProperty(node.argument)) {
+          return convertNode({ ...node, argument: getRecordProperty(node.argument) }, parentId);
+        }
+        if (node.argument.type === 'MemberExpression' && node.argument.computed && isList(node.argument.object)) {
+          return convertListItemAssignment(node.argument, {
+            type: 'BinaryExpression',
+            operator: node.operator === '++' ? '+' : '-',
+            left: node.argument,
+            right: { type: 'Literal', value: 1 },
+          }, parentId);
+        }
+        // i++ and i-- become "change i by 1" and "change i by -1"
+        if (node.argument.type !== 'Identifier') {
+          if (isInstanceField(node.argument)) {
+            addWarning(`Only the methods of ${describeInstance(node.argument.object)}'s class can set its fields, so the assignment was left out`, node);
+          }
+          return null;
+        }
+        return createChangeVariableBlock(node.argument.name, [1, [4, node.operator === '++' ? '1' : '-1']], parentId);
+
+      case 'NewExpression':
+        return getCloneClass(node) ? createInstance(node, null) : null;
+
+      case 'SequenceExpression':
+        // i++, j-- (as in loop headers) runs each expression in turn
+        return linkBlocks(node.expressions.map(expression => convertNode(expression, null)));
+
+      case 'CallExpression':
+        if (getBroadcastCall(node)) {
+          return convertBroadcastCall(node, parentId);
+        }
+        if (isEventListener(node)) {
+          convertEventListener(node);
+          return null;
+        }
+        if (isCloneStartListener(node)) {
+          convertCloneStartListener(node);
+          return null;
+        }
+        if (getIntrinsic(node)) {
+          return convertIntrinsicCall(node, parentId);
+        }
+        if (getTimerFunction(node)) {
+          return convertTimerCall(node, parentId);
+        }
+        if (getSubstitutedFunction(node)) {
+          return convertSubstitutedCall(node, parentId);
+        }
+
+        if (node.callee.type === 'MemberExpression' && isListProducer(node.callee.object)) {
+          // list.filter(f).forEach(g) goes through a list holding list.filter(f)
+          return convertNode({ ...node, callee: { ...node.callee, object: materializeList(node.callee.object) } }, parentId);
+        }
+        if (node.callee.type === 'MemberExpression' && !node.callee.computed && isList(node.callee.object)) {
+          return convertListMethodStatement(node, parentId);
+        }
+        if (getMethodClasses(node).length > 0) {
+          return convertMethodCall(node);
+        }
+
+        // Calls to user functions used as statements run their custom block
+        if (node.callee.type === 'Identifier' && animationLoops.has(node.callee.name) &&
+            !isInAnimationLoop(node.callee.name)) {
+          return startAnimationLoop(node.callee.name, parentId);
+        }
+        if (node.callee.type === 'Identifier' && functionDefinitions.has(node.callee.name)) {
+          return createProcedureCall(node.callee.name, node.arguments, parentId);
+        }
+        return null;
+
+      case 'ReturnStatement':
+        // Returning early from a custom block stops it and resumes the caller
+        if (currentProcedure) {
+          addBlock(blockId, 'control_stop', parentId, {}, {
+            STOP_OPTION: ['this script', null],
+          }, {
+            mutation: {
+              tagName: 'mutation',
+              children: [],
+              hasnext: 'false',
+            },
+          });
+          if (hasReturnValue(currentProcedure.body)) {
+            const resultId = createResultAssignment(currentProcedure.name, node.argument, parentId);
+            return linkBlocks([resultId, blockId]);
+          }
+          return blockId;
+        }
+        return null;
+
+      case 'IfStatement': {
+        // An else branch turns the block into if/else; else-if chains nest
+        // the next if inside the else branch
+        const inputs = {
+          CONDITION: convertConditionInput(node.test, blockId),
+        };
+        const consequentId = convertSubstack(node.consequent, blockId);
+        if (consequentId) {
+          inputs.SUBSTACK = [2, consequentId];
+        }
+        if (node.alternate) {
+          const alternateId = convertSubstack(node.alternate, blockId);
+          if (alternateId) {
+            inputs.SUBSTACK2 = [2, alternateId];
+          }
         }
-        return null;
+        return addBlock(blockId, node.alternate ? 'control_if_else' : 'control_if', parentId, inputs);
+      }
 
-      case 'CallExpression':
-        // Handle special scratch functions
-        if (node.callee.type === 'Identifier') {
-          if (node.callee.name === 'scratch_say' && node.arguments.length > 0) {
-            // Create a "say" block
-            blocks[blockId] = {
-              opcode: 'looks_say',
-              next: null,
-              parent: parentId,
-              inputs: {
-                MESSAGE: convertExpressionToInput(node.arguments[0], blockId),
-              },
-              fields: {},
-              shadow: false,
-              topLevel: false,
-            };
-            return blockId;
-          }
+      case 'LabeledStatement': {
+        // a: b: while (...) - labels let break and continue leave outer loops
+        const labels = [];
+        let labeled = node;
+        while (labeled.type === 'LabeledStatement') {
+          labels.push(labeled.label.name);
+          labeled = labeled.body;
         }
-        
-        // Function calls are handled in convertExpressionToInput for inlining
-        // If we reach here, it means the function call is not in an expression context
-        // This shouldn't happen in normal code, but we'll handle it gracefully
-        return null;
+        if (labeled.type === 'ForInStatement' || labeled.type === 'ForOfStatement') {
+          labeled = lowerForOfIn(labeled);
+          if (!labeled) return null;
+        }
+        let lowered = null;
+        if (labeled.type === 'SwitchStatement') {
+          lowered = lowerSwitch(labeled, labels);
+        } else if (isLoopStatement(labeled)) {
+          lowered = lowerLoop(labeled, labels);
+        }
+        return convertNode(lowered || labeled, parentId);
+      }
 
-      case 'FunctionDeclaration':
-        // Function declarations are collected in the first pass and skipped here
-        // They will be inlined when called
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        // Loops replace the break and continue statements they handle
+        addWarning(`'${node.type === 'BreakStatement' ? 'break' : 'continue'}' is not supported here and was ignored`, node);
         return null;
 
-      case 'ReturnStatement':
-        // Return statements are handled when inlining functions
-        // If we see one at top level, it's an error, but we'll ignore it
-        return null;
+      case 'DoWhileStatement':
+        return convertNode(lowerLoop(node), parentId);
 
-      case 'IfStatement':
-        blocks[blockId] = {
-          opcode: 'control_if',
-          next: null,
-          parent: parentId,
-          inputs: {
-            CONDITION: convertExpressionToInput(node.test, blockId),
-            SUBSTACK: node.consequent ? [2, convertNode(node.consequent, blockId)] : null,
-          },
-          fields: {},
-          shadow: false,
-          topLevel: false,
-        };
-        return blockId;
+      case 'SwitchStatement':
+        return convertNode(lowerSwitch(node), parentId);
 
-      case 'WhileStatement':
+      case 'ForOfStatement':
+      case 'ForInStatement':
+        return convertNode(lowerForOfIn(node), parentId);
+
+      case 'WhileStatement': {
+        const lowered = lowerLoop(node);
+        if (lowered) {
+          return convertNode(lowered, parentId);
+        }
+        if (node.test.type === 'Literal' && node.test.value) {
+          // while (true) never stops on its own
+          return addBlock(blockId, 'control_forever', parentId, {
+            SUBSTACK: [2, convertSubstack(node.body, blockId)],
+          });
+        }
+        const { input: conditionInput, preludeId, refreshId } = convertLoopCondition(negateExpression(node.test), blockId);
         blocks[blockId] = {
           opcode: 'control_repeat_until',
           next: null,
           parent: parentId,
           inputs: {
-            CONDITION: convertExpressionToInput(negateExpression(node.test), blockId),
-            SUBSTACK: node.body ? [2, convertNode(node.body, blockId)] : null,
+            CONDITION: conditionInput,
+            SUBSTACK: node.body ? [2, appendBlocks(convertSubstack(node.body, blockId), refreshId, blockId)] : null,
           },
           fields: {},
           shadow: false,
           topLevel: false,
         };
-        return blockId;
+        return linkBlocks([preludeId, blockId]);
+      }
 
-      case 'ForStatement':
-        // Convert for loop to repeat
-        blocks[blockId] = {
-          opcode: 'control_repeat',
-          next: null,
-          parent: parentId,
-          inputs: {
-            TIMES: [1, [4, '10']],
-            SUBSTACK: node.body ? [2, convertNode(node.body, blockId)] : null,
-          },
-          fields: {},
-          shadow: false,
-          topLevel: false,
-        };
-        return blockId;
+      case 'ForStatement': {
+        const lowered = lowerLoop(node);
+        if (lowered) {
+          return convertNode(lowered, parentId);
+        }
+        // for (init; test; update) body
+        // becomes: init, then repeat until not test { body, update }
+        const initId = node.init ? convertNode(node.init, parentId) : null;
+        const repeatCount = getRepeatCount(node);
+
+        if (repeatCount !== null) {
+          // Counted loops with literal bounds run a fixed number of times
+          const bodyId = convertSubstack(node.body, blockId);
+          const updateId = convertLoopUpdate(node.update, null);
+          addBlock(blockId, 'control_repeat', null, {
+            TIMES: [1, [6, String(repeatCount)]],
+            SUBSTACK: [2, appendBlocks(bodyId, updateId, blockId)],
+          });
+          return linkBlocks([initId, blockId]);
+        }
+
+        if (!node.test) {
+          // for (;;) never stops on its own
+          const bodyId = convertSubstack(node.body, blockId);
+          const updateId = convertLoopUpdate(node.update, null);
+          addBlock(blockId, 'control_forever', null, {
+            SUBSTACK: [2, appendBlocks(bodyId, updateId, blockId)],
+          });
+          return linkBlocks([initId, blockId]);
+        }
+
+        const { input: conditionInput, preludeId, refreshId } = convertLoopCondition(negateExpression(node.test), blockId);
+        const bodyId = convertSubstack(node.body, blockId);
+        const updateId = convertLoopUpdate(node.update, null);
+        addBlock(blockId, 'control_repeat_until', null, {
+          CONDITION: conditionInput,
+          SUBSTACK: [2, appendBlocks(linkBlocks([bodyId, updateId]), refreshId, blockId)],
+        });
+        return linkBlocks([initId, preludeId, blockId]);
+      }
 
       case 'BlockStatement':
         // Process statements in block
-        let prevId = null;
-        node.body.forEach(stmt => {
-          const stmtId = convertNode(stmt, parentId);
-          if (stmtId) {
-            if (prevId) {
-              blocks[prevId].next = stmtId;
-              blocks[stmtId].parent = prevId;
-            }
-            prevId = stmtId;
-          }
-        });
-        return prevId;
+        return convertStatements(node.body, parentId);
 
       default:
         // Unsupported node type - return null to skip it
@@ -426,6 +3293,25 @@ function astToScratchBlocks(ast) {
     }
   }
 
+  /**
+   * The expression a call to an inlinable function stands for: its
+   * returned expression, with the arguments in place of the parameters
+   */
+  function inlineCall(funcDef, args) {
+    const paramMap = new Map();
+    funcDef.params.forEach((param, index) => {
+      const target = param.type === 'AssignmentPattern' ? param.left : param;
+      if (index < args.length) {
+        paramMap.set(target.name, args[index]);
+      } else {
+        // Missing arguments take the default value, or 0 (Scratch default for numbers)
+        paramMap.set(target.name, param.type === 'AssignmentPattern' ? param.right : { type: 'Literal', value: 0 });
+      }
+    });
+    const bodyExpr = funcDef.body.type === 'BlockStatement' ? funcDef.body.body[0].argument : funcDef.body;
+    return substituteParameters(bodyExpr, paramMap);
+  }
+
   function substituteParameters(expr, paramMap) {
     if (!expr) return expr;
 
@@ -460,84 +3346,262 @@ function astToScratchBlocks(ast) {
 
     switch (expr.type) {
       case 'Literal':
+        if (typeof expr.value === 'bigint') {
+          // Keep every digit; Scratch reads it as a regular number
+          return [1, [4, expr.value.toString()]];
+        }
         if (typeof expr.value === 'number') {
+          // Hex and exponent literals are written out in decimal
           return [1, [4, String(expr.value)]];
         }
-        return [1, [10, String(expr.value || '')]];
+        return [1, [10, expr.value === null ? '' : String(expr.value)]];
       
       case 'Identifier':
+        if (isProcedureArgument(expr.name)) {
+          // Inside a custom block, parameters are read with argument reporters
+          const reporterId = addBlock(generateBlockId(), 'argument_reporter_string_number', parentBlockId, {}, {
+            VALUE: [expr.name, null],
+          });
+          return [3, reporterId, [10, '']];
+        }
+        if (lists.has(expr.name)) {
+          // A list used as a value reports its contents
+          return [3, [13, expr.name, expr.name], [10, '']];
+        }
         return [3, [12, expr.name, expr.name], [10, '']];
+
+      case 'MemberExpression':
+        if (getRecordProperty(expr)) {
+          return convertExpressionToInput(getRecordProperty(expr), parentBlockId);
+        }
+        if (isListProducer(expr.object)) {
+          return convertExpressionToInput({ ...expr, object: materializeList(expr.object) }, parentBlockId);
+        }
+        if (!expr.computed && expr.object.type === 'Identifier' && expr.object.name === 'Math') {
+          // Math constants become numbers
+          const constant = Math[expr.property.name];
+          return [1, [4, typeof constant === 'number' ? String(constant) : '0']];
+        }
+        if (isList(expr.object)) {
+          if (expr.computed) {
+            const itemId = generateBlockId();
+            addBlock(itemId, 'data_itemoflist', parentBlockId, {
+              INDEX: convertListIndexInput(expr.property, itemId),
+            }, {
+              LIST: [expr.object.name, expr.object.name],
+            });
+            return [3, itemId, [10, '']];
+          }
+          if (expr.property.name === 'length') {
+            return [3, createListBlock('data_lengthoflist', expr.object.name, parentBlockId), [10, '']];
+          }
+          return [1, [10, '0']];
+        }
+        if (expr.computed && expr.object.type === 'MemberExpression' && expr.object.computed &&
+            expr.object.object.type === 'Identifier' && nestedLists.has(expr.object.object.name)) {
+          addWarning(`Scratch lists can't hold arrays, so the items of items of ${expr.object.object.name} are empty`, expr);
+          return [1, [10, '']];
+        }
+        // Anything else indexed or measured is treated as a string
+        if (expr.computed) {
+          return convertLetterOf(expr.object, expr.property, parentBlockId);
+        }
+        if (expr.property.name === 'length') {
+          const lengthId = generateBlockId();
+          addBlock(lengthId, 'operator_length', parentBlockId, {
+            STRING: convertExpressionToInput(expr.object, lengthId),
+          });
+          return [2, lengthId];
+        }
+        if (isInstanceField(expr)) {
+          const instance = describeInstance(expr.object);
+          addWarning(`Only the methods of ${instance}'s class can read its fields, so ${instance}.${expr.property.name} is empty`, expr);
+          return [1, [10, '']];
+        }
+        return [1, [10, '0']];
+
+      case 'TemplateLiteral': {
+        // `Hi ${name}!` joins its text parts and values in order
+        const parts = [];
+        expr.quasis.forEach((quasi, index) => {
+          if (quasi.value.cooked) {
+            parts.push({ type: 'Literal', value: quasi.value.cooked });
+          }
+          if (index < expr.expressions.length) {
+            parts.push(expr.expressions[index]);
+          }
+        });
+        return convertJoin(parts, parentBlockId);
+      }
       
       case 'CallExpression':
-<<<<<<< HEAD
-        // Handle function calls by inlining functions
-=======
+        if (isMathCall(expr)) {
+          return convertMathCall(expr, parentBlockId);
+        }
+        if (getSubstitutedFunction(expr)) {
+          return convertSubstitutedExpression(expr, parentBlockId);
+        }
+        if (getIntrinsic(expr)) {
+          return convertIntrinsicExpression(expr, parentBlockId);
+        }
+        if (expr.callee.type === 'MemberExpression' && isListProducer(expr.callee.object)) {
+          return convertExpressionToInput({ ...expr, callee: { ...expr.callee, object: materializeList(expr.callee.object) } }, parentBlockId);
+        }
+        if (expr.callee.type === 'MemberExpression' && !expr.callee.computed && isList(expr.callee.object)) {
+          return convertListMethodExpression(expr, parentBlockId);
+        }
+        if (getMethodClasses(expr).length > 0) {
+          // The clone runs the method, and its result stays in the clone
+          addWarning(`Methods called on an instance can't give back a value, so the value of ${expr.callee.property.name}() is empty`, expr);
+          prelude.blockIds.push(convertMethodCall(expr));
+          return [1, [10, '']];
+        }
+
+        if (expr.callee.type === 'MemberExpression' && !expr.callee.computed) {
+          // String methods
+          const method = expr.callee.property.name;
+          if (method === 'charAt') {
+            return convertLetterOf(expr.callee.object, expr.arguments[0] || { type: 'Literal', value: 0 }, parentBlockId);
+          }
+          if (method === 'includes') {
+            const containsId = generateBlockId();
+            addBlock(containsId, 'operator_contains', parentBlockId, {
+              STRING1: convertExpressionToInput(expr.callee.object, containsId),
+              STRING2: convertExpressionToInput(expr.arguments[0], containsId),
+            });
+            return [2, containsId];
+          }
+        }
+
         // Handle function calls by inlining functions (both arrow and regular)
->>>>>>> 19f29ad (feat: support comparison operators and function declarations with return)
         if (expr.callee.type === 'Identifier') {
           const funcName = expr.callee.name;
           const funcDef = functionDefinitions.get(funcName);
           
+          // Functions with statements run as custom blocks ahead of this statement
+          if (funcDef && !isInlinableFunction(funcDef)) {
+            return hoistProcedureCall(funcName, expr.arguments);
+          }
+
           if (funcDef) {
-            // Create a parameter substitution map
-            const paramMap = new Map();
-            funcDef.params.forEach((param, index) => {
-              // Handle both Identifier objects and string names
-              const paramName = param.name || (param.type === 'Identifier' ? param.name : param);
-              if (index < expr.arguments.length) {
-                paramMap.set(paramName, expr.arguments[index]);
-              } else {
-                // Default missing parameters to 0 (Scratch default for numbers)
-                paramMap.set(paramName, { type: 'Literal', value: 0 });
-              }
-            });
-            
-<<<<<<< HEAD
-            // Extract the expression to inline
-            let bodyExpression = funcDef.body;
-            
-            // If the body is a BlockStatement, find the return statement
-            // Note: This only handles simple functions with a single return statement.
-            // Functions with multiple return paths or conditional returns are not fully supported.
-            if (funcDef.body.type === 'BlockStatement') {
-              const returnStmt = funcDef.body.body.find(stmt => stmt.type === 'ReturnStatement');
-              if (returnStmt && returnStmt.argument) {
-                bodyExpression = returnStmt.argument;
-              } else {
-                // No return statement found, default to 0
-                return [1, [10, '0']];
-=======
-            // Handle function body - extract return value if it's a block statement
-            let bodyExpr = funcDef.body;
-            if (bodyExpr.type === 'BlockStatement') {
-              // Find the return statement in the block
-              const returnStmt = bodyExpr.body.find(stmt => stmt.type === 'ReturnStatement');
-              if (returnStmt && returnStmt.argument) {
-                bodyExpr = returnStmt.argument;
-              } else {
-                // No return statement, default to 0
-                return [1, [4, '0']];
->>>>>>> 19f29ad (feat: support comparison operators and function declarations with return)
-              }
-            }
-            
-            // Inline the function body with substituted parameters
-<<<<<<< HEAD
-            const inlinedBody = substituteParameters(bodyExpression, paramMap);
-=======
-            const inlinedBody = substituteParameters(bodyExpr, paramMap);
->>>>>>> 19f29ad (feat: support comparison operators and function declarations with return)
-            return convertExpressionToInput(inlinedBody, parentBlockId);
+            return convertExpressionToInput(inlineCall(funcDef, expr.arguments), parentBlockId);
           }
         }
         // If not a known function, return default
         return [1, [10, '0']];
       
+      case 'AwaitExpression':
+        // Only custom blocks are awaited in expressions, and they finish before their result is read
+        return convertExpressionToInput(expr.argument, parentBlockId);
+
+      case 'NewExpression': {
+        // A new instance is its clone's id
+        if (!getCloneClass(expr)) return [1, [10, '0']];
+        const idName = createTempVariable('instance');
+        prelude.blockIds.push(createInstance(expr, idName));
+        return convertExpressionToInput({ type: 'Identifier', name: idName }, parentBlockId);
+      }
+
+      case 'AssignmentExpression':
+      case 'UpdateExpression': {
+        // Assignments used as values (x = y = 0, list[i++]) run just before
+        // the statement, which then reads the variable
+        const assigned = expr.type === 'UpdateExpression' ? expr.argument : expr.left;
+        const target = getRecordProperty(assigned) || assigned;
+        const assignmentId = convertNode(expr, null);
+        if (!assignmentId || target.type !== 'Identifier') return [1, [10, '0']];
+        prelude.blockIds.push(assignmentId);
+        if (expr.type === 'UpdateExpression' && !expr.prefix) {
+          // i++ evaluates to the value from before the change
+          return convertExpressionToInput({
+            type: 'BinaryExpression',
+            operator: expr.operator === '++' ? '-' : '+',
+            left: target,
+            right: { type: 'Literal', value: 1 },
+          }, parentBlockId);
+        }
+        return convertExpressionToInput(target, parentBlockId);
+      }
+
+      case 'LogicalExpression':
+        if (isBooleanExpression(expr)) {
+          return convertConditionInput(expr, parentBlockId);
+        }
+        // With non-boolean operands JS returns one of the operands:
+        // a || b is a ? a : b, and a && b is a ? b : a
+        if (expr.operator === '||' || expr.operator === '&&') {
+          const temp = storeInTempVariable(expr.left);
+          return convertExpressionToInput({
+            type: 'ConditionalExpression',
+            test: temp,
+            consequent: expr.operator === '||' ? temp : expr.right,
+            alternate: expr.operator === '||' ? expr.right : temp,
+          }, parentBlockId);
+        }
+        return [1, [10, '0']];
+
+      case 'ConditionalExpression': {
+        // cond ? x : y sets a temporary variable in an if/else ahead of the
+        // statement; each branch only evaluates its own value
+        const tempName = createTempVariable('temp');
+        const ifElseId = generateBlockId();
+        const convertBranch = (value) => {
+          const { result: setId, preludeId } = withPrelude(() => {
+            const branchSetId = generateBlockId();
+            return addBlock(branchSetId, 'data_setvariableto', null, {
+              VALUE: convertExpressionToInput(value, branchSetId),
+            }, {
+              VARIABLE: [tempName, tempName],
+            });
+          });
+          return appendBlocks(preludeId, setId, ifElseId);
+        };
+        addBlock(ifElseId, 'control_if_else', null, {
+          CONDITION: convertConditionInput(expr.test, ifElseId),
+          SUBSTACK: [2, convertBranch(expr.consequent)],
+          SUBSTACK2: [2, convertBranch(expr.alternate)],
+        });
+        prelude.blockIds.push(ifElseId);
+        return [3, [12, tempName, tempName], [10, '']];
+      }
+
       case 'UnaryExpression':
+        if (getNumericLiteral(expr) !== null) {
+          // -5 is a negative number rather than an operation
+          return [1, [4, String(getNumericLiteral(expr))]];
+        }
+        if (expr.operator === '-') {
+          // -x is 0 - x
+          return convertExpressionToInput({
+            type: 'BinaryExpression',
+            operator: '-',
+            left: { type: 'Literal', value: 0 },
+            right: expr.argument,
+          }, parentBlockId);
+        }
+        if (expr.operator === '+') {
+          // +x converts x to a number, which adding 0 does in Scratch
+          if (types.typeOf(expr.argument) === TYPES.NUMBER) {
+            return convertExpressionToInput(expr.argument, parentBlockId);
+          }
+          return convertExpressionToInput({
+            type: 'BinaryExpression',
+            operator: '+',
+            left: { type: 'Literal', value: 0 },
+            right: expr.argument,
+          }, parentBlockId);
+        }
+        if (expr.operator === 'typeof') {
+          return convertTypeof(expr.argument, parentBlockId);
+        }
         // Handle unary operators like ! (not)
+        if (expr.operator === '!' && !isBooleanExpression(expr.argument) && expr.argument.type !== 'Literal') {
+          // !value is true for JS falsy values
+          return convertFalsyCheck(expr.argument, parentBlockId);
+        }
         if (expr.operator === '!') {
           const notBlockId = generateBlockId();
-          const operandInput = convertExpressionToInput(expr.argument, notBlockId);
+          const operandInput = convertConditionInput(expr.argument, notBlockId);
           
           blocks[notBlockId] = {
             opcode: 'operator_not',
@@ -556,6 +3620,13 @@ function astToScratchBlocks(ast) {
         return [1, [10, '0']];
       
       case 'BinaryExpression':
+        if (expr.operator === '**') {
+          return convertPower(expr.left, expr.right, parentBlockId);
+        }
+        if (expr.operator === '%') {
+          return convertRemainder(expr.left, expr.right, parentBlockId);
+        }
+
         const needsNot = ['!=', '!==', '<=', '>='].includes(expr.operator);
         let actualOperator = expr.operator;
         let shouldNegate = false;
@@ -575,7 +3646,10 @@ function astToScratchBlocks(ast) {
           shouldNegate = true;
         }
         
-        const opcode = getBinaryOperatorOpcode(actualOperator);
+        const opcode = getBinaryOperatorOpcode(actualOperator, expr);
+        if (opcode === 'operator_join') {
+          return convertJoin([expr.left, expr.right], parentBlockId);
+        }
         const opBlockId = generateBlockId();
         const isComparison = ['<', '>', '==', '==='].includes(actualOperator);
         const isGreater = actualOperator === '>';
@@ -592,7 +3666,7 @@ function astToScratchBlocks(ast) {
           // while < use format [2] without shadow. This matches Scratch's
           // expected format for these operators, particularly when used in
           // control_repeat_until blocks (which come from negated while conditions).
-          if (expr.left.type === 'Identifier') {
+          if (expr.left.type === 'Identifier' && !isProcedureArgument(expr.left.name)) {
             leftFinal = isGreater 
               ? [3, [12, expr.left.name, expr.left.name], [10, '']]
               : [2, [12, expr.left.name, expr.left.name]];
@@ -602,7 +3676,7 @@ function astToScratchBlocks(ast) {
             leftFinal = convertExpressionToInput(expr.left, opBlockId);
           }
           
-          if (expr.right.type === 'Identifier') {
+          if (expr.right.type === 'Identifier' && !isProcedureArgument(expr.right.name)) {
             rightFinal = [2, [12, expr.right.name, expr.right.name]];
           } else if (expr.right.type === 'Literal') {
             rightFinal = [1, [10, String(expr.right.value)]];
@@ -610,14 +3684,8 @@ function astToScratchBlocks(ast) {
             rightFinal = convertExpressionToInput(expr.right, opBlockId);
           }
         } else {
-          // Arithmetic operators use NUM1/NUM2 with format [3, [12, name, name], [4, ""]]
-          // This provides a shadow value ([4, ""]) as a fallback for numeric input.
-          leftFinal = (expr.left.type === 'Identifier') 
-            ? [3, [12, expr.left.name, expr.left.name], [4, '']] 
-            : convertExpressionToInput(expr.left, opBlockId);
-          rightFinal = (expr.right.type === 'Identifier') 
-            ? [3, [12, expr.right.name, expr.right.name], [4, '']] 
-            : convertExpressionToInput(expr.right, opBlockId);
+          leftFinal = convertNumberInput(expr.left, opBlockId);
+          rightFinal = convertNumberInput(expr.right, opBlockId);
         }
         
         blocks[opBlockId] = {
@@ -660,9 +3728,500 @@ function astToScratchBlocks(ast) {
     }
   }
 
+  /**
+   * Join values into one string with nested join blocks
+   */
+  function convertJoin(parts, parentBlockId) {
+    if (parts.length === 0) {
+      return [1, [10, '']];
+    }
+    if (parts.length === 1) {
+      return convertExpressionToInput(parts[0], parentBlockId);
+    }
+    const joinId = generateBlockId();
+    addBlock(joinId, 'operator_join', parentBlockId, {
+      STRING1: convertJoin(parts.slice(0, -1), joinId),
+      STRING2: convertExpressionToInput(parts[parts.length - 1], joinId),
+    });
+    return [2, joinId];
+  }
+
+  /**
+   * Check for Math.name(...), or any Math function when name is omitted
+   */
+  function isMathCall(expr, name = null) {
+    return expr.type === 'CallExpression' &&
+      expr.callee.type === 'MemberExpression' && !expr.callee.computed &&
+      expr.callee.object.type === 'Identifier' && expr.callee.object.name === 'Math' &&
+      (name === null || expr.callee.property.name === name);
+  }
+
+  function createMathCall(name, args) {
+    return {
+      type: 'CallExpression',
+      callee: {
+        type: 'MemberExpression',
+        computed: false,
+        object: { type: 'Identifier', name: 'Math' },
+        property: { type: 'Identifier', name },
+      },
+      arguments: args,
+    };
+  }
+
+  function createMathop(operator, valueExpr, parentBlockId) {
+    const mathopId = generateBlockId();
+    addBlock(mathopId, 'operator_mathop', parentBlockId, {
+      NUM: convertExpressionToInput(valueExpr, mathopId),
+    }, {
+      OPERATOR: [operator, null],
+    });
+    return [2, mathopId];
+  }
+
+  function createRandom(fromInput, toExpr, parentBlockId) {
+    const randomId = generateBlockId();
+    addBlock(randomId, 'operator_random', parentBlockId, {
+      FROM: fromInput,
+      TO: typeof toExpr === 'function' ? toExpr(randomId) : toExpr,
+    });
+    return [2, randomId];
+  }
+
+  /**
+   * Math.floor(Math.random() * n) picks a whole number from 0 to n - 1;
+   * returns n, or null for other expressions
+   */
+  function getRandomIntegerRange(expr) {
+    if (!isMathCall(expr, 'floor') || expr.arguments.length !== 1) return null;
+    const product = expr.arguments[0];
+    if (product.type !== 'BinaryExpression' || product.operator !== '*') return null;
+    if (isMathCall(product.left, 'random')) return product.right;
+    if (isMathCall(product.right, 'random')) return product.left;
+    return null;
+  }
+
+  /**
+   * Math.min and Math.max keep the smallest or largest value so far in a
+   * temporary variable, set just before the statement
+   */
+  function convertMinMax(name, args, parentBlockId) {
+    if (args.length === 0) {
+      return [1, [4, name === 'min' ? 'Infinity' : '-Infinity']];
+    }
+    const result = { type: 'Identifier', name: createTempVariable(name) };
+    const assign = value => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left: result, right: value },
+    });
+    prelude.blockIds.push(convertNode(assign(args[0]), null));
+    args.slice(1).forEach(arg => {
+      const value = arg.type === 'Literal' ? arg : storeInTempVariable(arg);
+      prelude.blockIds.push(convertNode({
+        type: 'IfStatement',
+        test: { type: 'BinaryExpression', operator: name === 'min' ? '<' : '>', left: value, right: result },
+        consequent: assign(value),
+        alternate: null,
+      }, null));
+    });
+    return convertExpressionToInput(result, parentBlockId);
+  }
+
+  /**
+   * base ** exponent: whole powers read the base once, then multiply it out
+   * or take e ^ (exponent * ln |base|) and give odd powers of a negative base
+   * their sign back. Other powers use e ^ (exponent * ln base), which is NaN
+   * for a negative base just as in JS.
+   */
+  function convertPower(base, exponent, parentBlockId) {
+    const power = getNumericLiteral(exponent);
+    const baseValue = getNumericLiteral(base);
+    if (power !== null && baseValue !== null) {
+      return convertExpressionToInput({ type: 'Literal', value: baseValue ** power }, parentBlockId);
+    }
+    if (power === 0) {
+      return [1, [4, '1']];
+    }
+    if (power === 0.5) {
+      return createMathop('sqrt', base, parentBlockId);
+    }
+    const exponential = value => createMathCall('exp', [{
+      type: 'BinaryExpression',
+      operator: '*',
+      left: exponent,
+      right: createMathCall('log', [value]),
+    }]);
+    if (!Number.isInteger(power)) {
+      return convertExpressionToInput(exponential(base), parentBlockId);
+    }
+
+    const value = storeInTempVariable(base);
+    if (power > 0 && power <= MAX_MULTIPLIED_POWER) {
+      let product = value;
+      for (let i = 1; i < power; i++) {
+        product = { type: 'BinaryExpression', operator: '*', left: product, right: value };
+      }
+      return convertExpressionToInput(product, parentBlockId);
+    }
+    const magnitude = exponential(createMathCall('abs', [value]));
+    if (power % 2 === 0) {
+      return convertExpressionToInput(magnitude, parentBlockId);
+    }
+    const result = { type: 'Identifier', name: createTempVariable('power') };
+    const assign = right => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'AssignmentExpression', operator: '=', left: result, right },
+    });
+    prelude.blockIds.push(convertNode(assign(magnitude), null));
+    prelude.blockIds.push(convertNode({
+      type: 'IfStatement',
+      test: { type: 'BinaryExpression', operator: '<', left: value, right: { type: 'Literal', value: 0 } },
+      consequent: assign({ type: 'UnaryExpression', operator: '-', prefix: true, argument: result }),
+      alternate: null,
+    }, null));
+    return convertExpressionToInput(result, parentBlockId);
+  }
+
+  /**
+   * An input of an arithmetic block. Variables go in with the format
+   * [3, [12, name, name], [4, ""]], whose shadow ([4, ""]) is a fallback for
+   * numeric input.
+   */
+  function convertNumberInput(expr, parentBlockId) {
+    return expr.type === 'Identifier' && !isProcedureArgument(expr.name)
+      ? [3, [12, expr.name, expr.name], [4, '']]
+      : convertExpressionToInput(expr, parentBlockId);
+  }
+
+  /**
+   * Check whether an expression is known not to be negative: numbers from
+   * 0 up, variables that count up from them, lengths, Math.abs and
+   * Math.random
+   */
+  function isNonNegative(expr) {
+    const value = getNumericLiteral(expr);
+    if (value !== null) return value >= 0;
+    if (expr.type === 'Identifier') return countingVariables.has(expr.name);
+    if (expr.type === 'MemberExpression' && !expr.computed && expr.property.name === 'length') return true;
+    return isMathCall(expr, 'abs') || isMathCall(expr, 'random');
+  }
+
+  /**
+   * dividend % divisor: Scratch's mod takes the sign of the divisor, JS's
+   * remainder the sign of the dividend. Mod of the divisor's size gives the
+   * remainder of a dividend that isn't negative; for other dividends, the
+   * result is kept in a temporary variable and moved below 0 when the
+   * dividend is.
+   */
+  function convertRemainder(dividend, divisor, parentBlockId) {
+    const dividendValue = getNumericLiteral(dividend);
+    const divisorValue = getNumericLiteral(divisor);
+    if (dividendValue !== null && divisorValue !== null) {
+      return convertExpressionToInput({ type: 'Literal', value: dividendValue % divisorValue }, parentBlockId);
+    }
+    const createMod = (left, right, parentId) => {
+      const modId = generateBlockId();
+      return [2, addBlock(modId, 'operator_mod', parentId, {
+        NUM1: convertNumberInput(left, modId),
+        NUM2: convertNumberInput(right, modId),
+      })];
+    };
+    const sizeOf = expr => {
+      if (divisorValue !== null) return { type: 'Literal', value: Math.abs(divisorValue) };
+      return isNonNegative(expr) ? expr : createMathCall('abs', [expr]);
+    };
+    if (isNonNegative(dividend)) return createMod(dividend, sizeOf(divisor), parentBlockId);
+
+    const value = storeInTempVariable(dividend);
+    const size = sizeOf(divisorValue !== null || isNonNegative(divisor) ? divisor : storeInTempVariable(divisor));
+    const result = { type: 'Identifier', name: createTempVariable('mod') };
+    const setId = generateBlockId();
+    prelude.blockIds.push(addBlock(setId, 'data_setvariableto', null, {
+      VALUE: createMod(value, size, setId),
+    }, {
+      VARIABLE: [result.name, result.name],
+    }));
+    const zero = { type: 'Literal', value: 0 };
+    prelude.blockIds.push(convertNode({
+      type: 'IfStatement',
+      test: {
+        type: 'LogicalExpression',
+        operator: '&&',
+        left: { type: 'BinaryExpression', operator: '<', left: value, right: zero },
+        right: { type: 'BinaryExpression', operator: '>', left: result, right: zero },
+      },
+      consequent: {
+        type: 'ExpressionStatement',
+        expression: {
+          type: 'AssignmentExpression',
+          operator: '=',
+          left: result,
+          right: { type: 'BinaryExpression', operator: '-', left: result, right: size },
+        },
+      },
+      alternate: null,
+    }, null));
+    return convertExpressionToInput(result, parentBlockId);
+  }
+
+  /**
+   * Math.* calls become Scratch's operator blocks
+   */
+  function convertMathCall(expr, parentBlockId) {
+    const name = expr.callee.property.name;
+    const args = expr.arguments;
+    const arg = args[0] || { type: 'Literal', value: 0 };
+
+    if (name === 'random') {
+      // A decimal point in TO makes Scratch pick any number, not just whole ones
+      return createRandom([1, [4, '0']], [1, [4, '1.0']], parentBlockId);
+    }
+    const randomRange = getRandomIntegerRange(expr);
+    if (randomRange) {
+      const size = getNumericLiteral(randomRange);
+      return createRandom([1, [4, '0']], size !== null
+        ? [1, [4, String(size - 1)]]
+        : id => convertExpressionToInput({
+          type: 'BinaryExpression',
+          operator: '-',
+          left: randomRange,
+          right: { type: 'Literal', value: 1 },
+        }, id), parentBlockId);
+    }
+    if (name === 'round') {
+      const roundId = generateBlockId();
+      addBlock(roundId, 'operator_round', parentBlockId, {
+        NUM: convertExpressionToInput(arg, roundId),
+      });
+      return [2, roundId];
+    }
+    if (MATHOP_FUNCTIONS[name]) {
+      return createMathop(MATHOP_FUNCTIONS[name], arg, parentBlockId);
+    }
+    if (TRIG_FUNCTIONS.includes(name)) {
+      const radians = getNumericLiteral(arg);
+      return createMathop(name, radians !== null
+        ? { type: 'Literal', value: radians * RADIANS_TO_DEGREES }
+        : { type: 'BinaryExpression', operator: '*', left: arg, right: { type: 'Literal', value: RADIANS_TO_DEGREES } },
+      parentBlockId);
+    }
+    if (INVERSE_TRIG_FUNCTIONS.includes(name)) {
+      const multiplyId = generateBlockId();
+      addBlock(multiplyId, 'operator_multiply', parentBlockId, {
+        NUM1: createMathop(name, arg, multiplyId),
+        NUM2: [1, [4, String(1 / RADIANS_TO_DEGREES)]],
+      });
+      return [2, multiplyId];
+    }
+    if (name === 'pow') {
+      return convertPower(arg, args[1] || { type: 'Literal', value: 1 }, parentBlockId);
+    }
+    if (name === 'min' || name === 'max') {
+      return convertMinMax(name, args, parentBlockId);
+    }
+    return [1, [10, '0']];
+  }
+
+  /**
+   * str[i] and str.charAt(i): Scratch counts letters from 1
+   */
+  function convertLetterOf(stringExpr, indexExpr, parentBlockId) {
+    const letterId = generateBlockId();
+    addBlock(letterId, 'operator_letter_of', parentBlockId, {
+      LETTER: convertListIndexInput(indexExpr, letterId),
+      STRING: convertExpressionToInput(stringExpr, letterId),
+    });
+    return [2, letterId];
+  }
+
+  /**
+   * Check whether an expression always produces true or false, so it can go
+   * straight into a hexagonal (boolean) input
+   */
+  function isBooleanExpression(expr) {
+    switch (expr.type) {
+      case 'BinaryExpression':
+        return ['<', '>', '<=', '>=', '==', '===', '!=', '!=='].includes(expr.operator);
+      case 'LogicalExpression':
+        return (expr.operator === '&&' || expr.operator === '||') &&
+          isBooleanExpression(expr.left) && isBooleanExpression(expr.right);
+      case 'UnaryExpression':
+        return expr.operator === '!';
+      case 'CallExpression':
+        // list.includes, string.includes, list.some, list.every, confirm
+        // and intrinsics such as scratch.touching
+        if (getSubstitutedFunction(expr) === 'confirm') return true;
+        if (getIntrinsic(expr)) return getIntrinsicResult(expr) === 'boolean';
+        return expr.callee.type === 'MemberExpression' && !expr.callee.computed &&
+          (expr.callee.property.name === 'includes' ||
+            (['some', 'every'].includes(expr.callee.property.name) && isList(expr.callee.object)));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Convert an expression used as a condition. Conditions always become
+   * boolean blocks: && and || map to and/or, and other values are tested for
+   * JS truthiness.
+   */
+  function convertConditionInput(expr, parentBlockId) {
+    if (expr.type === 'LogicalExpression' && (expr.operator === '&&' || expr.operator === '||')) {
+      const logicBlockId = generateBlockId();
+      const left = convertConditionInput(expr.left, logicBlockId);
+      const { result: right, preludeId } = withPrelude(() => convertConditionInput(expr.right, logicBlockId));
+      if (preludeId) {
+        return convertShortCircuit(expr.operator, left, right, preludeId, parentBlockId);
+      }
+      addBlock(logicBlockId, expr.operator === '&&' ? 'operator_and' : 'operator_or', parentBlockId, {
+        OPERAND1: left,
+        OPERAND2: right,
+      });
+      return [2, logicBlockId];
+    }
+
+    if (isBooleanExpression(expr)) {
+      return convertExpressionToInput(expr, parentBlockId);
+    }
+
+    if (expr.type === 'Literal') {
+      // "not <>" is always true and an empty "< > and < >" always false
+      return [2, addBlock(generateBlockId(), expr.value ? 'operator_not' : 'operator_and', parentBlockId)];
+    }
+
+    // Other values are true unless they are falsy
+    const notBlockId = generateBlockId();
+    return [2, addBlock(notBlockId, 'operator_not', parentBlockId, {
+      OPERAND: convertFalsyCheck(expr, notBlockId),
+    })];
+  }
+
+  /**
+   * && and || whose right operand needs blocks beforehand: those blocks may
+   * only run when the left operand doesn't decide the result, so the result
+   * is worked out in a temporary variable ahead of the statement
+   */
+  function convertShortCircuit(operator, left, right, rightPreludeId, parentBlockId) {
+    const tempName = createTempVariable('temp');
+    const setTemp = (value) => {
+      const setId = generateBlockId();
+      if (blocks[value[1]]) blocks[value[1]].parent = setId;
+      return addBlock(setId, 'data_setvariableto', null, { VALUE: value }, { VARIABLE: [tempName, tempName] });
+    };
+    const tempIs = (value) => ({
+      type: 'BinaryExpression',
+      operator: '==',
+      left: { type: 'Identifier', name: tempName },
+      right: { type: 'Literal', value },
+    });
+    prelude.blockIds.push(setTemp(left));
+    const ifId = generateBlockId();
+    addBlock(ifId, 'control_if', null, {
+      CONDITION: convertConditionInput(tempIs(operator === '&&' ? 'true' : 'false'), ifId),
+      SUBSTACK: [2, appendBlocks(rightPreludeId, setTemp(right), ifId)],
+    });
+    prelude.blockIds.push(ifId);
+    return convertConditionInput(tempIs('true'), parentBlockId);
+  }
+
+  /**
+   * Anything but a plain variable is stored in a temporary variable first,
+   * so it is evaluated once however many times it is read
+   */
+  function storeInTempVariable(expr) {
+    if (expr.type === 'Identifier' && !isProcedureArgument(expr.name)) {
+      return expr;
+    }
+    const tempName = createTempVariable('temp');
+    const setId = generateBlockId();
+    prelude.blockIds.push(addBlock(setId, 'data_setvariableto', null, {
+      VALUE: convertExpressionToInput(expr, setId),
+    }, {
+      VARIABLE: [tempName, tempName],
+    }));
+    return { type: 'Identifier', name: tempName };
+  }
+
+  /**
+   * typeof x: inferred types become text, other values are checked while
+   * the project runs. Scratch only tells numbers and text apart, so a value
+   * that survives multiplying by 1 is reported as a number.
+   */
+  function convertTypeof(argument, parentBlockId) {
+    if (argument.type === 'Identifier' && functionDefinitions.has(argument.name)) {
+      return [1, [10, 'function']];
+    }
+    const typeNames = {
+      [TYPES.NUMBER]: 'number',
+      [TYPES.STRING]: 'string',
+      [TYPES.BOOLEAN]: 'boolean',
+      [TYPES.LIST]: 'object',
+    };
+    const type = types.typeOf(argument);
+    if (typeNames[type]) {
+      return [1, [10, typeNames[type]]];
+    }
+    const value = storeInTempVariable(argument);
+    return convertExpressionToInput({
+      type: 'ConditionalExpression',
+      test: {
+        type: 'BinaryExpression',
+        operator: '==',
+        left: { type: 'BinaryExpression', operator: '*', left: value, right: { type: 'Literal', value: 1 } },
+        right: value,
+      },
+      consequent: { type: 'Literal', value: 'number' },
+      alternate: { type: 'Literal', value: 'string' },
+    }, parentBlockId);
+  }
+
+  /**
+   * Test a value for JS falsiness: 0, empty, or "false" (false is stored as
+   * "false" in a variable)
+   */
+  function convertFalsyCheck(expr, parentBlockId) {
+    const value = storeInTempVariable(expr);
+    const equals = (falsyValue) => ({
+      type: 'BinaryExpression',
+      operator: '==',
+      left: value,
+      right: { type: 'Literal', value: falsyValue },
+    });
+    return convertExpressionToInput({
+      type: 'LogicalExpression',
+      operator: '||',
+      left: equals(0),
+      right: {
+        type: 'LogicalExpression',
+        operator: '||',
+        left: equals(''),
+        right: equals('false'),
+      },
+    }, parentBlockId);
+  }
+
   function negateExpression(expr) {
     // Negate the expression for repeat_until block
     if (!expr) return expr;
+
+    if (expr.type === 'Literal') {
+      return { type: 'Literal', value: !expr.value };
+    }
+
+    // not (not a) is a
+    if (expr.type === 'UnaryExpression' && expr.operator === '!' && isBooleanExpression(expr.argument)) {
+      return expr.argument;
+    }
+
+    // De Morgan: not (a and b) is (not a) or (not b), and vice versa
+    if (expr.type === 'LogicalExpression' && (expr.operator === '&&' || expr.operator === '||')) {
+      return {
+        type: 'LogicalExpression',
+        operator: expr.operator === '&&' ? '||' : '&&',
+        left: negateExpression(expr.left),
+        right: negateExpression(expr.right),
+      };
+    }
     
     // For binary expressions with comparison operators, negate them
     if (expr.type === 'BinaryExpression') {
@@ -694,12 +4253,53 @@ function astToScratchBlocks(ast) {
     };
   }
 
-  function getBinaryOperatorOpcode(operator) {
+  /**
+   * Record a diagnostic that doesn't stop the translation, once per location
+   */
+  function addWarning(message, node) {
+    const line = node.loc ? node.loc.start.line : null;
+    const column = node.loc ? node.loc.start.column : null;
+    if (!warnings.some(w => w.message === message && w.line === line && w.column === column)) {
+      warnings.push({ message, line, column });
+    }
+  }
+
+  /**
+   * Choose between add and join for a + expression from the inferred operand
+   * types. Operands of unknown type are added, with a warning.
+   */
+  function getPlusOpcode(expr) {
+    const leftType = types.typeOf(expr.left);
+    const rightType = types.typeOf(expr.right);
+    if (leftType === TYPES.STRING || rightType === TYPES.STRING) {
+      return 'operator_join';
+    }
+    [[expr.left, leftType], [expr.right, rightType]].forEach(([operand, type]) => {
+      if (type === TYPES.UNKNOWN) {
+        let description = 'an operand';
+        if (operand.type === 'Identifier') {
+          description = `'${operand.name}'`;
+        } else if (operand.type === 'CallExpression' && operand.callee.type === 'Identifier') {
+          description = `the result of ${operand.callee.name}()`;
+        }
+        addWarning(`Cannot determine the type of ${description} in '+', treating it as a number`, operand.loc ? operand : expr);
+      }
+    });
+    return 'operator_add';
+  }
+
+  /**
+   * Scratch block for a binary operator. + expressions written in the source
+   * go through type inference; ones the translator generates (list indexes,
+   * ++ and --) have no location and are always arithmetic.
+   */
+  function getBinaryOperatorOpcode(operator, expr = null) {
     switch (operator) {
-      case '+': return 'operator_add';
+      case '+': return expr && expr.loc ? getPlusOpcode(expr) : 'operator_add';
       case '-': return 'operator_subtract';
       case '*': return 'operator_multiply';
       case '/': return 'operator_divide';
+      case '%': return 'operator_mod';
       case '<': return 'operator_lt';
       case '>': return 'operator_gt';
       case '==': case '===': return 'operator_equals';
@@ -711,40 +4311,178 @@ function astToScratchBlocks(ast) {
   }
 
   convertNode(ast);
-  return { blocks, variables: Array.from(variables) };
+  return {
+    blocks,
+    stageBlocks,
+    variables: Array.from(variables),
+    lists: Array.from(lists),
+    stageLists: Array.from(stageLists),
+    broadcasts: Array.from(broadcasts),
+    initialValues,
+    canvasText,
+    warnings,
+  };
 }
 
 /**
  * Main translation function
+ * @param {string} code - JavaScript source
+ * @param {Object} [options]
+ * @param {boolean} [options.substitute] - Translate alert, prompt, confirm and
+ *   console.log to Scratch blocks instead of rejecting them
  */
-function translateToScratch(code) {
+function translateToScratch(code, options = {}) {
   try {
-    // Parse JavaScript code
-    const ast = acorn.parse(code, {
+    // Parse JavaScript code. Exported classes are sprites, so export is
+    // accepted outside modules too, and each sprite's section has its own
+    // top-level names
+    const { ast, comments } = parseSections(code, {
       ecmaVersion: 2020,
       locations: true,
+      allowImportExportEverywhere: true,
     });
 
     // Check for unsupported features
-    const errors = checkUnsupportedFeatures(code, ast);
+    const errors = checkUnsupportedFeatures(code, ast, options);
     if (errors.length > 0) {
       throw errors[0]; // Throw the first error
     }
 
-    // Convert to Scratch blocks
-    const { blocks, variables } = astToScratchBlocks(ast);
+    // Convert each sprite, and the stage when the program has sprites of
+    // its own, to Scratch blocks. Sprites that listen to clicks share the
+    // stage's scripts that relay them.
+    const split = splitSprites(ast, comments);
+    const multipleTargets = split.stage !== null || split.sprites.length > 1;
+    const clickRelays = new Set();
+    const toProgram = body => ({ type: 'Program', body, sourceType: 'script', loc: ast.loc });
+    const convertTarget = (body, targetOptions) => astToScratchBlocks(toProgram(body), {
+      ...options,
+      clickRelays,
+      stopAtEnd: !multipleTargets,
+      cloneClasses: split.classes,
+      instanceLists: split.instanceLists,
+      sharedLists: split.shared.lists,
+      ...targetOptions,
+    });
+    // The counter that numbers instances starts again at each green flag.
+    // The top sprite (the last) starts its scripts first, so the top one
+    // that creates instances resets the counter before any is created.
+    const classNames = new Set(split.classes.keys());
+    const counterSprite = [...split.sprites].reverse().find(sprite => createsInstances(sprite.body, classNames));
+    const stage = split.stage !== null
+      ? convertTarget(split.stage, {
+        isStage: true,
+        blockIdPrefix: 'Stage_',
+        resetsInstanceCount: !counterSprite && createsInstances(split.stage, classNames),
+      })
+      : null;
+    const sprites = split.sprites.map(sprite => ({
+      name: sprite.name,
+      ...convertTarget(sprite.body, {
+        blockIdPrefix: multipleTargets ? `${sprite.name}_` : '',
+        resetsInstanceCount: sprite === counterSprite,
+      }),
+    }));
+    const results = stage ? [stage, ...sprites] : sprites;
+
+    const warnings = results.flatMap(result => result.warnings);
+    split.skipped.forEach(member => {
+      warnings.push({
+        message: member.static
+          ? `Classes can't have static methods, so ${member.key.name || 'a method'} was left out`
+          : `Sprite classes can't have getters, setters or computed method names, so ${member.key.name || 'a method'} was left out`,
+        line: member.loc.start.line,
+        column: member.loc.start.column,
+      });
+    });
 
-    // Create variables object for Scratch
-    const variablesObj = {};
-    variables.forEach(varName => {
-      variablesObj[varName] = [varName, 0]; // [name, value]
+    // Variables live on the stage ("for all sprites") when the stage's code
+    // uses them or clones share them with the rest of the program, and in
+    // their sprite ("for this sprite only") otherwise. A program that is one
+    // sprite has no stage code, so there the variables several scripts use
+    // go on the stage, unless a clone sprite has one of the same name.
+    const { shared } = split;
+    const isCloneSprite = sprite => split.classes.has(sprite.name);
+    const spritesWith = new Map(); // variable name -> number of sprites that have it
+    sprites.forEach(sprite => sprite.variables.forEach(name => {
+      spritesWith.set(name, (spritesWith.get(name) || 0) + 1);
+    }));
+    const stageVariables = new Set([...(stage ? stage.variables : []), ...shared.variables]);
+    sprites.filter(sprite => split.stage === null && !isCloneSprite(sprite)).forEach(sprite => {
+      const scripts = findVariableScripts(sprite.blocks);
+      sprite.variables.forEach(name => {
+        if (spritesWith.get(name) === 1 && scripts.has(name) && scripts.get(name).size > 1) {
+          stageVariables.add(name);
+        }
+      });
     });
+    const ownVariables = sprite => sprite.variables.filter(name =>
+      !(isCloneSprite(sprite) ? shared.variables : stageVariables).has(name));
+    const ownLists = sprite => sprite.lists.filter(name => !shared.lists.has(name));
+
+    // Stage lists (the console) are shown in a list monitor
+    const stageLists = [...new Set(results.flatMap(result => result.stageLists))];
+    const allStageLists = [...new Set([...stageLists, ...(stage ? stage.lists : []), ...shared.lists])];
+
+    const stageBlocks = Object.assign({}, stage ? stage.blocks : {}, ...results.map(result => result.stageBlocks));
+
+    // Each variable and list gets an id like the Scratch editor's, which
+    // blocks refer to it by. A name the target doesn't have is the stage's
+    // variable of that name, added if it has none.
+    const generateId = createIdGenerator();
+    const withIds = names => new Map(names.map(name => [name, generateId()]));
+    const stageIds = { variable: withIds([...stageVariables]), list: withIds(allStageLists) };
+    const spriteIds = sprites.map(sprite => ({ variable: withIds(ownVariables(sprite)), list: withIds(ownLists(sprite)) }));
+    const resolveId = ids => (kind, name) => {
+      if (ids && ids[kind].has(name)) return ids[kind].get(name);
+      if (!stageIds[kind].has(name)) stageIds[kind].set(name, generateId());
+      return stageIds[kind].get(name);
+    };
+    setVariableIds(stageBlocks, resolveId(null));
+    sprites.forEach((sprite, index) => setVariableIds(sprite.blocks, resolveId(spriteIds[index])));
+
+    // Variables start with the literal they are declared with, or 0
+    const initialValueOf = (name, targets) => {
+      const target = targets.find(candidate => candidate.initialValues.has(name));
+      return target ? target.initialValues.get(name) : undefined;
+    };
+    const toVariables = (ids, targets) => {
+      const variablesObj = {};
+      ids.forEach((id, name) => {
+        const value = initialValueOf(name, targets);
+        variablesObj[id] = [name, value === undefined || Array.isArray(value) ? 0 : value]; // [name, value]
+      });
+      return variablesObj;
+    };
+    // Lists start with the items of an array literal, or empty
+    const toLists = (ids, targets) => {
+      const listsObj = {};
+      ids.forEach((id, name) => {
+        const items = initialValueOf(name, targets);
+        listsObj[id] = [name, Array.isArray(items) ? items : []]; // [name, items]
+      });
+      return listsObj;
+    };
 
-    // Check if blocks contain canvas text operations (looks_say blocks)
-    // If so, make sprite invisible since canvas doesn't show sprites
-    const hasCanvasText = Object.values(blocks).some(
-      block => block.opcode === 'looks_say'
-    );
+    const monitors = stageLists.map((listName, index) => ({
+      id: stageIds.list.get(listName),
+      mode: 'list',
+      opcode: 'data_listcontents',
+      params: { LIST: listName },
+      spriteName: null,
+      value: [],
+      width: 0,
+      height: 0,
+      x: 5 + index * 150,
+      y: 5,
+      visible: true,
+    }));
+
+    // Broadcast messages are declared on the stage
+    const broadcastsObj = {};
+    results.forEach(result => result.broadcasts.forEach(message => {
+      broadcastsObj[message] = message; // id -> name
+    }));
 
     // Create Scratch 3.0 project structure
     const scratchProject = {
@@ -752,10 +4490,10 @@ function translateToScratch(code) {
         {
           isStage: true,
           name: 'Stage',
-          variables: {},
-          lists: {},
-          broadcasts: {},
-          blocks: {},
+          variables: toVariables(stageIds.variable, results),
+          lists: toLists(stageIds.list, results),
+          broadcasts: broadcastsObj,
+          blocks: stageBlocks,
           comments: {},
           currentCostume: 0,
           costumes: [
@@ -771,13 +4509,13 @@ function translateToScratch(code) {
           sounds: [],
           volume: 100,
         },
-        {
+        ...sprites.map((sprite, index) => ({
           isStage: false,
-          name: 'Sprite1',
-          variables: variablesObj,
-          lists: {},
+          name: sprite.name,
+          variables: toVariables(spriteIds[index].variable, [sprite]),
+          lists: toLists(spriteIds[index].list, [sprite]),
           broadcasts: {},
-          blocks: blocks,
+          blocks: sprite.blocks,
           comments: {},
           currentCostume: 0,
           costumes: [
@@ -793,16 +4531,17 @@ function translateToScratch(code) {
           ],
           sounds: [],
           volume: 100,
-          visible: !hasCanvasText,
+          // The canvas doesn't show sprites, so a sprite that draws text is hidden
+          visible: !sprite.canvasText,
           x: 0,
           y: 0,
           size: 100,
           direction: 90,
           draggable: false,
           rotationStyle: 'all around',
-        },
+        })),
       ],
-      monitors: [],
+      monitors,
       extensions: [],
       meta: {
         semver: '3.0.0',
@@ -814,6 +4553,7 @@ function translateToScratch(code) {
     return {
       success: true,
       project: scratchProject,
+      warnings,
     };
   } catch (error) {
     if (error instanceof UnsupportedFeatureError) {
@@ -828,4 +4568,5 @@ module.exports = {
   translateToScratch,
   UnsupportedFeatureError,
   UNSUPPORTED_FEATURES,
+  SUBSTITUTED_FEATURES,
 };
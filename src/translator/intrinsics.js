@@ -0,0 +1,233 @@
+/**
+ * The scratch.* intrinsics: calls that stand for one Scratch block, e.g.
+ * scratch.move(10) for "move (10) steps" or scratch.mouseX() for "mouse x".
+ *
+ * Each method maps to one or more variants, picked by the number of
+ * arguments (or the first variant when none takes that many, or when a
+ * number is given for a menu). A variant
+ * names the block's opcode and what each argument fills, in order:
+ *   - input: an input of the block. A literal becomes a primitive of the
+ *     given type (number, positive, whole, integer, angle, color or text)
+ *   - menu: an input holding a menu block, which a literal selects; any
+ *     other expression is dropped over the menu
+ *   - field: a field of the block itself, set from a literal
+ * Fixed fields are set the same way for every call. Variants that give a
+ * value say which type; the others are statements.
+ */
+
+const { getScratchKey } = require('./events');
+
+// Primitive type codes of Scratch inputs
+const INPUT_TYPES = {
+  number: 4,
+  positive: 5,
+  whole: 6,
+  integer: 7,
+  angle: 8,
+  color: 9,
+  text: 10,
+};
+
+const input = (name, type) => ({ kind: 'input', name, type });
+
+/**
+ * options maps the names a script uses (e.g. 'edge') to the values Scratch
+ * stores (e.g. '_edge_'); other values are kept as they are
+ */
+const menu = (name, opcode, field, options = {}) => ({ kind: 'menu', name, opcode, field, options });
+const field = (name, options = {}) => ({ kind: 'field', name, options });
+
+const TARGETS = { mouse: '_mouse_', random: '_random_' };
+const EFFECTS = {
+  color: 'COLOR',
+  fisheye: 'FISHEYE',
+  whirl: 'WHIRL',
+  pixelate: 'PIXELATE',
+  mosaic: 'MOSAIC',
+  brightness: 'BRIGHTNESS',
+  ghost: 'GHOST',
+};
+const TIME_UNITS = {
+  year: 'YEAR',
+  month: 'MONTH',
+  date: 'DATE',
+  dayofweek: 'DAYOFWEEK',
+  hour: 'HOUR',
+  minute: 'MINUTE',
+  second: 'SECOND',
+};
+
+const INTRINSICS = {
+  // Motion
+  move: [{ opcode: 'motion_movesteps', args: [input('STEPS', 'number')] }],
+  turnRight: [{ opcode: 'motion_turnright', args: [input('DEGREES', 'number')] }],
+  turnLeft: [{ opcode: 'motion_turnleft', args: [input('DEGREES', 'number')] }],
+  turn: [{ opcode: 'motion_turnright', args: [input('DEGREES', 'number')] }],
+  goTo: [
+    { opcode: 'motion_gotoxy', args: [input('X', 'number'), input('Y', 'number')] },
+    { opcode: 'motion_goto', args: [menu('TO', 'motion_goto_menu', 'TO', TARGETS)] },
+  ],
+  glide: [
+    { opcode: 'motion_glidesecstoxy', args: [input('SECS', 'number'), input('X', 'number'), input('Y', 'number')] },
+    { opcode: 'motion_glideto', args: [input('SECS', 'number'), menu('TO', 'motion_glideto_menu', 'TO', TARGETS)] },
+  ],
+  pointInDirection: [{ opcode: 'motion_pointindirection', args: [input('DIRECTION', 'angle')] }],
+  pointTowards: [{ opcode: 'motion_pointtowards', args: [menu('TOWARDS', 'motion_pointtowards_menu', 'TOWARDS', TARGETS)] }],
+  changeX: [{ opcode: 'motion_changexby', args: [input('DX', 'number')] }],
+  setX: [{ opcode: 'motion_setx', args: [input('X', 'number')] }],
+  changeY: [{ opcode: 'motion_changeyby', args: [input('DY', 'number')] }],
+  setY: [{ opcode: 'motion_sety', args: [input('Y', 'number')] }],
+  bounceOnEdge: [{ opcode: 'motion_ifonedgebounce', args: [] }],
+  setRotationStyle: [{ opcode: 'motion_setrotationstyle', args: [field('STYLE')] }],
+  x: [{ opcode: 'motion_xposition', args: [], returns: 'number' }],
+  y: [{ opcode: 'motion_yposition', args: [], returns: 'number' }],
+  direction: [{ opcode: 'motion_direction', args: [], returns: 'number' }],
+
+  // Looks
+  say: [
+    { opcode: 'looks_say', args: [input('MESSAGE', 'text')] },
+    { opcode: 'looks_sayforsecs', args: [input('MESSAGE', 'text'), input('SECS', 'number')] },
+  ],
+  think: [
+    { opcode: 'looks_think', args: [input('MESSAGE', 'text')] },
+    { opcode: 'looks_thinkforsecs', args: [input('MESSAGE', 'text'), input('SECS', 'number')] },
+  ],
+  switchCostume: [{ opcode: 'looks_switchcostumeto', args: [menu('COSTUME', 'looks_costume', 'COSTUME')] }],
+  nextCostume: [{ opcode: 'looks_nextcostume', args: [] }],
+  switchBackdrop: [{ opcode: 'looks_switchbackdropto', args: [menu('BACKDROP', 'looks_backdrops', 'BACKDROP')] }],
+  nextBackdrop: [{ opcode: 'looks_nextbackdrop', args: [] }],
+  changeSize: [{ opcode: 'looks_changesizeby', args: [input('CHANGE', 'number')] }],
+  setSize: [{ opcode: 'looks_setsizeto', args: [input('SIZE', 'number')] }],
+  changeEffect: [{ opcode: 'looks_changeeffectby', args: [field('EFFECT', EFFECTS), input('CHANGE', 'number')] }],
+  setEffect: [{ opcode: 'looks_seteffectto', args: [field('EFFECT', EFFECTS), input('VALUE', 'number')] }],
+  clearEffects: [{ opcode: 'looks_cleargraphiceffects', args: [] }],
+  show: [{ opcode: 'looks_show', args: [] }],
+  hide: [{ opcode: 'looks_hide', args: [] }],
+  goToFront: [{ opcode: 'looks_gotofrontback', args: [], fields: { FRONT_BACK: 'front' } }],
+  goToBack: [{ opcode: 'looks_gotofrontback', args: [], fields: { FRONT_BACK: 'back' } }],
+  goForwardLayers: [{
+    opcode: 'looks_goforwardbackwardlayers', args: [input('NUM', 'integer')], fields: { FORWARD_BACKWARD: 'forward' },
+  }],
+  goBackwardLayers: [{
+    opcode: 'looks_goforwardbackwardlayers', args: [input('NUM', 'integer')], fields: { FORWARD_BACKWARD: 'backward' },
+  }],
+  costumeNumber: [{ opcode: 'looks_costumenumbername', args: [], fields: { NUMBER_NAME: 'number' }, returns: 'number' }],
+  costumeName: [{ opcode: 'looks_costumenumbername', args: [], fields: { NUMBER_NAME: 'name' }, returns: 'string' }],
+  backdropNumber: [{ opcode: 'looks_backdropnumbername', args: [], fields: { NUMBER_NAME: 'number' }, returns: 'number' }],
+  backdropName: [{ opcode: 'looks_backdropnumbername', args: [], fields: { NUMBER_NAME: 'name' }, returns: 'string' }],
+  size: [{ opcode: 'looks_size', args: [], returns: 'number' }],
+
+  // Sound
+  playSound: [{ opcode: 'sound_play', args: [menu('SOUND_MENU', 'sound_sounds_menu', 'SOUND_MENU')] }],
+  playSoundUntilDone: [{ opcode: 'sound_playuntildone', args: [menu('SOUND_MENU', 'sound_sounds_menu', 'SOUND_MENU')] }],
+  stopAllSounds: [{ opcode: 'sound_stopallsounds', args: [] }],
+  changeVolume: [{ opcode: 'sound_changevolumeby', args: [input('VOLUME', 'number')] }],
+  setVolume: [{ opcode: 'sound_setvolumeto', args: [input('VOLUME', 'number')] }],
+  volume: [{ opcode: 'sound_volume', args: [], returns: 'number' }],
+
+  // Sensing
+  touching: [{
+    opcode: 'sensing_touchingobject',
+    args: [menu('TOUCHINGOBJECTMENU', 'sensing_touchingobjectmenu', 'TOUCHINGOBJECTMENU', { mouse: '_mouse_', edge: '_edge_' })],
+    returns: 'boolean',
+  }],
+  touchingColor: [{ opcode: 'sensing_touchingcolor', args: [input('COLOR', 'color')], returns: 'boolean' }],
+  distanceTo: [{
+    opcode: 'sensing_distanceto',
+    args: [menu('DISTANCETOMENU', 'sensing_distancetomenu', 'DISTANCETOMENU', { mouse: '_mouse_' })],
+    returns: 'number',
+  }],
+  keyPressed: [{
+    opcode: 'sensing_keypressed',
+    args: [menu('KEY_OPTION', 'sensing_keyoptions', 'KEY_OPTION', { any: 'any' })],
+    returns: 'boolean',
+  }],
+  mouseDown: [{ opcode: 'sensing_mousedown', args: [], returns: 'boolean' }],
+  mouseX: [{ opcode: 'sensing_mousex', args: [], returns: 'number' }],
+  mouseY: [{ opcode: 'sensing_mousey', args: [], returns: 'number' }],
+  ask: [{ opcode: 'sensing_askandwait', args: [input('QUESTION', 'text')] }],
+  answer: [{ opcode: 'sensing_answer', args: [], returns: 'string' }],
+  timer: [{ opcode: 'sensing_timer', args: [], returns: 'number' }],
+  resetTimer: [{ opcode: 'sensing_resettimer', args: [] }],
+  loudness: [{ opcode: 'sensing_loudness', args: [], returns: 'number' }],
+  current: [{ opcode: 'sensing_current', args: [field('CURRENTMENU', TIME_UNITS)], returns: 'number' }],
+  daysSince2000: [{ opcode: 'sensing_dayssince2000', args: [], returns: 'number' }],
+  username: [{ opcode: 'sensing_username', args: [], returns: 'string' }],
+
+  // Control
+  createClone: [{
+    opcode: 'control_create_clone_of',
+    args: [menu('CLONE_OPTION', 'control_create_clone_of_menu', 'CLONE_OPTION', { myself: '_myself_' })],
+  }],
+  deleteClone: [{ opcode: 'control_delete_this_clone', args: [] }],
+};
+
+// Bare functions that stand for an intrinsic; scratch_say comes from canvas fillText
+const ALIASES = {
+  scratch_say: 'say',
+};
+
+/**
+ * The intrinsic a call uses: scratch.name(...) or one of the bare aliases
+ * @returns {{name: string, variant: Object}|null} - variant is the one that
+ *   takes the call's arguments; null for calls that aren't intrinsics
+ *   (name is set and variant null for unknown scratch.* methods)
+ */
+function getIntrinsic(call) {
+  if (call.type !== 'CallExpression') return null;
+  const callee = call.callee;
+  let name = null;
+  if (callee.type === 'Identifier' && ALIASES[callee.name]) {
+    name = ALIASES[callee.name];
+  } else if (callee.type === 'MemberExpression' && !callee.computed &&
+      callee.object.type === 'Identifier' && callee.object.name === 'scratch') {
+    name = callee.property.name;
+  } else {
+    return null;
+  }
+  const variants = Object.prototype.hasOwnProperty.call(INTRINSICS, name) ? INTRINSICS[name] : null;
+  if (!variants) return { name, variant: null };
+  // A number can't name a target or costume, so when a method has several
+  // variants it picks one with inputs, e.g. goTo(1) is goTo(x, y) missing y
+  const takes = candidate => candidate.args.length === call.arguments.length &&
+    (variants.length === 1 || candidate.args.every((arg, index) => arg.kind !== 'menu' ||
+      call.arguments[index].type !== 'Literal' || typeof call.arguments[index].value !== 'number'));
+  const variant = variants.find(takes) || variants[0];
+  return { name, variant };
+}
+
+/**
+ * The value Scratch stores for an option a script names, e.g. 'edge' for
+ * touching is '_edge_' and 'ArrowUp' for keyPressed is 'up arrow'
+ */
+function getOptionValue(arg, value) {
+  const text = String(value);
+  if (Object.prototype.hasOwnProperty.call(arg.options, text)) return arg.options[text];
+  if (Object.prototype.hasOwnProperty.call(arg.options, text.toLowerCase())) return arg.options[text.toLowerCase()];
+  if (arg.name === 'KEY_OPTION') return getScratchKey('key', value) || text;
+  return text;
+}
+
+// Blocks that only sprites have: the stage can't move or talk, and has
+// backdrops rather than costumes
+const SPRITE_ONLY = [
+  /^motion_/,
+  /^looks_(say|think|switchcostumeto|nextcostume|costumenumbername|changesizeby|setsizeto|size|show|hide|go)/,
+  /^sensing_(touching|distanceto)/,
+  /^control_delete_this_clone$/,
+];
+
+/**
+ * Whether the block of an intrinsic can go in the stage's scripts
+ */
+function worksOnStage(variant) {
+  return !SPRITE_ONLY.some(pattern => pattern.test(variant.opcode));
+}
+
+module.exports = {
+  INTRINSICS,
+  INPUT_TYPES,
+  getIntrinsic,
+  getOptionValue,
+  worksOnStage,
+};
@@ -0,0 +1,273 @@
+/**
+ * Scope analysis for the acorn AST.
+ *
+ * All variables of a Scratch sprite share one namespace, while JavaScript
+ * bindings live in block scopes (let, const, class), function scopes (var,
+ * function declarations) and parameter lists. This pass resolves every
+ * identifier to its binding and renames bindings whose names collide
+ * (x, x_2, x_3, ...), so that every JS binding maps to exactly one Scratch
+ * name. The AST is renamed in place, so later passes can keep working with
+ * plain names.
+ */
+
+function isFunctionNode(node) {
+  return node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression';
+}
+
+// Nodes other than functions that open a block scope
+const BLOCK_SCOPE_NODES = [
+  'BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'SwitchStatement', 'CatchClause',
+];
+
+/**
+ * Identifiers declared by a binding pattern, e.g. a, b and c in [a, { b, c = 1 }]
+ */
+function getPatternIdentifiers(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern];
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(getPatternIdentifiers);
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        getPatternIdentifiers(property.type === 'RestElement' ? property : property.value));
+    case 'RestElement':
+      return getPatternIdentifiers(pattern.argument);
+    case 'AssignmentPattern':
+      return getPatternIdentifiers(pattern.left);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check whether an identifier names a binding, as opposed to a property
+ * name or a label
+ */
+function isReference(parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+      return key !== 'property' || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+      return key !== 'key' || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return key !== 'label';
+    case 'MetaProperty':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether an identifier is written to, e.g. x in x = 1, x++ or [x] = list
+ */
+function isAssignmentTarget(parent, key, patternProperties) {
+  if (!parent) return false;
+  switch (parent.type) {
+    case 'AssignmentExpression':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return key === 'left';
+    case 'UpdateExpression':
+      return true;
+    case 'ArrayPattern':
+    case 'RestElement':
+      return true;
+    case 'AssignmentPattern':
+      return key === 'left';
+    case 'Property':
+      return key === 'value' && patternProperties.has(parent);
+    default:
+      return false;
+  }
+}
+
+function createScope(kind, parent) {
+  const scope = { kind, parent, bindings: new Map(), children: [] };
+  if (parent) parent.children.push(scope);
+  return scope;
+}
+
+function getFunctionScope(scope) {
+  let current = scope;
+  while (current.kind !== 'function') {
+    current = current.parent;
+  }
+  return current;
+}
+
+function lookup(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.bindings.has(name)) {
+      return current.bindings.get(name);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the bindings of a program and give each a unique Scratch name
+ * @param {Object} ast - Program node from acorn; its identifiers are renamed in place
+ * @returns {Array<{name: string, scratchName: string, kind: string}>} - Every
+ *   binding, in the order names were given out
+ */
+function analyzeScopes(ast) {
+  const programScope = createScope('function', null);
+  const scopes = new Map(); // Scope-opening node -> its scope
+  const patternProperties = new Set(); // Properties of object patterns
+
+  function getScope(node, parentScope, kind) {
+    if (!scopes.has(node)) {
+      scopes.set(node, createScope(kind, parentScope));
+    }
+    return scopes.get(node);
+  }
+
+  function declare(scope, identifier, kind) {
+    if (!scope.bindings.has(identifier.name)) {
+      scope.bindings.set(identifier.name, { name: identifier.name, scratchName: identifier.name, kind });
+    }
+  }
+
+  /**
+   * Walk the tree keeping track of the current scope. onNode sees every
+   * node with the scope it appears in; onIdentifier sees every identifier
+   * with its parent and the key it is found under.
+   */
+  function walk(node, scope, parent, key, visitor) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'Identifier') {
+      visitor.onIdentifier(node, scope, parent, key);
+      return;
+    }
+    if (visitor.onNode) {
+      visitor.onNode(node, scope);
+    }
+
+    if (isFunctionNode(node)) {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        walk(node.id, scope, node, 'id', visitor);
+      }
+      const functionScope = getScope(node, scope, 'function');
+      if (visitor.onFunction) {
+        visitor.onFunction(node, functionScope);
+      }
+      if (node.type === 'FunctionExpression' && node.id) {
+        walk(node.id, functionScope, node, 'id', visitor);
+      }
+      node.params.forEach(param => walk(param, functionScope, node, 'params', visitor));
+      if (node.body.type === 'BlockStatement') {
+        // The body shares the scope of the parameters
+        node.body.body.forEach(statement => walk(statement, functionScope, node.body, 'body', visitor));
+      } else {
+        walk(node.body, functionScope, node, 'body', visitor);
+      }
+      return;
+    }
+
+    const innerScope = BLOCK_SCOPE_NODES.includes(node.type) ? getScope(node, scope, 'block') : scope;
+    for (const childKey in node) {
+      if (childKey === 'loc' || childKey === 'range') continue;
+      const child = node[childKey];
+      if (Array.isArray(child)) {
+        child.forEach(item => walk(item, innerScope, node, childKey, visitor));
+      } else if (child && typeof child === 'object' && child.type) {
+        walk(child, innerScope, node, childKey, visitor);
+      }
+    }
+  }
+
+  // First pass: declarations, with var and functions hoisted to their function scope
+  walk(ast, programScope, null, null, {
+    onNode(node, scope) {
+      if (node.type === 'VariableDeclaration') {
+        const targetScope = node.kind === 'var' ? getFunctionScope(scope) : scope;
+        node.declarations.forEach(declarator => {
+          getPatternIdentifiers(declarator.id).forEach(id => declare(targetScope, id, node.kind));
+        });
+      }
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        declare(getFunctionScope(scope), node.id, 'function');
+      }
+      if (node.type === 'ClassDeclaration' && node.id) {
+        declare(scope, node.id, 'class');
+      }
+      if (node.type === 'ObjectPattern') {
+        node.properties.forEach(property => patternProperties.add(property));
+      }
+    },
+    onFunction(node, functionScope) {
+      node.params.forEach(param => {
+        getPatternIdentifiers(param).forEach(id => declare(functionScope, id, 'param'));
+      });
+      if (node.type === 'FunctionExpression' && node.id) {
+        declare(functionScope, node.id, 'function');
+      }
+    },
+    onIdentifier() {},
+  });
+  scopes.forEach((scope, node) => {
+    if (node.type === 'CatchClause' && node.param) {
+      getPatternIdentifiers(node.param).forEach(id => declare(scope, id, 'let'));
+    }
+  });
+
+  // Second pass: find the binding of every reference
+  const references = [];
+  walk(ast, programScope, null, null, {
+    onIdentifier(node, scope, parent, key) {
+      if (isReference(parent, key)) {
+        references.push({ node, scope, isTarget: isAssignmentTarget(parent, key, patternProperties) });
+      }
+    },
+  });
+
+  // Assigning to an undeclared name creates a global
+  references.forEach(({ node, scope, isTarget }) => {
+    if (isTarget && !lookup(scope, node.name)) {
+      declare(programScope, node, 'implicit');
+    }
+  });
+
+  // Give out names outer scopes first, so globals keep their own names
+  const allBindings = [];
+  const collectBindings = scope => {
+    allBindings.push(...scope.bindings.values());
+    scope.children.forEach(collectBindings);
+  };
+  collectBindings(programScope);
+
+  const reservedNames = new Set(allBindings.map(binding => binding.name));
+  const usedNames = new Set();
+  allBindings.forEach(binding => {
+    // Suffixed names must not take the name of another binding either
+    let scratchName = binding.name;
+    let suffix = 2;
+    while (usedNames.has(scratchName) || (scratchName !== binding.name && reservedNames.has(scratchName))) {
+      scratchName = `${binding.name}_${suffix++}`;
+    }
+    usedNames.add(scratchName);
+    binding.scratchName = scratchName;
+  });
+
+  references.forEach(({ node, scope }) => {
+    const binding = lookup(scope, node.name);
+    if (binding) {
+      node.name = binding.scratchName;
+    }
+  });
+
+  return allBindings.map(({ name, scratchName, kind }) => ({ name, scratchName, kind }));
+}
+
+module.exports = {
+  analyzeScopes,
+};
@@ -0,0 +1,490 @@
+/**
+ * Multiple sprites.
+ *
+ * A program is one sprite unless it says where sprites start: a
+ * `// @sprite Name` comment starts a sprite's code, which runs to the next
+ * marker (`// @stage` goes back to the stage), and each exported class is a
+ * sprite of its own. The rest of the program runs on the stage.
+ *
+ * An exported class becomes the code of its sprite: the constructor's
+ * statements run when the flag is clicked, methods are functions, and
+ * this.name refers to the sprite's variable or function of that name.
+ *
+ * Any other class is a sprite whose clones are its instances. new C(...)
+ * creates a clone, which runs the constructor with the arguments the
+ * creator left in hidden variables; fields are the sprite's own variables,
+ * so each clone has its own. Calls of methods on an instance are broadcasts
+ * that only the clone with the instance's id answers.
+ */
+
+const acorn = require('acorn');
+const { analyzeScopes } = require('./scopeAnalyzer');
+
+const DIRECTIVE = /^\s*@(sprite|stage)\b\s*(.*?)\s*$/;
+
+// Hidden variables of instances; their names have spaces, so they can't
+// clash with the program's own
+const INSTANCE_COUNT = 'instance count';
+const INSTANCE_ID = 'instance id';
+
+/**
+ * Names of the hidden variables and broadcasts that stand for the
+ * instances of a class: the class's name and then the member's, or the
+ * operator and then the class's name for new and delete, which no method
+ * can be named
+ */
+function getCloneNames(className) {
+  return {
+    target: `${className} target`,
+    constructed: `${className} constructed`,
+    deleteMessage: `delete ${className}`,
+    argument: param => `new ${className} ${param}`,
+    message: method => `${className} ${method}`,
+    methodArgument: (method, param) => `${className} ${method} ${param}`,
+  };
+}
+
+const identifier = name => ({ type: 'Identifier', name });
+const literal = value => ({ type: 'Literal', value, raw: JSON.stringify(value) });
+const statement = expression => ({ type: 'ExpressionStatement', expression });
+const assign = (name, value) => statement({ type: 'AssignmentExpression', operator: '=', left: identifier(name), right: value });
+const block = body => ({ type: 'BlockStatement', body });
+const arrow = body => ({
+  type: 'ArrowFunctionExpression', id: null, params: [], body: block(body), expression: false, generator: false, async: false,
+});
+const scratchCall = (method, args = []) => statement({
+  type: 'CallExpression',
+  callee: { type: 'MemberExpression', object: identifier('scratch'), property: identifier(method), computed: false, optional: false },
+  arguments: args,
+  optional: false,
+});
+
+/**
+ * Copy of node with this.name replaced by name, and this itself by the
+ * variable self when one is given. Functions declared with function have a
+ * this of their own, so they are kept as they are.
+ */
+function replaceThis(node, self = null) {
+  if (Array.isArray(node)) return node.map(item => replaceThis(item, self));
+  if (!node || typeof node !== 'object' || !node.type) return node;
+  if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') return node;
+  if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression' && !node.computed) {
+    return { ...node.property, start: node.start, end: node.end, loc: node.loc };
+  }
+  if (node.type === 'ThisExpression' && self) {
+    return { type: 'Identifier', name: self, start: node.start, end: node.end, loc: node.loc };
+  }
+  const copy = {};
+  for (const key in node) {
+    copy[key] = key === 'loc' ? node.loc : replaceThis(node[key], self);
+  }
+  return copy;
+}
+
+/**
+ * Visit each identifier that refers to a name (not property names)
+ */
+function walkIdentifiers(node, visit) {
+  if (Array.isArray(node)) return node.forEach(item => walkIdentifiers(item, visit));
+  if (!node || typeof node !== 'object' || !node.type) return;
+  if (node.type === 'Identifier') return visit(node);
+  for (const key in node) {
+    if (key === 'loc') continue;
+    if (key === 'property' && node.type === 'MemberExpression' && !node.computed) continue;
+    if (key === 'key' && (node.type === 'Property' || node.type === 'MethodDefinition') && !node.computed) continue;
+    walkIdentifiers(node[key], visit);
+  }
+}
+
+/**
+ * Copy of node with the identifiers in names (a Map of old to new name)
+ * renamed
+ */
+function renameIdentifiers(node, names) {
+  if (Array.isArray(node)) return node.map(item => renameIdentifiers(item, names));
+  if (!node || typeof node !== 'object' || !node.type) return node;
+  if (node.type === 'Identifier') return names.has(node.name) ? { ...node, name: names.get(node.name) } : node;
+  const copy = { ...node };
+  for (const key in node) {
+    if (key === 'loc') continue;
+    if (key === 'property' && node.type === 'MemberExpression' && !node.computed) continue;
+    if (key === 'key' && node.type === 'Property' && !node.computed) continue;
+    copy[key] = renameIdentifiers(node[key], names);
+  }
+  // {x} is short for {x: x}; only the value is renamed
+  if (node.type === 'Property' && node.shorthand && copy.value !== node.value) copy.shorthand = false;
+  return copy;
+}
+
+const getParam = param => (param.type === 'AssignmentPattern'
+  ? { name: param.left.name, defaultValue: param.right }
+  : { name: param.name, defaultValue: null });
+
+/**
+ * The statements a sprite class stands for
+ * @returns {{body: Object[], skipped: Object[]}} - skipped holds the
+ *   getters and setters, which have no Scratch counterpart
+ */
+function lowerSpriteClass(classNode) {
+  const body = [];
+  const skipped = [];
+  classNode.body.body.forEach(member => {
+    if (member.type !== 'MethodDefinition') return;
+    const method = { ...member.value, body: replaceThis(member.value.body) };
+    if (member.kind === 'constructor') {
+      body.push(...method.body.body);
+    } else if (member.kind === 'method' && !member.computed) {
+      body.push({
+        ...method,
+        type: 'FunctionDeclaration',
+        id: member.key,
+        start: member.start,
+        end: member.end,
+        loc: member.loc,
+      });
+    } else {
+      skipped.push(member);
+    }
+  });
+  return { body, skipped };
+}
+
+/**
+ * The sprite a class stands for when its instances are clones
+ * @returns {{body: Object[], skipped: Object[], info: Object}} - info
+ *   describes the class to the code that creates instances: its name,
+ *   the constructor's params, each method's params and the fields
+ */
+function lowerCloneClass(classNode) {
+  const className = classNode.id.name;
+  const names = getCloneNames(className);
+  const skipped = [];
+  const methods = new Map(); // name -> params
+  const fields = new Set();
+  const functions = [];
+  let constructor = null;
+
+  classNode.body.body.forEach(member => {
+    if (member.type !== 'MethodDefinition') return;
+    if (member.kind === 'constructor') {
+      constructor = member.value;
+    } else if (member.kind === 'method' && !member.computed && !member.static) {
+      methods.set(member.key.name, member.value.params.map(getParam));
+      functions.push(member);
+    } else {
+      skipped.push(member);
+    }
+  });
+  (function findFields(node) {
+    if (Array.isArray(node)) return node.forEach(findFields);
+    if (!node || typeof node !== 'object' || !node.type) return;
+    if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression' && !node.computed &&
+        !methods.has(node.property.name)) {
+      fields.add(node.property.name);
+    }
+    for (const key in node) {
+      if (key !== 'loc') findFields(node[key]);
+    }
+  })(classNode.body);
+
+  // The constructor's params are read from the variables the creator set
+  const params = constructor ? constructor.params.map(getParam) : [];
+  const constructorBody = constructor
+    ? replaceThis(renameIdentifiers(constructor.body, new Map(params.map(param => [param.name, names.argument(param.name)]))), INSTANCE_ID).body
+    : [];
+
+  const ifTarget = consequent => ({
+    type: 'IfStatement',
+    test: { type: 'BinaryExpression', operator: '===', left: identifier(INSTANCE_ID), right: identifier(names.target) },
+    consequent: block([consequent]),
+    alternate: null,
+  });
+  const listen = (message, body) => scratchCall('on', [literal(message), arrow(body)]);
+
+  const body = [
+    // The sprite itself isn't an instance, only its clones are
+    scratchCall('hide'),
+    scratchCall('onCloneStart', [arrow([
+      assign(INSTANCE_ID, identifier(INSTANCE_COUNT)),
+      scratchCall('show'),
+      ...constructorBody,
+      assign(names.constructed, literal(1)),
+    ])]),
+  ];
+  functions.forEach(member => {
+    const method = member.key.name;
+    body.push({
+      ...member.value,
+      type: 'FunctionDeclaration',
+      id: member.key,
+      body: replaceThis(member.value.body, INSTANCE_ID),
+      start: member.start,
+      end: member.end,
+      loc: member.loc,
+    });
+    const args = methods.get(method).map(param => identifier(names.methodArgument(method, param.name)));
+    body.push(listen(names.message(method), [ifTarget(statement({
+      type: 'CallExpression', callee: identifier(method), arguments: args, optional: false,
+    }))]));
+  });
+  body.push(listen(names.deleteMessage, [ifTarget(scratchCall('deleteClone'))]));
+
+  return { body, skipped, info: { name: className, params, methods, fields } };
+}
+
+/**
+ * Lists that hold instances: those that instances are pushed (or unshifted)
+ * onto, or that start as an array of new instances
+ * @returns {Map<string, Set<string>>} - list name -> names of the classes
+ */
+function findInstanceLists(ast, classNames) {
+  const lists = new Map();
+  const add = (listName, expr) => {
+    if (!expr || expr.type !== 'NewExpression' || expr.callee.type !== 'Identifier' || !classNames.has(expr.callee.name)) return;
+    if (!lists.has(listName)) lists.set(listName, new Set());
+    lists.get(listName).add(expr.callee.name);
+  };
+  (function walk(node) {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== 'object' || !node.type) return;
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+        node.callee.object.type === 'Identifier' && ['push', 'unshift'].includes(node.callee.property.name)) {
+      node.arguments.forEach(arg => add(node.callee.object.name, arg));
+    }
+    const initialized = node.type === 'VariableDeclarator' && node.id.type === 'Identifier' ? [node.id.name, node.init]
+      : node.type === 'AssignmentExpression' && node.left.type === 'Identifier' ? [node.left.name, node.right]
+        : null;
+    if (initialized && initialized[1] && initialized[1].type === 'ArrayExpression') {
+      initialized[1].elements.forEach(element => add(initialized[0], element));
+    }
+    for (const key in node) {
+      if (key !== 'loc') walk(node[key]);
+    }
+  })(ast);
+  return lists;
+}
+
+/**
+ * Check whether statements create instances of the classes (new C(...))
+ */
+function createsInstances(statements, classNames) {
+  let found = false;
+  (function walk(node) {
+    if (found || !node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && classNames.has(node.callee.name)) {
+      found = true;
+      return;
+    }
+    for (const key in node) {
+      if (key !== 'loc') walk(node[key]);
+    }
+  })(statements);
+  return found;
+}
+
+/**
+ * Variables and lists that the clones share with the rest of the program,
+ * so they go on the stage: the hidden ones instances are handled with, and
+ * top-level variables of the program that class code uses
+ */
+function findSharedNames(classes, programStatements, instanceLists) {
+  const topLevel = new Map(); // name -> whether it starts as an array
+  programStatements.forEach(statement => {
+    if (statement.type !== 'VariableDeclaration') return;
+    statement.declarations.forEach(declarator => {
+      if (declarator.id.type === 'Identifier') {
+        topLevel.set(declarator.id.name, Boolean(declarator.init && declarator.init.type === 'ArrayExpression'));
+      }
+    });
+  });
+
+  const variables = new Set([INSTANCE_COUNT]);
+  const lists = new Set();
+  classes.forEach(({ body, info }) => {
+    const names = getCloneNames(info.name);
+    variables.add(names.target);
+    variables.add(names.constructed);
+    info.params.forEach(param => variables.add(names.argument(param.name)));
+    info.methods.forEach((params, method) => params.forEach(param => variables.add(names.methodArgument(method, param.name))));
+    walkIdentifiers(body, id => {
+      if (!topLevel.has(id.name) || info.fields.has(id.name)) return;
+      if (topLevel.get(id.name) || instanceLists.has(id.name)) {
+        lists.add(id.name);
+      } else {
+        variables.add(id.name);
+      }
+    });
+  });
+  return { variables, lists };
+}
+
+/**
+ * Parse code whose @sprite and @stage sections each have their own
+ * top-level scope, as the files of a zip archive do: two sections can
+ * declare the same name. Each section is parsed on its own, with the rest
+ * of the code blanked out so that positions stay those in the whole code.
+ * Markers inside functions or blocks don't start sections.
+ * @param {string} code - Source code
+ * @param {Object} parseOptions - Options for acorn
+ * @returns {{ast: Object, comments: Array<Object>}} - A Program with the
+ *   statements of every section, and the comments between statements
+ */
+function parseSections(code, parseOptions) {
+  const comments = [];
+  const starts = [0];
+  let depth = 0;
+  const tokens = acorn.tokenizer(code, {
+    ...parseOptions,
+    onComment: (isBlock, value, start, end) => {
+      if (depth > 0) return;
+      comments.push({ type: isBlock ? 'Block' : 'Line', value, start, end });
+      if (!isBlock && DIRECTIVE.test(value)) starts.push(start);
+    },
+  });
+  for (const token of tokens) {
+    if (['{', '${', '(', '['].includes(token.type.label)) depth++;
+    if (['}', ')', ']'].includes(token.type.label)) depth--;
+  }
+
+  const blank = text => text.replace(/[^\n\r\u2028\u2029]/g, ' ');
+  const sections = starts.map((start, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1] : code.length;
+    return acorn.parse(blank(code.slice(0, start)) + code.slice(start, end) + blank(code.slice(end)), parseOptions);
+  });
+  return { ast: { ...sections[0], body: sections.flatMap(section => section.body) }, comments };
+}
+
+/**
+ * Rename the names a section of a target declares again after an earlier
+ * section of the same target (x_2, ...), so each section keeps its own
+ * top-level names. The scope pass sees every later section as a function
+ * of its own, which can still use the names of the first one.
+ * @param {Array<Array<Object>>} sections - Statements of each section, in order; renamed in place
+ */
+function separateSectionNames(sections) {
+  if (sections.length < 2) return;
+  const [first, ...rest] = sections;
+  analyzeScopes({
+    type: 'Program',
+    body: [...first, ...rest.map(body => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'FunctionExpression', id: null, params: [], body: { type: 'BlockStatement', body } },
+    }))],
+  });
+}
+
+/**
+ * The class an export statement exports, or null
+ */
+function getExportedClass(statement) {
+  if (statement.type !== 'ExportNamedDeclaration' && statement.type !== 'ExportDefaultDeclaration') return null;
+  const declaration = statement.declaration;
+  return declaration && declaration.type === 'ClassDeclaration' && declaration.id ? declaration : null;
+}
+
+/**
+ * The declaration an export statement wraps (export function f() {}),
+ * or null for exports of names, which have nothing to run
+ */
+function unwrapExport(statement) {
+  if (statement.type !== 'ExportNamedDeclaration' && statement.type !== 'ExportDefaultDeclaration') return statement;
+  const declaration = statement.declaration;
+  if (!declaration) return null;
+  if (statement.type === 'ExportDefaultDeclaration' && !/Declaration$/.test(declaration.type)) {
+    return { type: 'ExpressionStatement', expression: declaration, start: statement.start, end: statement.end, loc: statement.loc };
+  }
+  return declaration;
+}
+
+/**
+ * Split a program into the code of the stage and of each sprite
+ * @param {Object} ast - Program node
+ * @param {Array<Object>} comments - Comments acorn collected with onComment
+ * @returns {{stage: Object[]|null, sprites: Array<{name: string, body: Object[]}>,
+ *   skipped: Object[], classes: Map<string, Object>, instanceLists: Map<string, Set<string>>,
+ *   shared: {variables: Set<string>, lists: Set<string>}}} - stage is null
+ *   when the program's own code is one sprite, Sprite1; skipped holds the
+ *   class members that were left out; classes describes the classes whose
+ *   instances are clones, and shared the names those clones share
+ */
+function splitSprites(ast, comments) {
+  const directives = comments
+    .filter(comment => comment.type === 'Line' && DIRECTIVE.test(comment.value))
+    .map(comment => {
+      const [, kind, name] = DIRECTIVE.exec(comment.value);
+      return { start: comment.start, name: kind === 'sprite' && name ? name : null };
+    });
+  const single = directives.length === 0 && !ast.body.some(getExportedClass);
+
+  const stage = [];
+  const sprites = new Map(); // name -> statements, in the order sprites appear
+  const skipped = [];
+  const cloneClasses = [];
+  const spriteBody = name => {
+    if (!sprites.has(name)) sprites.set(name, []);
+    return sprites.get(name);
+  };
+  const sections = new Map(); // Body of a target -> section -> its statements
+  const addToSection = (body, section, statements) => {
+    body.push(...statements);
+    if (!sections.has(body)) sections.set(body, new Map());
+    const bySection = sections.get(body);
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push(...statements);
+  };
+
+  ast.body.forEach(statement => {
+    const exportedClass = getExportedClass(statement);
+    if (exportedClass) {
+      const lowered = lowerSpriteClass(exportedClass);
+      addToSection(spriteBody(exportedClass.id.name), statement, lowered.body);
+      skipped.push(...lowered.skipped);
+      return;
+    }
+    // Imports name code that is translated along with the rest
+    if (statement.type === 'ImportDeclaration') return;
+    const unwrapped = unwrapExport(statement);
+    if (!unwrapped) return;
+    if (unwrapped.type === 'ClassDeclaration') {
+      const lowered = lowerCloneClass(unwrapped);
+      cloneClasses.push(lowered);
+      skipped.push(...lowered.skipped);
+      return;
+    }
+    const directive = directives.filter(entry => entry.start < statement.start).pop();
+    if (single) {
+      spriteBody('Sprite1').push(unwrapped);
+    } else {
+      addToSection(directive && directive.name ? spriteBody(directive.name) : stage, directive || null, [unwrapped]);
+    }
+  });
+  sections.forEach(bySection => separateSectionNames([...bySection.values()]));
+
+  const programStatements = [...stage, ...[...sprites.values()].flat()];
+  const classes = new Map(cloneClasses.map(({ info }) => [info.name, info]));
+  const instanceLists = findInstanceLists(ast, new Set(classes.keys()));
+  const shared = cloneClasses.length > 0
+    ? findSharedNames(cloneClasses, programStatements, instanceLists)
+    : { variables: new Set(), lists: new Set() };
+  const ownSprites = single ? [{ name: 'Sprite1', body: spriteBody('Sprite1') }] : [...sprites].map(([name, body]) => ({ name, body }));
+
+  return {
+    stage: single ? null : stage,
+    sprites: [...ownSprites, ...cloneClasses.map(({ body, info }) => ({ name: info.name, body }))],
+    skipped,
+    classes,
+    instanceLists,
+    shared,
+  };
+}
+
+module.exports = {
+  INSTANCE_COUNT,
+  getCloneNames,
+  createsInstances,
+  parseSections,
+  splitSprites,
+  lowerSpriteClass,
+  lowerCloneClass,
+};
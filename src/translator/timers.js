@@ -0,0 +1,130 @@
+/**
+ * Timers and delays.
+ *
+ * A JS game runs its frame function from setInterval or by scheduling it
+ * again with requestAnimationFrame at each frame. Scratch has no timers,
+ * but a script of its own with a forever loop runs once per frame while
+ * the rest of the project carries on. Delays (setTimeout, or awaiting a
+ * promise that setTimeout resolves) become wait blocks.
+ */
+
+const TIMER_FUNCTIONS = [
+  'setInterval',
+  'clearInterval',
+  'setTimeout',
+  'clearTimeout',
+  'requestAnimationFrame',
+];
+
+/**
+ * Name of the timer function a call uses (setInterval(...) or
+ * window.setInterval(...)), or null for other calls
+ */
+function getTimerFunction(call) {
+  if (call.type !== 'CallExpression') return null;
+  const callee = call.callee;
+  if (callee.type === 'Identifier') {
+    return TIMER_FUNCTIONS.includes(callee.name) ? callee.name : null;
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed &&
+      callee.object.type === 'Identifier' && callee.object.name === 'window' &&
+      TIMER_FUNCTIONS.includes(callee.property.name)) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+function isFunction(node) {
+  return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+}
+
+/**
+ * The expression a function body consists of: an expression body, or a
+ * block with a single expression statement
+ */
+function getOnlyExpression(body) {
+  if (body.type !== 'BlockStatement') return body;
+  return body.body.length === 1 && body.body[0].type === 'ExpressionStatement' ? body.body[0].expression : null;
+}
+
+/**
+ * The delay of new Promise(resolve => setTimeout(resolve, ms)), or null for
+ * other expressions. The timeout may also call resolve from a function of
+ * its own, as in setTimeout(() => resolve(), ms).
+ */
+function getPromiseDelay(expr) {
+  if (expr.type !== 'NewExpression' || expr.callee.type !== 'Identifier' || expr.callee.name !== 'Promise') {
+    return null;
+  }
+  const [executor] = expr.arguments;
+  if (!executor || !isFunction(executor) || !executor.params[0] || executor.params[0].type !== 'Identifier') {
+    return null;
+  }
+  const resolve = executor.params[0].name;
+  const timeout = getOnlyExpression(executor.body);
+  if (!timeout || getTimerFunction(timeout) !== 'setTimeout' || timeout.arguments.length === 0) return null;
+
+  const [callback, delay = { type: 'Literal', value: 0 }] = timeout.arguments;
+  const isResolve = node => node.type === 'Identifier' && node.name === resolve;
+  const call = isFunction(callback) ? getOnlyExpression(callback.body) : null;
+  const resolves = isResolve(callback) || (call !== null && call.type === 'CallExpression' && isResolve(call.callee));
+  return resolves ? delay : null;
+}
+
+function isScheduling(node, funcName) {
+  return getTimerFunction(node) === 'requestAnimationFrame' && node.arguments.length > 0 &&
+    node.arguments[0].type === 'Identifier' && node.arguments[0].name === funcName;
+}
+
+/**
+ * Visit the nodes of a function body, without entering nested functions
+ */
+function walkBody(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+      node.type === 'ArrowFunctionExpression') {
+    return;
+  }
+  visit(node);
+  for (const key in node) {
+    if (key === 'loc' || key === 'range') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkBody(item, visit));
+    } else if (child && typeof child === 'object' && child.type) {
+      walkBody(child, visit);
+    }
+  }
+}
+
+/**
+ * Functions that schedule themselves with requestAnimationFrame(name)
+ * @param {Array<{name: string, body: Object}>} functions - Function definitions
+ * @returns {Map<string, {always: boolean}>} - always is true when the
+ *   function schedules itself as its last statement, and can't return
+ *   before it, so the loop never stops
+ */
+function findAnimationLoops(functions) {
+  const loops = new Map();
+  functions.forEach(({ name, body }) => {
+    if (body.type !== 'BlockStatement') return;
+    let schedules = 0;
+    let returns = false;
+    body.body.forEach(statement => walkBody(statement, node => {
+      if (isScheduling(node, name)) schedules++;
+      if (node.type === 'ReturnStatement') returns = true;
+    }));
+    if (schedules === 0) return;
+    const last = body.body[body.body.length - 1];
+    const always = schedules === 1 && !returns &&
+      last.type === 'ExpressionStatement' && isScheduling(last.expression, name);
+    loops.set(name, { always });
+  });
+  return loops;
+}
+
+module.exports = {
+  getTimerFunction,
+  getPromiseDelay,
+  findAnimationLoops,
+};
@@ -0,0 +1,483 @@
+/**
+ * Static type inference over the acorn AST.
+ *
+ * Scratch has separate blocks for adding numbers and joining strings, while
+ * JavaScript overloads +, so the translator needs to know what each operand
+ * holds. Types are tracked per variable name, per function (return values
+ * and parameters) and per list (its items). A variable that is given values
+ * of different types ends up 'unknown'.
+ */
+
+const { expandPattern, getPropertyKey } = require('./destructuring');
+const { getIntrinsic } = require('./intrinsics');
+
+const TYPES = {
+  NUMBER: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+  LIST: 'list',
+  UNKNOWN: 'unknown',
+};
+
+// Type of a name nothing has been recorded for yet. It is ignored when
+// combining types, so x = x + 1 doesn't make x unknown on the first pass.
+const NONE = 'none';
+
+const STRING_METHODS = [
+  'charAt', 'toUpperCase', 'toLowerCase', 'trim', 'slice', 'substring',
+  'substr', 'padStart', 'padEnd', 'repeat', 'replace', 'join', 'toString', 'toFixed',
+];
+const BOOLEAN_METHODS = ['includes', 'startsWith', 'endsWith', 'some', 'every'];
+const NUMBER_METHODS = ['indexOf', 'lastIndexOf', 'push', 'unshift', 'charCodeAt'];
+const COMPARISON_OPERATORS = ['<', '>', '<=', '>=', '==', '===', '!=', '!=='];
+// Array methods that call a function for each item (and index) of a list
+const LIST_CALLBACK_METHODS = ['forEach', 'map', 'filter', 'some', 'every', 'reduce'];
+
+// Upper bound on passes; types only move towards 'unknown', so this is
+// reached only by very long chains of variables assigned from each other
+const MAX_PASSES = 10;
+
+function isFunctionNode(node) {
+  return node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression';
+}
+
+/**
+ * Call visit on every node of the tree
+ */
+function walk(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  visit(node);
+  for (const key in node) {
+    if (key === 'loc' || key === 'range') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit));
+    } else if (child && typeof child === 'object' && child.type) {
+      walk(child, visit);
+    }
+  }
+}
+
+/**
+ * Call visit on every return statement of a function, skipping nested functions
+ */
+function walkReturns(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  if (node.type === 'ReturnStatement') {
+    visit(node);
+  }
+  for (const key in node) {
+    if (key === 'loc' || key === 'range') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => { if (item && !isFunctionNode(item)) walkReturns(item, visit); });
+    } else if (child && typeof child === 'object' && child.type && !isFunctionNode(child)) {
+      walkReturns(child, visit);
+    }
+  }
+}
+
+/**
+ * Combine the types a value can have into one
+ */
+function joinTypes(types) {
+  const known = new Set(types.filter(type => type !== NONE));
+  if (known.size === 0) {
+    return NONE;
+  }
+  if (known.size === 1) {
+    return known.values().next().value;
+  }
+  return TYPES.UNKNOWN;
+}
+
+/**
+ * Type of a + b given the types of a and b
+ */
+function plusType(leftType, rightType) {
+  if (leftType === TYPES.STRING || rightType === TYPES.STRING) {
+    return TYPES.STRING;
+  }
+  if (leftType === NONE || rightType === NONE) {
+    return NONE;
+  }
+  const isNumeric = type => type === TYPES.NUMBER || type === TYPES.BOOLEAN;
+  if (isNumeric(leftType) && isNumeric(rightType)) {
+    return TYPES.NUMBER;
+  }
+  return TYPES.UNKNOWN;
+}
+
+/**
+ * Infer the types in a program and annotate its expressions with an
+ * inferredType property
+ * @param {Object} ast - Program node from acorn
+ * @returns {{typeOf: function(Object): string}} - typeOf also works on
+ *   expressions built by the translator, as long as they reuse names from the program
+ */
+function inferTypes(ast) {
+  // Binding name -> types of the values it is given
+  let variableTypes = new Map();
+  let listItemTypes = new Map();
+  let returnTypes = new Map();
+  const functions = new Map(); // Function name -> function node
+
+  walk(ast, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions.set(node.id.name, node);
+    }
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+        node.init && isFunctionNode(node.init)) {
+      functions.set(node.id.name, node.init);
+    }
+  });
+
+  function lookup(table, name) {
+    const types = table.get(name);
+    return types ? joinTypes(types) : NONE;
+  }
+
+  /**
+   * Type of the values a function returns
+   */
+  function returnTypeOf(fn) {
+    if (fn.body.type !== 'BlockStatement') {
+      return typeOf(fn.body);
+    }
+    const types = [];
+    walkReturns(fn.body, returnStatement => {
+      types.push(returnStatement.argument ? typeOf(returnStatement.argument) : TYPES.UNKNOWN);
+    });
+    return joinTypes(types);
+  }
+
+  /**
+   * The function passed to a list method, inline or by name
+   */
+  function getCallback(expr) {
+    const callback = expr.arguments[0];
+    if (!callback) return null;
+    if (callback.type === 'Identifier') return functions.get(callback.name) || null;
+    return isFunctionNode(callback) ? callback : null;
+  }
+
+  /**
+   * Type of the items of a list (or the letters of a string)
+   */
+  function itemTypeOf(expr) {
+    return typeOf({ type: 'MemberExpression', object: expr, property: { type: 'Literal', value: 0 }, computed: true });
+  }
+
+  function typeOfCall(expr) {
+    const callee = expr.callee;
+    if (callee.type === 'Identifier') {
+      if (functions.has(callee.name)) {
+        const fn = functions.get(callee.name);
+        if (fn.body.type !== 'BlockStatement') {
+          return typeOf(fn.body);
+        }
+        return lookup(returnTypes, callee.name);
+      }
+      // prompt gives the text typed in, confirm whether OK was clicked
+      if (['String', 'prompt'].includes(callee.name)) return TYPES.STRING;
+      if (['Number', 'parseInt', 'parseFloat'].includes(callee.name)) return TYPES.NUMBER;
+      if (['Boolean', 'confirm'].includes(callee.name)) return TYPES.BOOLEAN;
+      return TYPES.UNKNOWN;
+    }
+    if (callee.type === 'MemberExpression' && !callee.computed) {
+      const method = callee.property.name;
+      if (callee.object.type === 'Identifier' && callee.object.name === 'window') {
+        return typeOfCall({ ...expr, callee: callee.property });
+      }
+      if (callee.object.type === 'Identifier' && callee.object.name === 'Math') {
+        return TYPES.NUMBER;
+      }
+      if (callee.object.type === 'Identifier' && callee.object.name === 'scratch') {
+        const { variant } = getIntrinsic(expr);
+        return variant && variant.returns ? variant.returns : TYPES.UNKNOWN;
+      }
+      if (['pop', 'shift'].includes(method) && callee.object.type === 'Identifier') {
+        return lookup(listItemTypes, callee.object.name);
+      }
+      if (method === 'reduce') {
+        const callback = getCallback(expr);
+        const initialType = expr.arguments.length > 1 ? typeOf(expr.arguments[1]) : itemTypeOf(callee.object);
+        return callback ? joinTypes([initialType, returnTypeOf(callback)]) : TYPES.UNKNOWN;
+      }
+      if (STRING_METHODS.includes(method)) return TYPES.STRING;
+      if (BOOLEAN_METHODS.includes(method)) return TYPES.BOOLEAN;
+      if (NUMBER_METHODS.includes(method)) return TYPES.NUMBER;
+      if (['split', 'map', 'filter', 'concat', 'splice'].includes(method)) return TYPES.LIST;
+    }
+    return TYPES.UNKNOWN;
+  }
+
+  function typeOf(expr) {
+    if (!expr) return TYPES.UNKNOWN;
+    switch (expr.type) {
+      case 'Literal':
+        if (typeof expr.value === 'number' || typeof expr.value === 'bigint') return TYPES.NUMBER;
+        if (typeof expr.value === 'string') return TYPES.STRING;
+        if (typeof expr.value === 'boolean') return TYPES.BOOLEAN;
+        return TYPES.UNKNOWN;
+
+      case 'TemplateLiteral':
+        return TYPES.STRING;
+
+      case 'ArrayExpression':
+        return TYPES.LIST;
+
+      case 'Identifier':
+        return lookup(variableTypes, expr.name);
+
+      case 'BinaryExpression':
+        if (expr.operator === '+') {
+          return plusType(typeOf(expr.left), typeOf(expr.right));
+        }
+        if (COMPARISON_OPERATORS.includes(expr.operator) || expr.operator === 'in' ||
+            expr.operator === 'instanceof') {
+          return TYPES.BOOLEAN;
+        }
+        return TYPES.NUMBER;
+
+      case 'LogicalExpression':
+        return joinTypes([typeOf(expr.left), typeOf(expr.right)]);
+
+      case 'ConditionalExpression':
+        return joinTypes([typeOf(expr.consequent), typeOf(expr.alternate)]);
+
+      case 'UnaryExpression':
+        if (expr.operator === '!') return TYPES.BOOLEAN;
+        if (expr.operator === 'typeof') return TYPES.STRING;
+        return TYPES.NUMBER;
+
+      case 'UpdateExpression':
+        return TYPES.NUMBER;
+
+      case 'AssignmentExpression':
+        if (expr.operator === '=') return typeOf(expr.right);
+        if (expr.operator === '+=') return plusType(typeOf(expr.left), typeOf(expr.right));
+        return TYPES.NUMBER;
+
+      case 'MemberExpression': {
+        if (expr.object.type === 'Identifier' && !expr.computed &&
+            variableTypes.has(`${expr.object.name}.${expr.property.name}`)) {
+          // Object properties are tracked like variables named obj.key
+          return lookup(variableTypes, `${expr.object.name}.${expr.property.name}`);
+        }
+        if (!expr.computed && expr.property.name === 'length') return TYPES.NUMBER;
+        if (!expr.computed && expr.object.type === 'Identifier' && expr.object.name === 'Math') {
+          return TYPES.NUMBER;
+        }
+        if (expr.computed) {
+          if (expr.object.type === 'ArrayExpression') {
+            return joinTypes(expr.object.elements.map(typeOf));
+          }
+          const objectType = typeOf(expr.object);
+          if (objectType === NONE) return NONE;
+          if (objectType === TYPES.STRING) return TYPES.STRING;
+          if (objectType === TYPES.LIST && expr.object.type === 'Identifier') {
+            return lookup(listItemTypes, expr.object.name);
+          }
+        }
+        return TYPES.UNKNOWN;
+      }
+
+      case 'CallExpression':
+        return typeOfCall(expr);
+
+      default:
+        return TYPES.UNKNOWN;
+    }
+  }
+
+  /**
+   * One pass over the program, recording the types of every value given to
+   * a variable, parameter, list or function result
+   */
+  function collect() {
+    const nextVariableTypes = new Map();
+    const nextListItemTypes = new Map();
+    const nextReturnTypes = new Map();
+    const record = (table, name, type) => {
+      if (!table.has(name)) table.set(name, []);
+      table.get(name).push(type);
+    };
+    const recordObject = (name, objectExpr) => {
+      objectExpr.properties.forEach(property => {
+        const key = property.type === 'Property' ? getPropertyKey(property) : null;
+        if (key !== null) record(nextVariableTypes, `${name}.${key}`, typeOf(property.value));
+      });
+    };
+    // Lists made by map hold what the function returns; filter and splice
+    // keep the items
+    const recordListItems = (name, valueExpr) => {
+      if (valueExpr.type === 'ArrayExpression') {
+        valueExpr.elements.forEach(element => record(nextListItemTypes, name, typeOf(element)));
+      }
+      if (valueExpr.type === 'CallExpression' && valueExpr.callee.type === 'MemberExpression' &&
+          !valueExpr.callee.computed && ['map', 'filter', 'splice'].includes(valueExpr.callee.property.name)) {
+        const callback = getCallback(valueExpr);
+        record(nextListItemTypes, name, valueExpr.callee.property.name !== 'map'
+          ? itemTypeOf(valueExpr.callee.object)
+          : (callback ? returnTypeOf(callback) : TYPES.UNKNOWN));
+      }
+    };
+    const recordPattern = (pattern, source) => {
+      expandPattern(pattern, source).forEach(entry => {
+        if (entry.target.type !== 'Identifier') return;
+        if (entry.restFrom !== undefined) {
+          record(nextVariableTypes, entry.target.name, TYPES.LIST);
+          return;
+        }
+        const valueTypes = entry.missing ? [] : [typeOf(entry.value)];
+        if (entry.defaultValue) valueTypes.push(typeOf(entry.defaultValue));
+        record(nextVariableTypes, entry.target.name, joinTypes(valueTypes));
+      });
+    };
+
+    walk(ast, node => {
+      switch (node.type) {
+        case 'VariableDeclarator':
+          if (node.id.type === 'ArrayPattern' || node.id.type === 'ObjectPattern') {
+            recordPattern(node.id, node.init);
+          }
+          if (node.id.type === 'Identifier' && node.init && node.init.type === 'ObjectExpression') {
+            recordObject(node.id.name, node.init);
+          }
+          if (node.id.type === 'Identifier' && node.init && !isFunctionNode(node.init)) {
+            record(nextVariableTypes, node.id.name, typeOf(node.init));
+            recordListItems(node.id.name, node.init);
+          }
+          break;
+
+        case 'AssignmentExpression':
+          if (node.left.type === 'ArrayPattern' || node.left.type === 'ObjectPattern') {
+            recordPattern(node.left, node.right);
+          }
+          if (node.left.type === 'Identifier' && node.right.type === 'ObjectExpression') {
+            recordObject(node.left.name, node.right);
+          }
+          if (node.left.type === 'MemberExpression' && !node.left.computed &&
+              node.left.object.type === 'Identifier') {
+            record(nextVariableTypes, `${node.left.object.name}.${node.left.property.name}`, typeOf(node));
+          }
+          if (node.left.type === 'Identifier') {
+            record(nextVariableTypes, node.left.name, typeOf(node));
+            recordListItems(node.left.name, node.right);
+          } else if (node.left.type === 'MemberExpression' && node.left.computed &&
+                     node.left.object.type === 'Identifier') {
+            record(nextListItemTypes, node.left.object.name, typeOf(node));
+          }
+          break;
+
+        case 'UpdateExpression':
+          if (node.argument.type === 'Identifier') {
+            record(nextVariableTypes, node.argument.name, TYPES.NUMBER);
+          }
+          break;
+
+        case 'ForOfStatement':
+        case 'ForInStatement': {
+          // for...of goes through the items, for...in through the indexes,
+          // which JS gives as text
+          const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+          if (node.type === 'ForInStatement') {
+            if (target.type === 'Identifier') record(nextVariableTypes, target.name, TYPES.STRING);
+          } else if (target.type === 'Identifier') {
+            record(nextVariableTypes, target.name, itemTypeOf(node.right));
+          } else {
+            recordPattern(target, { type: 'MemberExpression', object: node.right, property: { type: 'Literal', value: 0 }, computed: true });
+          }
+          break;
+        }
+
+        case 'CallExpression':
+          if (node.callee.type === 'Identifier' && functions.has(node.callee.name)) {
+            // Parameters take the types of the arguments passed to them,
+            // or of their default values
+            functions.get(node.callee.name).params.forEach((param, index) => {
+              const hasDefault = param.type === 'AssignmentPattern';
+              const target = hasDefault ? param.left : param;
+              if (target.type !== 'Identifier') return;
+              if (index < node.arguments.length) {
+                record(nextVariableTypes, target.name, typeOf(node.arguments[index]));
+              } else if (hasDefault) {
+                record(nextVariableTypes, target.name, typeOf(param.right));
+              }
+            });
+          }
+          if (node.callee.type === 'MemberExpression' && !node.callee.computed &&
+              LIST_CALLBACK_METHODS.includes(node.callee.property.name) && getCallback(node)) {
+            // The function is given each item and its index; reduce's
+            // function also gets the value so far first
+            const params = getCallback(node).params;
+            const itemType = itemTypeOf(node.callee.object);
+            const argumentTypes = node.callee.property.name === 'reduce'
+              ? [typeOf(node), itemType, TYPES.NUMBER]
+              : [itemType, TYPES.NUMBER];
+            argumentTypes.forEach((type, index) => {
+              if (params[index] && params[index].type === 'Identifier') {
+                record(nextVariableTypes, params[index].name, type);
+              }
+            });
+          }
+          if (node.callee.type === 'MemberExpression' && !node.callee.computed &&
+              node.callee.object.type === 'Identifier' &&
+              ['push', 'unshift'].includes(node.callee.property.name)) {
+            node.arguments.forEach(arg => record(nextListItemTypes, node.callee.object.name, typeOf(arg)));
+          }
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    functions.forEach((fn, name) => {
+      walkReturns(fn.body, returnStatement => {
+        record(nextReturnTypes, name, returnStatement.argument ? typeOf(returnStatement.argument) : TYPES.UNKNOWN);
+      });
+    });
+
+    return { nextVariableTypes, nextListItemTypes, nextReturnTypes };
+  }
+
+  function summarize(table) {
+    return JSON.stringify(Array.from(table.entries()).map(([name, types]) => [name, joinTypes(types)]));
+  }
+
+  // Repeat until the types stop changing, since a variable's type can
+  // depend on variables assigned later in the program
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const { nextVariableTypes, nextListItemTypes, nextReturnTypes } = collect();
+    const changed = summarize(nextVariableTypes) !== summarize(variableTypes) ||
+      summarize(nextListItemTypes) !== summarize(listItemTypes) ||
+      summarize(nextReturnTypes) !== summarize(returnTypes);
+    variableTypes = nextVariableTypes;
+    listItemTypes = nextListItemTypes;
+    returnTypes = nextReturnTypes;
+    if (!changed) break;
+  }
+
+  // Names still without a type are never given a value the pass understands
+  const finalTypeOf = expr => {
+    const type = typeOf(expr);
+    return type === NONE ? TYPES.UNKNOWN : type;
+  };
+
+  walk(ast, node => {
+    if (node.type.endsWith('Expression') || node.type === 'Literal' ||
+        node.type === 'Identifier' || node.type === 'TemplateLiteral') {
+      node.inferredType = finalTypeOf(node);
+    }
+  });
+
+  return { typeOf: finalTypeOf };
+}
+
+module.exports = {
+  inferTypes,
+  TYPES,
+};
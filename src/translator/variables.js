@@ -0,0 +1,141 @@
+/**
+ * Scratch variables and lists: the ids blocks refer to them by, the values
+ * they start with, and which scripts use them.
+ *
+ * Blocks are generated with each variable's name as its id; once the
+ * translator knows which target each variable lives on, setVariableIds
+ * points the references at ids like the ones the Scratch editor makes.
+ */
+
+// Characters of the ids the Scratch editor generates
+const ID_CHARACTERS = '!#$%()*+,-./:;=?@[]^_`{|}~ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 20;
+
+/**
+ * A function that returns a new id on each call, 20 characters like the
+ * Scratch editor's. The ids come from a seeded generator, so the same
+ * program always gets the same ids.
+ */
+function createIdGenerator(seed = 1) {
+  let state = seed >>> 0;
+  // mulberry32
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const used = new Set();
+  return () => {
+    let id;
+    do {
+      id = '';
+      for (let i = 0; i < ID_LENGTH; i++) {
+        id += ID_CHARACTERS[Math.floor(random() * ID_CHARACTERS.length)];
+      }
+    } while (used.has(id));
+    used.add(id);
+    return id;
+  };
+}
+
+/**
+ * The value an initialiser sets when it is a literal (3, -1.5, 'Ann',
+ * `text`, true), as Scratch stores it; undefined for other expressions
+ */
+function getInitialValue(init) {
+  if (!init) return undefined;
+  switch (init.type) {
+    case 'Literal':
+      if (init.regex) return undefined;
+      if (init.value === null) return '';
+      if (typeof init.value === 'number' || typeof init.value === 'string') return init.value;
+      // Booleans and big integers are read back as text
+      return String(init.value);
+    case 'UnaryExpression': {
+      if (init.operator !== '-' && init.operator !== '+') return undefined;
+      const value = getInitialValue(init.argument);
+      if (typeof value !== 'number') return undefined;
+      return init.operator === '-' ? -value : value;
+    }
+    case 'TemplateLiteral':
+      return init.expressions.length === 0 ? init.quasis[0].value.cooked : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * The items of an array literal whose items are all literals, or undefined
+ */
+function getInitialItems(init) {
+  if (!init || init.type !== 'ArrayExpression') return undefined;
+  const items = init.elements.map(element => getInitialValue(element));
+  return items.every(item => item !== undefined) ? items : undefined;
+}
+
+/**
+ * Call visit(kind, name, reference) for each variable ('variable') or list
+ * ('list') a block refers to, where reference[1] holds the name and
+ * reference[2] (for inputs) or reference[1] (for fields) the id
+ */
+function forEachReference(block, visit) {
+  if (block.fields.VARIABLE) visit('variable', block.fields.VARIABLE[0], block.fields.VARIABLE, 1);
+  if (block.fields.LIST) visit('list', block.fields.LIST[0], block.fields.LIST, 1);
+  Object.values(block.inputs).forEach(input => {
+    if (!Array.isArray(input)) return;
+    input.forEach(value => {
+      if (!Array.isArray(value)) return;
+      if (value[0] === 12) visit('variable', value[1], value, 2);
+      if (value[0] === 13) visit('list', value[1], value, 2);
+    });
+  });
+}
+
+/**
+ * The scripts that use each variable
+ * @param {Object} blocks - Blocks of a target, by id
+ * @returns {Map<string, Set<string>>} - variable name -> ids of the top
+ *   blocks (hats and custom block definitions) of the scripts using it
+ */
+function findVariableScripts(blocks) {
+  const topIds = new Map();
+  const getTopId = blockId => {
+    if (!topIds.has(blockId)) {
+      const parentId = blocks[blockId].parent;
+      topIds.set(blockId, parentId && blocks[parentId] ? getTopId(parentId) : blockId);
+    }
+    return topIds.get(blockId);
+  };
+  const scripts = new Map();
+  Object.keys(blocks).forEach(blockId => {
+    forEachReference(blocks[blockId], (kind, name) => {
+      if (kind !== 'variable') return;
+      if (!scripts.has(name)) scripts.set(name, new Set());
+      scripts.get(name).add(getTopId(blockId));
+    });
+  });
+  return scripts;
+}
+
+/**
+ * Point the variable and list references of blocks at their ids
+ * @param {Object} blocks - Blocks of a target, by id
+ * @param {Function} getId - (kind, name) -> id, kind being 'variable' or 'list'
+ */
+function setVariableIds(blocks, getId) {
+  Object.values(blocks).forEach(block => {
+    forEachReference(block, (kind, name, reference, index) => {
+      reference[index] = getId(kind, name);
+    });
+  });
+}
+
+module.exports = {
+  createIdGenerator,
+  getInitialValue,
+  getInitialItems,
+  findVariableScripts,
+  setVariableIds,
+};
@@ -75,7 +75,8 @@ async function cleanupTemp(tempDir) {
 }
 
 /**
- * Combine all JavaScript files into a single code string
+ * Combine all JavaScript files into a single code string. When there are
+ * several files, each one is marked as a sprite named after the file.
  * @param {string[]} jsPaths - Array of paths to JavaScript files
  * @returns {Promise<string>}
  */
@@ -88,7 +89,9 @@ async function combineJavaScriptFiles(jsPaths) {
   
   for (const jsPath of jsPaths) {
     const code = await fs.promises.readFile(jsPath, 'utf-8');
-    codeBlocks.push(`// File: ${path.basename(jsPath)}\n${code}`);
+    const fileName = path.basename(jsPath);
+    const sprite = jsPaths.length > 1 ? `// @sprite ${path.basename(jsPath, path.extname(jsPath))}\n` : '';
+    codeBlocks.push(`// File: ${fileName}\n${sprite}${code}`);
   }
   
   return codeBlocks.join('\n\n');
@@ -5,6 +5,7 @@ let currentResult = null;
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
 const codeEditor = document.getElementById('codeEditor');
+const substituteOption = document.getElementById('substituteOption');
 const translateBtn = document.getElementById('translateBtn');
 const resultSection = document.getElementById('resultSection');
 const errorSection = document.getElementById('errorSection');
@@ -148,6 +149,7 @@ async function handleFileUpload(file) {
 
     const formData = new FormData();
     formData.append('file', file);
+    formData.append('substitute', substituteOption.checked);
 
     try {
         showLoading();
@@ -193,7 +195,7 @@ translateBtn.addEventListener('click', async () => {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ code }),
+            body: JSON.stringify({ code, substitute: substituteOption.checked }),
         });
 
         // Check if response is a file download
@@ -80,8 +80,10 @@ app.post('/api/translate', upload.single('file'), async (req, res) => {
           const jsCode = files.js.length > 0 ? await combineJavaScriptFiles(files.js) : '';
           const htmlCode = files.html.length > 0 ? await combineJavaScriptFiles(files.html) : '';
           const extractedHtmlJs = htmlCode ? extractJavaScriptFromHTML(htmlCode) : '';
+          // With several JavaScript files each one is a sprite, and the page's own scripts run on the stage
+          const pageCode = extractedHtmlJs && files.js.length > 1 ? `// @stage\n${extractedHtmlJs}` : extractedHtmlJs;
           
-          code = [jsCode, extractedHtmlJs].filter(c => c).join('\n\n');
+          code = [jsCode, pageCode].filter(c => c).join('\n\n');
         } catch (zipError) {
           return res.status(400).json({
             success: false,
@@ -124,8 +126,9 @@ app.post('/api/translate', upload.single('file'), async (req, res) => {
     // Transform canvas operations if present
     code = transformCanvasToScratch(code);
 
-    // Translate to Scratch
-    const result = translateToScratch(code);
+    // Translate to Scratch; form uploads send the option as the text 'true'
+    const substitute = req.body.substitute === true || req.body.substitute === 'true';
+    const result = translateToScratch(code, { substitute });
 
     // Create temporary .sb3 file with unique identifier
     const uniqueId = crypto.randomUUID();
@@ -59,6 +59,34 @@ describe('End-to-End Tests', () => {
       const zip = new AdmZip(outputFile);
       const entries = zip.getEntries();
       expect(entries.some(e => e.entryName === 'project.json')).toBe(true);
+
+      // Each JavaScript file is a sprite of its own
+      const project = JSON.parse(zip.readAsText('project.json'));
+      const sprites = project.targets.filter(target => !target.isStage);
+      expect(sprites.map(sprite => sprite.name).sort()).toEqual(['main', 'utils']);
+      expect(Object.values(sprites.find(sprite => sprite.name === 'main').variables).map(variable => variable[0])).toEqual(['a', 'b']);
+    }, 10000);
+
+    test('should let files of a zip declare the same top-level names', async () => {
+      const inputFile = path.join(outputDir, 'same-names.zip');
+      const outputFile = path.join(outputDir, 'cli-same-names.sb3');
+      const input = new AdmZip();
+      input.addFile('player.js', Buffer.from('let x = 1;\n'));
+      input.addFile('enemy.js', Buffer.from('let x = 2;\n'));
+      input.writeZip(inputFile);
+
+      const { stdout } = await execAsync(
+        `node src/cli/index.js translate ${inputFile} -o ${outputFile}`,
+        { cwd: path.join(__dirname, '../..') }
+      );
+      expect(stdout).toContain('Successfully translated');
+
+      const project = JSON.parse(new AdmZip(outputFile).readAsText('project.json'));
+      const sprites = project.targets.filter(target => !target.isStage);
+      expect(sprites.map(sprite => sprite.name).sort()).toEqual(['enemy', 'player']);
+      sprites.forEach(sprite => {
+        expect(Object.values(sprite.variables).map(variable => variable[0])).toEqual(['x']);
+      });
     }, 10000);
 
     test('should detect unsupported features via CLI', async () => {
@@ -82,6 +110,24 @@ describe('End-to-End Tests', () => {
       }
     }, 10000);
 
+    test('should substitute dialogs and the console with --substitute', async () => {
+      const projectRoot = path.join(__dirname, '../..');
+      const inputFile = path.join(projectRoot, 'examples/unsupported.js');
+      const outputFile = path.join(outputDir, 'cli-substitute.sb3');
+
+      const { stdout } = await execAsync(
+        `node src/cli/index.js translate ${inputFile} --substitute -o ${outputFile}`,
+        { cwd: projectRoot }
+      );
+
+      expect(stdout).toContain('Successfully translated');
+      const project = JSON.parse(new AdmZip(outputFile).readAsText('project.json'));
+      const blocks = Object.values(project.targets[1].blocks);
+      expect(blocks.some(b => b.opcode === 'looks_sayforsecs')).toBe(true);
+      expect(blocks.some(b => b.opcode === 'data_addtolist' && b.fields.LIST[0] === 'console')).toBe(true);
+      expect(project.monitors.map(monitor => monitor.params.LIST)).toEqual(['console']);
+    }, 10000);
+
     test('should translate HTML file with canvas to Scratch', async () => {
       const projectRoot = path.join(__dirname, '../..');
       const inputFile = path.join(projectRoot, 'examples/canvas-hello.html');
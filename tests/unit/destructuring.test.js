@@ -0,0 +1,54 @@
+const acorn = require('acorn');
+const { expandPattern } = require('../../src/translator/destructuring');
+
+/**
+ * Expand the pattern of the first declarator in code
+ */
+function expand(code) {
+  const declarator = acorn.parse(code, { ecmaVersion: 2020 }).body[0].declarations[0];
+  return expandPattern(declarator.id, declarator.init);
+}
+
+describe('Destructuring', () => {
+  test('should read array pattern elements by index', () => {
+    const entries = expand('const [x, , y] = pos;');
+    expect(entries.map(entry => entry.target.name)).toEqual(['x', 'y']);
+    expect(entries[1].value).toEqual(expect.objectContaining({
+      type: 'MemberExpression',
+      computed: true,
+      property: { type: 'Literal', value: 2 },
+    }));
+    expect(entries[1].index).toBe(2);
+  });
+
+  test('should read object pattern properties by key', () => {
+    const entries = expand('const { w, h: height } = size;');
+    expect(entries.map(entry => entry.target.name)).toEqual(['w', 'height']);
+    expect(entries[1].value.property).toEqual({ type: 'Identifier', name: 'h' });
+    expect(entries[1].key).toBe('h');
+  });
+
+  test('should take values straight from literal sources', () => {
+    const entries = expand('const [a, b, c] = [1, x];');
+    expect(entries[0].value).toEqual(expect.objectContaining({ type: 'Literal', value: 1 }));
+    expect(entries[1].value).toEqual(expect.objectContaining({ type: 'Identifier', name: 'x' }));
+    expect(entries[2].missing).toBe(true);
+
+    const objectEntries = expand('const { w, h } = { w: 5 };');
+    expect(objectEntries[0].value).toEqual(expect.objectContaining({ value: 5 }));
+    expect(objectEntries[1].missing).toBe(true);
+  });
+
+  test('should keep defaults and rest elements', () => {
+    const entries = expand('const [first = 0, ...others] = items;');
+    expect(entries[0].defaultValue).toEqual(expect.objectContaining({ value: 0 }));
+    expect(entries[1]).toEqual(expect.objectContaining({ restFrom: 1 }));
+    expect(entries[1].target.name).toBe('others');
+  });
+
+  test('should expand nested patterns', () => {
+    const entries = expand('const { start: [x, y] } = line;');
+    expect(entries.map(entry => entry.target.name)).toEqual(['x', 'y']);
+    expect(entries[0].value.object.property.name).toBe('start');
+  });
+});
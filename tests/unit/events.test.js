@@ -0,0 +1,181 @@
+const acorn = require('acorn');
+const {
+  getScratchKey, getListenedKeys, specializeKeyHandler, blankKeyReads, getDispatchedEvent, endsCase,
+} = require('../../src/translator/events');
+
+/**
+ * The function passed to the first addEventListener call in code
+ */
+function parseListener(code) {
+  return acorn.parse(code, { ecmaVersion: 2020 }).body[0].expression.arguments[1];
+}
+
+/**
+ * Short description of statements: the source of each, by its position in code
+ */
+function describeStatements(code, statements) {
+  return statements.map(statement => code.slice(statement.start, statement.end));
+}
+
+describe('Keyboard events', () => {
+  describe('getScratchKey', () => {
+    test('should map arrow keys and space', () => {
+      expect(getScratchKey('key', 'ArrowUp')).toBe('up arrow');
+      expect(getScratchKey('key', 'ArrowLeft')).toBe('left arrow');
+      expect(getScratchKey('key', ' ')).toBe('space');
+      expect(getScratchKey('code', 'Space')).toBe('space');
+      expect(getScratchKey('code', 'ArrowDown')).toBe('down arrow');
+    });
+
+    test('should map letters and digits, ignoring case', () => {
+      expect(getScratchKey('key', 'a')).toBe('a');
+      expect(getScratchKey('key', 'W')).toBe('w');
+      expect(getScratchKey('key', '7')).toBe('7');
+      expect(getScratchKey('code', 'KeyD')).toBe('d');
+      expect(getScratchKey('code', 'Digit3')).toBe('3');
+    });
+
+    test('should map key codes', () => {
+      expect(getScratchKey('keyCode', 38)).toBe('up arrow');
+      expect(getScratchKey('which', 32)).toBe('space');
+      expect(getScratchKey('keyCode', 65)).toBe('a');
+      expect(getScratchKey('keyCode', 49)).toBe('1');
+    });
+
+    test('should return null for keys without a Scratch hat', () => {
+      expect(getScratchKey('key', 'Escape')).toBeNull();
+      expect(getScratchKey('key', 'Enter')).toBeNull();
+      expect(getScratchKey('code', 'ShiftLeft')).toBeNull();
+      expect(getScratchKey('keyCode', 13)).toBeNull();
+    });
+  });
+
+  describe('getListenedKeys', () => {
+    test('should find comparisons and switch cases on the event', () => {
+      const listener = parseListener(`
+        document.addEventListener('keydown', e => {
+          if (e.key === 'ArrowUp' || 'w' == e.key) up();
+          switch (e.code) {
+            case 'Space': jump(); break;
+            case 'Escape': quit();
+          }
+          if (other.key === 'x') never();
+        });
+      `);
+      const keys = getListenedKeys(listener.body, 'e');
+      expect(keys.map(entry => [entry.property, entry.value, entry.key])).toEqual([
+        ['key', 'ArrowUp', 'up arrow'],
+        ['key', 'w', 'w'],
+        ['code', 'Space', 'space'],
+        ['code', 'Escape', null],
+      ]);
+    });
+  });
+
+  describe('specializeKeyHandler', () => {
+    const code = `
+      document.addEventListener('keydown', e => {
+        count++;
+        if (e.key === 'ArrowLeft') {
+          left();
+        } else if (e.key === 'ArrowRight' && running) {
+          right();
+        } else {
+          other();
+        }
+      });
+    `;
+    const listener = parseListener(code);
+
+    test('should keep only the branch for the key', () => {
+      const statements = specializeKeyHandler(listener.body.body, 'e', 'left arrow');
+      expect(describeStatements(code, statements)).toEqual(['count++;', 'left();']);
+    });
+
+    test('should keep conditions that don\'t depend on the key', () => {
+      const [, check] = specializeKeyHandler(listener.body.body, 'e', 'right arrow');
+      expect(check.type).toBe('IfStatement');
+      expect(check.test).toEqual(expect.objectContaining({ type: 'Identifier', name: 'running' }));
+      expect(describeStatements(code, check.consequent.body)).toEqual(['right();']);
+      expect(describeStatements(code, check.alternate.body)).toEqual(['other();']);
+    });
+
+    test('should run the else branches for keys the listener doesn\'t test', () => {
+      const statements = specializeKeyHandler(listener.body.body, 'e', null);
+      expect(describeStatements(code, statements)).toEqual(['count++;', 'other();']);
+    });
+
+    test('should select switch cases with fall-through and default', () => {
+      const switchCode = `
+        document.addEventListener('keydown', e => {
+          switch (e.key) {
+            case 'w':
+            case 'ArrowUp':
+              up();
+              break;
+            case ' ':
+              jump();
+            case 'x':
+              land();
+              break;
+            default:
+              idle();
+          }
+        });
+      `;
+      const body = parseListener(switchCode).body.body;
+      expect(describeStatements(switchCode, specializeKeyHandler(body, 'e', 'w'))).toEqual(['up();']);
+      expect(describeStatements(switchCode, specializeKeyHandler(body, 'e', 'space'))).toEqual(['jump();', 'land();']);
+      expect(describeStatements(switchCode, specializeKeyHandler(body, 'e', null))).toEqual(['idle();']);
+    });
+
+    test('should leave the listener unchanged', () => {
+      const before = JSON.stringify(listener);
+      specializeKeyHandler(listener.body.body, 'e', 'left arrow');
+      expect(JSON.stringify(listener)).toBe(before);
+    });
+  });
+
+  describe('blankKeyReads', () => {
+    test('should replace reads of the key with empty text', () => {
+      const code = "document.addEventListener('keydown', e => { last = e.key; code = e.keyCode; e.preventDefault(); });";
+      const body = parseListener(code).body.body;
+      const { statements, reads } = blankKeyReads(body, 'e');
+      expect(reads.map(read => read.property.name)).toEqual(['key', 'keyCode']);
+      expect(statements[0].expression.right).toMatchObject({ type: 'Literal', value: '' });
+      expect(statements[1].expression.right).toMatchObject({ type: 'Literal', value: '' });
+      expect(statements[2]).toEqual(body[2]);
+      expect(body[0].expression.right.type).toBe('MemberExpression');
+    });
+  });
+
+  describe('endsCase', () => {
+    test('should tell cases that leave the switch from cases that fall through', () => {
+      const code = 'switch (k) { case 1: a(); break; case 2: return; case 3: throw e; case 4: a(); case 5: }';
+      const cases = acorn.parse(`function f() { for (;;) { ${code} } }`, { ecmaVersion: 2020 })
+        .body[0].body.body[0].body.body[0].cases;
+      expect(cases.map(switchCase => endsCase(switchCase.consequent))).toEqual([true, true, true, false, false]);
+    });
+  });
+});
+
+describe('Custom events', () => {
+  function parseCall(code) {
+    return acorn.parse(code, { ecmaVersion: 2020 }).body[0].expression;
+  }
+
+  describe('getDispatchedEvent', () => {
+    test('should find the name of dispatched events', () => {
+      expect(getDispatchedEvent(parseCall("document.dispatchEvent(new CustomEvent('levelUp', { detail: 2 }))"))).toBe('levelUp');
+      expect(getDispatchedEvent(parseCall("window.dispatchEvent(new Event('reset'))"))).toBe('reset');
+      expect(getDispatchedEvent(parseCall("dispatchEvent(new CustomEvent('start'))"))).toBe('start');
+    });
+
+    test('should return null for other calls and events', () => {
+      expect(getDispatchedEvent(parseCall('document.dispatchEvent(event)'))).toBeNull();
+      expect(getDispatchedEvent(parseCall('document.dispatchEvent(new CustomEvent(name))'))).toBeNull();
+      expect(getDispatchedEvent(parseCall("document.dispatchEvent(new KeyboardEvent('keydown'))"))).toBeNull();
+      expect(getDispatchedEvent(parseCall("document.emit(new CustomEvent('levelUp'))"))).toBeNull();
+    });
+  });
+});
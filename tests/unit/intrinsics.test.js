@@ -0,0 +1,72 @@
+const acorn = require('acorn');
+const { INTRINSICS, INPUT_TYPES, getIntrinsic, getOptionValue } = require('../../src/translator/intrinsics');
+
+function parseCall(code) {
+  return acorn.parse(code, { ecmaVersion: 2020 }).body[0].expression;
+}
+
+describe('Intrinsics', () => {
+  describe('getIntrinsic', () => {
+    test('should find the intrinsic of scratch.* calls', () => {
+      const { name, variant } = getIntrinsic(parseCall('scratch.move(10)'));
+      expect(name).toBe('move');
+      expect(variant.opcode).toBe('motion_movesteps');
+    });
+
+    test('should pick the variant that takes the arguments given', () => {
+      expect(getIntrinsic(parseCall('scratch.goTo(0, 0)')).variant.opcode).toBe('motion_gotoxy');
+      expect(getIntrinsic(parseCall("scratch.goTo('mouse')")).variant.opcode).toBe('motion_goto');
+      // Numbers don't name targets
+      expect(getIntrinsic(parseCall('scratch.goTo(1)')).variant.opcode).toBe('motion_gotoxy');
+      expect(getIntrinsic(parseCall('scratch.switchCostume(2)')).variant.opcode).toBe('looks_switchcostumeto');
+      expect(getIntrinsic(parseCall("scratch.say('Hi', 2)")).variant.opcode).toBe('looks_sayforsecs');
+      // Falls back to the first variant
+      expect(getIntrinsic(parseCall("scratch.say('Hi', 2, 3)")).variant.opcode).toBe('looks_say');
+    });
+
+    test('should treat scratch_say from canvas text as say', () => {
+      expect(getIntrinsic(parseCall("scratch_say('Score', 10, 20)"))).toEqual({
+        name: 'say',
+        variant: INTRINSICS.say[0],
+      });
+    });
+
+    test('should give no variant for unknown scratch methods', () => {
+      expect(getIntrinsic(parseCall('scratch.fly()'))).toEqual({ name: 'fly', variant: null });
+      expect(getIntrinsic(parseCall('scratch.toString()'))).toEqual({ name: 'toString', variant: null });
+    });
+
+    test('should return null for other calls', () => {
+      expect(getIntrinsic(parseCall('move(10)'))).toBeNull();
+      expect(getIntrinsic(parseCall('sprite.move(10)'))).toBeNull();
+      expect(getIntrinsic(parseCall("scratch['move'](10)"))).toBeNull();
+      expect(getIntrinsic(parseCall('x = 1'))).toBeNull();
+    });
+  });
+
+  describe('getOptionValue', () => {
+    test('should map option names to the values Scratch stores', () => {
+      const [touchingMenu] = INTRINSICS.touching[0].args;
+      expect(getOptionValue(touchingMenu, 'edge')).toBe('_edge_');
+      expect(getOptionValue(touchingMenu, 'Mouse')).toBe('_mouse_');
+      expect(getOptionValue(touchingMenu, 'Enemy')).toBe('Enemy');
+    });
+
+    test('should accept browser key names for keys', () => {
+      const [keyMenu] = INTRINSICS.keyPressed[0].args;
+      expect(getOptionValue(keyMenu, 'ArrowUp')).toBe('up arrow');
+      expect(getOptionValue(keyMenu, 'A')).toBe('a');
+      expect(getOptionValue(keyMenu, 'space')).toBe('space');
+    });
+  });
+
+  test('should only use known argument kinds and input types', () => {
+    Object.values(INTRINSICS).flat().forEach(variant => {
+      expect(variant.opcode).toMatch(/^(motion|looks|sound|sensing|control)_/);
+      variant.args.forEach(arg => {
+        expect(['input', 'menu', 'field']).toContain(arg.kind);
+        if (arg.kind === 'input') expect(INPUT_TYPES[arg.type]).toBeDefined();
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const acorn = require('acorn');
+const { analyzeScopes } = require('../../src/translator/scopeAnalyzer');
+
+function analyze(code) {
+  const ast = acorn.parse(code, { ecmaVersion: 2020 });
+  const bindings = analyzeScopes(ast);
+  return { ast, bindings };
+}
+
+/**
+ * Scratch names given to the bindings with the given JS name, in order
+ */
+function scratchNames(bindings, name) {
+  return bindings.filter(binding => binding.name === name).map(binding => binding.scratchName);
+}
+
+describe('Scope analyzer', () => {
+  test('should keep names that do not collide', () => {
+    const { bindings } = analyze('let a = 1; const b = 2; var c = 3;');
+    expect(bindings).toEqual([
+      { name: 'a', scratchName: 'a', kind: 'let' },
+      { name: 'b', scratchName: 'b', kind: 'const' },
+      { name: 'c', scratchName: 'c', kind: 'var' },
+    ]);
+  });
+
+  test('should rename a parameter that shares its name with a global', () => {
+    const { ast, bindings } = analyze(`
+      let x = 1;
+      function move(x) {
+        return x + 1;
+      }
+    `);
+    expect(scratchNames(bindings, 'x')).toEqual(['x', 'x_2']);
+
+    const fn = ast.body[1];
+    expect(fn.params[0].name).toBe('x_2');
+    expect(fn.body.body[0].argument.left.name).toBe('x_2');
+    expect(ast.body[0].declarations[0].id.name).toBe('x');
+  });
+
+  test('should give block-scoped let and const their own names', () => {
+    const { ast, bindings } = analyze(`
+      let count = 0;
+      if (count === 0) {
+        let count = 5;
+        count++;
+      }
+      count = count + 1;
+    `);
+    expect(scratchNames(bindings, 'count')).toEqual(['count', 'count_2']);
+
+    const inner = ast.body[1].consequent.body;
+    expect(inner[0].declarations[0].id.name).toBe('count_2');
+    expect(inner[1].expression.argument.name).toBe('count_2');
+    expect(ast.body[2].expression.left.name).toBe('count');
+  });
+
+  test('should give each loop counter its own name', () => {
+    const { bindings } = analyze(`
+      for (let i = 0; i < 3; i++) {}
+      for (let i = 0; i < 3; i++) {}
+    `);
+    expect(scratchNames(bindings, 'i')).toEqual(['i', 'i_2']);
+  });
+
+  test('should hoist var to the function scope', () => {
+    const { bindings } = analyze(`
+      function f() {
+        if (true) {
+          var total = 1;
+        }
+        var total = 2;
+        return total;
+      }
+    `);
+    expect(bindings.filter(binding => binding.name === 'total')).toEqual([
+      { name: 'total', scratchName: 'total', kind: 'var' },
+    ]);
+  });
+
+  test('should resolve names used before a nested declaration to the outer binding', () => {
+    const { ast } = analyze(`
+      let speed = 1;
+      function run() {
+        let distance = speed * 2;
+        {
+          let speed = 3;
+        }
+      }
+    `);
+    const run = ast.body[1];
+    expect(run.body.body[0].declarations[0].init.left.name).toBe('speed');
+    expect(run.body.body[1].body[0].declarations[0].id.name).toBe('speed_2');
+  });
+
+  test('should not give a suffixed name that another binding already uses', () => {
+    const { bindings } = analyze(`
+      let x = 1;
+      let x_2 = 2;
+      function f(x) {}
+    `);
+    expect(scratchNames(bindings, 'x')).toEqual(['x', 'x_3']);
+    expect(scratchNames(bindings, 'x_2')).toEqual(['x_2']);
+  });
+
+  test('should make assignments to undeclared names globals', () => {
+    const { bindings } = analyze(`
+      function reset() {
+        score = 0;
+      }
+      score++;
+    `);
+    expect(bindings).toContainEqual({ name: 'score', scratchName: 'score', kind: 'implicit' });
+  });
+
+  test('should leave property names and unknown globals alone', () => {
+    const { ast } = analyze(`
+      let length = 1;
+      function f(length) {
+        return Math.max(length, [].length);
+      }
+    `);
+    const call = ast.body[1].body.body[0].argument;
+    expect(call.callee.object.name).toBe('Math');
+    expect(call.callee.property.name).toBe('max');
+    expect(call.arguments[0].name).toBe('length_2');
+    expect(call.arguments[1].property.name).toBe('length');
+  });
+
+  test('should rename destructured bindings but not the property keys', () => {
+    const { ast } = analyze(`
+      let a = 1;
+      function f(point) {
+        const { a } = point;
+        return a;
+      }
+    `);
+    const property = ast.body[1].body.body[0].declarations[0].id.properties[0];
+    expect(property.key.name).toBe('a');
+    expect(property.value.name).toBe('a_2');
+  });
+});
@@ -0,0 +1,272 @@
+const acorn = require('acorn');
+const { parseSections, splitSprites, lowerSpriteClass, lowerCloneClass } = require('../../src/translator/sprites');
+
+function parse(code) {
+  const comments = [];
+  const ast = acorn.parse(code, { ecmaVersion: 2020, allowImportExportEverywhere: true, onComment: comments });
+  return { code, ast, comments };
+}
+
+/**
+ * Source of each statement, by its position in code
+ */
+function describeStatements(code, statements) {
+  return statements.map(statement => code.slice(statement.start, statement.end));
+}
+
+describe('Sprites', () => {
+  describe('splitSprites', () => {
+    test('should keep a program without markers as one sprite', () => {
+      const { code, ast, comments } = parse(`
+        // A comment
+        let x = 1;
+        export function move() {}
+      `);
+      const split = splitSprites(ast, comments);
+      expect(split.stage).toBeNull();
+      expect(split.sprites.map(sprite => sprite.name)).toEqual(['Sprite1']);
+      expect(describeStatements(code, split.sprites[0].body)).toEqual(['let x = 1;', 'function move() {}']);
+    });
+
+    test('should start sprites at @sprite comments and go back to the stage at @stage', () => {
+      const { code, ast, comments } = parse(`
+        let score = 0;
+        // @sprite Player
+        let speed = 5;
+        // @sprite Enemy
+        let hits = 0;
+        // @stage
+        score = 10;
+        // @sprite Player
+        speed = 10;
+      `);
+      const { stage, sprites } = splitSprites(ast, comments);
+      expect(describeStatements(code, stage)).toEqual(['let score = 0;', 'score = 10;']);
+      expect(sprites.map(sprite => [sprite.name, describeStatements(code, sprite.body)])).toEqual([
+        ['Player', ['let speed = 5;', 'speed = 10;']],
+        ['Enemy', ['let hits = 0;']],
+      ]);
+    });
+
+    test('should make each exported class a sprite', () => {
+      const { code, ast, comments } = parse(`
+        import { helper } from './helper.js';
+        let level = 1;
+        export class Player {
+          constructor() {
+            this.speed = 5;
+          }
+          run() {
+            scratch.move(this.speed);
+          }
+        }
+        export default class Enemy {}
+      `);
+      const { stage, sprites } = splitSprites(ast, comments);
+      expect(describeStatements(code, stage)).toEqual(['let level = 1;']);
+      expect(sprites.map(sprite => sprite.name)).toEqual(['Player', 'Enemy']);
+      expect(sprites[1].body).toEqual([]);
+    });
+
+    test('should make a sprite of each other class, and find what its clones share', () => {
+      const { code, ast, comments } = parse(`
+        let score = 0;
+        let lives = 3;
+        const enemies = [];
+        class Enemy {
+          constructor(x) {
+            this.x = x;
+          }
+          hit(damage) {
+            score += damage;
+            enemies.splice(enemies.indexOf(this), 1);
+          }
+        }
+        enemies.push(new Enemy(10));
+      `);
+      const split = splitSprites(ast, comments);
+      expect(split.stage).toBeNull();
+      expect(split.sprites.map(sprite => sprite.name)).toEqual(['Sprite1', 'Enemy']);
+      expect(describeStatements(code, split.sprites[0].body)).toEqual([
+        'let score = 0;', 'let lives = 3;', 'const enemies = [];', 'enemies.push(new Enemy(10));',
+      ]);
+      expect(split.classes.get('Enemy').params).toEqual([{ name: 'x', defaultValue: null }]);
+      expect(split.instanceLists).toEqual(new Map([['enemies', new Set(['Enemy'])]]));
+      expect(split.shared.variables).toEqual(new Set([
+        'instance count', 'Enemy target', 'Enemy constructed', 'new Enemy x', 'Enemy hit damage', 'score',
+      ]));
+      expect(split.shared.lists).toEqual(new Set(['enemies']));
+    });
+  });
+
+  describe('parseSections', () => {
+    test('should give each section its own top-level names', () => {
+      const code = [
+        'let x = 1;',
+        '// @sprite Player',
+        'let x = 2;',
+        '// @sprite Enemy',
+        'let x = 3;',
+      ].join('\n');
+      const { ast, comments } = parseSections(code, { ecmaVersion: 2020 });
+      expect(describeStatements(code, ast.body)).toEqual(['let x = 1;', 'let x = 2;', 'let x = 3;']);
+      const { stage, sprites } = splitSprites(ast, comments);
+      expect(describeStatements(code, stage)).toEqual(['let x = 1;']);
+      expect(sprites.map(sprite => sprite.name)).toEqual(['Player', 'Enemy']);
+    });
+
+    test('should rename names that sections of the same sprite declare again', () => {
+      const code = [
+        '// @sprite Player',
+        'let x = 1;',
+        'function step() { x = x + 1; }',
+        '// @sprite Enemy',
+        'let x = 5;',
+        '// @sprite Player',
+        'let x = 10;',
+        'let y = x + 2;',
+        'step();',
+      ].join('\n');
+      const { ast, comments } = parseSections(code, { ecmaVersion: 2020 });
+      const { sprites } = splitSprites(ast, comments);
+      const [player, enemy] = sprites;
+      expect(player.body[0].declarations[0].id.name).toBe('x');
+      expect(player.body[1].body.body[0].expression.left.name).toBe('x');
+      expect(player.body[2].declarations[0].id.name).toBe('x_2');
+      expect(player.body[3].declarations[0].init.left.name).toBe('x_2');
+      expect(player.body[4].expression.callee.name).toBe('step');
+      expect(enemy.body[0].declarations[0].id.name).toBe('x');
+    });
+
+    test('should ignore markers inside functions', () => {
+      const code = `
+        function run() {
+          // @sprite Nope
+          let x = 1;
+        }
+        let x = 2;
+      `;
+      const { ast, comments } = parseSections(code, { ecmaVersion: 2020 });
+      expect(ast.body.map(statement => statement.type)).toEqual(['FunctionDeclaration', 'VariableDeclaration']);
+      expect(comments).toEqual([]);
+      expect(() => parseSections('let x = 1;\nlet x = 2;', { ecmaVersion: 2020 })).toThrow(/already been declared/);
+    });
+  });
+
+  describe('lowerCloneClass', () => {
+    function lower(code) {
+      return lowerCloneClass(parse(code).ast.body[0]);
+    }
+
+    test('should run the constructor in each clone, with the arguments from hidden variables', () => {
+      const { body, info } = lower(`
+        class Enemy {
+          constructor(x, speed = 2) {
+            this.x = x;
+            this.speed = speed;
+          }
+        }
+      `);
+      expect(info.params.map(param => param.name)).toEqual(['x', 'speed']);
+      expect(info.params[1].defaultValue).toEqual(expect.objectContaining({ type: 'Literal', value: 2 }));
+      expect(info.fields).toEqual(new Set(['x', 'speed']));
+      // The sprite hides itself, and each clone shows itself
+      expect(body[0].expression.callee.property.name).toBe('hide');
+      expect(body[1].expression.callee.property.name).toBe('onCloneStart');
+      const assignments = body[1].expression.arguments[0].body.body.map(statement => statement.expression);
+      expect(assignments[0].left.name).toBe('instance id');
+      expect(assignments[0].right.name).toBe('instance count');
+      expect(assignments[1].callee.property.name).toBe('show');
+      expect(assignments.slice(2).map(assignment => [assignment.left.name, assignment.right.name || assignment.right.value])).toEqual([
+        ['x', 'new Enemy x'],
+        ['speed', 'new Enemy speed'],
+        ['Enemy constructed', 1],
+      ]);
+    });
+
+    test('should answer the broadcasts of each method and of deletion for the targeted instance', () => {
+      const { body, info } = lower(`
+        class Enemy {
+          hit(damage) {
+            this.lives -= damage;
+            others.forEach(other => other.push(this));
+          }
+        }
+      `);
+      expect(info.methods).toEqual(new Map([['hit', [{ name: 'damage', defaultValue: null }]]]));
+      expect(body.slice(2).map(statement => statement.type)).toEqual(['FunctionDeclaration', 'ExpressionStatement', 'ExpressionStatement']);
+      const pushed = body[2].body.body[1].expression.arguments[0].body.arguments[0];
+      expect(pushed).toEqual(expect.objectContaining({ type: 'Identifier', name: 'instance id' }));
+
+      const [message, listener] = body[3].expression.arguments;
+      expect(message.value).toBe('Enemy hit');
+      const check = listener.body.body[0];
+      expect([check.test.left.name, check.test.right.name]).toEqual(['instance id', 'Enemy target']);
+      expect(check.consequent.body[0].expression.arguments.map(arg => arg.name)).toEqual(['Enemy hit damage']);
+
+      expect(body[4].expression.arguments[0].value).toBe('delete Enemy');
+      expect(body[4].expression.arguments[1].body.body[0].consequent.body[0].expression.callee.property.name).toBe('deleteClone');
+    });
+
+    test('should skip static methods', () => {
+      const { skipped } = lower(`
+        class Enemy {
+          static create() {}
+        }
+      `);
+      expect(skipped.map(member => member.key.name)).toEqual(['create']);
+    });
+  });
+
+  describe('lowerSpriteClass', () => {
+    function lower(code) {
+      return lowerSpriteClass(parse(code).ast.body[0]);
+    }
+
+    test('should run the constructor and turn methods into functions', () => {
+      const { body, skipped } = lower(`
+        class Player {
+          constructor() {
+            this.speed = 5;
+            this.run();
+          }
+          run(steps) {
+            scratch.move(this.speed + steps);
+          }
+        }
+      `);
+      expect(skipped).toEqual([]);
+      expect(body.map(statement => statement.type)).toEqual(['ExpressionStatement', 'ExpressionStatement', 'FunctionDeclaration']);
+      expect(body[0].expression.left).toEqual(expect.objectContaining({ type: 'Identifier', name: 'speed' }));
+      expect(body[1].expression.callee).toEqual(expect.objectContaining({ type: 'Identifier', name: 'run' }));
+      expect(body[2].id.name).toBe('run');
+      expect(body[2].params.map(param => param.name)).toEqual(['steps']);
+      const moved = body[2].body.body[0].expression.arguments[0];
+      expect(moved.left).toEqual(expect.objectContaining({ type: 'Identifier', name: 'speed' }));
+    });
+
+    test('should replace this in arrow functions but not in other functions', () => {
+      const { body } = lower(`
+        class Player {
+          constructor() {
+            scratch.on('hit', () => { this.lives--; });
+            scratch.on('reset', function () { this.lives = 3; });
+          }
+        }
+      `);
+      expect(body[0].expression.arguments[1].body.body[0].expression.argument.type).toBe('Identifier');
+      expect(body[1].expression.arguments[1].body.body[0].expression.left.type).toBe('MemberExpression');
+    });
+
+    test('should skip getters and setters', () => {
+      const { body, skipped } = lower(`
+        class Player {
+          get fast() { return true; }
+          set fast(value) {}
+        }
+      `);
+      expect(body).toEqual([]);
+      expect(skipped.map(member => member.kind)).toEqual(['get', 'set']);
+    });
+  });
+});
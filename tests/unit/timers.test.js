@@ -0,0 +1,82 @@
+const acorn = require('acorn');
+const { getTimerFunction, getPromiseDelay, findAnimationLoops } = require('../../src/translator/timers');
+
+/**
+ * The function declarations of code, as name and body
+ */
+function parseFunctions(code) {
+  return acorn.parse(code, { ecmaVersion: 2020 }).body
+    .filter(node => node.type === 'FunctionDeclaration')
+    .map(node => ({ name: node.id.name, body: node.body }));
+}
+
+function parseCall(code) {
+  return acorn.parse(code, { ecmaVersion: 2020 }).body[0].expression;
+}
+
+describe('Timers', () => {
+  describe('getTimerFunction', () => {
+    test('should recognise timer calls, with or without window', () => {
+      expect(getTimerFunction(parseCall('setInterval(update, 16)'))).toBe('setInterval');
+      expect(getTimerFunction(parseCall('window.clearInterval(timer)'))).toBe('clearInterval');
+      expect(getTimerFunction(parseCall('requestAnimationFrame(loop)'))).toBe('requestAnimationFrame');
+      expect(getTimerFunction(parseCall('setTimeout(done, 100)'))).toBe('setTimeout');
+    });
+
+    test('should return null for other calls', () => {
+      expect(getTimerFunction(parseCall('update()'))).toBeNull();
+      expect(getTimerFunction(parseCall('game.setInterval(update, 16)'))).toBeNull();
+      expect(getTimerFunction(parseCall('x = 1'))).toBeNull();
+    });
+  });
+
+  describe('getPromiseDelay', () => {
+    test('should find the delay of promises resolved by setTimeout', () => {
+      expect(getPromiseDelay(parseCall('new Promise(r => setTimeout(r, 100))'))).toEqual(
+        expect.objectContaining({ type: 'Literal', value: 100 })
+      );
+      expect(getPromiseDelay(parseCall('new Promise(function (resolve) { setTimeout(() => resolve(), ms); })'))).toEqual(
+        expect.objectContaining({ type: 'Identifier', name: 'ms' })
+      );
+      expect(getPromiseDelay(parseCall('new Promise(done => window.setTimeout(done))'))).toEqual(
+        { type: 'Literal', value: 0 }
+      );
+    });
+
+    test('should return null for other promises', () => {
+      expect(getPromiseDelay(parseCall('new Promise(r => setTimeout(other, 100))'))).toBeNull();
+      expect(getPromiseDelay(parseCall('new Promise(r => { load(); setTimeout(r, 100); })'))).toBeNull();
+      expect(getPromiseDelay(parseCall('new Map()'))).toBeNull();
+      expect(getPromiseDelay(parseCall('sleep(100)'))).toBeNull();
+    });
+  });
+
+  describe('findAnimationLoops', () => {
+    test('should find functions that schedule themselves', () => {
+      const loops = findAnimationLoops(parseFunctions(`
+        function loop() { draw(); requestAnimationFrame(loop); }
+        function draw() { requestAnimationFrame(loop); }
+        function tick() { if (running) window.requestAnimationFrame(tick); }
+      `));
+      expect([...loops.keys()]).toEqual(['loop', 'tick']);
+    });
+
+    test('should tell loops that always go on from loops that can stop', () => {
+      const loops = findAnimationLoops(parseFunctions(`
+        function always() { x++; requestAnimationFrame(always); }
+        function conditional() { if (x < 10) requestAnimationFrame(conditional); }
+        function early() { if (paused) return; requestAnimationFrame(early); }
+      `));
+      expect(loops.get('always').always).toBe(true);
+      expect(loops.get('conditional').always).toBe(false);
+      expect(loops.get('early').always).toBe(false);
+    });
+
+    test('should ignore scheduling inside nested functions', () => {
+      const loops = findAnimationLoops(parseFunctions(`
+        function start() { button.onclick = () => requestAnimationFrame(start); }
+      `));
+      expect(loops.size).toBe(0);
+    });
+  });
+});
@@ -1,5 +1,209 @@
 const { translateToScratch, UnsupportedFeatureError, UNSUPPORTED_FEATURES } = require('../../src/translator');
 
+/**
+ * Translate code and pick out the parts tests look at: the stage, the
+ * first sprite and its blocks, and every target by name
+ */
+function translate(code, options) {
+  const result = translateToScratch(code, options);
+  const [stage, sprite] = result.project.targets;
+  const targets = Object.fromEntries(result.project.targets.map(target => [target.name, target]));
+  return { result, stage, sprite, targets, blocks: sprite.blocks, blockList: Object.values(sprite.blocks) };
+}
+
+/**
+ * The variables or lists of a target by name, rather than by id
+ */
+function byName(declarations) {
+  return Object.fromEntries(Object.values(declarations).map(declaration => [declaration[0], declaration]));
+}
+
+/**
+ * The reporter a block should use for a variable: the id of the first of
+ * the targets (the sprite, then the stage) that has a variable by that name
+ */
+function variableRef(name, ...targets) {
+  const target = targets.find(t => byName(t.variables)[name]);
+  if (!target) throw new Error(`No variable named ${name}`);
+  return [12, name, Object.keys(target.variables).find(id => target.variables[id][0] === name)];
+}
+
+/**
+ * The variables of all targets of a project by name
+ */
+function projectVariables(project) {
+  return Object.assign({}, ...project.targets.map(target => byName(target.variables)));
+}
+
+/**
+ * The variables a loop's condition reads that the blocks before the loop
+ * set, and the variables set again in the loop's body
+ */
+function loopConditionVariables(blocks) {
+  const loopId = Object.keys(blocks).find(id => blocks[id].opcode === 'control_repeat_until');
+  const reads = new Set();
+  const readInputs = blockId => Object.values(blocks[blockId].inputs).forEach(input => {
+    input.slice(1).forEach(value => {
+      if (Array.isArray(value) && value[0] === 12) reads.add(value[1]);
+      if (typeof value === 'string' && blocks[value]) readInputs(value);
+    });
+  });
+  readInputs(blocks[loopId].inputs.CONDITION[1]);
+
+  const setIn = (firstId, names, next = true) => {
+    for (let id = firstId; id; id = next ? blocks[id].next : null) {
+      const { opcode, fields, inputs } = blocks[id];
+      if (opcode === 'data_setvariableto') names.add(fields.VARIABLE[0]);
+      ['SUBSTACK', 'SUBSTACK2'].filter(name => inputs[name]).forEach(name => setIn(inputs[name][1], names));
+    }
+    return names;
+  };
+  // The blocks before the loop, back to its hat
+  const before = new Set();
+  for (let id = blocks[loopId].parent; id; id = blocks[id].parent) {
+    setIn(id, before, false);
+  }
+  return {
+    prepared: [...reads].filter(name => before.has(name)),
+    refreshed: setIn(blocks[loopId].inputs.SUBSTACK[1], new Set()),
+  };
+}
+
+/**
+ * The shape of a stack of blocks: each block's opcode and the variable or
+ * list it sets, with the stacks inside C blocks nested after it
+ */
+function outline(blocks, blockId) {
+  const shape = [];
+  for (let id = blockId; id; id = blocks[id].next) {
+    const block = blocks[id];
+    const field = block.fields.VARIABLE || block.fields.LIST;
+    const name = field ? ` ${field[0]}` : '';
+    const inner = ['SUBSTACK', 'SUBSTACK2']
+      .filter(key => block.inputs[key] && block.inputs[key][1])
+      .map(key => outline(blocks, block.inputs[key][1]));
+    shape.push(inner.length > 0 ? [block.opcode + name, ...inner] : block.opcode + name);
+  }
+  return shape;
+}
+
+/**
+ * The outline of the blocks under the green flag hat
+ */
+function mainScript(blocks) {
+  const hatId = Object.keys(blocks).find(id => blocks[id].opcode === 'event_whenflagclicked');
+  return outline(blocks, blocks[hatId].next);
+}
+
+/**
+ * Opcodes of each script, starting with its hat, with the key, variable,
+ * list, message or stop option a block names; blocks inside a C block
+ * follow it as a nested array
+ */
+function scripts(blocks) {
+  const stack = firstId => {
+    const shape = [];
+    for (let id = firstId; id; id = blocks[id].next) {
+      const { opcode, inputs, fields } = blocks[id];
+      const field = fields.KEY_OPTION || fields.VARIABLE || fields.LIST || fields.BROADCAST_OPTION ||
+        fields.STOP_OPTION || (inputs.BROADCAST_INPUT && inputs.BROADCAST_INPUT[1].slice(1));
+      shape.push(field ? `${opcode} ${field[0]}` : opcode);
+      if (inputs.SUBSTACK) shape.push(stack(inputs.SUBSTACK[1]));
+    }
+    return shape;
+  };
+  return Object.keys(blocks).filter(id => blocks[id].topLevel).map(stack);
+}
+
+/**
+ * The blocks with an opcode
+ */
+function find(blocks, opcode) {
+  return Object.values(blocks).filter(block => block.opcode === opcode);
+}
+
+/**
+ * The value a set variable block gives a variable
+ */
+function valueOf(blockList, name) {
+  const set = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === name);
+  return set.inputs.VALUE;
+}
+
+/**
+ * Run the green flag script of a target, with the few blocks that custom
+ * blocks and their results need, and return the variables by name
+ */
+function runGreenFlag(blocks) {
+  const variables = {};
+  const lists = {};
+  const definitions = {};
+  Object.values(blocks).filter(block => block.opcode === 'procedures_definition').forEach(definition => {
+    definitions[blocks[definition.inputs.custom_block[1]].mutation.proccode] = definition;
+  });
+
+  const value = (input, args) => {
+    const content = input[1];
+    if (typeof content === 'string') return evaluate(content, args);
+    return content[0] === 12 ? variables[content[1]] : content[1];
+  };
+  const evaluate = (id, args) => {
+    const { opcode, inputs, fields } = blocks[id];
+    const number = name => Number(value(inputs[name], args));
+    switch (opcode) {
+      case 'argument_reporter_string_number': return args[fields.VALUE[0]];
+      case 'operator_add': return number('NUM1') + number('NUM2');
+      case 'operator_subtract': return number('NUM1') - number('NUM2');
+      case 'operator_mod': return number('NUM1') - Math.floor(number('NUM1') / number('NUM2')) * number('NUM2');
+      case 'operator_mathop': return Math[fields.OPERATOR[0]](number('NUM'));
+      case 'operator_lt': return number('OPERAND1') < number('OPERAND2');
+      case 'operator_gt': return number('OPERAND1') > number('OPERAND2');
+      case 'operator_and': return value(inputs.OPERAND1, args) && value(inputs.OPERAND2, args);
+      case 'data_itemoflist': return lists[fields.LIST[0]][lists[fields.LIST[0]].length - 1];
+      default: throw new Error(`Can't run ${opcode}`);
+    }
+  };
+  // Returns true when the script stops
+  const run = (firstId, args) => {
+    for (let id = firstId; id; id = blocks[id].next) {
+      const { opcode, inputs, fields, mutation } = blocks[id];
+      switch (opcode) {
+        case 'data_setvariableto':
+          variables[fields.VARIABLE[0]] = value(inputs.VALUE, args);
+          break;
+        case 'data_addtolist':
+          (lists[fields.LIST[0]] = lists[fields.LIST[0]] || []).push(value(inputs.ITEM, args));
+          break;
+        case 'data_deleteoflist':
+          lists[fields.LIST[0]].pop();
+          break;
+        case 'control_if':
+          if (value(inputs.CONDITION, args) && run(inputs.SUBSTACK[1], args)) return true;
+          break;
+        case 'control_stop':
+          return true;
+        case 'procedures_call': {
+          const definition = definitions[mutation.proccode];
+          const prototype = blocks[definition.inputs.custom_block[1]].mutation;
+          const names = JSON.parse(prototype.argumentnames);
+          const callArgs = {};
+          JSON.parse(prototype.argumentids).forEach((argumentId, index) => {
+            callArgs[names[index]] = value(inputs[argumentId], args);
+          });
+          run(definition.next, callArgs);
+          break;
+        }
+        default:
+          throw new Error(`Can't run ${opcode}`);
+      }
+    }
+    return false;
+  };
+  const hatId = Object.keys(blocks).find(id => blocks[id].opcode === 'event_whenflagclicked');
+  run(blocks[hatId].next, {});
+  return variables;
+}
+
 describe('Translator', () => {
   describe('translateToScratch', () => {
     test('should translate simple variable declaration', () => {
@@ -67,12 +271,21 @@ describe('Translator', () => {
       expect(() => translateToScratch(code)).toThrow(UnsupportedFeatureError);
     });
 
-    test('should detect async functions', () => {
-      const code = 'async function test() { return 1; }';
+    test('should detect awaits of promises other than delays', () => {
+      const code = 'async function test() { await response.json(); }';
       
       expect(() => translateToScratch(code)).toThrow(UnsupportedFeatureError);
     });
 
+    test('should accept async functions that await delays and calls', () => {
+      const code = `
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        async function test() { await sleep(100); await test(); }
+      `;
+
+      expect(() => translateToScratch(code)).not.toThrow();
+    });
+
     test('should detect await expressions', () => {
       const code = 'async function test() { await Promise.resolve(); }';
       
@@ -96,7 +309,6 @@ describe('Translator', () => {
       expect(UNSUPPORTED_FEATURES).toContain('console.log');
       expect(UNSUPPORTED_FEATURES).toContain('window.alert');
       expect(UNSUPPORTED_FEATURES).toContain('fetch');
-      expect(UNSUPPORTED_FEATURES).toContain('setTimeout');
       expect(UNSUPPORTED_FEATURES).toContain('Promise');
     });
   });
@@ -344,6 +556,3362 @@ describe('Translator', () => {
     });
   });
 
+  describe('Custom blocks', () => {
+    test('should translate a function with statements into a custom block', () => {
+      const code = `
+        function drawBox(size) {
+          let i = 0;
+          while (i < size) {
+            scratch_say(size);
+            i = i + 1;
+          }
+        }
+        drawBox(3);
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+      const blockList = Object.values(blocks);
+
+      const definition = blockList.find(b => b.opcode === 'procedures_definition');
+      expect(definition).toBeDefined();
+      expect(definition.topLevel).toBe(true);
+
+      const prototype = blocks[definition.inputs.custom_block[1]];
+      expect(prototype.opcode).toBe('procedures_prototype');
+      expect(prototype.mutation.proccode).toBe('drawBox %s');
+      expect(JSON.parse(prototype.mutation.argumentnames)).toEqual(['size']);
+
+      // The body hangs off the definition hat
+      expect(blocks[definition.next].opcode).toBe('data_setvariableto');
+
+      const call = blockList.find(b => b.opcode === 'procedures_call');
+      expect(call).toBeDefined();
+      expect(call.mutation.proccode).toBe('drawBox %s');
+      expect(call.mutation.argumentids).toBe(prototype.mutation.argumentids);
+      const [argId] = JSON.parse(call.mutation.argumentids);
+      expect(call.inputs[argId]).toEqual([1, [4, '3']]);
+    });
+
+    test('should read parameters through argument reporters', () => {
+      const code = `
+        const greet = (name) => {
+          scratch_say(name);
+        };
+        greet('Ada');
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+
+      const sayBlock = Object.values(blocks).find(b => b.opcode === 'looks_say');
+      const reporter = blocks[sayBlock.inputs.MESSAGE[1]];
+      expect(reporter.opcode).toBe('argument_reporter_string_number');
+      expect(reporter.fields.VALUE[0]).toBe('name');
+      expect(reporter.shadow).toBe(false);
+
+      // Parameters are not sprite variables
+      expect(result.project.targets[1].variables.name).toBeUndefined();
+    });
+
+    test('should support function expressions called as statements', () => {
+      const code = `
+        const shout = function(message) {
+          scratch_say(message);
+        };
+        shout('hi');
+        shout('bye');
+      `;
+      const result = translateToScratch(code);
+      const blockList = Object.values(result.project.targets[1].blocks);
+
+      expect(blockList.filter(b => b.opcode === 'procedures_definition').length).toBe(1);
+      expect(blockList.filter(b => b.opcode === 'procedures_call').length).toBe(2);
+    });
+
+    test('should stop the custom block on an early return', () => {
+      const code = `
+        function check(x) {
+          if (x > 5) {
+            return;
+          }
+          scratch_say(x);
+        }
+        check(10);
+      `;
+      const result = translateToScratch(code);
+      const blockList = Object.values(result.project.targets[1].blocks);
+
+      const stopBlock = blockList.find(
+        b => b.opcode === 'control_stop' && b.fields.STOP_OPTION[0] === 'this script'
+      );
+      expect(stopBlock).toBeDefined();
+    });
+
+    test('should chain statements inside a custom block body', () => {
+      const code = `
+        function twice(x) {
+          scratch_say(x);
+          scratch_say(x);
+        }
+        twice(1);
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+
+      const definition = Object.values(blocks).find(b => b.opcode === 'procedures_definition');
+      const firstSay = blocks[definition.next];
+      expect(firstSay.opcode).toBe('looks_say');
+      expect(blocks[firstSay.next].opcode).toBe('looks_say');
+      expect(blocks[firstSay.next].next).toBeNull();
+    });
+
+    test('should keep inlining single-expression functions used in expressions', () => {
+      const code = `
+        const add = (a, b) => a + b;
+        let total = add(1, 2);
+      `;
+      const result = translateToScratch(code);
+      const blockList = Object.values(result.project.targets[1].blocks);
+
+      expect(blockList.find(b => b.opcode === 'procedures_definition')).toBeUndefined();
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeDefined();
+    });
+
+    test('should pass the default value of a parameter the call leaves out', () => {
+      const result = translateToScratch(`
+        function g(a, b = a * 2) {
+          scratch.say(a + b);
+        }
+        g(1);
+        g(1, 5);
+      `);
+      const blocks = result.project.targets[1].blocks;
+      const blockList = Object.values(blocks);
+
+      const prototype = blockList.find(b => b.opcode === 'procedures_prototype');
+      expect(JSON.parse(prototype.mutation.argumentnames)).toEqual(['a', 'b']);
+      expect(JSON.parse(prototype.mutation.argumentids)).toEqual(['g_arg_a', 'g_arg_b']);
+
+      const [leftOut, given] = blockList.filter(b => b.opcode === 'procedures_call');
+      const defaultValue = blocks[leftOut.inputs.g_arg_b[1]];
+      expect(defaultValue.opcode).toBe('operator_multiply');
+      expect(defaultValue.inputs.NUM1).toEqual([1, [4, '1']]);
+      expect(given.inputs.g_arg_b).toEqual([1, [4, '5']]);
+
+      // The body reads b through its argument reporter, not a variable
+      const add = blockList.find(b => b.opcode === 'operator_add');
+      expect(blocks[add.inputs.NUM2[1]].fields.VALUE[0]).toBe('b');
+      expect(projectVariables(result.project)).not.toHaveProperty('b');
+    });
+
+    test('should warn about destructured parameters', () => {
+      const result = translateToScratch(`
+        function show({ x }) {
+          scratch.say(x);
+        }
+        show(3);
+      `);
+      expect(result.warnings.map(warning => warning.message)).toContain(
+        "Custom blocks can't take destructured parameters, so argument 1 of show was left out"
+      );
+    });
+  });
+
+  describe('Functions with return values', () => {
+    test('should write every return path to the result variable', () => {
+      const code = `
+        function sign(x) {
+          if (x < 0) {
+            return 0 - 1;
+          }
+          return 1;
+        }
+        let s = sign(5);
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+      const blockList = Object.values(blocks);
+
+      const resultSets = blockList.filter(
+        b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'sign result'
+      );
+      expect(resultSets.length).toBe(2);
+
+      // The early return stops the custom block right after setting the result
+      const earlySet = resultSets.find(b => b.next !== null);
+      expect(blocks[earlySet.next].opcode).toBe('control_stop');
+      expect(blocks[earlySet.next].fields.STOP_OPTION[0]).toBe('this script');
+
+      expect(projectVariables(result.project)['sign result']).toBeDefined();
+    });
+
+    test('should call the custom block before the statement that reads its result', () => {
+      const code = `
+        function sign(x) {
+          if (x < 0) {
+            return 0 - 1;
+          }
+          return 1;
+        }
+        let s = sign(5);
+      `;
+      const result = translateToScratch(code);
+      const [stage, sprite] = result.project.targets;
+      const blocks = sprite.blocks;
+      const blockList = Object.values(blocks);
+
+      const call = blockList.find(b => b.opcode === 'procedures_call');
+      expect(blocks[call.parent].opcode).toBe('event_whenflagclicked');
+
+      const setS = blocks[call.next];
+      expect(setS.opcode).toBe('data_setvariableto');
+      expect(setS.fields.VARIABLE[0]).toBe('s');
+      expect(setS.inputs.VALUE).toEqual([3, variableRef('sign result', sprite, stage), [10, '']]);
+    });
+
+    test('should keep earlier results when a function is called twice in one statement', () => {
+      const code = `
+        function pick(a, b) {
+          if (a > b) {
+            return a;
+          }
+          return b;
+        }
+        let total = pick(1, 2) + pick(3, 4);
+      `;
+      const result = translateToScratch(code);
+      const [stage, sprite] = result.project.targets;
+      const blocks = sprite.blocks;
+      const blockList = Object.values(blocks);
+
+      const addBlock = blockList.find(b => b.opcode === 'operator_add');
+      expect(addBlock.inputs.NUM1[1]).toEqual(variableRef('pick result 1', sprite, stage));
+      expect(addBlock.inputs.NUM2[1]).toEqual(variableRef('pick result', sprite, stage));
+
+      const copyBlock = blockList.find(
+        b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'pick result 1'
+      );
+      expect(blocks[copyBlock.parent].opcode).toBe('procedures_call');
+      expect(blocks[copyBlock.next].opcode).toBe('procedures_call');
+    });
+
+    test('should call the custom block again before each loop check', () => {
+      const code = `
+        function isPositive(n) {
+          let positive = 0;
+          if (n > 0) {
+            positive = 1;
+          }
+          return positive;
+        }
+        let a = 5;
+        while (isPositive(a) == 1) {
+          a = a - 1;
+        }
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+      const blockList = Object.values(blocks);
+
+      expect(blockList.filter(b => b.opcode === 'procedures_call').length).toBe(2);
+
+      const loop = blockList.find(b => b.opcode === 'control_repeat_until');
+      expect(blocks[loop.parent].opcode).toBe('procedures_call');
+
+      const lastInBody = blocks[blocks[loop.inputs.SUBSTACK[1]].next];
+      expect(lastInBody.opcode).toBe('procedures_call');
+      expect(lastInBody.next).toBeNull();
+
+      // Every block belongs to a script
+      const orphans = blockList.filter(b => b.parent === null && !b.topLevel);
+      expect(orphans.length).toBe(0);
+    });
+    test('should refresh the result variables the loop condition reads', () => {
+      const result = translateToScratch(`
+        function f(n) {
+          scratch.say(n);
+          return n * 2;
+        }
+        let k = 1;
+        while (f(k) + f(1) < 10) {
+          k++;
+        }
+      `);
+      const { prepared, refreshed } = loopConditionVariables(result.project.targets[1].blocks);
+      expect(prepared).toEqual(['f result 1']);
+      prepared.forEach(name => expect(refreshed).toContain(name));
+    });
+
+    test('should keep earlier results of recursive calls on a list while the function runs again', () => {
+      const { blocks, sprite } = translate(`
+        function fib(n) {
+          if (n < 2) return n;
+          return fib(n - 1) + fib(n - 2);
+        }
+        let r = fib(6);
+      `);
+      expect(runGreenFlag(blocks).r).toBe(8);
+      expect(Object.values(sprite.lists).map(list => list[0])).toEqual(['fib stack']);
+    });
+
+    test('should keep earlier results of calls that come back through another function', () => {
+      const { blocks } = translate(`
+        function count(n) {
+          if (n < 1) return 0;
+          return count(n - 1) + twice(n - 1) + 1;
+        }
+        function twice(n) {
+          return count(n) + count(n);
+        }
+        let c = count(3);
+      `);
+      // count(n) = 3 * count(n - 1) + 1
+      expect(runGreenFlag(blocks).c).toBe(13);
+    });
+
+    test('should not keep results on a list when calls cannot come back', () => {
+      const { blocks, sprite } = translate(`
+        function double(n) {
+          return n + n;
+        }
+        function sum(a, b) {
+          return double(a) + double(b);
+        }
+        let s = sum(2, 3);
+      `);
+      expect(runGreenFlag(blocks).s).toBe(10);
+      expect(sprite.lists).toEqual({});
+    });
+  });
+
+  describe('For loops', () => {
+    test('should repeat a counted loop the right number of times', () => {
+      const { blocks } = translate(`
+        for (let i = 0; i < 10; i += 3) {
+          scratch_say(i);
+        }
+      `);
+      const repeat = Object.values(blocks).find(b => b.opcode === 'control_repeat');
+      expect(repeat.inputs.TIMES).toEqual([1, [6, '4']]);
+
+      // The counter is initialised before the loop...
+      const init = blocks[repeat.parent];
+      expect(init.opcode).toBe('data_setvariableto');
+      expect(init.fields.VARIABLE[0]).toBe('i');
+      expect(init.inputs.VALUE).toEqual([1, [4, '0']]);
+
+      // ...and advanced at the end of the body
+      const say = blocks[repeat.inputs.SUBSTACK[1]];
+      expect(say.opcode).toBe('looks_say');
+      const change = blocks[say.next];
+      expect(change.opcode).toBe('data_changevariableby');
+      expect(change.fields.VARIABLE[0]).toBe('i');
+      expect(change.inputs.VALUE).toEqual([1, [4, '3']]);
+    });
+
+    test.each([
+      ['let i = 0; i < 5; i++', '5'],
+      ['let i = 1; i <= 5; i++', '5'],
+      ['let i = 10; i > 0; i--', '10'],
+      ['let i = 10; i >= 0; i -= 2', '6'],
+      ['let i = 5; i < 5; i++', '0'],
+      ['let i = 0; i < 10; i = i + 4', '3'],
+    ])('should compute the repeat count for (%s)', (header, times) => {
+      const { blocks } = translate(`for (${header}) { scratch_say(i); }`);
+      const repeat = Object.values(blocks).find(b => b.opcode === 'control_repeat');
+      expect(repeat.inputs.TIMES).toEqual([1, [6, times]]);
+    });
+
+    test('should use repeat until when the bound is not a literal', () => {
+      const { blocks } = translate(`
+        let n = 4;
+        for (let i = 0; i < n; i++) {
+          scratch_say(i);
+        }
+      `);
+      const blockList = Object.values(blocks);
+      expect(blockList.find(b => b.opcode === 'control_repeat')).toBeUndefined();
+
+      const loop = blockList.find(b => b.opcode === 'control_repeat_until');
+      // Loop until not (i < n)
+      const condition = blocks[loop.inputs.CONDITION[1]];
+      expect(condition.opcode).toBe('operator_not');
+      expect(blocks[condition.inputs.OPERAND[1]].opcode).toBe('operator_lt');
+
+      const say = blocks[loop.inputs.SUBSTACK[1]];
+      expect(blocks[say.next].opcode).toBe('data_changevariableby');
+    });
+
+    test('should use repeat until when the body changes the counter', () => {
+      const { blocks } = translate(`
+        for (let i = 0; i < 10; i++) {
+          i = i * 2;
+        }
+      `);
+      const blockList = Object.values(blocks);
+      expect(blockList.find(b => b.opcode === 'control_repeat')).toBeUndefined();
+      expect(blockList.find(b => b.opcode === 'control_repeat_until')).toBeDefined();
+    });
+
+    test('should translate a loop without a condition into forever', () => {
+      const { blocks } = translate(`
+        for (;;) {
+          scratch_say('again');
+        }
+      `);
+      const forever = Object.values(blocks).find(b => b.opcode === 'control_forever');
+      expect(forever).toBeDefined();
+      expect(blocks[forever.inputs.SUBSTACK[1]].opcode).toBe('looks_say');
+    });
+  });
+
+  describe('If/else statements', () => {
+    test('should translate else into control_if_else', () => {
+      const { blocks } = translate(`
+        let x = 10;
+        if (x < 5) {
+          x = 1;
+        } else {
+          x = 2;
+        }
+      `);
+      const ifElse = Object.values(blocks).find(b => b.opcode === 'control_if_else');
+      expect(ifElse).toBeDefined();
+
+      const thenBlock = blocks[ifElse.inputs.SUBSTACK[1]];
+      const elseBlock = blocks[ifElse.inputs.SUBSTACK2[1]];
+      expect(thenBlock.inputs.VALUE).toEqual([1, [4, '1']]);
+      expect(elseBlock.inputs.VALUE).toEqual([1, [4, '2']]);
+      expect(thenBlock.parent).toBe(elseBlock.parent);
+    });
+
+    test('should nest else-if chains in the else branch', () => {
+      const { blocks } = translate(`
+        let grade = 0;
+        let score = 75;
+        if (score > 90) {
+          grade = 1;
+        } else if (score > 80) {
+          grade = 2;
+        } else if (score > 70) {
+          grade = 3;
+        } else if (score > 60) {
+          grade = 4;
+        } else {
+          grade = 5;
+        }
+      `);
+      const first = Object.values(blocks).find(
+        b => b.opcode === 'control_if_else' && blocks[b.parent].opcode !== 'control_if_else'
+      );
+
+      // Walk the chain through each else branch
+      const grades = [];
+      let current = first;
+      while (current && current.opcode === 'control_if_else') {
+        grades.push(blocks[current.inputs.SUBSTACK[1]].inputs.VALUE[1][1]);
+        const elseBlock = blocks[current.inputs.SUBSTACK2[1]];
+        if (elseBlock.opcode !== 'control_if_else') {
+          grades.push(elseBlock.inputs.VALUE[1][1]);
+        }
+        current = elseBlock;
+      }
+      expect(grades).toEqual(['1', '2', '3', '4', '5']);
+    });
+
+    test('should end an else-if chain without else in a plain control_if', () => {
+      const { blocks } = translate(`
+        let x = 3;
+        if (x == 1) {
+          x = 10;
+        } else if (x == 2) {
+          x = 20;
+        }
+      `);
+      const ifElse = Object.values(blocks).find(b => b.opcode === 'control_if_else');
+      const nested = blocks[ifElse.inputs.SUBSTACK2[1]];
+      expect(nested.opcode).toBe('control_if');
+      expect(blocks[nested.parent]).toBe(ifElse);
+      expect(nested.inputs.SUBSTACK2).toBeUndefined();
+    });
+
+    test('should translate single statements without braces', () => {
+      const { blocks } = translate(`
+        let x = 3;
+        if (x > 1) x = 1;
+        else x = 2;
+      `);
+      const ifElse = Object.values(blocks).find(b => b.opcode === 'control_if_else');
+      expect(blocks[ifElse.inputs.SUBSTACK[1]].opcode).toBe('data_setvariableto');
+      expect(blocks[ifElse.inputs.SUBSTACK2[1]].opcode).toBe('data_setvariableto');
+    });
+
+    test('should keep the statement after an if/else connected', () => {
+      const { blocks } = translate(`
+        let x = 3;
+        if (x > 1) {
+          x = 1;
+        } else {
+          x = 2;
+        }
+        x = 5;
+      `);
+      const ifElse = Object.values(blocks).find(b => b.opcode === 'control_if_else');
+      const after = blocks[ifElse.next];
+      expect(after.inputs.VALUE).toEqual([1, [4, '5']]);
+    });
+  });
+
+  describe('Compound assignment and update operators', () => {
+    test('should translate += and -= with numbers into change by', () => {
+      const changes = translate(`
+        let score = 0;
+        score += 10;
+        score -= 3;
+      `).blockList.filter(b => b.opcode === 'data_changevariableby');
+
+      expect(changes.map(b => b.inputs.VALUE)).toEqual([[1, [4, '10']], [1, [4, '-3']]]);
+      expect(changes.every(b => b.fields.VARIABLE[0] === 'score')).toBe(true);
+    });
+
+    test('should translate ++ and -- into change by 1 and -1', () => {
+      const changes = translate(`
+        let lives = 3;
+        lives--;
+        ++lives;
+      `).blockList.filter(b => b.opcode === 'data_changevariableby');
+
+      expect(changes.map(b => b.inputs.VALUE)).toEqual([[1, [4, '-1']], [1, [4, '1']]]);
+    });
+
+    test.each([
+      ['*=', 'operator_multiply'],
+      ['/=', 'operator_divide'],
+      ['%=', 'operator_mod'],
+    ])('should translate %s into set to an operator block', (operator, opcode) => {
+      const code = `
+        let x = 10;
+        x ${operator} 3;
+      `;
+      const result = translateToScratch(code);
+      const [stage, sprite] = result.project.targets;
+      const blocks = sprite.blocks;
+
+      const operatorBlock = Object.values(blocks).find(b => b.opcode === opcode);
+      expect(operatorBlock).toBeDefined();
+      expect(operatorBlock.inputs.NUM1).toEqual([3, variableRef('x', sprite, stage), [4, '']]);
+      expect(operatorBlock.inputs.NUM2).toEqual([1, [4, '3']]);
+
+      const setBlock = blocks[operatorBlock.parent];
+      expect(setBlock.opcode).toBe('data_setvariableto');
+      expect(setBlock.fields.VARIABLE[0]).toBe('x');
+    });
+
+    test('should add variables to themselves for += with expressions', () => {
+      const { stage, sprite, blockList } = translate(`
+        let total = 0;
+        let bonus = 5;
+        total += bonus;
+      `);
+      const addBlock = blockList.find(b => b.opcode === 'operator_add');
+      expect(addBlock.inputs.NUM1).toEqual([3, variableRef('total', sprite, stage), [4, '']]);
+      expect(addBlock.inputs.NUM2).toEqual([3, variableRef('bonus', sprite, stage), [4, '']]);
+    });
+
+    test('should translate compound updates in loop headers', () => {
+      const code = `
+        let j = 1;
+        let n = 4;
+        for (let i = 0; i < n; i++, j *= 2) {
+          scratch_say(j);
+        }
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+
+      const loop = Object.values(blocks).find(b => b.opcode === 'control_repeat_until');
+      const say = blocks[loop.inputs.SUBSTACK[1]];
+      const changeI = blocks[say.next];
+      expect(changeI.opcode).toBe('data_changevariableby');
+      expect(changeI.fields.VARIABLE[0]).toBe('i');
+      const setJ = blocks[changeI.next];
+      expect(setJ.opcode).toBe('data_setvariableto');
+      expect(setJ.fields.VARIABLE[0]).toBe('j');
+      expect(blocks[setJ.inputs.VALUE[1]].opcode).toBe('operator_multiply');
+    });
+
+    test('should run postfix increments used as values before the statement', () => {
+      const code = `
+        let i = 5;
+        let before = i++;
+      `;
+      const result = translateToScratch(code);
+      const blocks = result.project.targets[1].blocks;
+
+      const setBefore = Object.values(blocks).find(
+        b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'before'
+      );
+      expect(blocks[setBefore.parent].opcode).toBe('data_changevariableby');
+
+      // i++ evaluates to the old value, i - 1 after the change
+      const subtract = blocks[setBefore.inputs.VALUE[1]];
+      expect(subtract.opcode).toBe('operator_subtract');
+      expect(subtract.inputs.NUM2).toEqual([1, [4, '1']]);
+    });
+  });
+
+  describe('Logical and conditional operators', () => {
+    test('should translate && and || into and/or blocks', () => {
+      const { blocks } = translate(`
+        let a = 1;
+        let b = 2;
+        if (a > 0 && b > 0 || a == b) {
+          a = 0;
+        }
+      `);
+      const ifBlock = Object.values(blocks).find(b => b.opcode === 'control_if');
+      const orBlock = blocks[ifBlock.inputs.CONDITION[1]];
+      expect(orBlock.opcode).toBe('operator_or');
+
+      const andBlock = blocks[orBlock.inputs.OPERAND1[1]];
+      expect(andBlock.opcode).toBe('operator_and');
+      expect(blocks[andBlock.inputs.OPERAND1[1]].opcode).toBe('operator_gt');
+      expect(blocks[andBlock.inputs.OPERAND2[1]].opcode).toBe('operator_gt');
+      expect(blocks[orBlock.inputs.OPERAND2[1]].opcode).toBe('operator_equals');
+      expect(andBlock.parent).toBe(ifBlock.inputs.CONDITION[1]);
+    });
+
+    test('should combine logical operators with not', () => {
+      const { blocks } = translate(`
+        let a = 1;
+        let b = 2;
+        if (!(a > 0 && b != 2)) {
+          a = 0;
+        }
+      `);
+      const ifBlock = Object.values(blocks).find(b => b.opcode === 'control_if');
+      const notBlock = blocks[ifBlock.inputs.CONDITION[1]];
+      expect(notBlock.opcode).toBe('operator_not');
+
+      const andBlock = blocks[notBlock.inputs.OPERAND[1]];
+      expect(andBlock.opcode).toBe('operator_and');
+      // b != 2 is itself not (b = 2)
+      expect(blocks[andBlock.inputs.OPERAND2[1]].opcode).toBe('operator_not');
+    });
+
+    test('should negate logical loop conditions with De Morgan', () => {
+      const { blocks } = translate(`
+        let a = 0;
+        let b = 0;
+        while (a < 5 && b < 5) {
+          a = a + 1;
+        }
+      `);
+      const loop = Object.values(blocks).find(b => b.opcode === 'control_repeat_until');
+      // until (a >= 5) or (b >= 5)
+      const orBlock = blocks[loop.inputs.CONDITION[1]];
+      expect(orBlock.opcode).toBe('operator_or');
+      const left = blocks[orBlock.inputs.OPERAND1[1]];
+      expect(left.opcode).toBe('operator_not');
+      expect(blocks[left.inputs.OPERAND[1]].opcode).toBe('operator_lt');
+    });
+
+    test('should test plain values in conditions for truthiness', () => {
+      const { blocks } = translate(`
+        let lives = 3;
+        let score = 0;
+        if (lives) {
+          score = 1;
+        }
+      `);
+      const ifBlock = Object.values(blocks).find(b => b.opcode === 'control_if');
+      const notBlock = blocks[ifBlock.inputs.CONDITION[1]];
+      expect(notBlock.opcode).toBe('operator_not');
+
+      const comparedValues = Object.values(blocks)
+        .filter(b => b.opcode === 'operator_equals')
+        .map(b => b.inputs.OPERAND2[1][1]);
+      expect(comparedValues).toEqual(['0', '', 'false']);
+    });
+
+    test('should translate while (true) into forever', () => {
+      const { blocks } = translate(`
+        let frame = 0;
+        while (true) {
+          frame++;
+        }
+      `);
+      const forever = Object.values(blocks).find(b => b.opcode === 'control_forever');
+      expect(forever).toBeDefined();
+      expect(blocks[forever.inputs.SUBSTACK[1]].opcode).toBe('data_changevariableby');
+    });
+
+    test('should lower the ternary operator into an if/else on a temporary variable', () => {
+      const { stage, sprite, blocks } = translate(`
+        let speed = 3;
+        let label = speed > 5 ? 10 : 20;
+      `);
+      const blockList = Object.values(blocks);
+      const ifElse = blockList.find(b => b.opcode === 'control_if_else');
+      expect(blocks[ifElse.inputs.CONDITION[1]].opcode).toBe('operator_gt');
+
+      const thenSet = blocks[ifElse.inputs.SUBSTACK[1]];
+      const elseSet = blocks[ifElse.inputs.SUBSTACK2[1]];
+      expect(thenSet.fields.VARIABLE[0]).toBe(elseSet.fields.VARIABLE[0]);
+      expect(thenSet.inputs.VALUE).toEqual([1, [4, '10']]);
+      expect(elseSet.inputs.VALUE).toEqual([1, [4, '20']]);
+
+      // The if/else runs right before the assignment that reads the result
+      const setLabel = blocks[ifElse.next];
+      expect(setLabel.fields.VARIABLE[0]).toBe('label');
+      const tempName = thenSet.fields.VARIABLE[0];
+      expect(setLabel.inputs.VALUE).toEqual([3, variableRef(tempName, sprite, stage), [10, '']]);
+    });
+
+    test('should support nested ternaries in any expression position', () => {
+      const { blocks } = translate(`
+        let n = 5;
+        let total = 1 + (n > 3 ? (n > 4 ? 2 : 3) : 4);
+      `);
+      const blockList = Object.values(blocks);
+      const ifElses = blockList.filter(b => b.opcode === 'control_if_else');
+      expect(ifElses.length).toBe(2);
+
+      // The inner conditional only runs in the outer one's true branch
+      const outer = ifElses.find(b => blocks[b.parent].opcode !== 'control_if_else');
+      const inner = ifElses.find(b => b !== outer);
+      expect(blocks[inner.parent]).toBe(outer);
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeDefined();
+    });
+
+    test('should return an operand for || with non-boolean values', () => {
+      const { stage, sprite, blocks } = translate(`
+        let nickname = '';
+        let shown = nickname || 'player';
+      `);
+      const ifElse = Object.values(blocks).find(b => b.opcode === 'control_if_else');
+      expect(blocks[ifElse.inputs.SUBSTACK[1]].inputs.VALUE).toEqual([3, variableRef('nickname', sprite, stage), [10, '']]);
+      expect(blocks[ifElse.inputs.SUBSTACK2[1]].inputs.VALUE).toEqual([1, [10, 'player']]);
+    });
+
+    test.each([
+      ['a custom block call', '&&', 'procedures_call', `
+        let n = 0;
+        function next() { n++; return n; }
+        let a = 1;
+        if (a > 0 && next() > 2) { a = 0; }
+      `],
+      ['pop()', '||', 'data_deleteoflist', `
+        let items = [1, 2];
+        let a = 1;
+        if (a > 0 || items.pop() > 1) { a = 0; }
+      `],
+    ])('should only run %s on the right of %s when the left operand does not decide', (description, operator, opcode, code) => {
+      const { stage, sprite, blocks } = translate(code);
+      const blockList = Object.values(blocks);
+      const [check, ifBlock] = blockList.filter(b => b.opcode === 'control_if');
+      expect(blockList.find(b => b.opcode === 'operator_and' || b.opcode === 'operator_or')).toBeUndefined();
+
+      // temp = left; if temp is true (&&) or false (||), run the right operand
+      const setLeft = blocks[check.parent];
+      const tempName = setLeft.fields.VARIABLE[0];
+      expect(blocks[setLeft.inputs.VALUE[1]].opcode).toBe('operator_gt');
+      const test = blocks[check.inputs.CONDITION[1]];
+      expect(test.inputs.OPERAND1).toEqual([2, variableRef(tempName, sprite, stage)]);
+      expect(test.inputs.OPERAND2).toEqual([1, [10, operator === '&&' ? 'true' : 'false']]);
+      const branchIds = [];
+      for (let id = check.inputs.SUBSTACK[1]; id; id = blocks[id].next) branchIds.push(id);
+      expect(branchIds.map(id => blocks[id].opcode)).toContain(opcode);
+      const setRightId = branchIds[branchIds.length - 1];
+      expect(blocks[setRightId].fields.VARIABLE[0]).toBe(tempName);
+      const right = blocks[blocks[setRightId].inputs.VALUE[1]];
+      expect(right.opcode).toBe('operator_gt');
+      expect(right.parent).toBe(setRightId);
+
+      // The statement then tests the temporary variable
+      expect(blocks[check.next]).toBe(ifBlock);
+      expect(blocks[ifBlock.inputs.CONDITION[1]].inputs.OPERAND2).toEqual([1, [10, 'true']]);
+    });
+
+    test.each([
+      ['a truthiness test in while', 'let n = 5; while (n % 3) { n++; }'],
+      ['a conditional in while', 'let a = 5; while ((a > 0 ? a : 0) > 1) { a--; }'],
+      ['a truthiness test in for', 'let a = 5; for (let i = 1; i % 4; i++) { a--; }'],
+      ['a conditional in for', 'let a = 5; for (let i = 0; (a > 0 ? a : i) > 1; i++) { a--; }'],
+    ])('should refresh the temporary variables of %s', (description, code) => {
+      const { prepared, refreshed } = loopConditionVariables(translate(code).blocks);
+      expect(prepared).toEqual(['temp 1']);
+      expect(refreshed).toContain('temp 1');
+    });
+  });
+
+  describe('Lists', () => {
+    test('should declare arrays as lists instead of variables', () => {
+      const { sprite } = translate(`
+        let scores = [10, 20];
+        let count = 0;
+      `);
+      expect(byName(sprite.lists).scores).toEqual(['scores', [10, 20]]);
+      expect(byName(sprite.variables).scores).toBeUndefined();
+      expect(byName(sprite.variables).count).toBeDefined();
+    });
+
+    test('should fill a list from an array literal', () => {
+      const { blockList } = translate('let scores = [10, 20];');
+      const opcodes = blockList
+        .filter(b => b.fields.LIST)
+        .map(b => b.opcode);
+      expect(opcodes).toEqual(['data_deletealloflist', 'data_addtolist', 'data_addtolist']);
+      expect(blockList.find(b => b.opcode === 'data_addtolist').inputs.ITEM).toEqual([1, [4, '10']]);
+    });
+
+    test('should map push, pop, shift and unshift', () => {
+      const { blockList } = translate(`
+        let queue = [];
+        queue.push(5);
+        queue.pop();
+        queue.shift();
+        queue.unshift(1);
+      `);
+      const listBlocks = blockList.filter(b => b.fields.LIST && b.opcode !== 'data_deletealloflist');
+      expect(listBlocks.map(b => b.opcode)).toEqual([
+        'data_addtolist',
+        'data_deleteoflist',
+        'data_deleteoflist',
+        'data_insertatlist',
+      ]);
+      expect(listBlocks[1].inputs.INDEX).toEqual([1, [7, 'last']]);
+      expect(listBlocks[2].inputs.INDEX).toEqual([1, [7, '1']]);
+      expect(listBlocks[3].inputs.INDEX).toEqual([1, [7, '1']]);
+    });
+
+    test('should shift indexes by one for reads and writes', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let grid = [0, 0, 0];
+        let i = 1;
+        grid[2] = 7;
+        let cell = grid[i];
+      `);
+      const replace = blockList.find(b => b.opcode === 'data_replaceitemoflist');
+      expect(replace.inputs.INDEX).toEqual([1, [7, '3']]);
+      expect(replace.inputs.ITEM).toEqual([1, [4, '7']]);
+
+      const item = blockList.find(b => b.opcode === 'data_itemoflist');
+      const index = blocks[item.inputs.INDEX[1]];
+      expect(index.opcode).toBe('operator_add');
+      expect(index.inputs.NUM1).toEqual([3, variableRef('i', sprite, stage), [4, '']]);
+      expect(index.inputs.NUM2).toEqual([1, [4, '1']]);
+    });
+
+    test('should read the last item through length', () => {
+      const { blocks, blockList } = translate(`
+        let path = [1, 2, 3];
+        let last = path[path.length - 1];
+      `);
+      const item = blockList.find(b => b.opcode === 'data_itemoflist');
+      expect(blocks[item.inputs.INDEX[1]].opcode).toBe('data_lengthoflist');
+    });
+
+    test('should map includes and indexOf', () => {
+      const { blocks, blockList } = translate(`
+        let bag = ['key'];
+        let found = 0;
+        if (bag.includes('key')) {
+          found = bag.indexOf('key');
+        }
+      `);
+      const ifBlock = blockList.find(b => b.opcode === 'control_if');
+      expect(blocks[ifBlock.inputs.CONDITION[1]].opcode).toBe('data_listcontainsitem');
+
+      // Scratch's item number is 1-based and 0 when missing
+      const subtract = blockList.find(b => b.opcode === 'operator_subtract');
+      expect(blocks[subtract.inputs.NUM1[1]].opcode).toBe('data_itemnumoflist');
+      expect(subtract.inputs.NUM2).toEqual([1, [4, '1']]);
+    });
+
+    test('should keep the popped item when pop is used as a value', () => {
+      const { blocks, blockList } = translate(`
+        let stack = [1, 2];
+        let top = stack.pop();
+      `);
+      const setTop = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'top');
+      const deleteBlock = blocks[setTop.parent];
+      expect(deleteBlock.opcode).toBe('data_deleteoflist');
+      const saveBlock = blocks[deleteBlock.parent];
+      expect(saveBlock.opcode).toBe('data_setvariableto');
+      expect(blocks[saveBlock.inputs.VALUE[1]].opcode).toBe('data_itemoflist');
+      expect(setTop.inputs.VALUE[1][1]).toBe(saveBlock.fields.VARIABLE[0]);
+    });
+
+    test('should translate splice into deletes and inserts', () => {
+      const { blocks, blockList } = translate(`
+        let letters = ['a', 'b', 'c', 'd'];
+        letters.splice(1, 2, 'x');
+      `);
+      const repeat = blockList.find(b => b.opcode === 'control_repeat');
+      expect(repeat.inputs.TIMES).toEqual([1, [4, '2']]);
+      const deleteBlock = blocks[repeat.inputs.SUBSTACK[1]];
+      expect(deleteBlock.opcode).toBe('data_deleteoflist');
+      expect(deleteBlock.inputs.INDEX).toEqual([1, [7, '2']]);
+
+      const insert = blocks[repeat.next];
+      expect(insert.opcode).toBe('data_insertatlist');
+      expect(insert.inputs.INDEX).toEqual([1, [7, '2']]);
+    });
+
+    test('should keep the items splice removes when its result is used', () => {
+      const { sprite, blocks, blockList } = translate(`
+        let letters = ['a', 'b', 'c', 'd'];
+        let i = 0;
+        let removed = letters.splice(i + 1, 2);
+        let first = letters.splice(0, 1)[0];
+      `);
+      expect(Object.values(sprite.lists).map(list => list[0])).toEqual(['letters', 'removed', 'splice 3']);
+
+      // The start is worked out once, then the removed items are copied
+      // before the splice deletes them
+      const [copyRemoved, copyFirst] = blockList.filter(b => b.opcode === 'data_deletealloflist' && b.fields.LIST[0] !== 'letters');
+      const setStart = blocks[copyRemoved.parent];
+      expect(setStart.fields.VARIABLE[0]).toBe('temp 1');
+      expect(blocks[setStart.inputs.VALUE[1]].opcode).toBe('operator_add');
+      const loop = blocks[blocks[copyRemoved.next].next];
+      expect(loop.opcode).toBe('control_repeat_until');
+      expect(blocks[loop.inputs.SUBSTACK[1]].fields.LIST[0]).toBe('removed');
+      const repeat = blocks[loop.next];
+      expect(repeat.inputs.TIMES).toEqual([1, [4, '2']]);
+      expect(blocks[repeat.inputs.SUBSTACK[1]].fields.LIST[0]).toBe('letters');
+      expect(blocks[repeat.next]).toBe(copyFirst);
+
+      const setFirst = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'first');
+      const item = blocks[setFirst.inputs.VALUE[1]];
+      expect([item.opcode, item.fields.LIST[0], item.inputs.INDEX]).toEqual(['data_itemoflist', 'splice 3', [1, [7, '1']]]);
+    });
+
+    test('should append when writing past the end', () => {
+      const { blockList } = translate(`
+        let items = [];
+        items[items.length] = 4;
+      `);
+      expect(blockList.find(b => b.opcode === 'data_addtolist')).toBeDefined();
+      expect(blockList.find(b => b.opcode === 'data_replaceitemoflist')).toBeUndefined();
+    });
+
+    test('should warn about arrays of arrays and leave their items empty', () => {
+      const result = translateToScratch(`
+        let grid = [[1, 2], [3, 4]];
+        let cell = grid[1][0];
+        let names = ['Ann'];
+        let initial = names[0][0];
+      `);
+      const blockList = Object.values(result.project.targets[1].blocks);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Scratch lists can't hold arrays or objects, so an item of grid is empty",
+        "Scratch lists can't hold arrays or objects, so an item of grid is empty",
+        "Scratch lists can't hold arrays, so the items of items of grid are empty",
+      ]);
+      const adds = blockList.filter(b => b.opcode === 'data_addtolist' && b.fields.LIST[0] === 'grid');
+      expect(adds.map(add => add.inputs.ITEM)).toEqual([[1, [10, '']], [1, [10, '']]]);
+      const cell = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'cell');
+      expect(cell.inputs.VALUE).toEqual([1, [10, '']]);
+      // Letters of the items of other lists are still read
+      expect(blockList.find(b => b.opcode === 'operator_letter_of')).toBeDefined();
+    });
+
+    test('should warn that custom blocks take the items of lists as text', () => {
+      const result = translateToScratch(`
+        let scores = [1];
+        function add(list, value) {
+          list.push(value);
+        }
+        add(scores, 3);
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Custom blocks can't take lists, so add gets the items of scores as text",
+        "Custom blocks can't take lists, so list is a list of add's own",
+      ]);
+    });
+  });
+
+  describe('Strings', () => {
+    test('should join strings instead of adding them', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let name = 'Ada';
+        let greeting = 'Hello ' + name + '!';
+      `);
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeUndefined();
+
+      const setGreeting = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'greeting');
+      const outer = blocks[setGreeting.inputs.VALUE[1]];
+      expect(outer.opcode).toBe('operator_join');
+      expect(outer.inputs.STRING2).toEqual([1, [10, '!']]);
+
+      const inner = blocks[outer.inputs.STRING1[1]];
+      expect(inner.opcode).toBe('operator_join');
+      expect(inner.inputs.STRING1).toEqual([1, [10, 'Hello ']]);
+      expect(inner.inputs.STRING2).toEqual([3, variableRef('name', sprite, stage), [10, '']]);
+    });
+
+    test('should add numbers before joining them with a string', () => {
+      const { blocks, blockList } = translate(`
+        let a = 1;
+        let label = a + 2 + ' points';
+      `);
+      const join = blockList.find(b => b.opcode === 'operator_join');
+      expect(blocks[join.inputs.STRING1[1]].opcode).toBe('operator_add');
+    });
+
+    test('should translate template literals into nested joins', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let name = 'Ada';
+        let score = 3;
+        let line = \`\${name} scored \${score * 10}\`;
+      `);
+      const setLine = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'line');
+      const outer = blocks[setLine.inputs.VALUE[1]];
+      expect(outer.opcode).toBe('operator_join');
+      expect(blocks[outer.inputs.STRING2[1]].opcode).toBe('operator_multiply');
+
+      const inner = blocks[outer.inputs.STRING1[1]];
+      expect(inner.inputs.STRING1).toEqual([3, variableRef('name', sprite, stage), [10, '']]);
+      expect(inner.inputs.STRING2).toEqual([1, [10, ' scored ']]);
+    });
+
+    test('should translate string length', () => {
+      const { stage, sprite, blockList } = translate(`
+        let word = 'cat';
+        let size = word.length;
+      `);
+      const length = blockList.find(b => b.opcode === 'operator_length');
+      expect(length.inputs.STRING).toEqual([3, variableRef('word', sprite, stage), [10, '']]);
+    });
+
+    test('should translate indexing and charAt into letter of with 1-based indexes', () => {
+      const { blocks, blockList } = translate(`
+        let word = 'cat';
+        let i = 1;
+        let first = word[0];
+        let other = word.charAt(i);
+      `);
+      const letters = blockList.filter(b => b.opcode === 'operator_letter_of');
+      expect(letters.length).toBe(2);
+      expect(letters[0].inputs.LETTER).toEqual([1, [7, '1']]);
+
+      const shifted = blocks[letters[1].inputs.LETTER[1]];
+      expect(shifted.opcode).toBe('operator_add');
+      expect(shifted.inputs.NUM2).toEqual([1, [4, '1']]);
+    });
+
+    test('should translate string includes into contains', () => {
+      const { blocks, blockList } = translate(`
+        let word = 'cat';
+        let hits = 0;
+        if (word.includes('a')) {
+          hits = 1;
+        }
+      `);
+      const ifBlock = blockList.find(b => b.opcode === 'control_if');
+      const contains = blocks[ifBlock.inputs.CONDITION[1]];
+      expect(contains.opcode).toBe('operator_contains');
+      expect(contains.inputs.STRING2).toEqual([1, [10, 'a']]);
+    });
+
+    test('should join when appending with += and a string', () => {
+      const { blockList } = translate(`
+        let text = 'a';
+        text += 'b';
+      `);
+      expect(blockList.find(b => b.opcode === 'data_changevariableby')).toBeUndefined();
+      expect(blockList.find(b => b.opcode === 'operator_join')).toBeDefined();
+    });
+  });
+
+  describe('Type inference for +', () => {
+    test('should join variables that hold strings', () => {
+      const { result, blockList } = translate(`
+        let first = 'Ada';
+        let last = 'Lovelace';
+        let full = first + last;
+      `);
+      expect(blockList.find(b => b.opcode === 'operator_join')).toBeDefined();
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeUndefined();
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should use the return type of a function', () => {
+      const { blockList } = translate(`
+        function label(n) {
+          return 'Level ' + n;
+        }
+        let level = 2;
+        let text = label(level) + 1;
+      `);
+      expect(blockList.filter(b => b.opcode === 'operator_join').length).toBe(2);
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeUndefined();
+    });
+
+    test('should use the result type of string methods', () => {
+      const { blockList } = translate(`
+        let word = 'cat';
+        let shout = word.toUpperCase() + 1;
+      `);
+      expect(blockList.find(b => b.opcode === 'operator_join')).toBeDefined();
+    });
+
+    test('should append to a string variable with += and a number', () => {
+      const { blockList } = translate(`
+        let text = '';
+        text += 1;
+      `);
+      expect(blockList.find(b => b.opcode === 'data_changevariableby')).toBeUndefined();
+      expect(blockList.find(b => b.opcode === 'operator_join')).toBeDefined();
+    });
+
+    test('should add and warn when an operand type is unknown', () => {
+      const { result, blockList } = translate(`
+        let total;
+        let next = total + 1;
+      `);
+      expect(blockList.find(b => b.opcode === 'operator_add')).toBeDefined();
+      expect(result.warnings).toEqual([{
+        message: "Cannot determine the type of 'total' in '+', treating it as a number",
+        line: 3,
+        column: 19,
+      }]);
+    });
+
+    test('should warn about variables given both numbers and strings', () => {
+      const { result } = translate(`
+        let value = 1;
+        value = 'one';
+        let copy = value + 1;
+      `);
+      expect(result.warnings.length).toBe(1);
+      expect(result.warnings[0].message).toContain("'value'");
+    });
+
+    test('should not warn about increments the translator generates', () => {
+      const { result } = translate(`
+        let items = [];
+        let i;
+        items[i]++;
+      `);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('Math functions', () => {
+    test('should translate % into mod', () => {
+      const { blocks, blockList } = translate('let n = 7; let r = n % 3;');
+      expect(blocks[valueOf(blockList, 'r')[1]].opcode).toBe('operator_mod');
+    });
+
+    test('should give % the sign of a negative left operand like JavaScript', () => {
+      const { blocks, blockList } = translate(`
+        let a = -7;
+        let b = 3;
+        let r = a % b;
+        let s = a % -3;
+        let t = b % -3;
+        let u = -7 % 3;
+      `);
+      expect(runGreenFlag(blocks)).toMatchObject({ r: -1, s: -1, t: 0, u: '-1' });
+      expect(mainScript(blocks).slice(2, 5)).toEqual([
+        'data_setvariableto mod 1',
+        ['control_if', ['data_setvariableto mod 1']],
+        'data_setvariableto r',
+      ]);
+      expect(blocks[valueOf(blockList, 't')[1]].opcode).toBe('operator_mod');
+      expect(valueOf(blockList, 'u')).toEqual([1, [4, '-1']]);
+    });
+
+    test('should translate Math.random() into a random decimal from 0 to 1', () => {
+      const { blocks, blockList } = translate('let r = Math.random();');
+      const random = blocks[valueOf(blockList, 'r')[1]];
+      expect(random.opcode).toBe('operator_random');
+      expect(random.inputs.FROM).toEqual([1, [4, '0']]);
+      expect(random.inputs.TO).toEqual([1, [4, '1.0']]);
+    });
+
+    test('should translate Math.floor(Math.random() * n) into a whole random number', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let sides = 6;
+        let roll = Math.floor(Math.random() * 6) + 1;
+        let pick = Math.floor(sides * Math.random());
+      `);
+      const add = blocks[valueOf(blockList, 'roll')[1]];
+      const random = blocks[add.inputs.NUM1[1]];
+      expect(random.opcode).toBe('operator_random');
+      expect(random.inputs.TO).toEqual([1, [4, '5']]);
+
+      const pick = blocks[valueOf(blockList, 'pick')[1]];
+      expect(pick.opcode).toBe('operator_random');
+      const to = blocks[pick.inputs.TO[1]];
+      expect(to.opcode).toBe('operator_subtract');
+      expect(to.inputs.NUM1).toEqual([3, variableRef('sides', sprite, stage), [4, '']]);
+      expect(blockList.find(b => b.opcode === 'operator_mathop')).toBeUndefined();
+    });
+
+    test('should translate Math.round into round', () => {
+      const { stage, sprite, blocks, blockList } = translate('let x = 2.5; let y = Math.round(x);');
+      const round = blocks[valueOf(blockList, 'y')[1]];
+      expect(round.opcode).toBe('operator_round');
+      expect(round.inputs.NUM).toEqual([3, variableRef('x', sprite, stage), [10, '']]);
+    });
+
+    test.each([
+      ['abs', 'abs'],
+      ['floor', 'floor'],
+      ['ceil', 'ceiling'],
+      ['sqrt', 'sqrt'],
+      ['log', 'ln'],
+      ['exp', 'e ^'],
+    ])('should translate Math.%s into the %s operation', (method, operator) => {
+      const { blocks, blockList } = translate(`let x = 4; let y = Math.${method}(x);`);
+      const mathop = blocks[valueOf(blockList, 'y')[1]];
+      expect(mathop.opcode).toBe('operator_mathop');
+      expect(mathop.fields.OPERATOR).toEqual([operator, null]);
+    });
+
+    test('should convert radians to degrees for trigonometry', () => {
+      const { blocks, blockList } = translate('let angle = 1; let y = Math.sin(angle); let z = Math.cos(0);');
+      const sin = blocks[valueOf(blockList, 'y')[1]];
+      expect(sin.fields.OPERATOR).toEqual(['sin', null]);
+      const degrees = blocks[sin.inputs.NUM[1]];
+      expect(degrees.opcode).toBe('operator_multiply');
+      expect(Number(degrees.inputs.NUM2[1][1])).toBeCloseTo(180 / Math.PI);
+
+      const cos = blocks[valueOf(blockList, 'z')[1]];
+      expect(cos.inputs.NUM).toEqual([1, [4, '0']]);
+    });
+
+    test('should convert inverse trigonometry results back to radians', () => {
+      const { blocks, blockList } = translate('let x = 1; let a = Math.atan(x);');
+      const multiply = blocks[valueOf(blockList, 'a')[1]];
+      expect(multiply.opcode).toBe('operator_multiply');
+      expect(blocks[multiply.inputs.NUM1[1]].fields.OPERATOR).toEqual(['atan', null]);
+      expect(Number(multiply.inputs.NUM2[1][1])).toBeCloseTo(Math.PI / 180);
+    });
+
+    test('should translate powers', () => {
+      const { blocks, blockList } = translate(`
+        let x = 3;
+        let n = 5;
+        let square = Math.pow(x, 2);
+        let power = x ** n;
+      `);
+      const square = blocks[valueOf(blockList, 'square')[1]];
+      expect(square.opcode).toBe('operator_multiply');
+      expect(square.inputs.NUM1).toEqual(square.inputs.NUM2);
+
+      // e ^ (n * ln x)
+      const power = blocks[valueOf(blockList, 'power')[1]];
+      expect(power.fields.OPERATOR).toEqual(['e ^', null]);
+      const product = blocks[power.inputs.NUM[1]];
+      expect(blocks[product.inputs.NUM2[1]].fields.OPERATOR).toEqual(['ln', null]);
+    });
+
+    test('should multiply out whole powers of a negative base', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let a = 1;
+        let b = 4;
+        let d = (a - b) ** 2;
+        let cube = (-2) ** 3;
+      `);
+      // The difference is worked out once and multiplied by itself
+      expect(blocks[valueOf(blockList, 'temp 1')[1]].opcode).toBe('operator_subtract');
+      const square = blocks[valueOf(blockList, 'd')[1]];
+      expect(square.opcode).toBe('operator_multiply');
+      expect(square.inputs.NUM1).toEqual([3, variableRef('temp 1', sprite, stage), [4, '']]);
+      expect(square.inputs.NUM2).toEqual(square.inputs.NUM1);
+      expect(blockList.find(b => b.opcode === 'operator_mathop')).toBeUndefined();
+
+      expect(valueOf(blockList, 'cube')).toEqual([1, [4, '-8']]);
+    });
+
+    test('should give large odd powers of a negative base their sign back', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let a = 1;
+        let b = 4;
+        let p = Math.pow(a - b, 5);
+      `);
+      // e ^ (5 * ln |temp|)
+      const setPower = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'power 2');
+      const exp = blocks[setPower.inputs.VALUE[1]];
+      expect(exp.fields.OPERATOR).toEqual(['e ^', null]);
+      const ln = blocks[blocks[exp.inputs.NUM[1]].inputs.NUM2[1]];
+      const abs = blocks[ln.inputs.NUM[1]];
+      expect(abs.fields.OPERATOR).toEqual(['abs', null]);
+      expect(abs.inputs.NUM).toEqual([3, variableRef('temp 1', sprite, stage), [10, '']]);
+
+      // Negated when the base is below 0
+      const ifBlock = blocks[setPower.next];
+      expect(ifBlock.opcode).toBe('control_if');
+      const lt = blocks[ifBlock.inputs.CONDITION[1]];
+      expect(lt.opcode).toBe('operator_lt');
+      expect(lt.inputs.OPERAND1[1]).toEqual(variableRef('temp 1', sprite, stage));
+      const negate = blocks[blocks[ifBlock.inputs.SUBSTACK[1]].inputs.VALUE[1]];
+      expect(negate.opcode).toBe('operator_subtract');
+      expect(negate.inputs.NUM2).toEqual([3, variableRef('power 2', sprite, stage), [4, '']]);
+
+      const setP = blocks[ifBlock.next];
+      expect(setP.fields.VARIABLE[0]).toBe('p');
+      expect(setP.inputs.VALUE).toEqual([3, variableRef('power 2', sprite, stage), [10, '']]);
+    });
+
+    test('should translate Math.PI into a number', () => {
+      const { blocks, blockList } = translate('let r = 2; let area = Math.PI * r * r;');
+      const outer = blocks[valueOf(blockList, 'area')[1]];
+      const inner = blocks[outer.inputs.NUM1[1]];
+      expect(inner.inputs.NUM1).toEqual([1, [4, String(Math.PI)]]);
+    });
+
+    test('should translate Math.min and Math.max by comparing each value', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let a = 4;
+        let b = 9;
+        let biggest = Math.max(a, b, 5);
+      `);
+      const setMax = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'max 1');
+      expect(setMax.inputs.VALUE).toEqual([3, variableRef('a', sprite, stage), [10, '']]);
+      const ifs = blockList.filter(b => b.opcode === 'control_if');
+      expect(ifs.length).toBe(2);
+      expect(blocks[ifs[0].inputs.CONDITION[1]].opcode).toBe('operator_gt');
+
+      // The comparisons run just before the statement that uses the result
+      const setBiggest = blocks[ifs[1].next];
+      expect(setBiggest.fields.VARIABLE[0]).toBe('biggest');
+      expect(setBiggest.inputs.VALUE).toEqual([3, variableRef('max 1', sprite, stage), [10, '']]);
+    });
+  });
+
+  describe('Unary operators and number literals', () => {
+    test('should fold negative literals into numbers', () => {
+      const { blocks, blockList } = translate('let x = -5; let y = -2.5; let z = - -3;');
+      expect(valueOf(blockList, 'x')).toEqual([1, [4, '-5']]);
+      expect(valueOf(blockList, 'y')).toEqual([1, [4, '-2.5']]);
+      expect(valueOf(blockList, 'z')).toEqual([1, [4, '3']]);
+    });
+
+    test('should negate expressions by subtracting them from 0', () => {
+      const { stage, sprite, blocks, blockList } = translate('let speed = 4; let velocity = -speed;');
+      const subtract = blocks[valueOf(blockList, 'velocity')[1]];
+      expect(subtract.opcode).toBe('operator_subtract');
+      expect(subtract.inputs.NUM1).toEqual([1, [4, '0']]);
+      expect(subtract.inputs.NUM2).toEqual([3, variableRef('speed', sprite, stage), [4, '']]);
+    });
+
+    test('should pass negative numbers to comparisons and custom blocks', () => {
+      const { blocks, blockList } = translate(`
+        function move(dx) {
+          let x = dx;
+          x = x + 1;
+        }
+        let y = 0;
+        if (y > -10) {
+          move(-3);
+        }
+      `);
+      const gt = blockList.find(b => b.opcode === 'operator_gt');
+      expect(gt.inputs.OPERAND2).toEqual([1, [4, '-10']]);
+      const call = blockList.find(b => b.opcode === 'procedures_call');
+      expect(call.inputs.move_arg_dx).toEqual([1, [4, '-3']]);
+    });
+
+    test('should convert values to numbers with unary +', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let text = '42';
+        let n = 7;
+        let parsed = +text;
+        let same = +n;
+        let literal = +5;
+      `);
+      const add = blocks[valueOf(blockList, 'parsed')[1]];
+      expect(add.opcode).toBe('operator_add');
+      expect(add.inputs.NUM1).toEqual([1, [4, '0']]);
+      expect(valueOf(blockList, 'same')).toEqual([3, variableRef('n', sprite, stage), [10, '']]);
+      expect(valueOf(blockList, 'literal')).toEqual([1, [4, '5']]);
+    });
+
+    test('should translate typeof of values with known types into text', () => {
+      const { blocks, blockList } = translate(`
+        let n = 1;
+        let s = 'a';
+        let items = [];
+        function f() { return 1; }
+        let a = typeof n;
+        let b = typeof s;
+        let c = typeof items;
+        let d = typeof f;
+      `);
+      expect(valueOf(blockList, 'a')).toEqual([1, [10, 'number']]);
+      expect(valueOf(blockList, 'b')).toEqual([1, [10, 'string']]);
+      expect(valueOf(blockList, 'c')).toEqual([1, [10, 'object']]);
+      expect(valueOf(blockList, 'd')).toEqual([1, [10, 'function']]);
+    });
+
+    test('should check typeof of values with unknown types while running', () => {
+      const { blocks, blockList } = translate(`
+        let value = 1;
+        value = 'one';
+        let kind = typeof value;
+      `);
+      const ifElse = blockList.find(b => b.opcode === 'control_if_else');
+      expect(blocks[ifElse.inputs.CONDITION[1]].opcode).toBe('operator_equals');
+      expect(blocks[ifElse.inputs.SUBSTACK[1]].inputs.VALUE).toEqual([1, [10, 'number']]);
+      expect(blocks[ifElse.inputs.SUBSTACK2[1]].inputs.VALUE).toEqual([1, [10, 'string']]);
+    });
+
+    test('should write hex, exponent and large literals as numbers', () => {
+      const { blocks, blockList } = translate(`
+        let hex = 0xFF;
+        let tiny = 1e-7;
+        let huge = 1.5e300;
+        let big = 12345678901234567890n;
+      `);
+      expect(valueOf(blockList, 'hex')).toEqual([1, [4, '255']]);
+      expect(valueOf(blockList, 'tiny')).toEqual([1, [4, '1e-7']]);
+      expect(valueOf(blockList, 'huge')).toEqual([1, [4, '1.5e+300']]);
+      expect(valueOf(blockList, 'big')).toEqual([1, [4, '12345678901234567890']]);
+    });
+  });
+
+  describe('Scopes', () => {
+    test('should keep a global variable that shares its name with a parameter', () => {
+      const result = translateToScratch(`
+        let x = 10;
+        function move(x) {
+          let moved = x;
+          moved = moved + 1;
+        }
+        move(5);
+        x = x + 1;
+      `);
+      const sprite = result.project.targets[1];
+      expect(byName(sprite.variables).x).toEqual(['x', 10]);
+      expect(byName(sprite.variables).x_2).toBeUndefined();
+
+      const prototype = Object.values(sprite.blocks).find(b => b.opcode === 'procedures_prototype');
+      expect(JSON.parse(prototype.mutation.argumentnames)).toEqual(['x_2']);
+      const reporters = Object.values(sprite.blocks).filter(b =>
+        b.opcode === 'argument_reporter_string_number' && !b.shadow);
+      expect(reporters.map(b => b.fields.VALUE[0])).toEqual(['x_2']);
+    });
+
+    test('should give shadowing block-scoped variables their own Scratch variables', () => {
+      const result = translateToScratch(`
+        let level = 1;
+        if (level > 0) {
+          let level = 5;
+          level = level * 2;
+        }
+      `);
+      const sprite = result.project.targets[1];
+      expect(Object.keys(byName(sprite.variables)).sort()).toEqual(['level', 'level_2']);
+
+      const sets = Object.values(sprite.blocks).filter(b => b.opcode === 'data_setvariableto');
+      expect(sets.map(b => b.fields.VARIABLE[0])).toEqual(['level', 'level_2', 'level_2']);
+    });
+
+    test('should give variables of different functions their own Scratch variables', () => {
+      const result = translateToScratch(`
+        function a() {
+          let i = 1;
+          i = i + 1;
+        }
+        function b() {
+          let i = 2;
+          a();
+          i = i + 1;
+        }
+        b();
+      `);
+      const sprite = result.project.targets[1];
+      expect(Object.keys(byName(sprite.variables)).sort()).toEqual(['i', 'i_2']);
+    });
+  });
+
+  describe('Declarations and destructuring', () => {
+    function sets(blockList) {
+      return blockList.filter(b => b.opcode === 'data_setvariableto')
+        .map(b => [b.fields.VARIABLE[0], b.inputs.VALUE]);
+    }
+
+    test('should set every variable of a multi-declarator statement', () => {
+      const { blockList } = translate('let a = 1, b = 2, c = 3;');
+      expect(sets(blockList)).toEqual([
+        ['a', [1, [4, '1']]],
+        ['b', [1, [4, '2']]],
+        ['c', [1, [4, '3']]],
+      ]);
+    });
+
+    test('should chain the declarators in order', () => {
+      const { blocks, blockList } = translate('let a = 1, b = a;');
+      const setA = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'a');
+      const setB = blocks[setA.next];
+      expect(setB.fields.VARIABLE[0]).toBe('b');
+      expect(setB.parent).toBe(Object.keys(blocks).find(id => blocks[id] === setA));
+    });
+
+    test('should destructure lists into items', () => {
+      const { blocks, blockList } = translate(`
+        let pos = [3, 4];
+        const [x, y] = pos;
+      `);
+      const setX = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'x');
+      const item = blocks[setX.inputs.VALUE[1]];
+      expect(item.opcode).toBe('data_itemoflist');
+      expect(item.inputs.INDEX).toEqual([1, [7, '1']]);
+      expect(item.fields.LIST[0]).toBe('pos');
+
+      const setY = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'y');
+      expect(blocks[setY.inputs.VALUE[1]].inputs.INDEX).toEqual([1, [7, '2']]);
+    });
+
+    test('should destructure array literals directly', () => {
+      const { blockList } = translate('const [x, y, z = 7] = [1, 2];');
+      expect(sets(blockList)).toEqual([
+        ['x', [1, [4, '1']]],
+        ['y', [1, [4, '2']]],
+        ['z', [1, [4, '7']]],
+      ]);
+    });
+
+    test('should swap variables through temporary variables', () => {
+      const { stage, sprite, blockList } = translate(`
+        let a = 1;
+        let b = 2;
+        [a, b] = [b, a];
+      `);
+      expect(sets(blockList).slice(2)).toEqual([
+        ['temp 1', [3, variableRef('b', sprite, stage), [10, '']]],
+        ['temp 2', [3, variableRef('a', sprite, stage), [10, '']]],
+        ['a', [3, variableRef('temp 1', sprite, stage), [10, '']]],
+        ['b', [3, variableRef('temp 2', sprite, stage), [10, '']]],
+      ]);
+    });
+
+    test('should read other sources once, into a temporary variable or list', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let text = 'ab';
+        let items = [1, 2];
+        const [a, b] = text + 'c';
+        const [first, second] = items.filter(item => item > 1);
+      `);
+      const assigned = sets(blockList).slice(1);
+      expect(assigned.slice(0, 3).map(([name]) => name)).toEqual(['temp 1', 'a', 'b']);
+      expect(blocks[assigned[0][1][1]].opcode).toBe('operator_join');
+      const letterOf = blocks[assigned[1][1][1]];
+      expect(letterOf.opcode).toBe('operator_letter_of');
+      expect(letterOf.inputs.STRING).toEqual([3, variableRef('temp 1', sprite, stage), [10, '']]);
+
+      const filled = blockList.filter(b => b.opcode === 'data_addtolist' && b.fields.LIST[0] !== 'items');
+      expect(filled.map(b => b.fields.LIST[0])).toEqual(['filter 2']);
+      const setFirst = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'first');
+      expect(blocks[setFirst.inputs.VALUE[1]].fields.LIST[0]).toBe('filter 2');
+    });
+
+    test('should warn about arrays and objects given back by calls, and call them once', () => {
+      const result = translateToScratch(`
+        let n = 0;
+        function next() {
+          n++;
+          return [n, n + 1];
+        }
+        const [u, v] = next();
+        const { w, h = 2 } = next();
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Scratch variables can't hold arrays or objects, so u and v are empty",
+        "Scratch variables can't hold arrays or objects, so w and h are empty",
+      ]);
+      const blockList = Object.values(result.project.targets[1].blocks);
+      expect(blockList.filter(b => b.opcode === 'procedures_call')).toHaveLength(2);
+      expect(sets(blockList).filter(([name]) => name !== 'n' && name !== 'next result')).toEqual([
+        ['u', [1, [10, '']]],
+        ['v', [1, [10, '']]],
+        ['w', [1, [10, '']]],
+        ['h', [1, [4, '2']]],
+      ]);
+    });
+
+    test('should copy the rest of a list into another list', () => {
+      const { sprite, blocks, blockList } = translate(`
+        let items = [1, 2, 3];
+        const [first, ...others] = items;
+      `);
+      expect(byName(sprite.lists).others).toEqual(['others', []]);
+      expect(blockList.find(b => b.opcode === 'data_deletealloflist' && b.fields.LIST[0] === 'others')).toBeDefined();
+
+      // A loop adds each remaining item of items to others
+      const loop = blockList.find(b => b.opcode === 'control_repeat_until');
+      const add = blocks[loop.inputs.SUBSTACK[1]];
+      expect(add.opcode).toBe('data_addtolist');
+      expect(add.fields.LIST[0]).toBe('others');
+      expect(blocks[add.inputs.ITEM[1]].fields.LIST[0]).toBe('items');
+    });
+
+    test('should store objects as one variable per property', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        const size = { w: 10, h: 20 };
+        size.w += 5;
+        let area = size.w * size.h;
+      `);
+      expect(byName(sprite.variables)['size.w']).toEqual(['size.w', 10]);
+      expect(byName(sprite.variables)['size.h']).toEqual(['size.h', 20]);
+      expect(byName(sprite.variables).size).toBeUndefined();
+
+      expect(sets(blockList).slice(0, 2)).toEqual([
+        ['size.w', [1, [4, '10']]],
+        ['size.h', [1, [4, '20']]],
+      ]);
+      const change = blockList.find(b => b.opcode === 'data_changevariableby');
+      expect(change.fields.VARIABLE[0]).toBe('size.w');
+      const setArea = blockList.find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'area');
+      expect(blocks[setArea.inputs.VALUE[1]].inputs.NUM1).toEqual([3, variableRef('size.w', sprite, stage), [10, '']]);
+    });
+
+    test('should destructure objects into their property variables', () => {
+      const { stage, sprite, blockList } = translate(`
+        const size = { w: 10, h: 20 };
+        const { w, h: height, depth = 1 } = size;
+      `);
+      expect(sets(blockList).slice(2)).toEqual([
+        ['w', [3, variableRef('size.w', sprite, stage), [10, '']]],
+        ['height', [3, variableRef('size.h', sprite, stage), [10, '']]],
+        ['depth', [1, [4, '1']]],
+      ]);
+    });
+  });
+
+  describe('break, continue and do...while', () => {
+    test('should end a loop with break through a flag in its condition', () => {
+      const { stage, sprite, blocks } = translate(`
+        let n = 0;
+        while (true) {
+          n++;
+          if (n > 3) {
+            break;
+          }
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto n',
+        'data_setvariableto break 1',
+        ['control_repeat_until', [
+          'data_changevariableby n',
+          ['control_if', ['data_setvariableto break 1']],
+        ]],
+        'control_stop',
+      ]);
+      const loop = Object.values(blocks).find(b => b.opcode === 'control_repeat_until');
+      const condition = blocks[loop.inputs.CONDITION[1]];
+      expect(condition.opcode).toBe('operator_equals');
+      expect(condition.inputs.OPERAND1).toEqual([2, variableRef('break 1', sprite, stage)]);
+    });
+
+    test('should skip the statements after a break', () => {
+      const { blocks } = translate(`
+        let found = -1;
+        for (let i = 0; i < 10; i++) {
+          if (i * i > 20) {
+            found = i;
+            break;
+          }
+          found = 0;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto found',
+        'data_setvariableto i',
+        'data_setvariableto break 1',
+        ['control_repeat_until', [
+          ['control_if', ['data_setvariableto found', 'data_setvariableto break 1']],
+          ['control_if', ['data_setvariableto found']],
+          // The counter doesn't move past the value it had at the break
+          ['control_if', ['data_changevariableby i']],
+        ]],
+        'control_stop',
+      ]);
+    });
+
+    test('should skip the rest of an iteration with continue', () => {
+      const { blocks } = translate(`
+        let total = 0;
+        for (let i = 0; i < 10; i++) {
+          if (i % 2 == 0) {
+            continue;
+          }
+          total += i;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto total',
+        'data_setvariableto i',
+        ['control_repeat', [
+          'data_setvariableto continue 1',
+          ['control_if', ['data_setvariableto continue 1']],
+          ['control_if', ['data_setvariableto total']],
+          'data_changevariableby i',
+        ]],
+        'control_stop',
+      ]);
+      const reset = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' &&
+        b.fields.VARIABLE[0] === 'continue 1' && b.inputs.VALUE[1][1] === '0');
+      expect(reset).toBeDefined();
+    });
+
+    test('should run the body of do...while once before the loop', () => {
+      const { blocks } = translate(`
+        let n = 0;
+        do {
+          n++;
+        } while (n < 5);
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto n',
+        'data_changevariableby n',
+        ['control_repeat_until', ['data_changevariableby n']],
+        'control_stop',
+      ]);
+    });
+
+    test('should leave an outer loop with a labeled break', () => {
+      const { blocks } = translate(`
+        let count = 0;
+        outer: while (count < 100) {
+          while (true) {
+            count++;
+            if (count % 7 == 0) {
+              break outer;
+            }
+          }
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto count',
+        'data_setvariableto break 1',
+        ['control_repeat_until', [
+          'data_setvariableto break 2',
+          ['control_repeat_until', [
+            'data_changevariableby count',
+            ['control_if', ['data_setvariableto break 1', 'data_setvariableto break 2']],
+          ]],
+        ]],
+        'control_stop',
+      ]);
+    });
+
+    test('should warn about break outside of a loop', () => {
+      const { result } = translate(`
+        let x = 0;
+        block: {
+          x = 1;
+          break block;
+        }
+      `);
+      expect(result.warnings).toEqual([expect.objectContaining({
+        message: "'break' is not supported here and was ignored",
+        line: 5,
+      })]);
+    });
+  });
+
+  describe('switch', () => {
+    test('should translate cases ending in break to an if/else chain', () => {
+      const { stage, sprite, blocks } = translate(`
+        let cmd = 'up';
+        let y = 0;
+        switch (cmd) {
+          case 'up':
+          case 'north':
+            y++;
+            break;
+          case 'down':
+            y--;
+            break;
+          default:
+            y = 0;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto cmd',
+        'data_setvariableto y',
+        'data_setvariableto switch 1',
+        ['control_if_else',
+          ['data_changevariableby y'],
+          [['control_if_else', ['data_changevariableby y'], ['data_setvariableto y']]],
+        ],
+        'control_stop',
+      ]);
+
+      // Grouped cases are joined with or, comparing against the temporary variable
+      const hatId = Object.keys(blocks).find(id => blocks[id].opcode === 'event_whenflagclicked');
+      let chain = blocks[hatId];
+      while (chain.opcode !== 'control_if_else') chain = blocks[chain.next];
+      const condition = blocks[chain.inputs.CONDITION[1]];
+      expect(condition.opcode).toBe('operator_or');
+      const first = blocks[condition.inputs.OPERAND1[1]];
+      expect(first.opcode).toBe('operator_equals');
+      expect(first.inputs.OPERAND1).toEqual([2, variableRef('switch 1', sprite, stage)]);
+      expect(first.inputs.OPERAND2).toEqual([1, [10, 'up']]);
+    });
+
+    test('should evaluate the discriminant once', () => {
+      const { blocks } = translate(`
+        let dir = 0;
+        switch (Math.floor(Math.random() * 4)) {
+          case 0: dir = 90; break;
+          case 1: dir = 180; break;
+          case 2: dir = -90; break;
+        }
+      `);
+      const randoms = Object.values(blocks).filter(b => b.opcode === 'operator_random');
+      expect(randoms).toHaveLength(1);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto dir',
+        'data_setvariableto switch 1',
+        ['control_if_else',
+          ['data_setvariableto dir'],
+          [['control_if_else', ['data_setvariableto dir'], [['control_if', ['data_setvariableto dir']]]]],
+        ],
+        'control_stop',
+      ]);
+    });
+
+    test('should run the following cases after a case without break', () => {
+      const { blocks } = translate(`
+        let n = 2;
+        let s = 0;
+        switch (n) {
+          case 1:
+            s += 1;
+          case 2:
+            s += 2;
+            if (s > 5) break;
+            s = s * 3;
+          default:
+            s = 9;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto n',
+        'data_setvariableto s',
+        'data_setvariableto switch 1',
+        'data_setvariableto matched 2',
+        'data_setvariableto break 3',
+        ['control_if', ['data_setvariableto matched 2', 'data_changevariableby s']],
+        ['control_if', [
+          'data_setvariableto matched 2',
+          'data_changevariableby s',
+          ['control_if', ['data_setvariableto break 3']],
+          ['control_if', ['data_setvariableto s']],
+        ]],
+        ['control_if', ['data_setvariableto matched 2', 'data_setvariableto s']],
+        'control_stop',
+      ]);
+
+      // default runs when an earlier case fell through or no case matches
+      const stopId = Object.keys(blocks).find(id => blocks[id].opcode === 'control_stop');
+      const lastCondition = blocks[blocks[blocks[stopId].parent].inputs.CONDITION[1]];
+      expect(lastCondition.opcode).toBe('operator_and');
+      const entered = blocks[lastCondition.inputs.OPERAND2[1]];
+      expect(entered.opcode).toBe('operator_or');
+      expect(blocks[entered.inputs.OPERAND2[1]].opcode).toBe('operator_not');
+    });
+
+    test('should use fall-through when default is not the last case', () => {
+      const { blocks } = translate(`
+        let k = 3;
+        let r = 0;
+        switch (k) {
+          default:
+            r = 1;
+            break;
+          case 3:
+            r = 3;
+            break;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto k',
+        'data_setvariableto r',
+        'data_setvariableto switch 1',
+        'data_setvariableto matched 2',
+        'data_setvariableto break 3',
+        ['control_if', ['data_setvariableto matched 2', 'data_setvariableto r', 'data_setvariableto break 3']],
+        ['control_if', ['data_setvariableto matched 2', 'data_setvariableto r', 'data_setvariableto break 3']],
+        'control_stop',
+      ]);
+    });
+
+    test('should leave continue to the loop around the switch', () => {
+      const { blocks } = translate(`
+        let s = 0;
+        for (let i = 0; i < 5; i++) {
+          switch (i) {
+            case 1:
+              continue;
+            default:
+              s++;
+          }
+          s = s * 2;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_setvariableto s',
+        'data_setvariableto i',
+        ['control_repeat', [
+          'data_setvariableto continue 1',
+          'data_setvariableto switch 2',
+          ['control_if_else', ['data_setvariableto continue 1'], ['data_changevariableby s']],
+          ['control_if', ['data_setvariableto s']],
+          'data_changevariableby i',
+        ]],
+        'control_stop',
+      ]);
+    });
+
+    test('should leave a labeled switch with a labeled break', () => {
+      const { blocks } = translate(`
+        let hits = 0;
+        menu: switch (hits) {
+          case 0:
+            for (let i = 0; i < 3; i++) {
+              if (i == 1) break menu;
+              hits++;
+            }
+            hits = 10;
+            break;
+          default:
+            hits = -1;
+        }
+      `);
+      const script = mainScript(blocks);
+      expect(script.slice(0, 5)).toEqual([
+        'data_setvariableto hits',
+        'data_setvariableto switch 1',
+        'data_setvariableto matched 3',
+        'data_setvariableto break 2',
+        expect.any(Array),
+      ]);
+      // hits = 10 only runs when the loop did not leave the switch
+      expect(JSON.stringify(script)).toContain('["control_if",["data_setvariableto hits","data_setvariableto break 2"]]');
+    });
+  });
+
+  describe('Iterating lists', () => {
+    test('should loop over the indexes of a list for for...of', () => {
+      const { blocks, result } = translate(`
+        let scores = [3, 5];
+        let total = 0;
+        for (const score of scores) {
+          total += score;
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist scores',
+        'data_addtolist scores',
+        'data_addtolist scores',
+        'data_setvariableto total',
+        'data_setvariableto index 1',
+        ['control_repeat_until', [
+          'data_setvariableto score',
+          'data_setvariableto total',
+          'data_changevariableby index 1',
+        ]],
+        'control_stop',
+      ]);
+
+      // score = item (index + 1) of scores, and total adds numbers without a warning
+      const setScore = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'score');
+      const item = blocks[setScore.inputs.VALUE[1]];
+      expect(item.opcode).toBe('data_itemoflist');
+      expect(blocks[item.inputs.INDEX[1]].opcode).toBe('operator_add');
+      expect(Object.values(blocks).some(b => b.opcode === 'operator_join')).toBe(false);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should stop at the length of the list', () => {
+      const { stage, sprite, blocks } = translate(`
+        let xs = [1];
+        for (const x of xs) {}
+      `);
+      const loop = Object.values(blocks).find(b => b.opcode === 'control_repeat_until');
+      const notLess = blocks[loop.inputs.CONDITION[1]];
+      expect(notLess.opcode).toBe('operator_not');
+      const less = blocks[notLess.inputs.OPERAND[1]];
+      expect(less.opcode).toBe('operator_lt');
+      expect(less.inputs.OPERAND1).toEqual([2, variableRef('index 1', sprite, stage)]);
+      expect(blocks[less.inputs.OPERAND2[1]].opcode).toBe('data_lengthoflist');
+    });
+
+    test('should go through the letters of a string', () => {
+      const { blocks } = translate(`
+        let word = 'cat';
+        for (const letter of word) {
+          scratch_say(letter);
+        }
+      `);
+      const setLetter = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'letter');
+      expect(blocks[setLetter.inputs.VALUE[1]].opcode).toBe('operator_letter_of');
+      expect(Object.values(blocks).some(b => b.opcode === 'operator_length')).toBe(true);
+    });
+
+    test('should count with the loop variable for for...in', () => {
+      const { blocks } = translate(`
+        let xs = [4, 6];
+        for (const i in xs) {
+          scratch_say(xs[i]);
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist xs',
+        'data_addtolist xs',
+        'data_addtolist xs',
+        'data_setvariableto i',
+        ['control_repeat_until', ['looks_say', 'data_changevariableby i']],
+        'control_stop',
+      ]);
+    });
+
+    test('should join for...in keys, which are text, but still read items with them', () => {
+      const { stage, sprite, blocks, blockList } = translate(`
+        let xs = [4, 6];
+        for (const k in xs) {
+          let label = k + 1;
+          let item = xs[k];
+        }
+      `);
+      const join = blocks[valueOf(blockList, 'label')[1]];
+      expect(join.opcode).toBe('operator_join');
+      expect(join.inputs.STRING1[1]).toEqual(variableRef('k', sprite, stage));
+      const index = blocks[blocks[valueOf(blockList, 'item')[1]].inputs.INDEX[1]];
+      expect(index.opcode).toBe('operator_add');
+    });
+
+    test('should support break and continue in for...of', () => {
+      const { blocks } = translate(`
+        let xs = [1, 2, 3];
+        for (const x of xs) {
+          if (x == 2) continue;
+          if (x == 3) break;
+          scratch_say(x);
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist xs',
+        'data_addtolist xs',
+        'data_addtolist xs',
+        'data_addtolist xs',
+        'data_setvariableto index 1',
+        'data_setvariableto break 3',
+        ['control_repeat_until', [
+          'data_setvariableto continue 2',
+          'data_setvariableto x',
+          ['control_if', ['data_setvariableto continue 2']],
+          ['control_if', [['control_if', ['data_setvariableto break 3']], ['control_if', ['looks_say']]]],
+          ['control_if', ['data_changevariableby index 1']],
+        ]],
+        'control_stop',
+      ]);
+    });
+
+    test('should inline forEach callbacks, setting their parameters', () => {
+      const { blocks, sprite } = translate(`
+        let names = ['Ann', 'Bo'];
+        names.forEach((name, i) => {
+          scratch_say(i + ': ' + name);
+        });
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist names',
+        'data_addtolist names',
+        'data_addtolist names',
+        'data_setvariableto index 1',
+        ['control_repeat_until', [
+          'data_setvariableto name',
+          'data_setvariableto i',
+          'looks_say',
+          'data_changevariableby index 1',
+        ]],
+        'control_stop',
+      ]);
+      expect(byName(sprite.variables)).toHaveProperty('name');
+      expect(byName(sprite.variables)).toHaveProperty('i');
+    });
+
+    test('should call named functions passed to forEach as custom blocks', () => {
+      const { blocks } = translate(`
+        let xs = [1, 2];
+        function show(x) {
+          scratch_say(x);
+        }
+        xs.forEach(show);
+      `);
+      const call = Object.values(blocks).find(b => b.opcode === 'procedures_call');
+      expect(call.mutation.proccode).toBe('show %s');
+      expect(blocks[call.parent].opcode).toBe('control_repeat_until');
+      const argument = blocks[call.inputs.show_arg_x[1]];
+      expect(argument.opcode).toBe('data_itemoflist');
+    });
+
+    test('should fill a list with the results of map and the items kept by filter', () => {
+      const { blocks, sprite } = translate(`
+        let prices = [2, 4];
+        let doubled = prices.map(p => p * 2);
+        let cheap = prices.filter(p => p < 3);
+      `);
+      expect(byName(sprite.lists)).toHaveProperty('doubled');
+      expect(byName(sprite.lists)).toHaveProperty('cheap');
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist prices',
+        'data_addtolist prices',
+        'data_addtolist prices',
+        'data_deletealloflist doubled',
+        'data_setvariableto index 1',
+        ['control_repeat_until', ['data_setvariableto p', 'data_addtolist doubled', 'data_changevariableby index 1']],
+        'data_deletealloflist cheap',
+        'data_setvariableto index 2',
+        ['control_repeat_until', [
+          'data_setvariableto p_2',
+          ['control_if', ['data_addtolist cheap']],
+          'data_changevariableby index 2',
+        ]],
+        'control_stop',
+      ]);
+    });
+
+    test('should filter a list into itself through a copy', () => {
+      const { blocks, sprite } = translate(`
+        let xs = [1, 2, 3];
+        xs = xs.filter(x => x != 2);
+      `);
+      expect(byName(sprite.lists)).toHaveProperty('filter 1');
+      const script = mainScript(blocks);
+      expect(script.slice(4)).toEqual([
+        'data_deletealloflist filter 1',
+        'data_setvariableto index 2',
+        ['control_repeat_until', [
+          'data_setvariableto x',
+          ['control_if', ['data_addtolist filter 1']],
+          'data_changevariableby index 2',
+        ]],
+        'data_deletealloflist xs',
+        'data_setvariableto index 3',
+        ['control_repeat_until', ['data_addtolist xs', 'data_changevariableby index 3']],
+        'control_stop',
+      ]);
+    });
+
+    test('should fill a temporary list for chained and measured results', () => {
+      const { blocks, sprite } = translate(`
+        let xs = [1, 2, 3];
+        let count = xs.filter(x => x > 1).length;
+      `);
+      expect(byName(sprite.lists)).toHaveProperty('filter 1');
+      const setCount = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'count');
+      const length = blocks[setCount.inputs.VALUE[1]];
+      expect(length.opcode).toBe('data_lengthoflist');
+      expect(length.fields.LIST[0]).toBe('filter 1');
+    });
+
+    test('should search with some and every, stopping once the answer is known', () => {
+      const { stage, sprite, blocks } = translate(`
+        let xs = [5, 12];
+        if (xs.some(x => x > 10)) {
+          scratch_say('big');
+        }
+      `);
+      expect(mainScript(blocks)).toEqual([
+        'data_deletealloflist xs',
+        'data_addtolist xs',
+        'data_addtolist xs',
+        'data_setvariableto some 2',
+        'data_setvariableto index 1',
+        ['control_repeat_until', [
+          'data_setvariableto x',
+          ['control_if', ['data_setvariableto some 2']],
+          'data_changevariableby index 1',
+        ]],
+        ['control_if', ['looks_say']],
+        'control_stop',
+      ]);
+      // Repeat until some 2 is no longer 0 or the list ends
+      const loop = Object.values(blocks).find(b => b.opcode === 'control_repeat_until');
+      const stop = blocks[loop.inputs.CONDITION[1]];
+      expect(stop.opcode).toBe('operator_or');
+      const decided = blocks[blocks[stop.inputs.OPERAND1[1]].inputs.OPERAND[1]];
+      expect(decided.inputs.OPERAND1).toEqual([2, variableRef('some 2', sprite, stage)]);
+      const condition = Object.values(blocks).find(b => b.opcode === 'control_if' && blocks[b.inputs.SUBSTACK[1]].opcode === 'looks_say');
+      expect(blocks[condition.inputs.CONDITION[1]].opcode).toBe('operator_equals');
+    });
+
+    test('should set the answer of every to 0 when an item fails', () => {
+      const { blocks } = translate(`
+        let xs = [5, 12];
+        let ok = xs.every(x => x > 1);
+      `);
+      const sets = Object.values(blocks).filter(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'every 2');
+      expect(sets.map(b => b.inputs.VALUE)).toEqual([[1, [4, '1']], [1, [4, '0']]]);
+      const inner = sets.find(b => blocks[b.parent].opcode === 'control_if');
+      expect(blocks[blocks[inner.parent].inputs.CONDITION[1]].opcode).toBe('operator_not');
+    });
+
+    test('should accumulate reduce in the first parameter', () => {
+      const { blocks, result } = translate(`
+        let xs = [1, 2, 3];
+        let sum = xs.reduce((total, x) => total + x, 0);
+        let product = xs.reduce((acc, x) => acc * x);
+      `);
+      expect(mainScript(blocks).slice(4)).toEqual([
+        'data_setvariableto total',
+        'data_setvariableto index 1',
+        ['control_repeat_until', ['data_setvariableto x', 'data_setvariableto total', 'data_changevariableby index 1']],
+        'data_setvariableto sum',
+        'data_setvariableto acc',
+        'data_setvariableto index 2',
+        ['control_repeat_until', ['data_setvariableto x_2', 'data_setvariableto acc', 'data_changevariableby index 2']],
+        'data_setvariableto product',
+        'control_stop',
+      ]);
+      // Without an initial value, acc starts at the first item and the loop at the second
+      const setAcc = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' && b.fields.VARIABLE[0] === 'acc');
+      expect(blocks[setAcc.inputs.VALUE[1]].inputs.INDEX).toEqual([1, [7, '1']]);
+      const startIndex = blocks[setAcc.next];
+      expect(startIndex.inputs.VALUE).toEqual([1, [4, '1']]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should compile callbacks with return statements as custom blocks', () => {
+      const { stage, sprite, blocks } = translate(`
+        let xs = [1, 2];
+        let clamped = xs.map(x => {
+          if (x > 1) {
+            return 1;
+          }
+          return x;
+        });
+      `);
+      const definition = Object.values(blocks).find(b => b.opcode === 'procedures_prototype');
+      expect(definition.mutation.proccode).toBe('map callback 2 %s');
+      const call = Object.values(blocks).find(b => b.opcode === 'procedures_call');
+      const push = blocks[call.next];
+      expect(push.opcode).toBe('data_addtolist');
+      expect(push.inputs.ITEM).toEqual([3, variableRef('map callback 2 result', sprite, stage), [10, '']]);
+    });
+  });
+
+  describe('Event listeners', () => {
+    test('should give each tested key its own hat', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        document.addEventListener('keydown', e => {
+          if (e.key === 'ArrowUp') {
+            x++;
+          } else if (e.key === 'a' || e.key === 'A') {
+            x = 5;
+          }
+        });
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenkeypressed up arrow', 'data_changevariableby x'],
+        ['event_whenkeypressed a', 'data_setvariableto x'],
+        ['event_whenflagclicked', 'data_setvariableto x', 'control_stop all'],
+      ]);
+    });
+
+    test('should read switch statements on the key', () => {
+      const { blocks } = translate(`
+        let y = 0;
+        function onKey(event) {
+          switch (event.code) {
+            case 'KeyS':
+            case 'ArrowDown':
+              y--;
+              break;
+            case 'Space':
+              y = 0;
+              break;
+          }
+        }
+        window.addEventListener('keydown', onKey);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenkeypressed s', 'data_changevariableby y'],
+        ['event_whenkeypressed down arrow', 'data_changevariableby y'],
+        ['event_whenkeypressed space', 'data_setvariableto y'],
+        ['event_whenflagclicked', 'data_setvariableto y', 'control_stop all'],
+      ]);
+      // onKey is only a listener, so it doesn't become a custom block
+      expect(Object.values(blocks).some(b => b.opcode === 'procedures_definition')).toBe(false);
+    });
+
+    test('should run listeners that don\'t test the key for any key', () => {
+      const { blocks } = translate(`
+        let presses = 0;
+        document.addEventListener('keydown', () => {
+          presses++;
+        });
+      `);
+      expect(scripts(blocks)[0]).toEqual(['event_whenkeypressed any', 'data_changevariableby presses']);
+    });
+
+    test('should run code for other keys unless a tested key is pressed', () => {
+      const { blocks } = translate(`
+        let presses = 0;
+        document.addEventListener('keydown', e => {
+          presses++;
+          if (e.keyCode === 32) {
+            scratch_say('jump');
+          }
+        });
+      `);
+      expect(scripts(blocks).slice(0, 2)).toEqual([
+        ['event_whenkeypressed space', 'data_changevariableby presses', 'looks_say'],
+        ['event_whenkeypressed any', 'control_if', ['data_changevariableby presses']],
+      ]);
+      const guard = Object.values(blocks).find(b => b.opcode === 'control_if');
+      const not = blocks[guard.inputs.CONDITION[1]];
+      expect(not.opcode).toBe('operator_not');
+      const pressed = blocks[not.inputs.OPERAND[1]];
+      expect(pressed.opcode).toBe('sensing_keypressed');
+      const menu = blocks[pressed.inputs.KEY_OPTION[1]];
+      expect(menu).toEqual(expect.objectContaining({ opcode: 'sensing_keyoptions', shadow: true, fields: { KEY_OPTION: ['space', null] } }));
+      expect(blocks[guard.inputs.SUBSTACK[1]].opcode).toBe('data_changevariableby');
+    });
+
+    test('should warn about keys Scratch has no hat for', () => {
+      const { blocks, result } = translate(`
+        let x = 0;
+        document.addEventListener('keydown', e => {
+          if (e.key === 'Escape') {
+            x = 0;
+          }
+        });
+      `);
+      expect(result.warnings).toEqual([{
+        message: 'Scratch has no hat for the key "Escape", so the code for it was left out',
+        line: 4,
+        column: 14,
+      }]);
+      expect(Object.values(blocks).some(b => b.opcode === 'event_whenkeypressed')).toBe(false);
+    });
+
+    test('should warn that reading the pressed key gives nothing', () => {
+      const { blocks, result } = translate(`
+        let last = '';
+        document.addEventListener('keydown', e => {
+          last = e.key;
+        });
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Scratch doesn't tell which key was pressed, so e.key is empty",
+      ]);
+      const set = Object.values(blocks).find(b => b.opcode === 'data_setvariableto' && blocks[b.parent].opcode === 'event_whenkeypressed');
+      expect(set.inputs.VALUE).toEqual([1, [10, '']]);
+    });
+
+    test('should run click listeners when the stage or the sprite is clicked', () => {
+      const { blocks, stage } = translate(`
+        let clicks = 0;
+        canvas.addEventListener('click', () => {
+          clicks++;
+        });
+      `);
+      expect(scripts(stage.blocks)).toEqual([['event_whenstageclicked', 'event_broadcast click']]);
+      expect(stage.broadcasts).toEqual({ click: 'click' });
+      const stageBroadcast = Object.values(stage.blocks).find(b => b.opcode === 'event_broadcast');
+      expect(stageBroadcast.inputs.BROADCAST_INPUT).toEqual([1, [11, 'click', 'click']]);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenthisspriteclicked', 'event_broadcast click'],
+        ['event_whenbroadcastreceived click', 'data_changevariableby clicks'],
+        ['event_whenflagclicked', 'data_setvariableto clicks', 'control_stop all'],
+      ]);
+    });
+
+    test('should share the click relay between listeners of the same event', () => {
+      const { blocks, stage } = translate(`
+        let a = 0;
+        canvas.addEventListener('mousedown', () => { a++; });
+        canvas.addEventListener('mousedown', () => { a = a * 2; });
+      `);
+      expect(scripts(stage.blocks)).toHaveLength(1);
+      expect(scripts(blocks).filter(script => script[0] === 'event_whenbroadcastreceived mousedown')).toHaveLength(2);
+    });
+
+    test('should warn about events without a Scratch hat', () => {
+      const { result } = translate(`
+        document.addEventListener('keyup', () => {});
+      `);
+      expect(result.warnings.map(w => w.message)).toEqual([
+        "'keyup' events are not supported, so the listener was left out",
+      ]);
+    });
+  });
+
+  describe('Game loops', () => {
+    test('should run setInterval callbacks in a forever loop of their own', () => {
+      const { blocks, stage } = translate(`
+        let x = 0;
+        setInterval(() => {
+          x++;
+        }, 16);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived interval 1', 'control_forever', [
+          'control_wait',
+          'data_changevariableby x',
+        ]],
+        ['event_whenflagclicked', 'data_setvariableto x', 'event_broadcast interval 1'],
+      ]);
+      const wait = Object.values(blocks).find(block => block.opcode === 'control_wait');
+      expect(wait.inputs.DURATION).toEqual([1, [4, '0.016']]);
+      const broadcast = Object.values(blocks).find(block => block.opcode === 'event_broadcast');
+      expect(broadcast.inputs.BROADCAST_INPUT).toEqual([1, [11, 'interval 1', 'interval 1']]);
+      expect(stage.broadcasts).toEqual({ 'interval 1': 'interval 1' });
+    });
+
+    test('should call named callbacks and compute the wait from the interval', () => {
+      const { blocks } = translate(`
+        let speed = 50;
+        const update = () => speed++;
+        window.setInterval(update, speed);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived interval 1', 'control_forever', [
+          'control_wait',
+          'procedures_call',
+        ]],
+        ['event_whenflagclicked', 'data_setvariableto speed', 'event_broadcast interval 1'],
+        ['procedures_definition', 'data_changevariableby speed'],
+      ]);
+      const wait = Object.values(blocks).find(block => block.opcode === 'control_wait');
+      expect(blocks[wait.inputs.DURATION[1]].opcode).toBe('operator_divide');
+    });
+
+    test('should stop intervals with a flag set by clearInterval', () => {
+      const { blocks } = translate(`
+        let lives = 3;
+        const timer = setInterval(() => {
+          lives--;
+          if (lives === 0) {
+            clearInterval(timer);
+          }
+        }, 1000);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived interval 1', 'control_forever', [
+          'control_wait',
+          'control_if', ['control_stop this script'],
+          'data_changevariableby lives',
+          'control_if', ['data_setvariableto timer cleared'],
+        ]],
+        ['event_whenflagclicked', 'data_setvariableto lives', 'data_setvariableto timer cleared', 'event_broadcast interval 1'],
+      ]);
+      const variables = projectVariables(translate('let t; t = setInterval(f, 5); clearInterval(t); function f() {}').result.project);
+      expect(variables).toHaveProperty(['t cleared']);
+    });
+
+    test('should loop functions that schedule themselves with requestAnimationFrame', () => {
+      const { blocks } = translate(`
+        let frames = 0;
+        function loop() {
+          frames++;
+          requestAnimationFrame(loop);
+        }
+        requestAnimationFrame(loop);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived loop', 'control_forever', ['procedures_call']],
+        ['event_whenflagclicked', 'data_setvariableto frames', 'event_broadcast loop'],
+        ['procedures_definition', 'data_changevariableby frames'],
+      ]);
+    });
+
+    test('should stop animation loops after a frame that doesn\'t schedule the next one', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        function frame() {
+          x += 5;
+          if (x < 100) {
+            requestAnimationFrame(frame);
+          }
+        }
+        frame();
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived frame', 'control_forever', [
+          'data_setvariableto frame scheduled',
+          'procedures_call',
+          'control_if', ['control_stop this script'],
+        ]],
+        ['event_whenflagclicked', 'data_setvariableto x', 'event_broadcast frame'],
+        ['procedures_definition', 'data_changevariableby x', 'control_if', ['data_setvariableto frame scheduled']],
+      ]);
+    });
+
+    test('should warn about requestAnimationFrame outside animation loops', () => {
+      const { result } = translate(`
+        let x = 0;
+        requestAnimationFrame(() => { x = 1; });
+      `);
+      expect(result.warnings.map(w => w.message)).toEqual([
+        'requestAnimationFrame is only supported in functions that schedule themselves, so the call was left out',
+      ]);
+    });
+  });
+
+  describe('Delays', () => {
+    function waits(blocks) {
+      return Object.values(blocks).filter(block => block.opcode === 'control_wait').map(block => block.inputs.DURATION);
+    }
+
+    test('should run setTimeout callbacks in a script that waits first', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        setTimeout(() => {
+          x = 10;
+        }, 1500);
+        x = 1;
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived timeout 1', 'control_wait', 'data_setvariableto x'],
+        ['event_whenflagclicked', 'data_setvariableto x', 'event_broadcast timeout 1', 'data_setvariableto x'],
+      ]);
+      expect(waits(blocks)).toEqual([[1, [4, '1.5']]]);
+    });
+
+    test('should pass extra setTimeout arguments to the callback', () => {
+      const { blocks } = translate(`
+        let score = 0;
+        function addPoints(points) {
+          score += points;
+        }
+        setTimeout(addPoints, 200, 5);
+      `);
+      const call = Object.values(blocks).find(block => block.opcode === 'procedures_call');
+      expect(call.inputs.addPoints_arg_points).toEqual([1, [4, '5']]);
+      expect(blocks[call.parent].opcode).toBe('control_wait');
+    });
+
+    test('should cancel timeouts with a flag set by clearTimeout', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        const pending = setTimeout(() => { x = 1; }, 100);
+        clearTimeout(pending);
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived timeout 1', 'control_wait',
+          'control_if', ['control_stop this script'],
+          'data_setvariableto x'],
+        ['event_whenflagclicked', 'data_setvariableto x',
+          'data_setvariableto pending cleared', 'event_broadcast timeout 1', 'data_setvariableto pending cleared'],
+      ]);
+    });
+
+    test('should wait inline for awaited sleeps', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        function delay(seconds = 2) {
+          return new Promise(done => { setTimeout(() => done(), seconds * 1000); });
+        }
+        async function animate() {
+          x = 1;
+          await sleep(250);
+          await new Promise(r => setTimeout(r, 100));
+          await delay();
+          x = 2;
+        }
+        animate();
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenflagclicked', 'data_setvariableto x', 'procedures_call', 'control_stop all'],
+        ['procedures_definition', 'data_setvariableto x', 'control_wait', 'control_wait', 'control_wait', 'data_setvariableto x'],
+      ]);
+      const [quarter, tenth, seconds] = waits(blocks);
+      expect(quarter).toEqual([1, [4, '0.25']]);
+      expect(tenth).toEqual([1, [4, '0.1']]);
+      expect(blocks[seconds[1]].opcode).toBe('operator_divide');
+    });
+
+    test('should run awaited async functions as custom blocks', () => {
+      const { blocks } = translate(`
+        let turn = 0;
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        async function takeTurn() {
+          turn++;
+          await sleep(500);
+        }
+        async function play() {
+          await takeTurn();
+          await takeTurn();
+        }
+        play();
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenflagclicked', 'data_setvariableto turn', 'procedures_call', 'control_stop all'],
+        ['procedures_definition', 'data_changevariableby turn', 'control_wait'],
+        ['procedures_definition', 'procedures_call', 'procedures_call'],
+      ]);
+    });
+
+    test('should reject awaiting functions the program does not declare', () => {
+      expect(() => translateToScratch(`
+        async function load(url) {
+          const r = await fetch(url);
+          scratch.say(r);
+        }
+        load('data.json');
+      `)).toThrow(expect.objectContaining({ name: 'UnsupportedFeatureError', feature: 'await' }));
+    });
+  });
+
+  describe('Substitution mode', () => {
+    test('should still reject dialogs and the console by default', () => {
+      expect(() => translateToScratch('window.alert("hi");')).toThrow(UnsupportedFeatureError);
+      expect(() => translateToScratch('console.log(1);')).toThrow(UnsupportedFeatureError);
+      expect(() => translate('window.alert("hi"); console.log(1);', { substitute: true })).not.toThrow();
+    });
+
+    test('should say alert messages for 2 seconds', () => {
+      const { blocks } = translate(`
+        alert('Game over');
+        window.alert('Bye');
+      `, { substitute: true });
+      const says = find(blocks, 'looks_sayforsecs');
+      expect(says.map(say => say.inputs.MESSAGE)).toEqual([[1, [10, 'Game over']], [1, [10, 'Bye']]]);
+      expect(says[0].inputs.SECS).toEqual([1, [4, '2']]);
+    });
+
+    test('should ask prompt questions and read the answer', () => {
+      const { blocks } = translate(`
+        let name = prompt('What is your name?');
+      `, { substitute: true });
+      const [ask] = find(blocks, 'sensing_askandwait');
+      expect(ask.inputs.QUESTION).toEqual([1, [10, 'What is your name?']]);
+      const set = blocks[ask.next];
+      expect(set.fields.VARIABLE[0]).toBe('name');
+      expect(blocks[set.inputs.VALUE[1]].opcode).toBe('sensing_answer');
+    });
+
+    test('should keep earlier answers when a statement asks twice', () => {
+      const { blocks } = translate(`
+        let full = prompt('First name?') + prompt('Last name?');
+      `, { substitute: true });
+      const [first, second] = find(blocks, 'sensing_askandwait');
+      const copy = blocks[first.next];
+      expect(copy.opcode).toBe('data_setvariableto');
+      expect(blocks[copy.inputs.VALUE[1]].opcode).toBe('sensing_answer');
+      expect(copy.next).toBe(Object.keys(blocks).find(id => blocks[id] === second));
+      expect(find(blocks, 'sensing_answer')).toHaveLength(2);
+      expect(JSON.stringify(blocks)).toContain(JSON.stringify([3, [12, ...copy.fields.VARIABLE], [10, '']]));
+    });
+
+    test('should compare confirm answers with yes', () => {
+      const { blocks } = translate(`
+        let x = 0;
+        if (confirm('Play again?')) {
+          x = 1;
+        }
+      `, { substitute: true });
+      const [ask] = find(blocks, 'sensing_askandwait');
+      expect(ask.inputs.QUESTION).toEqual([1, [10, 'Play again? (yes/no)']]);
+      const check = blocks[ask.next];
+      expect(check.opcode).toBe('control_if');
+      const equals = blocks[check.inputs.CONDITION[1]];
+      expect(equals.opcode).toBe('operator_equals');
+      expect(blocks[equals.inputs.OPERAND1[1]].opcode).toBe('sensing_answer');
+      expect(equals.inputs.OPERAND2).toEqual([1, [10, 'yes']]);
+    });
+
+    test('should log to a console list shown on the stage', () => {
+      const { result, blocks } = translate(`
+        let score = 5;
+        console.log('score:', score);
+      `, { substitute: true });
+      const [clear] = find(blocks, 'data_deletealloflist');
+      expect(clear.fields.LIST[0]).toBe('console');
+      expect(blocks[clear.parent].opcode).toBe('event_whenflagclicked');
+      const [log] = find(blocks, 'data_addtolist');
+      expect(log.fields.LIST[0]).toBe('console');
+      expect(blocks[log.inputs.ITEM[1]].opcode).toBe('operator_join');
+
+      const [stage, sprite] = result.project.targets;
+      expect(Object.values(stage.lists)).toEqual([['console', []]]);
+      expect(sprite.lists).toEqual({});
+      expect(result.project.monitors).toEqual([expect.objectContaining({
+        id: Object.keys(stage.lists)[0],
+        mode: 'list',
+        opcode: 'data_listcontents',
+        params: { LIST: 'console' },
+        visible: true,
+      })]);
+    });
+
+    test('should leave functions named like dialogs alone', () => {
+      const { blocks } = translate(`
+        let shown = 0;
+        function alert(message) {
+          shown++;
+        }
+        alert('hi');
+      `, { substitute: true });
+      expect(find(blocks, 'looks_sayforsecs')).toHaveLength(0);
+      expect(find(blocks, 'procedures_call')).toHaveLength(1);
+    });
+  });
+
+  describe('Intrinsics', () => {
+    test('should translate motion intrinsics with typed inputs', () => {
+      const { blocks } = translate(`
+        scratch.move(10);
+        scratch.turn(15);
+        scratch.goTo(0, -50);
+        scratch.pointInDirection(90);
+      `);
+      expect(find(blocks, 'motion_movesteps')[0].inputs.STEPS).toEqual([1, [4, '10']]);
+      expect(find(blocks, 'motion_turnright')[0].inputs.DEGREES).toEqual([1, [4, '15']]);
+      expect(find(blocks, 'motion_gotoxy')[0].inputs).toEqual({ X: [1, [4, '0']], Y: [1, [4, '-50']] });
+      expect(find(blocks, 'motion_pointindirection')[0].inputs.DIRECTION).toEqual([1, [8, '90']]);
+    });
+
+    test('should select menu options with shadow menu blocks', () => {
+      const { blocks } = translate(`
+        scratch.switchCostume('jump');
+        scratch.playSoundUntilDone('Meow');
+        scratch.goTo('mouse');
+      `);
+      const [costume] = find(blocks, 'looks_switchcostumeto');
+      const costumeMenu = blocks[costume.inputs.COSTUME[1]];
+      expect(costume.inputs.COSTUME[0]).toBe(1);
+      expect(costumeMenu).toEqual(expect.objectContaining({
+        opcode: 'looks_costume',
+        fields: { COSTUME: ['jump', null] },
+        shadow: true,
+      }));
+      const [sound] = find(blocks, 'sound_playuntildone');
+      expect(blocks[sound.inputs.SOUND_MENU[1]].fields).toEqual({ SOUND_MENU: ['Meow', null] });
+      const [goTo] = find(blocks, 'motion_goto');
+      expect(blocks[goTo.inputs.TO[1]].fields).toEqual({ TO: ['_mouse_', null] });
+    });
+
+    test('should drop other expressions over the menu', () => {
+      const { stage, sprite, blocks } = translate(`
+        let costume = 'run';
+        scratch.switchCostume(costume);
+      `);
+      const [switchCostume] = find(blocks, 'looks_switchcostumeto');
+      const [kind, value, menuId] = switchCostume.inputs.COSTUME;
+      expect(kind).toBe(3);
+      expect(value).toEqual(variableRef('costume', sprite, stage));
+      expect(blocks[menuId].opcode).toBe('looks_costume');
+    });
+
+    test('should use sensing intrinsics as conditions and values', () => {
+      const { blocks } = translate(`
+        let distance = 0;
+        if (scratch.touching('edge') && scratch.keyPressed('ArrowUp')) {
+          distance = scratch.mouseX() - scratch.x();
+        }
+      `);
+      const [touching] = find(blocks, 'sensing_touchingobject');
+      expect(blocks[touching.inputs.TOUCHINGOBJECTMENU[1]].fields).toEqual({ TOUCHINGOBJECTMENU: ['_edge_', null] });
+      const [pressed] = find(blocks, 'sensing_keypressed');
+      expect(blocks[pressed.inputs.KEY_OPTION[1]].fields).toEqual({ KEY_OPTION: ['up arrow', null] });
+      // Boolean reporters go straight into the and block
+      const [and] = find(blocks, 'operator_and');
+      expect(blocks[and.inputs.OPERAND1[1]].opcode).toBe('sensing_touchingobject');
+      const [subtract] = find(blocks, 'operator_subtract');
+      expect(blocks[subtract.inputs.NUM1[1]].opcode).toBe('sensing_mousex');
+      expect(blocks[subtract.inputs.NUM2[1]].opcode).toBe('motion_xposition');
+    });
+
+    test('should set fields from the arguments and the intrinsic', () => {
+      const { blocks } = translate(`
+        scratch.setEffect('ghost', 50);
+        scratch.goToFront();
+        scratch.setRotationStyle('left-right');
+      `);
+      expect(find(blocks, 'looks_seteffectto')[0]).toEqual(expect.objectContaining({
+        inputs: { VALUE: [1, [4, '50']] },
+        fields: { EFFECT: ['GHOST', null] },
+      }));
+      expect(find(blocks, 'looks_gotofrontback')[0].fields).toEqual({ FRONT_BACK: ['front', null] });
+      expect(find(blocks, 'motion_setrotationstyle')[0].fields).toEqual({ STYLE: ['left-right', null] });
+    });
+
+    test('should choose the variant by the number of arguments', () => {
+      const { blocks } = translate(`
+        scratch.say('Hello!');
+        scratch.say('Bye', 2);
+      `);
+      expect(find(blocks, 'looks_say')[0].inputs.MESSAGE).toEqual([1, [10, 'Hello!']]);
+      expect(find(blocks, 'looks_sayforsecs')[0].inputs).toEqual({
+        MESSAGE: [1, [10, 'Bye']],
+        SECS: [1, [4, '2']],
+      });
+    });
+
+    test('should keep the sprite visible when it says things', () => {
+      const { sprite } = translate("scratch.say('Hello!');");
+      expect(sprite.visible).toBe(true);
+    });
+
+    test('should warn about unknown intrinsics and values used as statements', () => {
+      const { result, blocks } = translate(`
+        scratch.fly(10);
+        scratch.mouseX();
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        'scratch.fly is not a Scratch intrinsic, so the call was left out',
+        'scratch.mouseX only gives a value, so the call on its own was left out',
+      ]);
+      expect(find(blocks, 'sensing_mousex')).toHaveLength(0);
+    });
+
+    test('should warn about statements used as values', () => {
+      const { result, blocks } = translate('let q = scratch.move(3);');
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        'scratch.move gives no value, so it runs first and its value is empty',
+      ]);
+      const move = find(blocks, 'motion_movesteps')[0];
+      expect(blocks[move.next].fields.VARIABLE[0]).toBe('q');
+      expect(blocks[move.next].inputs.VALUE).toEqual([1, [10, '']]);
+    });
+
+    test('should warn about missing arguments', () => {
+      const { result, blocks } = translate(`
+        scratch.move();
+        scratch.goTo(1);
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        'scratch.move needs 1 argument, so the missing inputs were left empty',
+        'scratch.goTo needs 2 arguments, so the missing inputs were left empty',
+      ]);
+      expect(find(blocks, 'motion_goto')).toHaveLength(0);
+      expect(find(blocks, 'motion_gotoxy')[0].inputs.X).toEqual([1, [4, '1']]);
+    });
+  });
+
+  describe('Custom events', () => {
+    test('should broadcast dispatched events to their listeners', () => {
+      const { blocks, stage } = translate(`
+        let level = 1;
+        document.addEventListener('levelUp', () => {
+          level++;
+        });
+        document.dispatchEvent(new CustomEvent('levelUp'));
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived levelUp', 'data_changevariableby level'],
+        ['event_whenflagclicked', 'data_setvariableto level', 'event_broadcast levelUp'],
+      ]);
+      expect(stage.broadcasts).toEqual({ levelUp: 'levelUp' });
+    });
+
+    test('should receive events of the global addEventListener', () => {
+      const { blocks } = translate(`
+        let level = 1;
+        addEventListener('levelUp', () => {
+          level++;
+        });
+        dispatchEvent(new CustomEvent('levelUp'));
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived levelUp', 'data_changevariableby level'],
+        ['event_whenflagclicked', 'data_setvariableto level', 'event_broadcast levelUp'],
+      ]);
+    });
+
+    test('should receive scratch.on messages in named and inline functions', () => {
+      const { blocks, stage } = translate(`
+        let lives = 3;
+        function loseLife() {
+          lives--;
+        }
+        scratch.on('hit', loseLife);
+        scratch.on('gameOver', () => scratch.hide());
+      `);
+      expect(scripts(blocks)).toEqual([
+        ['event_whenbroadcastreceived hit', 'data_changevariableby lives'],
+        ['event_whenbroadcastreceived gameOver', 'looks_hide'],
+        ['event_whenflagclicked', 'data_setvariableto lives', 'control_stop all'],
+      ]);
+      expect(Object.keys(stage.broadcasts)).toEqual(['hit', 'gameOver']);
+    });
+
+    test('should broadcast and wait with scratch.broadcastAndWait', () => {
+      const { blocks } = translate(`
+        let score = 0;
+        scratch.on('reset', () => { score = 0; });
+        scratch.broadcastAndWait('reset');
+        score = 10;
+      `);
+      expect(scripts(blocks)[1]).toEqual([
+        'event_whenflagclicked',
+        'data_setvariableto score',
+        'event_broadcastandwait reset',
+        'data_setvariableto score',
+        'control_stop all',
+      ]);
+    });
+
+    test('should keep the project running for the scripts a broadcast starts', () => {
+      const { blocks } = translate(`
+        scratch.on('start', () => scratch.move(10));
+        scratch.broadcast('start');
+      `);
+      expect(scripts(blocks)[1]).toEqual(['event_whenflagclicked', 'event_broadcast start']);
+    });
+
+    test('should warn about messages that are not strings', () => {
+      const { result, blocks } = translate(`
+        let message = 'go';
+        scratch.broadcast(message);
+      `);
+      expect(result.warnings.map(w => w.message)).toEqual([
+        'Broadcasts need a message written as a string, so the call was left out',
+      ]);
+      expect(Object.values(blocks).some(block => block.opcode === 'event_broadcast')).toBe(false);
+    });
+  });
+
+  describe('Multiple sprites', () => {
+    function opcodes(target) {
+      return Object.values(target.blocks).map(block => block.opcode);
+    }
+
+    test('should make a sprite of each @sprite section, with its own variables', () => {
+      const { result, targets } = translate(`
+        // @sprite Player
+        let speed = 5;
+        scratch.move(speed);
+        // @sprite Enemy
+        let hits = 0;
+        scratch.turn(15);
+      `);
+      expect(result.project.targets.map(target => target.name)).toEqual(['Stage', 'Player', 'Enemy']);
+      expect(Object.keys(byName(targets.Player.variables))).toEqual(['speed']);
+      expect(Object.keys(byName(targets.Enemy.variables))).toEqual(['hits']);
+      expect(opcodes(targets.Player)).toContain('motion_movesteps');
+      expect(opcodes(targets.Player)).not.toContain('motion_turnright');
+      expect(opcodes(targets.Enemy)).toContain('motion_turnright');
+      expect(targets.Enemy.costumes).toHaveLength(1);
+    });
+
+    test('should run the rest of the program on the stage', () => {
+      const { targets } = translate(`
+        let level = 1;
+        scratch.switchBackdrop('night');
+        // @sprite Player
+        scratch.move(10);
+      `);
+      expect(Object.keys(byName(targets.Stage.variables))).toEqual(['level']);
+      expect(opcodes(targets.Stage)).toEqual(expect.arrayContaining([
+        'event_whenflagclicked', 'data_setvariableto', 'looks_switchbackdropto',
+      ]));
+    });
+
+    test('should make each exported class a sprite', () => {
+      const { targets } = translate(`
+        export class Player {
+          constructor() {
+            this.speed = 5;
+            this.run();
+          }
+          run() {
+            scratch.move(this.speed);
+          }
+        }
+      `);
+      expect(Object.keys(byName(targets.Player.variables))).toEqual(['speed']);
+      expect(opcodes(targets.Player)).toEqual(expect.arrayContaining([
+        'event_whenflagclicked', 'procedures_call', 'procedures_definition', 'motion_movesteps',
+      ]));
+      const [move] = Object.values(targets.Player.blocks).filter(block => block.opcode === 'motion_movesteps');
+      expect(move.inputs.STEPS).toEqual([3, variableRef('speed', targets.Player, targets.Stage), [10, '']]);
+    });
+
+    test('should not stop the project at the end of a target', () => {
+      const { targets } = translate(`
+        // @sprite A
+        scratch.move(10);
+        // @sprite B
+        while (true) {
+          scratch.turn(15);
+        }
+      `);
+      expect(opcodes(targets.A)).not.toContain('control_stop');
+    });
+
+    test('should give blocks ids that are unique across targets', () => {
+      const { result } = translate(`
+        let a = 1;
+        // @sprite A
+        let b = 2;
+        // @sprite B
+        let c = 3;
+      `);
+      const ids = result.project.targets.flatMap(target => Object.keys(target.blocks));
+      expect(ids.length).toBeGreaterThan(0);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('should relay stage clicks once for all sprites', () => {
+      const { targets } = translate(`
+        // @sprite A
+        let a = 0;
+        document.addEventListener('click', () => { a++; });
+        // @sprite B
+        let b = 0;
+        document.addEventListener('click', () => { b++; });
+      `);
+      expect(opcodes(targets.Stage)).toEqual(['event_whenstageclicked', 'event_broadcast']);
+      expect(opcodes(targets.B)).toEqual(expect.arrayContaining(['event_whenthisspriteclicked', 'event_whenbroadcastreceived']));
+    });
+
+    test('should run the stage\'s own click listeners when it is clicked', () => {
+      const { targets } = translate(`
+        let clicks = 0;
+        document.addEventListener('click', () => { clicks++; });
+        // @sprite Player
+        scratch.move(10);
+      `);
+      const hat = Object.values(targets.Stage.blocks).find(block => block.opcode === 'event_whenstageclicked');
+      expect(targets.Stage.blocks[hat.next].opcode).toBe('data_changevariableby');
+      expect(opcodes(targets.Stage)).not.toContain('event_broadcast');
+    });
+
+    test('should warn about sprite blocks on the stage and skipped class members', () => {
+      const { result, targets } = translate(`
+        scratch.move(10);
+        export class Player {
+          get fast() { return true; }
+        }
+      `);
+      expect(result.warnings.map(w => w.message)).toEqual([
+        'scratch.move only works in sprites, so the call was left out',
+        "Sprite classes can't have getters, setters or computed method names, so fast was left out",
+      ]);
+      expect(opcodes(targets.Stage)).not.toContain('motion_movesteps');
+    });
+  });
+
+  describe('Classes as clones', () => {
+    test('should make a sprite whose clones are the instances of a class', () => {
+      const { result, targets } = translate(`
+        class Enemy {
+          constructor(x, speed = 2) {
+            this.x = x;
+            this.speed = speed;
+            scratch.goTo(x, 0);
+          }
+        }
+        new Enemy(100);
+      `);
+      expect(result.warnings).toEqual([]);
+      expect(result.project.targets.map(target => target.name)).toEqual(['Stage', 'Sprite1', 'Enemy']);
+      expect(scripts(targets.Sprite1.blocks)).toEqual([[
+        'event_whenflagclicked',
+        'data_setvariableto instance count',
+        'data_setvariableto new Enemy x',
+        'data_setvariableto new Enemy speed',
+        'data_changevariableby instance count',
+        'data_setvariableto Enemy constructed',
+        'control_create_clone_of',
+        'control_wait_until',
+      ]]);
+      const cloneBlock = Object.values(targets.Sprite1.blocks).find(block => block.opcode === 'control_create_clone_of');
+      expect(targets.Sprite1.blocks[cloneBlock.inputs.CLONE_OPTION[1]]).toEqual(expect.objectContaining({
+        opcode: 'control_create_clone_of_menu',
+        fields: { CLONE_OPTION: ['Enemy', null] },
+        shadow: true,
+      }));
+      // Clones would be stopped at the end of the script
+      expect(Object.values(targets.Sprite1.blocks).map(block => block.opcode)).not.toContain('control_stop');
+
+      expect(scripts(targets.Enemy.blocks)).toEqual([
+        [
+          'control_start_as_clone',
+          'data_setvariableto instance id',
+          'looks_show',
+          'data_setvariableto x',
+          'data_setvariableto speed',
+          'motion_gotoxy',
+          'data_setvariableto Enemy constructed',
+        ],
+        ['event_whenbroadcastreceived delete Enemy', 'control_if', ['control_delete_this_clone']],
+        ['event_whenflagclicked', 'looks_hide'],
+      ]);
+    });
+
+    test('should keep fields in the clone sprite and shared variables on the stage', () => {
+      const { targets } = translate(`
+        let score = 0;
+        let level = 1;
+        class Coin {
+          constructor(value) {
+            this.value = value;
+          }
+          collect() {
+            score += this.value;
+          }
+        }
+        new Coin(5);
+      `);
+      expect(Object.keys(byName(targets.Coin.variables)).sort()).toEqual(['instance id', 'value']);
+      expect(Object.keys(byName(targets.Sprite1.variables))).toEqual(['level']);
+      expect(Object.keys(byName(targets.Stage.variables)).sort()).toEqual([
+        'Coin constructed', 'Coin target', 'instance count', 'new Coin value', 'score',
+      ]);
+    });
+
+    test('should keep the id of new instances in the lists they go in', () => {
+      const { targets } = translate(`
+        const enemies = [];
+        class Enemy {}
+        enemies.push(new Enemy());
+      `);
+      expect(scripts(targets.Sprite1.blocks)[0]).toEqual([
+        'event_whenflagclicked',
+        'data_setvariableto instance count',
+        'data_deletealloflist enemies',
+        'data_changevariableby instance count',
+        'data_setvariableto instance 1',
+        'data_setvariableto Enemy constructed',
+        'control_create_clone_of',
+        'control_wait_until',
+        'data_addtolist enemies',
+      ]);
+      // Only the sprite uses the list
+      expect(Object.keys(byName(targets.Sprite1.lists))).toEqual(['enemies']);
+    });
+
+    test('should reset the instance count in the top sprite that creates instances', () => {
+      const { targets } = translate(`
+        class Bullet {}
+        // @sprite Player
+        new Bullet();
+        // @sprite Tank
+        new Bullet();
+        // @sprite Score
+        scratch.say('0');
+      `);
+      const resets = target => Object.values(target.blocks).filter(block =>
+        block.opcode === 'data_setvariableto' && block.fields.VARIABLE[0] === 'instance count');
+      expect(resets(targets.Tank)).toHaveLength(1);
+      expect(resets(targets.Tank)[0].inputs.VALUE).toEqual([1, [4, '0']]);
+      expect(targets.Tank.blocks[resets(targets.Tank)[0].parent].opcode).toBe('event_whenflagclicked');
+      [targets.Stage, targets.Player, targets.Score, targets.Bullet].forEach(target => expect(resets(target)).toEqual([]));
+    });
+
+    test('should run methods in the clone of the instance they are called on', () => {
+      const { targets } = translate(`
+        class Enemy {
+          hit(damage) {
+            scratch.changeSize(-damage);
+          }
+        }
+        const boss = new Enemy();
+        boss.hit(10);
+      `);
+      expect(scripts(targets.Sprite1.blocks)[0].slice(-3)).toEqual([
+        'data_setvariableto Enemy hit damage',
+        'data_setvariableto Enemy target',
+        'event_broadcastandwait Enemy hit',
+      ]);
+      expect(scripts(targets.Enemy.blocks)).toEqual(expect.arrayContaining([
+        ['event_whenbroadcastreceived Enemy hit', 'control_if', ['procedures_call']],
+        ['procedures_definition', 'looks_changesizeby'],
+      ]));
+      const call = Object.values(targets.Enemy.blocks).find(block => block.opcode === 'procedures_call');
+      expect(Object.values(call.inputs)).toEqual([[3, variableRef('Enemy hit damage', targets.Enemy, targets.Stage), [10, '']]]);
+    });
+
+    test('should delete the clones of instances removed from a list', () => {
+      const { targets } = translate(`
+        const enemies = [];
+        class Enemy {
+          update() {
+            if (scratch.touching('edge')) {
+              enemies.splice(enemies.indexOf(this), 1);
+            }
+          }
+        }
+        enemies.push(new Enemy());
+        enemies.pop();
+      `);
+      expect(Object.keys(byName(targets.Stage.lists))).toEqual(['enemies']);
+      expect(targets.Sprite1.lists).toEqual({});
+      expect(scripts(targets.Sprite1.blocks)[0].slice(-3)).toEqual([
+        'data_setvariableto Enemy target',
+        'data_deleteoflist enemies',
+        'event_broadcastandwait delete Enemy',
+      ]);
+      const update = scripts(targets.Enemy.blocks).find(script => script[0] === 'procedures_definition');
+      expect(update[2]).toEqual([
+        'data_setvariableto temp 1',
+        'data_setvariableto Enemy target',
+        'control_repeat',
+        ['data_deleteoflist enemies'],
+        'event_broadcastandwait delete Enemy',
+      ]);
+    });
+
+    test('should warn about fields and method results used outside the class', () => {
+      const { result } = translate(`
+        class Enemy {
+          constructor() {
+            this.health = 3;
+          }
+          isAlive() {
+            return this.health > 0;
+          }
+        }
+        const enemy = new Enemy();
+        let health = enemy.health;
+        let alive = enemy.isAlive();
+        enemy.health = 0;
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Only the methods of enemy's class can read its fields, so enemy.health is empty",
+        "Methods called on an instance can't give back a value, so the value of isAlive() is empty",
+        "Only the methods of enemy's class can set its fields, so the assignment was left out",
+      ]);
+    });
+
+    test('should treat the items of a list of instances as instances', () => {
+      const { result, targets } = translate(`
+        class Enemy {
+          constructor() {
+            this.hp = 3;
+          }
+          hit() {
+            this.hp--;
+          }
+        }
+        const enemies = [];
+        enemies.push(new Enemy());
+        let i = 0;
+        let hp = enemies[i].hp;
+        enemies[0].hp = 2;
+        enemies[i].hp++;
+        enemies[i].hit();
+      `);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        "Only the methods of enemies[i]'s class can read its fields, so enemies[i].hp is empty",
+        "Only the methods of enemies[0]'s class can set its fields, so the assignment was left out",
+        "Only the methods of enemies[i]'s class can set its fields, so the assignment was left out",
+      ]);
+      const blockList = Object.values(targets.Sprite1.blocks);
+      const setHp = blockList.find(block => block.opcode === 'data_setvariableto' && block.fields.VARIABLE[0] === 'hp');
+      expect(setHp.inputs.VALUE).toEqual([1, [10, '']]);
+      expect(blockList.some(block => block.opcode === 'event_broadcastandwait' && block.inputs.BROADCAST_INPUT[1][1] === 'Enemy hit')).toBe(true);
+    });
+  });
+
+  describe('Variable placement and ids', () => {
+    const code = `
+      let score = 5;
+      let name = 'Ann';
+      let items = [1, 'a'];
+      function bump() {
+        score = score + 1;
+      }
+      bump();
+      name = name + 1;
+      items.push(score);
+    `;
+
+    test('should put variables used by several scripts on the stage', () => {
+      const [stage, sprite] = translateToScratch(code).project.targets;
+      expect(Object.values(stage.variables)).toEqual([['score', 5]]);
+      expect(Object.values(sprite.variables)).toEqual([['name', 'Ann']]);
+      expect(Object.values(sprite.lists)).toEqual([['items', [1, 'a']]]);
+    });
+
+    test('should refer to variables and lists by generated ids', () => {
+      const [stage, sprite] = translateToScratch(code).project.targets;
+      const ids = [stage.variables, sprite.variables, sprite.lists].flatMap(Object.keys);
+      ids.forEach(id => expect(id).toHaveLength(20));
+      expect(ids).not.toContain('score');
+
+      const references = [];
+      Object.values(sprite.blocks).forEach(block => {
+        if (block.fields.VARIABLE) references.push(block.fields.VARIABLE);
+        if (block.fields.LIST) references.push(block.fields.LIST);
+        Object.values(block.inputs).forEach(input => {
+          if (Array.isArray(input[1]) && input[1][0] === 12) references.push(input[1].slice(1));
+        });
+      });
+      expect(references.length).toBeGreaterThan(0);
+      references.forEach(([name, id]) => {
+        const declaration = stage.variables[id] || sprite.variables[id] || sprite.lists[id];
+        expect(declaration[0]).toBe(name);
+      });
+    });
+
+    test('should refer only to variables and lists of the target or the stage', () => {
+      const { project } = translateToScratch(`
+        let score = 0;
+        const coins = [];
+        class Coin {
+          constructor(value) {
+            this.value = value;
+          }
+          collect(bonus) {
+            score += this.value + bonus;
+          }
+        }
+        function spawn(n) {
+          for (let i = 0; i < n; i++) {
+            coins.push(new Coin(i));
+          }
+        }
+        spawn(3);
+        coins[0].collect(2);
+        console.log(score, coins.length);
+        // @sprite Player
+        let lives = 3;
+        scratch.on('hit', () => {
+          lives--;
+          console.log(lives);
+        });
+      `, { substitute: true });
+      const [stage] = project.targets;
+      let references = 0;
+      project.targets.forEach(target => {
+        const declarationOf = (kind, id) => {
+          const key = kind === 12 ? 'variables' : 'lists';
+          return target[key][id] || stage[key][id];
+        };
+        const check = (kind, name, id) => {
+          references++;
+          const declaration = declarationOf(kind, id);
+          expect(declaration && declaration[0]).toBe(name);
+        };
+        Object.values(target.blocks).forEach(block => {
+          if (block.fields.VARIABLE) check(12, ...block.fields.VARIABLE);
+          if (block.fields.LIST) check(13, ...block.fields.LIST);
+          Object.values(block.inputs).forEach(input => input.forEach(value => {
+            if (Array.isArray(value) && (value[0] === 12 || value[0] === 13)) check(...value);
+          }));
+        });
+      });
+      expect(references).toBeGreaterThan(20);
+
+      expect(project.monitors.length).toBeGreaterThan(0);
+      project.monitors.forEach(monitor => {
+        expect(stage.lists[monitor.id][0]).toBe(monitor.params.LIST);
+      });
+    });
+
+    test('should give the same ids to the same program', () => {
+      expect(translateToScratch(code).project).toEqual(translateToScratch(code).project);
+    });
+  });
+
   describe('Block connection properties', () => {
     test('should only have event block as topLevel', () => {
       const code = `
@@ -582,17 +4150,18 @@ describe('Translator', () => {
       `;
       const result = translateToScratch(code);
       const sprite = result.project.targets[1];
+      const variables = byName(sprite.variables);
       
       // Check that variables are declared
       expect(sprite.variables).toBeDefined();
-      expect(sprite.variables.x).toBeDefined();
-      expect(sprite.variables.y).toBeDefined();
-      expect(sprite.variables.z).toBeDefined();
+      expect(variables.x).toBeDefined();
+      expect(variables.y).toBeDefined();
+      expect(variables.z).toBeDefined();
       
-      // Check format: [name, initialValue]
-      expect(sprite.variables.x).toEqual(['x', 0]);
-      expect(sprite.variables.y).toEqual(['y', 0]);
-      expect(sprite.variables.z).toEqual(['z', 0]);
+      // Check format: [name, initialValue], starting with literal initialisers
+      expect(variables.x).toEqual(['x', 10]);
+      expect(variables.y).toEqual(['y', 20]);
+      expect(variables.z).toEqual(['z', 0]);
     });
 
     test('should include variables from assignments', () => {
@@ -604,8 +4173,8 @@ describe('Translator', () => {
       const result = translateToScratch(code);
       const sprite = result.project.targets[1];
       
-      expect(sprite.variables.x).toBeDefined();
-      expect(sprite.variables.y).toBeDefined();
+      expect(byName(sprite.variables).x).toBeDefined();
+      expect(byName(sprite.variables).y).toBeDefined();
     });
 
     test('should not include arrow function names as variables', () => {
@@ -617,9 +4186,9 @@ describe('Translator', () => {
       const sprite = result.project.targets[1];
       
       // add should not be in variables (it's a function, not a variable)
-      expect(sprite.variables.add).toBeUndefined();
+      expect(byName(sprite.variables).add).toBeUndefined();
       // x should be in variables
-      expect(sprite.variables.x).toBeDefined();
+      expect(byName(sprite.variables).x).toBeDefined();
     });
   });
 });
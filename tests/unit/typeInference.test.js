@@ -0,0 +1,246 @@
+const acorn = require('acorn');
+const { inferTypes, TYPES } = require('../../src/translator/typeInference');
+
+function parse(code) {
+  return acorn.parse(code, { ecmaVersion: 2020, locations: true });
+}
+
+/**
+ * Infer the types in code and return the type of the named variable
+ */
+function typeOfVariable(code, name) {
+  const ast = parse(code);
+  const { typeOf } = inferTypes(ast);
+  return typeOf({ type: 'Identifier', name });
+}
+
+describe('Type inference', () => {
+  describe('literals', () => {
+    test('should infer types from literals', () => {
+      const code = `
+        let n = 3;
+        let s = 'hi';
+        let b = true;
+        let t = \`x\`;
+        let xs = [1, 2];
+      `;
+      expect(typeOfVariable(code, 'n')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 's')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'b')).toBe(TYPES.BOOLEAN);
+      expect(typeOfVariable(code, 't')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'xs')).toBe(TYPES.LIST);
+    });
+
+    test('should treat null and undeclared names as unknown', () => {
+      expect(typeOfVariable('let a = null;', 'a')).toBe(TYPES.UNKNOWN);
+      expect(typeOfVariable('let a = 1;', 'missing')).toBe(TYPES.UNKNOWN);
+    });
+  });
+
+  describe('operators', () => {
+    test('should make + a string when either side is a string', () => {
+      const code = `
+        let a = 1 + 2;
+        let b = 1 + 'x';
+        let c = 'x' + a;
+        let d = a * 2;
+        let e = a < d;
+      `;
+      expect(typeOfVariable(code, 'a')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'b')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'c')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'd')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'e')).toBe(TYPES.BOOLEAN);
+    });
+
+    test('should combine the branches of conditional expressions', () => {
+      const code = `
+        let flag = true;
+        let same = flag ? 'a' : 'b';
+        let mixed = flag ? 'a' : 1;
+      `;
+      expect(typeOfVariable(code, 'same')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'mixed')).toBe(TYPES.UNKNOWN);
+    });
+  });
+
+  describe('variable assignments', () => {
+    test('should keep the type of variables updated from themselves', () => {
+      const code = `
+        let count = 0;
+        count = count + 1;
+        count++;
+        let text = '';
+        text += count;
+      `;
+      expect(typeOfVariable(code, 'count')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'text')).toBe(TYPES.STRING);
+    });
+
+    test('should follow variables assigned later in the program', () => {
+      const code = `
+        let a;
+        let b = a;
+        a = 'late';
+      `;
+      expect(typeOfVariable(code, 'b')).toBe(TYPES.STRING);
+    });
+
+    test('should make variables given different types unknown', () => {
+      const code = `
+        let value = 1;
+        value = 'one';
+      `;
+      expect(typeOfVariable(code, 'value')).toBe(TYPES.UNKNOWN);
+    });
+
+    test('should track the types of list items', () => {
+      const code = `
+        let names = ['a'];
+        names.push('b');
+        let first = names[0];
+        let last = names.pop();
+      `;
+      expect(typeOfVariable(code, 'first')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'last')).toBe(TYPES.STRING);
+    });
+  });
+
+  describe('functions', () => {
+    test('should infer return types', () => {
+      const code = `
+        function greet(who) {
+          if (who === '') {
+            return 'Hello';
+          }
+          return 'Hello ' + who;
+        }
+        const double = n => n * 2;
+        let a = greet('Ada');
+        let b = double(4);
+      `;
+      expect(typeOfVariable(code, 'a')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'b')).toBe(TYPES.NUMBER);
+    });
+
+    test('should give parameters the types of their arguments', () => {
+      const code = `
+        function show(label, amount) {
+          return label;
+        }
+        show('score', 1);
+        show('lives', 3);
+      `;
+      expect(typeOfVariable(code, 'label')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'amount')).toBe(TYPES.NUMBER);
+    });
+
+    test('should infer the results of string methods', () => {
+      const code = `
+        let word = 'cat';
+        let upper = word.toUpperCase();
+        let letter = word.charAt(0);
+        let found = word.includes('a');
+        let position = word.indexOf('t');
+        let size = word.length;
+      `;
+      expect(typeOfVariable(code, 'upper')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'letter')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'found')).toBe(TYPES.BOOLEAN);
+      expect(typeOfVariable(code, 'position')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'size')).toBe(TYPES.NUMBER);
+    });
+
+    test('should infer the results of dialogs', () => {
+      const code = `
+        let name = prompt('Name?');
+        let age = window.prompt('Age?');
+        let sure = confirm('Sure?');
+      `;
+      expect(typeOfVariable(code, 'name')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'age')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'sure')).toBe(TYPES.BOOLEAN);
+    });
+
+    test('should infer the values of intrinsics', () => {
+      const code = `
+        let x = scratch.mouseX();
+        let costume = scratch.costumeName();
+        let hit = scratch.touching('edge');
+        let other = scratch.fly();
+      `;
+      expect(typeOfVariable(code, 'x')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'costume')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'hit')).toBe(TYPES.BOOLEAN);
+      expect(typeOfVariable(code, 'other')).toBe(TYPES.UNKNOWN);
+    });
+  });
+
+  describe('iterating lists', () => {
+    test('should give for...of variables the type of the items', () => {
+      const code = `
+        let scores = [3, 5];
+        let total = 0;
+        for (const score of scores) {
+          total += score;
+        }
+        for (const letter of 'abc') {}
+        for (const i in scores) {}
+      `;
+      expect(typeOfVariable(code, 'score')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'total')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'letter')).toBe(TYPES.STRING);
+      // for...in gives the indexes as text
+      expect(typeOfVariable(code, 'i')).toBe(TYPES.STRING);
+    });
+
+    test('should give callback parameters the types of the items and indexes', () => {
+      const code = `
+        const names = ['Ann', 'Bo'];
+        names.forEach((name, index) => {});
+        function greet(who) {}
+        names.forEach(greet);
+      `;
+      expect(typeOfVariable(code, 'name')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'index')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'who')).toBe(TYPES.STRING);
+    });
+
+    test('should infer the items of map and filter results and the result of reduce', () => {
+      const code = `
+        const prices = [2, 4];
+        const labels = prices.map(p => p + '$');
+        const cheap = prices.filter(p => p < 3);
+        const sum = prices.reduce((acc, p) => acc + p, 0);
+        const label = labels[0];
+        const first = cheap[0];
+      `;
+      expect(typeOfVariable(code, 'labels')).toBe(TYPES.LIST);
+      expect(typeOfVariable(code, 'label')).toBe(TYPES.STRING);
+      expect(typeOfVariable(code, 'first')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'sum')).toBe(TYPES.NUMBER);
+      expect(typeOfVariable(code, 'acc')).toBe(TYPES.NUMBER);
+    });
+
+    test('should infer the items splice removes', () => {
+      const code = `
+        const names = ['Ann', 'Bo'];
+        const removed = names.splice(0, 1);
+        const name = removed[0];
+      `;
+      expect(typeOfVariable(code, 'removed')).toBe(TYPES.LIST);
+      expect(typeOfVariable(code, 'name')).toBe(TYPES.STRING);
+    });
+  });
+
+  describe('annotations', () => {
+    test('should annotate expressions with their inferred type', () => {
+      const ast = parse(`let s = 'a'; let joined = s + 1;`);
+      inferTypes(ast);
+      const init = ast.body[1].declarations[0].init;
+      expect(init.inferredType).toBe(TYPES.STRING);
+      expect(init.left.inferredType).toBe(TYPES.STRING);
+      expect(init.right.inferredType).toBe(TYPES.NUMBER);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const acorn = require('acorn');
+const {
+  createIdGenerator,
+  getInitialValue,
+  getInitialItems,
+  findVariableScripts,
+  setVariableIds,
+} = require('../../src/translator/variables');
+
+function parseInit(code) {
+  return acorn.parse(`let x = ${code};`, { ecmaVersion: 2020 }).body[0].declarations[0].init;
+}
+
+function block(opcode, parent, fields = {}, inputs = {}) {
+  return { opcode, parent, next: null, fields, inputs, topLevel: parent === null };
+}
+
+describe('Variables', () => {
+  describe('createIdGenerator', () => {
+    test('should make unique ids of 20 characters', () => {
+      const createId = createIdGenerator();
+      const ids = Array.from({ length: 200 }, () => createId());
+      expect(new Set(ids).size).toBe(200);
+      ids.forEach(id => expect(id).toHaveLength(20));
+    });
+
+    test('should make the same ids for the same seed', () => {
+      const first = createIdGenerator();
+      const second = createIdGenerator();
+      expect([first(), first()]).toEqual([second(), second()]);
+      expect(createIdGenerator(2)()).not.toBe(createIdGenerator(1)());
+    });
+  });
+
+  describe('getInitialValue', () => {
+    test('should read literals as Scratch stores them', () => {
+      expect(getInitialValue(parseInit('3'))).toBe(3);
+      expect(getInitialValue(parseInit('-1.5'))).toBe(-1.5);
+      expect(getInitialValue(parseInit("'Ann'"))).toBe('Ann');
+      expect(getInitialValue(parseInit('`text`'))).toBe('text');
+      expect(getInitialValue(parseInit('true'))).toBe('true');
+      expect(getInitialValue(parseInit('null'))).toBe('');
+    });
+
+    test('should return undefined for other expressions', () => {
+      expect(getInitialValue(null)).toBeUndefined();
+      expect(getInitialValue(parseInit('a + 1'))).toBeUndefined();
+      expect(getInitialValue(parseInit('`${a}`'))).toBeUndefined();
+      expect(getInitialValue(parseInit('-a'))).toBeUndefined();
+      expect(getInitialValue(parseInit('!true'))).toBeUndefined();
+      expect(getInitialValue(parseInit('/a/'))).toBeUndefined();
+    });
+  });
+
+  describe('getInitialItems', () => {
+    test('should read arrays of literals only', () => {
+      expect(getInitialItems(parseInit("[1, 'two', -3]"))).toEqual([1, 'two', -3]);
+      expect(getInitialItems(parseInit('[]'))).toEqual([]);
+      expect(getInitialItems(parseInit('[1, a]'))).toBeUndefined();
+      expect(getInitialItems(parseInit('5'))).toBeUndefined();
+    });
+  });
+
+  describe('findVariableScripts and setVariableIds', () => {
+    const makeBlocks = () => ({
+      hat1: block('event_whenflagclicked', null),
+      set: block('data_setvariableto', 'hat1', { VARIABLE: ['score', 'score'] }, { VALUE: [1, [10, '0']] }),
+      hat2: block('event_whenkeypressed', null),
+      say: block('looks_say', 'hat2', {}, { MESSAGE: [3, [12, 'score', 'score'], [10, '']] }),
+      add: block('data_addtolist', 'say', { LIST: ['items', 'items'] }, { ITEM: [3, [12, 'name', 'name'], [10, '']] }),
+    });
+
+    test('should find the scripts using each variable', () => {
+      const scripts = findVariableScripts(makeBlocks());
+      expect([...scripts.get('score')].sort()).toEqual(['hat1', 'hat2']);
+      expect([...scripts.get('name')]).toEqual(['hat2']);
+      expect(scripts.has('items')).toBe(false);
+    });
+
+    test('should point references at ids', () => {
+      const blocks = makeBlocks();
+      setVariableIds(blocks, (kind, name) => `${kind}:${name}`);
+      expect(blocks.set.fields.VARIABLE).toEqual(['score', 'variable:score']);
+      expect(blocks.say.inputs.MESSAGE[1]).toEqual([12, 'score', 'variable:score']);
+      expect(blocks.add.fields.LIST).toEqual(['items', 'list:items']);
+      expect(blocks.add.inputs.ITEM[1]).toEqual([12, 'name', 'variable:name']);
+    });
+  });
+});
@@ -60,6 +60,17 @@ describe('ZipHandler', () => {
       expect(combined).toContain('File: while-loop.js');
     });
 
+    test('should mark each of several files as a sprite', async () => {
+      const file1 = path.join(fixturesDir, 'simple-variable.js');
+      const file2 = path.join(fixturesDir, 'while-loop.js');
+
+      const combined = await combineJavaScriptFiles([file1, file2]);
+
+      expect(combined).toContain('// @sprite simple-variable\n');
+      expect(combined).toContain('// @sprite while-loop\n');
+      expect(await combineJavaScriptFiles([file1])).not.toContain('@sprite');
+    });
+
     test('should throw error if no files provided', async () => {
       await expect(combineJavaScriptFiles([])).rejects.toThrow('No JavaScript files found in zip archive');
     });